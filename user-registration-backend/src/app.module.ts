@@ -2,19 +2,33 @@ import { Module } from '@nestjs/common';
 import { ConfigModule, ConfigService } from '@nestjs/config';
 import { MongooseModule } from '@nestjs/mongoose';
 import { AuthenticationModule } from './authentication/authentication.module';
+import { MailModule } from './mail/mail.module';
+import { RateLimitModule } from './rate-limit/rate-limit.module';
+import { StorageModule } from './storage/storage.module';
 import { JwtModule } from '@nestjs/jwt';
+import { ScheduleModule } from '@nestjs/schedule';
+import {
+  DEFAULT_JWT_AUDIENCE,
+  DEFAULT_JWT_ISSUER,
+} from './authentication/jwt/jwt.constants';
 
 @Module({
   imports: [
-    ConfigModule.forRoot({ isGlobal: true,   envFilePath: [`.env.${process.env.NODE_ENV}`, '.env'], }),
+    ConfigModule.forRoot({
+      isGlobal: true,
+      envFilePath: [`.env.${process.env.NODE_ENV}`, '.env'],
+    }),
     JwtModule.registerAsync({
       imports: [ConfigModule],
       inject: [ConfigService],
       global: true,
       useFactory: async (config: ConfigService) => ({
-        secret: config.get<string>('JWT_SECRET'),
-        signOptions: { 
-          expiresIn: '60m' // Tokens expire after 60 minutes
+        // Keys are supplied per token by TokenService: access tokens use the asymmetric
+        // key pair from SigningKeyService, refresh tokens use JWT_REFRESH_SECRET
+        signOptions: {
+          expiresIn: '60m', // Tokens expire after 60 minutes
+          issuer: config.get<string>('JWT_ISSUER') || DEFAULT_JWT_ISSUER,
+          audience: config.get<string>('JWT_AUDIENCE') || DEFAULT_JWT_AUDIENCE,
         },
         global: true, // Makes JwtService globally available
       }),
@@ -25,19 +39,28 @@ import { JwtModule } from '@nestjs/jwt';
       useFactory: (config: ConfigService) => {
         // Prefer an explicit MONGO_URI (set in production). For local dev, fallback to a local DB.
         const uri = config.get<string>('MONGO_URI');
-        const nodeEnv = config.get<string>('NODE_ENV') || process.env.NODE_ENV || 'development';
+        const nodeEnv =
+          config.get<string>('NODE_ENV') ||
+          process.env.NODE_ENV ||
+          'development';
 
         if (uri) return { uri } as any;
 
         if (nodeEnv === 'production') {
           // Fail fast in production if no MONGO_URI provided
-          throw new Error('MONGO_URI must be provided in production environment');
+          throw new Error(
+            'MONGO_URI must be provided in production environment',
+          );
         }
 
         // Development fallback
         return { uri: 'mongodb://localhost:27017/user_registration' } as any;
       },
     }),
+    ScheduleModule.forRoot(),
+    MailModule,
+    RateLimitModule,
+    StorageModule,
     AuthenticationModule,
   ],
 })
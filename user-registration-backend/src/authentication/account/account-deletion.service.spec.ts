@@ -0,0 +1,196 @@
+import { UnauthorizedException } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { Model, Types } from 'mongoose';
+import * as bcrypt from 'bcrypt';
+import { AccountDeletionService } from './account-deletion.service';
+import { AccountStatus } from './account-status.enum';
+import { User, UserDocument } from '../schemas/user.schema';
+import { WebAuthnCredentialDocument } from '../schemas/webauthn-credential.schema';
+import { ExternalIdentityDocument } from '../schemas/external-identity.schema';
+import { OAuthConsentDocument } from '../schemas/oauth-consent.schema';
+import { AuthorizationCodeDocument } from '../schemas/authorization-code.schema';
+import { ApiKeyDocument } from '../schemas/api-key.schema';
+import { RefreshTokenService } from '../refresh-token.service';
+import { MfaService } from '../mfa/mfa.service';
+import { MailService } from '../../mail/mail.service';
+import { AuditService } from '../audit/audit.service';
+import { LoginAlertService } from '../devices/login-alert.service';
+import { AvatarService } from '../profile/avatar.service';
+import { DataExportService } from '../export/data-export.service';
+
+const exec = <T>(value: T) => ({ exec: jest.fn().mockResolvedValue(value) });
+
+type TestUser = UserDocument & { save: jest.Mock };
+
+const makeUser = (data: Partial<User>): TestUser => {
+  const user: Record<string, unknown> = {
+    _id: new Types.ObjectId(),
+    status: AccountStatus.Active,
+    ...data,
+  };
+  user.save = jest.fn().mockResolvedValue(user);
+  return user as unknown as TestUser;
+};
+
+// The parts of the anonymizing update the tests look into
+interface UserUpdate {
+  $set: Partial<User>;
+  $unset: Record<string, 1>;
+}
+
+describe('AccountDeletionService', () => {
+  let service: AccountDeletionService;
+  let config: Record<string, string>;
+  let passwordHash: string;
+  const userModel = {
+    findById: jest.fn(),
+    find: jest.fn(),
+    updateOne: jest.fn<ReturnType<typeof exec>, [object, UserUpdate]>(),
+  };
+  const credentialModel = { deleteMany: jest.fn() };
+  const identityModel = { deleteMany: jest.fn() };
+  const consentModel = { deleteMany: jest.fn() };
+  const codeModel = { deleteMany: jest.fn() };
+  const apiKeyModel = { deleteMany: jest.fn() };
+  const refreshTokenService = { revokeAllForUser: jest.fn() };
+  const mfaService = { assertSecondFactor: jest.fn() };
+  const mailService = { send: jest.fn() };
+  const auditService = { record: jest.fn(), anonymizeUser: jest.fn() };
+  const loginAlertService = { forgetAllForUser: jest.fn() };
+  const avatarService = { deleteFiles: jest.fn() };
+  const dataExportService = { deleteForUser: jest.fn() };
+
+  beforeAll(async () => {
+    passwordHash = await bcrypt.hash('password1', 4);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config = {};
+    userModel.updateOne.mockReturnValue(exec({}));
+    credentialModel.deleteMany.mockReturnValue(exec({}));
+    identityModel.deleteMany.mockReturnValue(exec({}));
+    consentModel.deleteMany.mockReturnValue(exec({}));
+    codeModel.deleteMany.mockReturnValue(exec({}));
+    apiKeyModel.deleteMany.mockReturnValue(exec({}));
+    service = new AccountDeletionService(
+      userModel as unknown as Model<UserDocument>,
+      credentialModel as unknown as Model<WebAuthnCredentialDocument>,
+      identityModel as unknown as Model<ExternalIdentityDocument>,
+      consentModel as unknown as Model<OAuthConsentDocument>,
+      codeModel as unknown as Model<AuthorizationCodeDocument>,
+      apiKeyModel as unknown as Model<ApiKeyDocument>,
+      refreshTokenService as unknown as RefreshTokenService,
+      mfaService as unknown as MfaService,
+      mailService as unknown as MailService,
+      auditService as unknown as AuditService,
+      loginAlertService as unknown as LoginAlertService,
+      avatarService as unknown as AvatarService,
+      dataExportService as unknown as DataExportService,
+      { get: (key: string) => config[key] } as unknown as ConfigService,
+    );
+  });
+
+  it('requires the current password', async () => {
+    userModel.findById.mockReturnValue(
+      exec(makeUser({ email: 'a@b.c', passwordHash })),
+    );
+
+    await expect(
+      service.requestDeletion('u1', 'wrong', {}),
+    ).rejects.toBeInstanceOf(UnauthorizedException);
+    expect(refreshTokenService.revokeAllForUser).not.toHaveBeenCalled();
+  });
+
+  it('also requires the second factor when two-factor authentication is on', async () => {
+    const user = makeUser({ email: 'a@b.c', passwordHash, mfaEnabled: true });
+    userModel.findById.mockReturnValue(exec(user));
+    mfaService.assertSecondFactor.mockRejectedValueOnce(
+      new UnauthorizedException(),
+    );
+
+    await expect(
+      service.requestDeletion('u1', 'password1', { code: '000000' }),
+    ).rejects.toBeInstanceOf(UnauthorizedException);
+    expect(user.status).toBe(AccountStatus.Active);
+  });
+
+  it('schedules deletion after the grace period and signs out everywhere', async () => {
+    config.ACCOUNT_DELETION_GRACE_DAYS = '7';
+    const user = makeUser({ email: 'a@b.c', passwordHash });
+    userModel.findById.mockReturnValue(exec(user));
+
+    const result = await service.requestDeletion('u1', 'password1', {});
+
+    expect(user.status).toBe(AccountStatus.PendingDeletion);
+    const days =
+      (result.deletionScheduledFor.getTime() - Date.now()) /
+      (24 * 60 * 60 * 1000);
+    expect(days).toBeCloseTo(7, 2);
+    expect(refreshTokenService.revokeAllForUser).toHaveBeenCalledWith('u1');
+    expect(mailService.send).toHaveBeenCalledWith(
+      expect.objectContaining({ to: 'a@b.c' }),
+    );
+  });
+
+  it('cancels a pending deletion', async () => {
+    const user = makeUser({
+      email: 'a@b.c',
+      status: AccountStatus.PendingDeletion,
+      deletionScheduledFor: new Date(),
+    });
+
+    await service.cancel(user);
+
+    expect(user).toMatchObject({
+      status: AccountStatus.Active,
+      deletionScheduledFor: undefined,
+    });
+    expect(user.save).toHaveBeenCalled();
+  });
+
+  it('anonymizes only accounts whose grace period is over', async () => {
+    const due = makeUser({
+      email: 'gone@b.c',
+      name: 'Gone',
+      avatarKey: 'avatars/gone',
+      status: AccountStatus.PendingDeletion,
+    });
+    userModel.find.mockReturnValue(exec([due]));
+    const now = new Date();
+
+    expect(await service.purgeDue(now)).toBe(1);
+
+    expect(userModel.find).toHaveBeenCalledWith({
+      status: AccountStatus.PendingDeletion,
+      deletionScheduledFor: { $lte: now },
+    });
+    const [filter, update] = userModel.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: due._id });
+    expect(update.$set).toMatchObject({
+      status: AccountStatus.Deleted,
+      email: `deleted-${String(due._id)}@deleted.invalid`,
+    });
+    expect(update.$unset).toMatchObject({ name: 1, mfaSecret: 1 });
+    expect(credentialModel.deleteMany).toHaveBeenCalledWith({
+      userId: due._id,
+    });
+    expect(dataExportService.deleteForUser).toHaveBeenCalledWith(
+      String(due._id),
+    );
+    expect(identityModel.deleteMany).toHaveBeenCalledWith({ userId: due._id });
+    expect(apiKeyModel.deleteMany).toHaveBeenCalledWith({ userId: due._id });
+    expect(avatarService.deleteFiles).toHaveBeenCalledWith('avatars/gone');
+    expect(auditService.anonymizeUser).toHaveBeenCalledWith(String(due._id));
+    expect(loginAlertService.forgetAllForUser).toHaveBeenCalledWith(
+      String(due._id),
+    );
+    expect(auditService.record).toHaveBeenCalledWith({
+      type: 'account.deleted',
+      targetId: String(due._id),
+    });
+    expect(refreshTokenService.revokeAllForUser).toHaveBeenCalledWith(
+      String(due._id),
+    );
+  });
+});
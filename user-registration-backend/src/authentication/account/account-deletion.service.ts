@@ -0,0 +1,217 @@
+import { Injectable, Logger, UnauthorizedException } from '@nestjs/common';
+import { InjectModel } from '@nestjs/mongoose';
+import { ConfigService } from '@nestjs/config';
+import { Cron, CronExpression } from '@nestjs/schedule';
+import { Model } from 'mongoose';
+import { User, UserDocument } from '../schemas/user.schema';
+import {
+  WebAuthnCredential,
+  WebAuthnCredentialDocument,
+} from '../schemas/webauthn-credential.schema';
+import {
+  ExternalIdentity,
+  ExternalIdentityDocument,
+} from '../schemas/external-identity.schema';
+import {
+  OAuthConsent,
+  OAuthConsentDocument,
+} from '../schemas/oauth-consent.schema';
+import {
+  AuthorizationCode,
+  AuthorizationCodeDocument,
+} from '../schemas/authorization-code.schema';
+import { ApiKey, ApiKeyDocument } from '../schemas/api-key.schema';
+import { RefreshTokenService } from '../refresh-token.service';
+import { MfaService, SecondFactor } from '../mfa/mfa.service';
+import { MailService } from '../../mail/mail.service';
+import { passwordMatches } from '../crypto.util';
+import { AuditService } from '../audit/audit.service';
+import { LoginAlertService } from '../devices/login-alert.service';
+import { AuditEventType } from '../audit/audit-event-type.enum';
+import {
+  accountDeletionCancelledEmail,
+  accountDeletionScheduledEmail,
+} from '../emails';
+import { AccountStatus } from './account-status.enum';
+import { AvatarService } from '../profile/avatar.service';
+import { DataExportService } from '../export/data-export.service';
+
+const DEFAULT_GRACE_PERIOD_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cleared when an account is anonymized; everything else is reset to a harmless value
+const PERSONAL_FIELDS = [
+  'name',
+  'displayName',
+  'avatarKey',
+  'locale',
+  'timezone',
+  'bio',
+  'pendingEmail',
+  'emailChangeTokenId',
+  'emailVerificationTokenId',
+  'magicLinkTokenId',
+  'loginAlertTokenIds',
+  'passwordResetTokenHash',
+  'passwordResetExpiresAt',
+  'mfaSecret',
+  'mfaPendingSecret',
+  'mfaLastUsedStep',
+  'lockUntil',
+  'disabledAt',
+  'deletionRequestedAt',
+  'deletionScheduledFor',
+] as const;
+
+/**
+ * Self-service account deletion. A request puts the account in a grace period
+ * (ACCOUNT_DELETION_GRACE_DAYS, 14 by default); an hourly job then anonymizes it.
+ */
+@Injectable()
+export class AccountDeletionService {
+  private readonly logger = new Logger(AccountDeletionService.name);
+
+  constructor(
+    @InjectModel(User.name) private userModel: Model<UserDocument>,
+    @InjectModel(WebAuthnCredential.name)
+    private credentialModel: Model<WebAuthnCredentialDocument>,
+    @InjectModel(ExternalIdentity.name)
+    private identityModel: Model<ExternalIdentityDocument>,
+    @InjectModel(OAuthConsent.name)
+    private consentModel: Model<OAuthConsentDocument>,
+    @InjectModel(AuthorizationCode.name)
+    private codeModel: Model<AuthorizationCodeDocument>,
+    @InjectModel(ApiKey.name) private apiKeyModel: Model<ApiKeyDocument>,
+    private readonly refreshTokenService: RefreshTokenService,
+    private readonly mfaService: MfaService,
+    private readonly mailService: MailService,
+    private readonly auditService: AuditService,
+    private readonly loginAlertService: LoginAlertService,
+    private readonly avatarService: AvatarService,
+    private readonly dataExportService: DataExportService,
+    private readonly configService: ConfigService,
+  ) {}
+
+  /** Schedules deletion after re-checking the password (and second factor when enabled), then signs out everywhere. */
+  async requestDeletion(
+    userId: string,
+    password: string,
+    factor: SecondFactor,
+  ) {
+    const user = await this.userModel.findById(userId).exec();
+    if (!user || !(await passwordMatches(password, user.passwordHash))) {
+      throw new UnauthorizedException('Current password is incorrect');
+    }
+    if (user.mfaEnabled) {
+      await this.mfaService.assertSecondFactor(user, factor);
+    }
+
+    const now = new Date();
+    user.status = AccountStatus.PendingDeletion;
+    user.deletionRequestedAt = now;
+    user.deletionScheduledFor = new Date(
+      now.getTime() + this.gracePeriodDays() * DAY_MS,
+    );
+    await user.save();
+
+    await this.refreshTokenService.revokeAllForUser(userId);
+    await this.mailService.send({
+      to: user.email,
+      ...accountDeletionScheduledEmail(user.deletionScheduledFor, user.name),
+    });
+    return {
+      message:
+        'Your account is scheduled for deletion. Sign in again before then to cancel.',
+      deletionScheduledFor: user.deletionScheduledFor,
+    };
+  }
+
+  /** Brings an account back from the grace period; called when its owner signs in. */
+  async cancel(user: UserDocument): Promise<void> {
+    user.status = AccountStatus.Active;
+    user.deletionRequestedAt = undefined;
+    user.deletionScheduledFor = undefined;
+    await user.save();
+    await this.mailService.send({
+      to: user.email,
+      ...accountDeletionCancelledEmail(user.name),
+    });
+  }
+
+  @Cron(CronExpression.EVERY_HOUR)
+  async purgeDue(now = new Date()): Promise<number> {
+    const due = await this.userModel
+      .find({
+        status: AccountStatus.PendingDeletion,
+        deletionScheduledFor: { $lte: now },
+      })
+      .exec();
+    for (const user of due) {
+      await this.anonymize(user);
+    }
+    if (due.length) {
+      this.logger.log(
+        `Anonymized ${due.length} account(s) past their deletion date`,
+      );
+    }
+    return due.length;
+  }
+
+  /**
+   * Removes everything that identifies the person and leaves a tombstone with
+   * the same id. The tombstone cannot sign in: its address is made up and its
+   * password hash matches nothing.
+   */
+  async anonymize(user: UserDocument): Promise<void> {
+    const id = String(user._id);
+    await this.refreshTokenService.revokeAllForUser(id);
+    await this.credentialModel.deleteMany({ userId: user._id }).exec();
+    await this.dataExportService.deleteForUser(id);
+    await this.identityModel.deleteMany({ userId: user._id }).exec();
+    await this.consentModel.deleteMany({ userId: user._id }).exec();
+    await this.codeModel.deleteMany({ userId: user._id }).exec();
+    await this.apiKeyModel.deleteMany({ userId: user._id }).exec();
+    await this.loginAlertService.forgetAllForUser(id);
+    if (user.avatarKey) {
+      await this.avatarService.deleteFiles(user.avatarKey);
+    }
+    await this.auditService.anonymizeUser(id);
+
+    await this.userModel
+      .updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            status: AccountStatus.Deleted,
+            deletedAt: new Date(),
+            email: `deleted-${id}@deleted.invalid`,
+            passwordHash: '!',
+            emailVerified: false,
+            roles: [],
+            permissions: [],
+            mfaEnabled: false,
+            mfaRecoveryCodeHashes: [],
+            failedLoginAttempts: 0,
+            passwordResetRequired: false,
+          },
+          $unset: Object.fromEntries(
+            PERSONAL_FIELDS.map((field) => [field, 1]),
+          ),
+        },
+      )
+      .exec();
+    await this.auditService.record({
+      type: AuditEventType.Deleted,
+      targetId: id,
+    });
+  }
+
+  private gracePeriodDays(): number {
+    const configured = Number(
+      this.configService.get<string>('ACCOUNT_DELETION_GRACE_DAYS'),
+    );
+    return Number.isFinite(configured) && configured >= 0
+      ? configured
+      : DEFAULT_GRACE_PERIOD_DAYS;
+  }
+}
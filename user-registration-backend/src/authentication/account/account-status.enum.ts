@@ -0,0 +1,9 @@
+export enum AccountStatus {
+  Active = 'active',
+  // Suspended by an administrator
+  Disabled = 'disabled',
+  // The user asked for deletion; signing in again before the grace period ends cancels it
+  PendingDeletion = 'pending_deletion',
+  // Anonymized tombstone, kept so references to the id stay meaningful
+  Deleted = 'deleted',
+}
@@ -0,0 +1,45 @@
+import {
+  Body,
+  Controller,
+  HttpCode,
+  HttpStatus,
+  Post,
+  Request,
+  Res,
+  UseGuards,
+} from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import type { Response } from 'express';
+import { JwtAuthGuard } from '../jwt/jwt.guard';
+import { AuthenticatedRequest } from '../jwt/authenticated-request.interface';
+import { AccountDeletionService } from './account-deletion.service';
+import { DeleteAccountDto } from '../dto/delete-account.dto';
+import { clearRefreshCookie } from '../refresh-token.cookie';
+import { Audit } from '../audit/audit.decorator';
+import { AuditEventType } from '../audit/audit-event-type.enum';
+
+@UseGuards(JwtAuthGuard)
+@Controller('authentication/account')
+export class AccountController {
+  constructor(
+    private readonly accountDeletionService: AccountDeletionService,
+    private readonly configService: ConfigService,
+  ) {}
+
+  @Post('delete')
+  @HttpCode(HttpStatus.OK)
+  @Audit(AuditEventType.DeletionRequested)
+  async requestDeletion(
+    @Request() req: AuthenticatedRequest,
+    @Body() { password, code, recoveryCode }: DeleteAccountDto,
+    @Res({ passthrough: true }) res: Response,
+  ) {
+    const result = await this.accountDeletionService.requestDeletion(
+      req.user.sub,
+      password,
+      { code, recoveryCode },
+    );
+    clearRefreshCookie(res, this.configService);
+    return result;
+  }
+}
@@ -0,0 +1,49 @@
+import { Injectable } from '@nestjs/common';
+import { InjectModel } from '@nestjs/mongoose';
+import { Model } from 'mongoose';
+import { User, UserDocument } from '../schemas/user.schema';
+
+const MAX_FAILED_LOGINS = 5; // Failures allowed before the account is locked
+const LOCKOUT_BASE_MS = 60 * 1000; // First lockout lasts a minute and doubles with every further failure...
+const LOCKOUT_MAX_MS = 60 * 60 * 1000; // ...up to an hour
+
+/**
+ * Brute-force protection for every check of a secret: the password and second
+ * factor at sign-in, and the second factor asked for again by MFA settings.
+ * A successful sign-in resets the count.
+ */
+@Injectable()
+export class LockoutService {
+  constructor(@InjectModel(User.name) private userModel: Model<UserDocument>) {}
+
+  /** Seconds until the account unlocks, or 0 when it is not locked. */
+  lockedForSeconds(user: UserDocument): number {
+    const lockedForMs = (user.lockUntil?.getTime() ?? 0) - Date.now();
+    return lockedForMs > 0 ? Math.ceil(lockedForMs / 1000) : 0;
+  }
+
+  /** Counts a failed attempt atomically and locks the account once the allowance is used up. */
+  async recordFailure(user: UserDocument): Promise<void> {
+    const updated = await this.userModel
+      .findByIdAndUpdate(
+        user._id,
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true },
+      )
+      .exec();
+    const attempts = updated?.failedLoginAttempts ?? 0;
+    if (attempts < MAX_FAILED_LOGINS) return;
+
+    // The counter keeps growing after a lock expires, so every further failure locks for longer
+    const lockMs = Math.min(
+      LOCKOUT_BASE_MS * 2 ** (attempts - MAX_FAILED_LOGINS),
+      LOCKOUT_MAX_MS,
+    );
+    await this.userModel
+      .updateOne(
+        { _id: user._id },
+        { lockUntil: new Date(Date.now() + lockMs) },
+      )
+      .exec();
+  }
+}
@@ -0,0 +1,156 @@
+import { ForbiddenException, NotFoundException } from '@nestjs/common';
+import { Model, Types } from 'mongoose';
+import { API_KEY_PREFIX, ApiKeyService } from './api-key.service';
+import { ApiKey, ApiKeyDocument } from '../schemas/api-key.schema';
+import { UserDocument } from '../schemas/user.schema';
+import { Permission } from '../permissions/permission.enum';
+import { Role } from '../roles/role.enum';
+import { sha256 } from '../crypto.util';
+
+const exec = <T>(value: T) => ({ exec: jest.fn().mockResolvedValue(value) });
+
+const makeUser = (data: Record<string, any> = {}) => ({
+  _id: new Types.ObjectId(),
+  email: 'a@b.c',
+  name: 'Ada',
+  status: 'active',
+  roles: [Role.Support],
+  permissions: [],
+  ...data,
+});
+
+describe('ApiKeyService', () => {
+  let service: ApiKeyService;
+  const apiKeyModel = {
+    create: jest.fn<Promise<object>, [ApiKey]>(),
+    countDocuments: jest.fn(),
+    find: jest.fn(),
+    findOne: jest.fn(),
+    findOneAndDelete: jest.fn(),
+    updateOne: jest.fn(),
+  };
+  const userModel = { findById: jest.fn() };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    apiKeyModel.countDocuments.mockReturnValue(exec(0));
+    apiKeyModel.create.mockImplementation((data) =>
+      Promise.resolve({ _id: new Types.ObjectId(), ...data }),
+    );
+    apiKeyModel.updateOne.mockReturnValue(exec({}));
+    service = new ApiKeyService(
+      apiKeyModel as unknown as Model<ApiKeyDocument>,
+      userModel as unknown as Model<UserDocument>,
+    );
+  });
+
+  describe('create', () => {
+    it('returns the key once and only stores its hash', async () => {
+      const user = makeUser();
+      userModel.findById.mockReturnValue(exec(user));
+
+      const created = await service.create(String(user._id), {
+        name: 'Backup script',
+        scopes: [Permission.UsersRead],
+        expiresInDays: 30,
+      });
+
+      expect(created.key.startsWith(API_KEY_PREFIX)).toBe(true);
+      expect(created.start).toBe(
+        created.key.slice(0, API_KEY_PREFIX.length + 6),
+      );
+      const stored = apiKeyModel.create.mock.calls[0][0];
+      expect(stored.keyHash).toBe(sha256(created.key));
+      expect(stored).not.toHaveProperty('key');
+      expect(stored.expiresAt.getTime()).toBeGreaterThan(
+        Date.now() + 29 * 24 * 60 * 60 * 1000,
+      );
+    });
+
+    it('refuses scopes the user does not have', async () => {
+      const user = makeUser();
+      userModel.findById.mockReturnValue(exec(user));
+
+      await expect(
+        service.create(String(user._id), {
+          name: 'Too much',
+          scopes: [Permission.UsersDisable],
+          expiresInDays: 30,
+        }),
+      ).rejects.toBeInstanceOf(ForbiddenException);
+      expect(apiKeyModel.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('authenticate', () => {
+    const key = `${API_KEY_PREFIX}secret`;
+
+    it('acts as the owner within the scopes they still have', async () => {
+      const user = makeUser();
+      const apiKey = {
+        _id: new Types.ObjectId(),
+        userId: user._id,
+        scopes: [Permission.UsersRead, Permission.UsersDisable],
+      };
+      apiKeyModel.findOne.mockReturnValue(exec(apiKey));
+      userModel.findById.mockReturnValue(exec(user));
+
+      await expect(
+        service.authenticate(key, { ip: '203.0.113.7' }),
+      ).resolves.toEqual({
+        sub: String(user._id),
+        email: 'a@b.c',
+        name: 'Ada',
+        roles: [],
+        permissions: [Permission.UsersRead],
+        apiKeyId: String(apiKey._id),
+      });
+      expect(apiKeyModel.findOne).toHaveBeenCalledWith({
+        keyHash: sha256(key),
+        expiresAt: { $gt: expect.any(Date) as Date },
+      });
+      expect(apiKeyModel.updateOne).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: apiKey._id }),
+        {
+          $set: {
+            lastUsedAt: expect.any(Date) as Date,
+            lastUsedIp: '203.0.113.7',
+          },
+        },
+      );
+    });
+
+    it('turns away unknown and expired keys', async () => {
+      apiKeyModel.findOne.mockReturnValue(exec(null));
+
+      await expect(service.authenticate(key)).resolves.toBeNull();
+      expect(userModel.findById).not.toHaveBeenCalled();
+    });
+
+    it('stops working while the owner is disabled', async () => {
+      const user = makeUser({ status: 'disabled' });
+      apiKeyModel.findOne.mockReturnValue(
+        exec({ _id: new Types.ObjectId(), userId: user._id, scopes: [] }),
+      );
+      userModel.findById.mockReturnValue(exec(user));
+
+      await expect(service.authenticate(key)).resolves.toBeNull();
+      expect(apiKeyModel.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revoke', () => {
+    it('only finds keys of the user', async () => {
+      apiKeyModel.findOneAndDelete.mockReturnValue(exec(null));
+      const userId = String(new Types.ObjectId());
+
+      await expect(
+        service.revoke(userId, String(new Types.ObjectId())),
+      ).rejects.toBeInstanceOf(NotFoundException);
+      await expect(service.revoke(userId, 'not-an-id')).rejects.toBeInstanceOf(
+        NotFoundException,
+      );
+      expect(apiKeyModel.findOneAndDelete).toHaveBeenCalledTimes(1);
+    });
+  });
+});
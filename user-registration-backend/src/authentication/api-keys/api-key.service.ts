@@ -0,0 +1,148 @@
+import {
+  BadRequestException,
+  ForbiddenException,
+  Injectable,
+  NotFoundException,
+} from '@nestjs/common';
+import { InjectModel } from '@nestjs/mongoose';
+import { isValidObjectId, Model, Types } from 'mongoose';
+import { ApiKey, ApiKeyDocument } from '../schemas/api-key.schema';
+import { User, UserDocument } from '../schemas/user.schema';
+import { CreateApiKeyDto } from '../dto/create-api-key.dto';
+import { JwtPayload } from '../jwt/jwt-payload.interface';
+import { resolvePermissions } from '../permissions/role-permissions';
+import { AccountStatus } from '../account/account-status.enum';
+import { SessionContext } from '../sessions/session-context';
+import { randomToken, sha256 } from '../crypto.util';
+
+export const API_KEY_PREFIX = 'urk_';
+const MAX_KEYS_PER_USER = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LAST_USED_RESOLUTION_MS = 60 * 1000; // Busy scripts would otherwise write on every request
+
+/** What `req.user` holds for a request made with an API key. */
+export type ApiKeyPrincipal = JwtPayload & { apiKeyId: string };
+
+/**
+ * Personal API keys, so scripts do not have to sign in with a password and
+ * refresh hourly access tokens. A key acts as its owner, limited to the
+ * permissions picked as its scopes.
+ */
+@Injectable()
+export class ApiKeyService {
+  constructor(
+    @InjectModel(ApiKey.name) private apiKeyModel: Model<ApiKeyDocument>,
+    @InjectModel(User.name) private userModel: Model<UserDocument>,
+  ) {}
+
+  /** Mints a key. It is only ever returned here. */
+  async create(
+    userId: string,
+    { name, scopes, expiresInDays }: CreateApiKeyDto,
+  ) {
+    const user = await this.userModel.findById(userId).exec();
+    if (!user) {
+      throw new NotFoundException('User not found');
+    }
+    const granted = resolvePermissions(user.roles, user.permissions);
+    if (scopes.some((scope) => !granted.includes(scope))) {
+      throw new ForbiddenException(
+        'An API key cannot have permissions you do not have.',
+      );
+    }
+    if (
+      (await this.apiKeyModel.countDocuments({ userId: user._id }).exec()) >=
+      MAX_KEYS_PER_USER
+    ) {
+      throw new BadRequestException(
+        `You can have up to ${MAX_KEYS_PER_USER} API keys. Revoke one you no longer use first.`,
+      );
+    }
+
+    const key = `${API_KEY_PREFIX}${randomToken()}`;
+    const apiKey = await this.apiKeyModel.create({
+      userId: user._id,
+      name,
+      keyHash: sha256(key),
+      start: key.slice(0, API_KEY_PREFIX.length + 6),
+      scopes,
+      expiresAt: new Date(Date.now() + expiresInDays * DAY_MS),
+    });
+    return { ...toView(apiKey), key };
+  }
+
+  async list(userId: string) {
+    const keys = await this.apiKeyModel
+      .find({ userId: new Types.ObjectId(userId) })
+      .sort({ createdAt: -1 })
+      .exec();
+    return keys.map(toView);
+  }
+
+  async revoke(userId: string, id: string): Promise<void> {
+    const deleted = isValidObjectId(id)
+      ? await this.apiKeyModel
+          .findOneAndDelete({ _id: id, userId: new Types.ObjectId(userId) })
+          .exec()
+      : null;
+    if (!deleted) {
+      throw new NotFoundException('API key not found');
+    }
+  }
+
+  /** The user a key acts as, or null when it is unknown, expired or its owner cannot sign in. */
+  async authenticate(
+    key: string,
+    context: SessionContext = {},
+  ): Promise<ApiKeyPrincipal | null> {
+    const now = new Date();
+    const apiKey = await this.apiKeyModel
+      .findOne({ keyHash: sha256(key), expiresAt: { $gt: now } })
+      .exec();
+    if (!apiKey) return null;
+    const user = await this.userModel.findById(apiKey.userId).exec();
+    if (!user || (user.status && user.status !== AccountStatus.Active))
+      return null;
+
+    await this.apiKeyModel
+      .updateOne(
+        {
+          _id: apiKey._id,
+          $or: [
+            { lastUsedAt: { $exists: false } },
+            {
+              lastUsedAt: {
+                $lt: new Date(now.getTime() - LAST_USED_RESOLUTION_MS),
+              },
+            },
+          ],
+        },
+        { $set: { lastUsedAt: now, lastUsedIp: context.ip } },
+      )
+      .exec();
+
+    const granted = resolvePermissions(user.roles, user.permissions);
+    return {
+      sub: String(user._id),
+      email: user.email,
+      name: user.name,
+      // Left out so nothing checking roles grants a key more than its scopes
+      roles: [],
+      permissions: apiKey.scopes.filter((scope) => granted.includes(scope)),
+      apiKeyId: String(apiKey._id),
+    };
+  }
+}
+
+function toView(apiKey: ApiKeyDocument) {
+  return {
+    id: String(apiKey._id),
+    name: apiKey.name,
+    start: apiKey.start,
+    scopes: apiKey.scopes,
+    createdAt: (apiKey as { createdAt?: Date }).createdAt,
+    expiresAt: apiKey.expiresAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    lastUsedIp: apiKey.lastUsedIp,
+  };
+}
@@ -0,0 +1,60 @@
+import type { Request } from 'express';
+import { ApiKeyStrategy } from './api-key.strategy';
+import { ApiKeyService } from './api-key.service';
+
+type Outcome = { user?: unknown; failure?: unknown; error?: unknown };
+
+/** Runs the strategy the way passport would. */
+const run = (strategy: ApiKeyStrategy, headers: Record<string, string>) =>
+  new Promise<Outcome>((resolve) => {
+    const step = Object.create(strategy) as ApiKeyStrategy;
+    step.success = (user: unknown) => resolve({ user });
+    step.fail = (failure: unknown) => resolve({ failure });
+    step.error = (error: unknown) => resolve({ error });
+    step.authenticate({
+      get: (name: string) => headers[name.toLowerCase()],
+      headers,
+      socket: {},
+    } as unknown as Request);
+  });
+
+describe('ApiKeyStrategy', () => {
+  const principal = {
+    sub: 'user-1',
+    email: 'a@b.c',
+    roles: [],
+    permissions: [],
+    apiKeyId: 'key-1',
+  };
+  const apiKeyService = { authenticate: jest.fn() };
+  const strategy = new ApiKeyStrategy(
+    apiKeyService as unknown as ApiKeyService,
+  );
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    apiKeyService.authenticate.mockImplementation((key: string) =>
+      Promise.resolve(key === 'urk_good' ? principal : null),
+    );
+  });
+
+  it.each([
+    ['the X-API-Key header', { 'x-api-key': 'urk_good' }],
+    ['a bearer token', { authorization: 'Bearer urk_good' }],
+  ])('accepts a key in %s', async (_where, headers) => {
+    await expect(run(strategy, headers)).resolves.toEqual({ user: principal });
+  });
+
+  it('rejects unknown keys', async () => {
+    await expect(run(strategy, { 'x-api-key': 'urk_bad' })).resolves.toEqual({
+      failure: 401,
+    });
+  });
+
+  it('leaves access tokens to JwtStrategy', async () => {
+    await expect(
+      run(strategy, { authorization: 'Bearer eyJhbGciOi' }),
+    ).resolves.toEqual({ failure: 401 });
+    expect(apiKeyService.authenticate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,47 @@
+import { Injectable } from '@nestjs/common';
+import { PassportStrategy } from '@nestjs/passport';
+import passport from 'passport';
+import type { Request } from 'express';
+import { API_KEY_PREFIX, ApiKeyService } from './api-key.service';
+import { sessionContext } from '../sessions/session-context';
+
+/**
+ * Authenticates requests carrying a personal API key, either as
+ * `X-API-Key: urk_...` or as `Authorization: Bearer urk_...`. Used next to
+ * JwtStrategy through JwtOrApiKeyGuard.
+ */
+@Injectable()
+export class ApiKeyStrategy extends PassportStrategy(
+  passport.Strategy,
+  'api-key',
+) {
+  constructor(private readonly apiKeyService: ApiKeyService) {
+    super();
+  }
+
+  validate(key: string, req: Request) {
+    return this.apiKeyService.authenticate(key, sessionContext(req));
+  }
+
+  // passport.Strategy has no way of reading credentials itself, so this plays its part
+  authenticate(req: Request) {
+    const key = extractApiKey(req);
+    if (!key) {
+      return this.fail(401);
+    }
+    this.validate(key, req).then(
+      (principal) => (principal ? this.success(principal) : this.fail(401)),
+      (error) => this.error(error),
+    );
+  }
+}
+
+function extractApiKey(req: Request): string | undefined {
+  const header = req.get('x-api-key');
+  if (header) return header;
+  const authorization = req.get('authorization');
+  // Access tokens travel the same way; only our key format is taken
+  if (authorization?.startsWith(`Bearer ${API_KEY_PREFIX}`))
+    return authorization.slice(7);
+  return undefined;
+}
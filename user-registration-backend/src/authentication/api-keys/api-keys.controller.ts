@@ -0,0 +1,40 @@
+import {
+  Body,
+  Controller,
+  Delete,
+  Get,
+  Param,
+  Post,
+  Request,
+  UseGuards,
+} from '@nestjs/common';
+import { JwtAuthGuard } from '../jwt/jwt.guard';
+import { AuthenticatedRequest } from '../jwt/authenticated-request.interface';
+import { Audit } from '../audit/audit.decorator';
+import { AuditEventType } from '../audit/audit-event-type.enum';
+import { CreateApiKeyDto } from '../dto/create-api-key.dto';
+import { ApiKeyService } from './api-key.service';
+
+// Managing keys needs a real sign-in: a key cannot mint or revoke keys
+@UseGuards(JwtAuthGuard)
+@Controller('authentication/api-keys')
+export class ApiKeysController {
+  constructor(private readonly apiKeyService: ApiKeyService) {}
+
+  @Get()
+  list(@Request() req: AuthenticatedRequest) {
+    return this.apiKeyService.list(req.user.sub);
+  }
+
+  @Post()
+  @Audit(AuditEventType.ApiKeyCreated)
+  create(@Request() req: AuthenticatedRequest, @Body() dto: CreateApiKeyDto) {
+    return this.apiKeyService.create(req.user.sub, dto);
+  }
+
+  @Delete(':id')
+  @Audit(AuditEventType.ApiKeyRevoked)
+  revoke(@Request() req: AuthenticatedRequest, @Param('id') id: string) {
+    return this.apiKeyService.revoke(req.user.sub, id);
+  }
+}
@@ -0,0 +1,10 @@
+import { Injectable } from '@nestjs/common';
+import { AuthGuard } from '@nestjs/passport';
+
+/**
+ * Accepts an access token or a personal API key. Only for routes scripts need;
+ * anything managing the account itself (passwords, keys, sessions) stays
+ * behind JwtAuthGuard so a leaked key cannot take the account over.
+ */
+@Injectable()
+export class JwtOrApiKeyGuard extends AuthGuard(['jwt', 'api-key']) {}
@@ -0,0 +1,48 @@
+/** What an audit event records, written `<area>.<what happened>`. */
+export enum AuditEventType {
+  Registered = 'account.registered',
+  EmailVerified = 'account.email_verified',
+  DeletionRequested = 'account.deletion_requested',
+  Deleted = 'account.deleted',
+  DataExported = 'account.data_exported',
+  ProfileUpdated = 'account.profile_updated',
+  IdentityLinked = 'account.identity_linked',
+  IdentityUnlinked = 'account.identity_unlinked',
+  Login = 'auth.login',
+  TokenRefreshed = 'auth.token_refreshed',
+  Logout = 'auth.logout',
+  LogoutEverywhere = 'auth.logout_everywhere',
+  LoginAlertSent = 'auth.login_alert_sent',
+  LoginDenied = 'auth.login_denied',
+  AppAuthorized = 'oauth.app_authorized',
+  AppRevoked = 'oauth.app_revoked',
+  PasswordChanged = 'password.changed',
+  PasswordSet = 'password.set',
+  PasswordReset = 'password.reset',
+  EmailChangeRequested = 'email.change_requested',
+  EmailChanged = 'email.changed',
+  MfaEnabled = 'mfa.enabled',
+  MfaDisabled = 'mfa.disabled',
+  MfaRecoveryCodesRegenerated = 'mfa.recovery_codes_regenerated',
+  PasskeyAdded = 'passkey.added',
+  PasskeyRemoved = 'passkey.removed',
+  SessionRevoked = 'session.revoked',
+  ApiKeyCreated = 'api_key.created',
+  ApiKeyRevoked = 'api_key.revoked',
+  OtherSessionsRevoked = 'session.others_revoked',
+  AdminUserUpdated = 'admin.user_updated',
+  AdminUserDisabled = 'admin.user_disabled',
+  AdminUserEnabled = 'admin.user_enabled',
+  AdminUserUnlocked = 'admin.user_unlocked',
+  AdminUserDeleted = 'admin.user_deleted',
+  AdminPasswordResetForced = 'admin.password_reset_forced',
+  AdminVerificationResent = 'admin.verification_resent',
+  AdminSessionsRevoked = 'admin.sessions_revoked',
+  AdminClientCreated = 'admin.client_created',
+  AdminClientDeleted = 'admin.client_deleted',
+}
+
+export enum AuditOutcome {
+  Success = 'success',
+  Failure = 'failure',
+}
@@ -0,0 +1,25 @@
+import { Controller, Get, Query, Request, UseGuards } from '@nestjs/common';
+import { JwtOrApiKeyGuard } from '../api-keys/jwt-or-api-key.guard';
+import { AuthenticatedRequest } from '../jwt/authenticated-request.interface';
+import { PermissionsGuard } from '../permissions/permissions.guard';
+import { RequirePermissions } from '../permissions/permissions.decorator';
+import { Permission } from '../permissions/permission.enum';
+import { AuditService } from './audit.service';
+import { ListAuditEventsDto } from '../dto/list-audit-events.dto';
+
+@UseGuards(JwtOrApiKeyGuard, PermissionsGuard)
+@Controller('authentication')
+export class AuditController {
+  constructor(private readonly auditService: AuditService) {}
+
+  @Get('audit')
+  @RequirePermissions(Permission.AuditRead)
+  list(@Query() query: ListAuditEventsDto) {
+    return this.auditService.list(query);
+  }
+
+  @Get('me/activity')
+  recentActivity(@Request() req: AuthenticatedRequest) {
+    return this.auditService.recentActivity(req.user.sub);
+  }
+}
@@ -0,0 +1,16 @@
+import { SetMetadata } from '@nestjs/common';
+import { AuditEventType } from './audit-event-type.enum';
+
+export interface AuditOptions {
+  type: AuditEventType;
+  /** Route parameter holding the affected user's id, for actions on someone else's account. */
+  targetParam?: string;
+}
+
+export const AUDIT_KEY = 'audit';
+
+/** Records the outcome of an authenticated route in the audit log. Handled by AuditInterceptor. */
+export const Audit = (
+  type: AuditEventType,
+  options: Omit<AuditOptions, 'type'> = {},
+) => SetMetadata(AUDIT_KEY, { type, ...options } satisfies AuditOptions);
@@ -0,0 +1,94 @@
+import {
+  CallHandler,
+  ExecutionContext,
+  ForbiddenException,
+} from '@nestjs/common';
+import { Reflector } from '@nestjs/core';
+import { lastValueFrom, of, throwError } from 'rxjs';
+import { Audit } from './audit.decorator';
+import { AuditInterceptor } from './audit.interceptor';
+import { AuditEventType, AuditOutcome } from './audit-event-type.enum';
+import { AuditService } from './audit.service';
+
+class TestController {
+  @Audit(AuditEventType.PasswordChanged)
+  changePassword() {}
+
+  @Audit(AuditEventType.AdminUserDisabled, { targetParam: 'id' })
+  disable() {}
+
+  open() {}
+}
+
+const req = {
+  user: { sub: 'admin-1' },
+  params: { id: 'user-2' },
+  ip: '203.0.113.7',
+  get: () => 'Firefox',
+};
+
+const contextFor = (handler: keyof TestController) =>
+  ({
+    getClass: () => TestController,
+    getHandler: () => TestController.prototype[handler],
+    switchToHttp: () => ({ getRequest: () => req }),
+  }) as unknown as ExecutionContext;
+
+const returning = (value: unknown): CallHandler => ({
+  handle: () => of(value),
+});
+
+describe('AuditInterceptor', () => {
+  const auditService = { record: jest.fn().mockResolvedValue(undefined) };
+  let interceptor: AuditInterceptor;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    interceptor = new AuditInterceptor(
+      new Reflector(),
+      auditService as unknown as AuditService,
+    );
+  });
+
+  it('leaves routes without @Audit alone', async () => {
+    await expect(
+      lastValueFrom(interceptor.intercept(contextFor('open'), returning('ok'))),
+    ).resolves.toBe('ok');
+    expect(auditService.record).not.toHaveBeenCalled();
+  });
+
+  it('records the signed-in user acting on their own account', async () => {
+    await expect(
+      lastValueFrom(
+        interceptor.intercept(contextFor('changePassword'), returning('ok')),
+      ),
+    ).resolves.toBe('ok');
+
+    expect(auditService.record).toHaveBeenCalledWith({
+      type: AuditEventType.PasswordChanged,
+      actorId: 'admin-1',
+      targetId: 'admin-1',
+      context: { ip: '203.0.113.7', userAgent: 'Firefox' },
+    });
+  });
+
+  it('records failures with their reason and still throws', async () => {
+    const failing: CallHandler = {
+      handle: () => throwError(() => new ForbiddenException('Not allowed')),
+    };
+
+    await expect(
+      lastValueFrom(interceptor.intercept(contextFor('disable'), failing)),
+    ).rejects.toBeInstanceOf(ForbiddenException);
+
+    expect(auditService.record).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: AuditEventType.AdminUserDisabled,
+        outcome: AuditOutcome.Failure,
+        reason: 'Not allowed',
+        actorId: 'admin-1',
+        targetId: 'user-2',
+      }),
+    );
+  });
+});
@@ -0,0 +1,83 @@
+import {
+  CallHandler,
+  ExecutionContext,
+  HttpException,
+  Injectable,
+  NestInterceptor,
+} from '@nestjs/common';
+import { Reflector } from '@nestjs/core';
+import { Observable, catchError, from, mergeMap } from 'rxjs';
+import { AuditService } from './audit.service';
+import { AUDIT_KEY, AuditOptions } from './audit.decorator';
+import { AuditOutcome } from './audit-event-type.enum';
+import { sessionContext } from '../sessions/session-context';
+import { AuthenticatedRequest } from '../jwt/authenticated-request.interface';
+
+/**
+ * Records routes marked with @Audit once they succeed or fail. The actor is
+ * the signed-in user, so it only suits routes behind JwtAuthGuard or
+ * JwtOrApiKeyGuard; flows that establish who the user is (login, refresh,
+ * emailed links) record their own events in the services.
+ */
+@Injectable()
+export class AuditInterceptor implements NestInterceptor {
+  constructor(
+    private readonly reflector: Reflector,
+    private readonly auditService: AuditService,
+  ) {}
+
+  intercept(context: ExecutionContext, next: CallHandler): Observable<unknown> {
+    const audit = this.reflector.get<AuditOptions | undefined>(
+      AUDIT_KEY,
+      context.getHandler(),
+    );
+    if (!audit) return next.handle();
+
+    const req = context.switchToHttp().getRequest<AuthenticatedRequest>();
+    const event = {
+      type: audit.type,
+      actorId: req.user?.sub,
+      targetId: audit.targetParam
+        ? req.params?.[audit.targetParam]
+        : req.user?.sub,
+      context: sessionContext(req),
+      // Tells apart what a script did with one of the user's API keys
+      ...(req.user?.apiKeyId
+        ? { metadata: { apiKeyId: req.user.apiKeyId } }
+        : {}),
+    };
+
+    // Waits for the write, so the event is listed as soon as the client sees the response
+    return next.handle().pipe(
+      mergeMap((result: unknown) =>
+        from(this.auditService.record(event).then(() => result)),
+      ),
+      catchError((error) =>
+        from(
+          this.auditService
+            .record({
+              ...event,
+              outcome: AuditOutcome.Failure,
+              reason: failureReason(error),
+            })
+            .then(() => {
+              throw error;
+            }),
+        ),
+      ),
+    );
+  }
+}
+
+function failureReason(error: unknown): string {
+  if (error instanceof HttpException) {
+    const response = error.getResponse();
+    const message =
+      typeof response === 'object' && response !== null
+        ? (response as { message?: unknown }).message
+        : response;
+    if (Array.isArray(message)) return message.join(', ');
+    return typeof message === 'string' ? message : error.message;
+  }
+  return 'internal_error';
+}
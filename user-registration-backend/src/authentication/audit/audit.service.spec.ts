@@ -0,0 +1,142 @@
+import { Model, Types } from 'mongoose';
+import { AuditService } from './audit.service';
+import { AuditEventType, AuditOutcome } from './audit-event-type.enum';
+import {
+  ANONYMIZE_AUDIT_OPTION,
+  AuditEventDocument,
+} from '../schemas/audit-event.schema';
+
+const exec = <T>(value: T) => ({ exec: jest.fn().mockResolvedValue(value) });
+
+describe('AuditService', () => {
+  let service: AuditService;
+  const auditEventModel = {
+    create: jest.fn(),
+    find: jest.fn(),
+    countDocuments: jest.fn(),
+    updateMany: jest.fn(),
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new AuditService(
+      auditEventModel as unknown as Model<AuditEventDocument>,
+    );
+  });
+
+  it('files events under the actor unless someone else was affected', async () => {
+    const actorId = new Types.ObjectId();
+
+    await service.record({
+      type: AuditEventType.Logout,
+      actorId: String(actorId),
+      context: { ip: '203.0.113.7' },
+    });
+
+    expect(auditEventModel.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        outcome: AuditOutcome.Success,
+        actorId,
+        targetId: actorId,
+        ip: '203.0.113.7',
+      }),
+    );
+  });
+
+  it('does not let a failing write break the request being audited', async () => {
+    auditEventModel.create.mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(
+      service.record({ type: AuditEventType.Login }),
+    ).resolves.toBeUndefined();
+  });
+
+  it('filters and pages the admin listing, newest first', async () => {
+    const query = {
+      sort: jest.fn(),
+      skip: jest.fn(),
+      limit: jest.fn(),
+      exec: jest.fn().mockResolvedValue([]),
+    };
+    query.sort.mockReturnValue(query);
+    query.skip.mockReturnValue(query);
+    query.limit.mockReturnValue(query);
+    auditEventModel.find.mockReturnValue(query);
+    auditEventModel.countDocuments.mockReturnValue(exec(0));
+    const targetId = String(new Types.ObjectId());
+
+    const page = await service.list({
+      type: AuditEventType.Login,
+      outcome: AuditOutcome.Failure,
+      targetId,
+      from: '2025-01-01',
+      page: '2',
+      limit: '500',
+    });
+
+    expect(auditEventModel.find).toHaveBeenCalledWith({
+      type: AuditEventType.Login,
+      outcome: AuditOutcome.Failure,
+      targetId: new Types.ObjectId(targetId),
+      createdAt: { $gte: new Date('2025-01-01') },
+    });
+    expect(query.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+    expect(query.skip).toHaveBeenCalledWith(200);
+    expect(page).toEqual({ items: [], total: 0, page: 2, limit: 200 });
+  });
+
+  it('hides which administrator acted in the activity shown to the user', async () => {
+    const userId = new Types.ObjectId();
+    const events = [
+      {
+        _id: new Types.ObjectId(),
+        type: AuditEventType.Login,
+        actorId: userId,
+        userAgent: 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0',
+      },
+      {
+        _id: new Types.ObjectId(),
+        type: AuditEventType.AdminUserUnlocked,
+        actorId: new Types.ObjectId(),
+      },
+    ];
+    auditEventModel.find.mockReturnValue({
+      sort: () => ({ limit: () => exec(events) }),
+    });
+
+    const activity = await service.recentActivity(String(userId));
+
+    expect(auditEventModel.find).toHaveBeenCalledWith({
+      targetId: userId,
+      type: { $ne: AuditEventType.TokenRefreshed },
+    });
+    expect(activity).toEqual([
+      expect.objectContaining({
+        type: AuditEventType.Login,
+        device: 'Chrome on Windows',
+        byAdministrator: false,
+      }),
+      expect.objectContaining({
+        type: AuditEventType.AdminUserUnlocked,
+        byAdministrator: true,
+      }),
+    ]);
+    expect(activity[1]).not.toHaveProperty('actorId');
+  });
+
+  it('strips personal details through the append-only exemption', async () => {
+    const userId = new Types.ObjectId();
+    const setOptions = jest.fn().mockReturnValue(exec({}));
+    auditEventModel.updateMany.mockReturnValue({ setOptions });
+
+    await service.anonymizeUser(String(userId));
+
+    expect(auditEventModel.updateMany).toHaveBeenCalledWith(
+      { $or: [{ actorId: userId }, { targetId: userId }] },
+      { $unset: { email: 1, ip: 1, userAgent: 1 } },
+    );
+    expect(setOptions).toHaveBeenCalledWith(
+      expect.objectContaining({ [ANONYMIZE_AUDIT_OPTION]: true }),
+    );
+  });
+});
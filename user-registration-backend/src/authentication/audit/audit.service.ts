@@ -0,0 +1,179 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { InjectModel } from '@nestjs/mongoose';
+import { FilterQuery, isValidObjectId, Model, Types } from 'mongoose';
+import {
+  ANONYMIZE_AUDIT_OPTION,
+  ANONYMIZED_AUDIT_FIELDS,
+  AuditEvent,
+  AuditEventDocument,
+} from '../schemas/audit-event.schema';
+import { SessionContext, describeUserAgent } from '../sessions/session-context';
+import { ListAuditEventsDto } from '../dto/list-audit-events.dto';
+import { AuditEventType, AuditOutcome } from './audit-event-type.enum';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const RECENT_ACTIVITY_LIMIT = 20;
+
+export interface AuditEventInput {
+  type: AuditEventType;
+  outcome?: AuditOutcome;
+  reason?: string;
+  actorId?: string;
+  /** Defaults to the actor. */
+  targetId?: string;
+  email?: string;
+  context?: SessionContext;
+  metadata?: Record<string, unknown>;
+}
+
+export interface AuditEventPage {
+  items: AuditEventDocument[];
+  total: number;
+  page: number;
+  limit: number;
+}
+
+/**
+ * The security audit trail. It only ever appends; the one exception is
+ * stripping personal details when an account is anonymized.
+ */
+@Injectable()
+export class AuditService {
+  private readonly logger = new Logger(AuditService.name);
+
+  constructor(
+    @InjectModel(AuditEvent.name)
+    private auditEventModel: Model<AuditEventDocument>,
+  ) {}
+
+  /** Never throws: a full or unreachable audit collection must not lock everybody out. */
+  async record(event: AuditEventInput): Promise<void> {
+    const actorId = toObjectId(event.actorId);
+    try {
+      await this.auditEventModel.create({
+        type: event.type,
+        outcome: event.outcome ?? AuditOutcome.Success,
+        reason: event.reason,
+        actorId,
+        targetId: toObjectId(event.targetId) ?? actorId,
+        email: event.email,
+        ip: event.context?.ip,
+        userAgent: event.context?.userAgent,
+        metadata: event.metadata,
+      });
+    } catch (error) {
+      this.logger.error(
+        `Could not record ${event.type} audit event`,
+        error instanceof Error ? error.stack : error,
+      );
+    }
+  }
+
+  async list(query: ListAuditEventsDto): Promise<AuditEventPage> {
+    const page = Math.max(Number(query.page) || 1, 1);
+    const limit = Math.min(
+      Math.max(Number(query.limit) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE,
+    );
+    const filter = this.buildFilter(query);
+
+    const [items, total] = await Promise.all([
+      this.auditEventModel
+        .find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .exec(),
+      this.auditEventModel.countDocuments(filter).exec(),
+    ]);
+    return { items, total, page, limit };
+  }
+
+  /** What the user sees as "recent activity". Token refreshes happen every few minutes and are left out. */
+  async recentActivity(userId: string) {
+    const userObjectId = new Types.ObjectId(userId);
+    const events = await this.auditEventModel
+      .find({
+        targetId: userObjectId,
+        type: { $ne: AuditEventType.TokenRefreshed },
+      })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(RECENT_ACTIVITY_LIMIT)
+      .exec();
+    return events.map((event) => ({
+      id: String(event._id),
+      type: event.type,
+      outcome: event.outcome,
+      device: event.userAgent ? describeUserAgent(event.userAgent) : undefined,
+      ip: event.ip,
+      // Which administrator it was is for other administrators to see
+      byAdministrator: !!event.actorId && !event.actorId.equals(userObjectId),
+      createdAt: event.createdAt,
+    }));
+  }
+
+  /** Every event about the user, oldest first, for their data export. */
+  async forUser(userId: string) {
+    const userObjectId = new Types.ObjectId(userId);
+    const events = await this.auditEventModel
+      .find({ targetId: userObjectId })
+      .sort({ createdAt: 1 })
+      .exec();
+    return events.map((event) => ({
+      type: event.type,
+      outcome: event.outcome,
+      reason: event.reason,
+      byAdministrator: !!event.actorId && !event.actorId.equals(userObjectId),
+      ip: event.ip,
+      userAgent: event.userAgent,
+      createdAt: event.createdAt,
+    }));
+  }
+
+  countForUser(userId: string): Promise<number> {
+    return this.auditEventModel
+      .countDocuments({ targetId: new Types.ObjectId(userId) })
+      .exec();
+  }
+
+  /** Keeps the trail of an anonymized account, without anything that identifies the person. */
+  async anonymizeUser(userId: string): Promise<void> {
+    const id = new Types.ObjectId(userId);
+    await this.auditEventModel
+      .updateMany(
+        { $or: [{ actorId: id }, { targetId: id }] },
+        {
+          $unset: Object.fromEntries(
+            ANONYMIZED_AUDIT_FIELDS.map((field) => [field, 1]),
+          ),
+        },
+      )
+      // The one change the schema's append-only hooks allow
+      .setOptions({ [ANONYMIZE_AUDIT_OPTION]: true, timestamps: false })
+      .exec();
+  }
+
+  private buildFilter(
+    query: ListAuditEventsDto,
+  ): FilterQuery<AuditEventDocument> {
+    const filter: FilterQuery<AuditEventDocument> = {};
+    if (query.type) filter.type = query.type;
+    if (query.outcome) filter.outcome = query.outcome;
+    if (query.actorId) filter.actorId = toObjectId(query.actorId);
+    if (query.targetId) filter.targetId = toObjectId(query.targetId);
+    if (query.email) filter.email = query.email;
+    if (query.ip) filter.ip = query.ip;
+    if (query.from || query.to) {
+      filter.createdAt = {
+        ...(query.from && { $gte: new Date(query.from) }),
+        ...(query.to && { $lte: new Date(query.to) }),
+      };
+    }
+    return filter;
+  }
+}
+
+function toObjectId(id?: string): Types.ObjectId | undefined {
+  return id && isValidObjectId(id) ? new Types.ObjectId(id) : undefined;
+}
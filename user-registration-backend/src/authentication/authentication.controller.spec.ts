@@ -1,12 +1,36 @@
 import { Test, TestingModule } from '@nestjs/testing';
+import { UnauthorizedException } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import type { Request, Response } from 'express';
 import { AuthenticationController } from './authentication.controller';
+import { REFRESH_TOKEN_COOKIE } from './refresh-token.cookie';
+import { AuthenticationService } from './authentication.service';
 
 describe('AuthenticationController', () => {
   let controller: AuthenticationController;
+  const authService = {
+    registerUser: jest.fn(),
+    loginUser: jest.fn(),
+    refreshToken: jest.fn(),
+    logout: jest.fn(),
+    logoutEverywhere: jest.fn(),
+  };
+  const res = { cookie: jest.fn(), clearCookie: jest.fn() };
+  const request = (cookies: Record<string, string> = {}) =>
+    ({
+      cookies,
+      ip: '203.0.113.7',
+      get: () => 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0',
+    }) as unknown as Request;
 
   beforeEach(async () => {
+    jest.clearAllMocks();
     const module: TestingModule = await Test.createTestingModule({
       controllers: [AuthenticationController],
+      providers: [
+        { provide: AuthenticationService, useValue: authService },
+        { provide: ConfigService, useValue: { get: () => 'development' } },
+      ],
     }).compile();
 
     controller = module.get<AuthenticationController>(AuthenticationController);
@@ -15,4 +39,79 @@ describe('AuthenticationController', () => {
   it('should be defined', () => {
     expect(controller).toBeDefined();
   });
+
+  it('sets the refresh token as an HTTP-only cookie on login', async () => {
+    authService.loginUser.mockResolvedValue({
+      user: { email: 'a@b.c' },
+      accessToken: 'access',
+      refreshToken: 'refresh',
+    });
+
+    await expect(
+      controller.login(
+        { email: 'a@b.c', password: 'secret' },
+        request(),
+        res as unknown as Response,
+      ),
+    ).resolves.toEqual({ user: { email: 'a@b.c' }, accessToken: 'access' });
+
+    expect(authService.loginUser).toHaveBeenCalledWith(
+      { email: 'a@b.c', password: 'secret' },
+      {
+        userAgent: 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0',
+        ip: '203.0.113.7',
+      },
+    );
+    expect(res.cookie).toHaveBeenCalledWith(
+      REFRESH_TOKEN_COOKIE,
+      'refresh',
+      expect.objectContaining({ httpOnly: true, path: '/authentication' }),
+    );
+  });
+
+  it('rotates the refresh token read from the cookie', async () => {
+    authService.refreshToken.mockResolvedValue({
+      accessToken: 'new-access',
+      refreshToken: 'new-refresh',
+    });
+
+    await expect(
+      controller.refresh(
+        request({ [REFRESH_TOKEN_COOKIE]: 'refresh' }),
+        res as unknown as Response,
+      ),
+    ).resolves.toEqual({ accessToken: 'new-access' });
+
+    expect(authService.refreshToken).toHaveBeenCalledWith(
+      'refresh',
+      expect.objectContaining({ ip: '203.0.113.7' }),
+    );
+    expect(res.cookie).toHaveBeenCalledWith(
+      REFRESH_TOKEN_COOKIE,
+      'new-refresh',
+      expect.any(Object),
+    );
+  });
+
+  it('rejects a refresh without the cookie', async () => {
+    await expect(
+      controller.refresh(request(), res as unknown as Response),
+    ).rejects.toBeInstanceOf(UnauthorizedException);
+  });
+
+  it('revokes the session and clears the refresh token cookie on logout', async () => {
+    await controller.logout(
+      request({ [REFRESH_TOKEN_COOKIE]: 'refresh' }),
+      res as unknown as Response,
+    );
+
+    expect(authService.logout).toHaveBeenCalledWith(
+      'refresh',
+      expect.objectContaining({ ip: '203.0.113.7' }),
+    );
+    expect(res.clearCookie).toHaveBeenCalledWith(
+      REFRESH_TOKEN_COOKIE,
+      expect.objectContaining({ path: '/authentication' }),
+    );
+  });
 });
@@ -1,41 +1,330 @@
-import { Controller, Post, Body, UseGuards, Get, Request } from '@nestjs/common';
+import {
+  Controller,
+  Post,
+  Body,
+  UseGuards,
+  Get,
+  Request,
+  Res,
+  HttpCode,
+  HttpStatus,
+  UnauthorizedException,
+  Query,
+  Patch,
+} from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import type { Request as ExpressRequest, Response } from 'express';
 import { AuthenticationService } from './authentication.service';
 import { JwtAuthGuard } from './jwt/jwt.guard';
+import { AuthenticatedRequest } from './jwt/authenticated-request.interface';
+import { JwtOrApiKeyGuard } from './api-keys/jwt-or-api-key.guard';
 import { RegisterUserDto } from './dto/register-user.dto'; // <-- New Import
 import { LoginUserDto } from './dto/login-user.dto'; // <-- New Import
+import { VerifyEmailDto } from './dto/verify-email.dto';
+import { ResendVerificationDto } from './dto/resend-verification.dto';
+import { ForgotPasswordDto } from './dto/forgot-password.dto';
+import { ResetPasswordDto } from './dto/reset-password.dto';
+import { ChangePasswordDto } from './dto/change-password.dto';
+import { SetPasswordDto } from './dto/set-password.dto';
+import { ChangeEmailDto } from './dto/change-email.dto';
+import { ConfirmEmailChangeDto } from './dto/confirm-email-change.dto';
+import { VerifyMfaDto } from './dto/verify-mfa.dto';
+import { DenyLoginDto } from './dto/deny-login.dto';
+import { RequestMagicLinkDto } from './dto/request-magic-link.dto';
+import { ConsumeMagicLinkDto } from './dto/consume-magic-link.dto';
+import {
+  clearMagicLinkCookie,
+  readMagicLinkCookie,
+  setMagicLinkCookie,
+} from './magic-link.cookie';
+import { randomToken } from './crypto.util';
+import {
+  clearRefreshCookie,
+  readRefreshCookie,
+  setRefreshCookie,
+} from './refresh-token.cookie';
+import { RateLimit } from '../rate-limit/rate-limit.decorator';
+import { sessionContext } from './sessions/session-context';
+import { Audit } from './audit/audit.decorator';
+import { AuditEventType } from './audit/audit-event-type.enum';
 
 @Controller('authentication')
 export class AuthenticationController {
-    constructor(private readonly authService: AuthenticationService) {}
+  constructor(
+    private readonly authService: AuthenticationService,
+    private readonly configService: ConfigService,
+  ) {}
 
-    @Post('register')
-    async register(@Body() registrationData: RegisterUserDto): Promise<any> {
-        return this.authService.registerUser(registrationData);
+  @Post('register')
+  @RateLimit({ by: 'ip', limit: 10, windowSeconds: 60 * 60 })
+  async register(
+    @Body() registrationData: RegisterUserDto,
+    @Request() req: ExpressRequest,
+  ): Promise<any> {
+    return this.authService.registerUser(registrationData, sessionContext(req));
+  }
+
+  @Post('login')
+  @RateLimit(
+    { by: 'ip', limit: 30, windowSeconds: 15 * 60 },
+    { by: 'email', limit: 10, windowSeconds: 15 * 60 },
+  )
+  @HttpCode(HttpStatus.OK)
+  async login(
+    @Body() loginData: LoginUserDto,
+    @Request() req: ExpressRequest,
+    @Res({ passthrough: true }) res: Response,
+  ): Promise<any> {
+    const result = await this.authService.loginUser(
+      loginData,
+      sessionContext(req),
+    );
+    if (result.mfaRequired) {
+      // No session yet: the client has to complete the challenge at mfa/verify
+      return result;
     }
+    const { user, accessToken, refreshToken } = result;
+    setRefreshCookie(res, refreshToken, this.configService);
+    return { user, accessToken };
+  }
+
+  @Post('magic-link')
+  @RateLimit(
+    { by: 'ip', limit: 10, windowSeconds: 15 * 60 },
+    { by: 'email', limit: 5, windowSeconds: 15 * 60 },
+  )
+  @HttpCode(HttpStatus.OK)
+  async requestMagicLink(
+    @Body() { email }: RequestMagicLinkDto,
+    @Res({ passthrough: true }) res: Response,
+  ): Promise<any> {
+    // Set whether or not the address exists, so the response reveals nothing
+    const browserKey = randomToken();
+    setMagicLinkCookie(res, browserKey, this.configService);
+    return this.authService.requestMagicLink(email, browserKey);
+  }
 
-    @Post('login')
-    async login(@Body() loginData: LoginUserDto): Promise<any> {
-        return this.authService.loginUser(loginData);
+  @Post('magic-link/consume')
+  @RateLimit({ by: 'ip', limit: 30, windowSeconds: 15 * 60 })
+  @HttpCode(HttpStatus.OK)
+  async consumeMagicLink(
+    @Body() { token }: ConsumeMagicLinkDto,
+    @Request() req: ExpressRequest,
+    @Res({ passthrough: true }) res: Response,
+  ): Promise<any> {
+    const result = await this.authService.loginWithMagicLink(
+      token,
+      readMagicLinkCookie(req),
+      sessionContext(req),
+    );
+    clearMagicLinkCookie(res, this.configService);
+    if (result.mfaRequired) {
+      return result;
     }
+    const { user, accessToken, refreshToken } = result;
+    setRefreshCookie(res, refreshToken, this.configService);
+    return { user, accessToken };
+  }
 
-    @Post('refresh')
-    async refresh(@Body() { refreshToken }: { refreshToken: string }): Promise<any> {
-        return this.authService.refreshToken(refreshToken);
+  @Post('mfa/verify')
+  @RateLimit({ by: 'ip', limit: 30, windowSeconds: 15 * 60 })
+  @HttpCode(HttpStatus.OK)
+  async verifyMfa(
+    @Body() { mfaToken, code, recoveryCode }: VerifyMfaDto,
+    @Request() req: ExpressRequest,
+    @Res({ passthrough: true }) res: Response,
+  ): Promise<any> {
+    const { user, accessToken, refreshToken } =
+      await this.authService.completeMfaLogin(
+        mfaToken,
+        { code, recoveryCode },
+        sessionContext(req),
+      );
+    setRefreshCookie(res, refreshToken, this.configService);
+    return { user, accessToken };
+  }
+
+  @Post('refresh-token')
+  @RateLimit({ by: 'ip', limit: 60, windowSeconds: 15 * 60 })
+  @HttpCode(HttpStatus.OK)
+  async refresh(
+    @Request() req: ExpressRequest,
+    @Res({ passthrough: true }) res: Response,
+  ): Promise<any> {
+    const refreshToken = readRefreshCookie(req);
+    if (!refreshToken) {
+      throw new UnauthorizedException('Missing refresh token');
     }
+    const { accessToken, refreshToken: rotatedToken } =
+      await this.authService.refreshToken(refreshToken, sessionContext(req));
+    // The presented token is now spent, the browser must hold on to its replacement
+    setRefreshCookie(res, rotatedToken, this.configService);
+    return { accessToken };
+  }
 
-    @UseGuards(JwtAuthGuard)
-    @Get('profile')
-    getProfile(@Request() req) {
-        return {
-            message: 'Access granted to protected route.',
-            authenticatedUser: {
-                sub: req.user.sub,
-                email: req.user.email,
-                name: req.user.name || 'N/A',
-                iat: req.user.iat,
-            },
-        };
+  @Post('logout')
+  @HttpCode(HttpStatus.OK)
+  async logout(
+    @Request() req: ExpressRequest,
+    @Res({ passthrough: true }) res: Response,
+  ) {
+    const refreshToken = readRefreshCookie(req);
+    if (refreshToken) {
+      await this.authService.logout(refreshToken, sessionContext(req));
     }
+    clearRefreshCookie(res, this.configService);
+    return { message: 'Logged out successfully.' };
+  }
+
+  @UseGuards(JwtAuthGuard)
+  @Post('logout-all')
+  @HttpCode(HttpStatus.OK)
+  @Audit(AuditEventType.LogoutEverywhere)
+  async logoutAll(
+    @Request() req: AuthenticatedRequest,
+    @Res({ passthrough: true }) res: Response,
+  ) {
+    await this.authService.logoutEverywhere(req.user.sub);
+    clearRefreshCookie(res, this.configService);
+    return { message: 'Signed out of all devices.' };
+  }
+
+  // Opened from a login alert email, so the browser is usually not signed in
+  @Post('login-alert/deny')
+  @RateLimit({ by: 'ip', limit: 10, windowSeconds: 15 * 60 })
+  @HttpCode(HttpStatus.OK)
+  async denyLogin(
+    @Body() { token }: DenyLoginDto,
+    @Request() req: ExpressRequest,
+  ): Promise<any> {
+    return this.authService.denyLogin(token, sessionContext(req));
+  }
+
+  // GET lets the link from the email work directly, POST is what the React app uses
+  @Get('verify-email')
+  async verifyEmailFromLink(
+    @Query() { token }: VerifyEmailDto,
+    @Request() req: ExpressRequest,
+  ): Promise<any> {
+    return this.authService.verifyEmail(token, sessionContext(req));
+  }
+
+  @Post('verify-email')
+  @HttpCode(HttpStatus.OK)
+  async verifyEmail(
+    @Body() { token }: VerifyEmailDto,
+    @Request() req: ExpressRequest,
+  ): Promise<any> {
+    return this.authService.verifyEmail(token, sessionContext(req));
+  }
+
+  @Post('resend-verification')
+  @RateLimit(
+    { by: 'ip', limit: 10, windowSeconds: 15 * 60 },
+    { by: 'email', limit: 5, windowSeconds: 15 * 60 },
+  )
+  @HttpCode(HttpStatus.OK)
+  async resendVerification(
+    @Body() { email }: ResendVerificationDto,
+  ): Promise<any> {
+    return this.authService.resendVerificationEmail(email);
+  }
+
+  @Post('forgot-password')
+  @RateLimit(
+    { by: 'ip', limit: 10, windowSeconds: 15 * 60 },
+    { by: 'email', limit: 5, windowSeconds: 15 * 60 },
+  )
+  @HttpCode(HttpStatus.OK)
+  async forgotPassword(@Body() { email }: ForgotPasswordDto): Promise<any> {
+    return this.authService.forgotPassword(email);
+  }
+
+  @Post('reset-password')
+  // The body carries no email, so the limit is per IP only
+  @RateLimit({ by: 'ip', limit: 10, windowSeconds: 15 * 60 })
+  @HttpCode(HttpStatus.OK)
+  async resetPassword(
+    @Body() { token, password }: ResetPasswordDto,
+    @Request() req: ExpressRequest,
+  ): Promise<any> {
+    return this.authService.resetPassword(token, password, sessionContext(req));
+  }
+
+  @UseGuards(JwtAuthGuard)
+  @Patch('password')
+  @Audit(AuditEventType.PasswordChanged)
+  async changePassword(
+    @Request() req: AuthenticatedRequest,
+    @Body() { currentPassword, newPassword }: ChangePasswordDto,
+  ): Promise<any> {
+    return this.authService.changePassword(
+      req.user.sub,
+      currentPassword,
+      newPassword,
+      readRefreshCookie(req),
+    );
+  }
+
+  // For accounts created through a sign-in provider, which have no current password to confirm
+  @UseGuards(JwtAuthGuard)
+  @Post('password')
+  @RateLimit({ by: 'ip', limit: 10, windowSeconds: 15 * 60 })
+  @HttpCode(HttpStatus.OK)
+  @Audit(AuditEventType.PasswordSet)
+  async setPassword(
+    @Request() req: AuthenticatedRequest,
+    @Body() { password }: SetPasswordDto,
+  ): Promise<any> {
+    return this.authService.setPassword(
+      req.user.sub,
+      password,
+      readRefreshCookie(req),
+    );
+  }
+
+  @UseGuards(JwtAuthGuard)
+  @Post('email')
+  @HttpCode(HttpStatus.OK)
+  @Audit(AuditEventType.EmailChangeRequested)
+  async changeEmail(
+    @Request() req: AuthenticatedRequest,
+    @Body() { newEmail, password }: ChangeEmailDto,
+  ): Promise<any> {
+    return this.authService.requestEmailChange(
+      req.user.sub,
+      newEmail,
+      password,
+    );
+  }
 
+  // Not guarded: the confirmation link may be opened in a browser that is not signed in
+  @Post('email/confirm')
+  @HttpCode(HttpStatus.OK)
+  async confirmEmailChange(
+    @Request() req: ExpressRequest,
+    @Body() { token }: ConfirmEmailChangeDto,
+  ): Promise<any> {
+    return this.authService.confirmEmailChange(
+      token,
+      readRefreshCookie(req),
+      sessionContext(req),
+    );
+  }
 
+  @UseGuards(JwtOrApiKeyGuard)
+  @Get('profile')
+  getProfile(@Request() req: AuthenticatedRequest) {
+    return {
+      message: 'Access granted to protected route.',
+      authenticatedUser: {
+        sub: req.user.sub,
+        email: req.user.email,
+        name: req.user.name || 'N/A',
+        roles: req.user.roles ?? [],
+        permissions: req.user.permissions ?? [],
+        iat: req.user.iat,
+      },
+    };
+  }
 }
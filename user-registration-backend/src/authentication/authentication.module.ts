@@ -1,17 +1,141 @@
 import { Module } from '@nestjs/common';
+import { APP_INTERCEPTOR } from '@nestjs/core';
 import { MongooseModule } from '@nestjs/mongoose';
 
 import { AuthenticationService } from './authentication.service';
 import { AuthenticationController } from './authentication.controller';
 import { User, UserSchema } from './schemas/user.schema';
+import {
+  RefreshToken,
+  RefreshTokenSchema,
+} from './schemas/refresh-token.schema';
+import { RefreshTokenService } from './refresh-token.service';
 import { JwtStrategy } from './jwt/jwt.strategy';
+import { TokenService } from './jwt/token.service';
+import { SigningKeyService } from './jwt/signing-key.service';
+import { JwksController } from './jwt/jwks.controller';
+import { MfaService } from './mfa/mfa.service';
+import { MfaController } from './mfa/mfa.controller';
+import { WebAuthnService } from './webauthn/webauthn.service';
+import { WebAuthnController } from './webauthn/webauthn.controller';
+import {
+  WebAuthnCredential,
+  WebAuthnCredentialSchema,
+} from './schemas/webauthn-credential.schema';
+import {
+  WebAuthnChallenge,
+  WebAuthnChallengeSchema,
+} from './schemas/webauthn-challenge.schema';
+import { Session, SessionSchema } from './schemas/session.schema';
+import { SessionService } from './sessions/session.service';
+import { SessionsController } from './sessions/sessions.controller';
+import { AdminSeeder } from './roles/admin.seeder';
+import { PermissionsGuard } from './permissions/permissions.guard';
+import { UsersService } from './users/users.service';
+import { UsersController } from './users/users.controller';
+import { AccountDeletionService } from './account/account-deletion.service';
+import { LockoutService } from './account/lockout.service';
+import { AccountController } from './account/account.controller';
+import { DataExport, DataExportSchema } from './schemas/data-export.schema';
+import { DataExportService } from './export/data-export.service';
+import { ExportArchiveStore } from './export/export-archive.store';
+import { DataExportController } from './export/data-export.controller';
+import { AuditEvent, AuditEventSchema } from './schemas/audit-event.schema';
+import { AuditService } from './audit/audit.service';
+import { AuditInterceptor } from './audit/audit.interceptor';
+import { AuditController } from './audit/audit.controller';
+import { KnownDevice, KnownDeviceSchema } from './schemas/known-device.schema';
+import { LoginAlertService } from './devices/login-alert.service';
+import {
+  ExternalIdentity,
+  ExternalIdentitySchema,
+} from './schemas/external-identity.schema';
+import { OAuthProviders } from './oauth/oauth-providers';
+import { OAuthService } from './oauth/oauth.service';
+import { OAuthController } from './oauth/oauth.controller';
+import { OAuthClient, OAuthClientSchema } from './schemas/oauth-client.schema';
+import {
+  OAuthConsent,
+  OAuthConsentSchema,
+} from './schemas/oauth-consent.schema';
+import {
+  AuthorizationCode,
+  AuthorizationCodeSchema,
+} from './schemas/authorization-code.schema';
+import { OidcClientsService } from './oidc/oidc-clients.service';
+import { OidcProviderService } from './oidc/oidc-provider.service';
+import { OidcController } from './oidc/oidc.controller';
+import { OidcClientsController } from './oidc/oidc-clients.controller';
+import { ApiKey, ApiKeySchema } from './schemas/api-key.schema';
+import { ApiKeyService } from './api-keys/api-key.service';
+import { ApiKeyStrategy } from './api-keys/api-key.strategy';
+import { ApiKeysController } from './api-keys/api-keys.controller';
+import { ProfileService } from './profile/profile.service';
+import { AvatarService } from './profile/avatar.service';
+import { ProfileController } from './profile/profile.controller';
 
 @Module({
   imports: [
-    MongooseModule.forFeature([{ name: User.name, schema: UserSchema }]),
+    MongooseModule.forFeature([
+      { name: User.name, schema: UserSchema },
+      { name: RefreshToken.name, schema: RefreshTokenSchema },
+      { name: WebAuthnCredential.name, schema: WebAuthnCredentialSchema },
+      { name: WebAuthnChallenge.name, schema: WebAuthnChallengeSchema },
+      { name: Session.name, schema: SessionSchema },
+      { name: DataExport.name, schema: DataExportSchema },
+      { name: AuditEvent.name, schema: AuditEventSchema },
+      { name: KnownDevice.name, schema: KnownDeviceSchema },
+      { name: ExternalIdentity.name, schema: ExternalIdentitySchema },
+      { name: OAuthClient.name, schema: OAuthClientSchema },
+      { name: OAuthConsent.name, schema: OAuthConsentSchema },
+      { name: AuthorizationCode.name, schema: AuthorizationCodeSchema },
+      { name: ApiKey.name, schema: ApiKeySchema },
+    ]),
+  ],
+  providers: [
+    AuthenticationService,
+    RefreshTokenService,
+    SessionService,
+    UsersService,
+    AccountDeletionService,
+    LockoutService,
+    DataExportService,
+    ExportArchiveStore,
+    AuditService,
+    LoginAlertService,
+    OAuthProviders,
+    OAuthService,
+    OidcClientsService,
+    OidcProviderService,
+    ApiKeyService,
+    ProfileService,
+    AvatarService,
+    TokenService,
+    SigningKeyService,
+    MfaService,
+    WebAuthnService,
+    JwtStrategy,
+    ApiKeyStrategy,
+    PermissionsGuard,
+    AdminSeeder,
+    { provide: APP_INTERCEPTOR, useClass: AuditInterceptor },
+  ],
+  controllers: [
+    AuthenticationController,
+    MfaController,
+    WebAuthnController,
+    SessionsController,
+    ProfileController,
+    UsersController,
+    AccountController,
+    DataExportController,
+    AuditController,
+    OAuthController,
+    OidcClientsController,
+    OidcController,
+    ApiKeysController,
+    JwksController,
   ],
-  providers: [AuthenticationService, JwtStrategy],
-  controllers: [AuthenticationController],
   exports: [AuthenticationService],
 })
 export class AuthenticationModule {}
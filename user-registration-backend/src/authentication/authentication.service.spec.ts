@@ -0,0 +1,1041 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import {
+  ConflictException,
+  ForbiddenException,
+  UnauthorizedException,
+} from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { getModelToken } from '@nestjs/mongoose';
+import { Types } from 'mongoose';
+import * as bcrypt from 'bcrypt';
+import { AuthenticationService, IssuedSession } from './authentication.service';
+import { RefreshTokenService } from './refresh-token.service';
+import { TokenService } from './jwt/token.service';
+import { TokenType } from './jwt/jwt.constants';
+import { JwtPayload } from './jwt/jwt-payload.interface';
+import { SessionContext } from './sessions/session-context';
+import { User, UserDocument } from './schemas/user.schema';
+import { MailService } from '../mail/mail.service';
+import { MailMessage } from '../mail/transports/mail-transport.interface';
+import { MfaService } from './mfa/mfa.service';
+import { TooManyRequestsException } from '../rate-limit/too-many-requests.exception';
+import { AccountDeletionService } from './account/account-deletion.service';
+import { LockoutService } from './account/lockout.service';
+import { AuditEventInput, AuditService } from './audit/audit.service';
+import { LoginAlertService } from './devices/login-alert.service';
+import { AuditEventType, AuditOutcome } from './audit/audit-event-type.enum';
+import { sha256 } from './crypto.util';
+import { AccountStatus } from './account/account-status.enum';
+import { Role } from './roles/role.enum';
+import { Permission } from './permissions/permission.enum';
+
+const exec = <T>(value: T) => ({ exec: jest.fn().mockResolvedValue(value) });
+// Lets emails sent in the background go out before asserting on them
+const flushEmails = () => new Promise((resolve) => setImmediate(resolve));
+
+// `save` is a plain mock, so tests can check whether the service wrote the user
+type TestUser = UserDocument & { save: jest.Mock };
+
+const makeUser = (data: Partial<User>): TestUser => {
+  const user: Record<string, unknown> = {
+    _id: new Types.ObjectId(),
+    emailVerified: false,
+    ...data,
+  };
+  user.save = jest.fn().mockResolvedValue(user);
+  user.toJSON = () => {
+    const json = { ...user };
+    delete json.save;
+    delete json.toJSON;
+    return json;
+  };
+  return user as unknown as TestUser;
+};
+
+type Query = ReturnType<typeof exec>;
+// The parts of an update the tests look into
+interface UserUpdate {
+  $set?: Partial<User>;
+  $unset?: Record<string, 1>;
+  lockUntil?: Date;
+}
+type UpdateArgs = [filter: object, update: UserUpdate, options?: object];
+
+describe('AuthenticationService', () => {
+  let service: AuthenticationService;
+  let config: Record<string, string>;
+  // Called with `new` by registerUser, queried statically everywhere else
+  const userModel = Object.assign(jest.fn(makeUser), {
+    findOne: jest.fn<Query, [object]>(),
+    findOneAndUpdate: jest.fn<Query, UpdateArgs>(),
+    findById: jest.fn<Query, [unknown]>(),
+    exists: jest.fn<Query, [object]>(),
+    findByIdAndUpdate: jest.fn<Query, UpdateArgs>(),
+    updateOne: jest.fn<Query, UpdateArgs>(),
+  });
+  const mailService = {
+    send: jest.fn<Promise<void>, [MailMessage]>().mockResolvedValue(undefined),
+  };
+  const tokenService = {
+    signAccessToken: jest
+      .fn<string, [JwtPayload]>()
+      .mockReturnValue('access-token'),
+    signInternalToken: jest.fn<string, [TokenType, { jti?: string }, number]>(),
+    verifyInternalToken: jest.fn(),
+  };
+  const mfaService = { assertSecondFactor: jest.fn() };
+  const accountDeletionService = { cancel: jest.fn() };
+  const auditService = { record: jest.fn<Promise<void>, [AuditEventInput]>() };
+  const loginAlertService = { checkLogin: jest.fn() };
+  const refreshTokenService = {
+    issue: jest
+      .fn<Promise<string>, [string, string, SessionContext]>()
+      .mockResolvedValue('refresh-token'),
+    revokeAllForUser: jest.fn(),
+    revokeOthers: jest.fn(),
+    rotate: jest.fn(),
+  };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    config = { FRONTEND_URL: 'http://app.test' };
+    userModel.findOne.mockReset();
+    userModel.findOneAndUpdate.mockReset();
+    userModel.findById.mockReset();
+    userModel.exists.mockReset().mockReturnValue(exec(null));
+    userModel.findByIdAndUpdate.mockReset().mockReturnValue(exec(null));
+    userModel.updateOne.mockReset().mockReturnValue(exec({}));
+    tokenService.signInternalToken.mockImplementation(
+      (type, payload) => `${type}:${payload.jti}`,
+    );
+
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        AuthenticationService,
+        { provide: getModelToken(User.name), useValue: userModel },
+        { provide: TokenService, useValue: tokenService },
+        { provide: RefreshTokenService, useValue: refreshTokenService },
+        { provide: MailService, useValue: mailService },
+        { provide: MfaService, useValue: mfaService },
+        { provide: AccountDeletionService, useValue: accountDeletionService },
+        { provide: AuditService, useValue: auditService },
+        { provide: LoginAlertService, useValue: loginAlertService },
+        LockoutService,
+        {
+          provide: ConfigService,
+          useValue: { get: (key: string) => config[key] },
+        },
+      ],
+    }).compile();
+
+    service = module.get<AuthenticationService>(AuthenticationService);
+  });
+
+  describe('email verification', () => {
+    it('emails a verification link on registration without exposing secrets', async () => {
+      userModel.findOne.mockReturnValue(exec(null));
+
+      const result = await service.registerUser({
+        email: 'a@b.c',
+        password: 'password1',
+      });
+
+      expect(result).not.toHaveProperty('passwordHash');
+      expect(result).not.toHaveProperty('emailVerificationTokenId');
+      expect(result.emailVerified).toBe(false);
+      expect(tokenService.signInternalToken).toHaveBeenCalledWith(
+        TokenType.EmailVerification,
+        expect.objectContaining({ email: 'a@b.c' }),
+        expect.any(Number),
+      );
+      const [message] = mailService.send.mock.calls[0];
+      expect(message.to).toBe('a@b.c');
+      expect(message.text).toContain('http://app.test/?verifyEmailToken=');
+    });
+
+    it('only accepts the latest token once', async () => {
+      const user = makeUser({ email: 'a@b.c', emailVerified: true });
+      tokenService.verifyInternalToken.mockReturnValue({
+        sub: String(user._id),
+        email: 'a@b.c',
+        jti: 'jti-1',
+      });
+      userModel.findOneAndUpdate
+        .mockReturnValueOnce(exec(user))
+        .mockReturnValueOnce(exec(null));
+
+      await expect(service.verifyEmail('token')).resolves.toMatchObject({
+        user: { emailVerified: true },
+      });
+      expect(userModel.findOneAndUpdate.mock.calls[0][0]).toMatchObject({
+        emailVerificationTokenId: 'jti-1',
+      });
+      await expect(service.verifyEmail('token')).rejects.toBeInstanceOf(
+        UnauthorizedException,
+      );
+    });
+
+    it('answers resend requests identically for unknown addresses', async () => {
+      userModel.findOne.mockReturnValueOnce(exec(null));
+      const unknown = await service.resendVerificationEmail('nobody@b.c');
+
+      userModel.findOne.mockReturnValueOnce(exec(makeUser({ email: 'a@b.c' })));
+      const known = await service.resendVerificationEmail('a@b.c');
+      await flushEmails();
+
+      expect(unknown).toEqual(known);
+      expect(mailService.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('refuses unverified accounts at login when verification is required', async () => {
+      config.REQUIRE_EMAIL_VERIFICATION = 'true';
+      const passwordHash = await bcrypt.hash('password1', 4);
+      userModel.findOne.mockReturnValue(
+        exec(makeUser({ email: 'a@b.c', passwordHash })),
+      );
+
+      await expect(
+        service.loginUser({ email: 'a@b.c', password: 'password1' }),
+      ).rejects.toBeInstanceOf(ForbiddenException);
+    });
+  });
+
+  describe('password reset', () => {
+    it('stores only a hash of the emailed token', async () => {
+      const user = makeUser({ email: 'a@b.c' });
+      userModel.findOne.mockReturnValue(exec(user));
+
+      await service.forgotPassword('a@b.c');
+      await flushEmails();
+
+      const [message] = mailService.send.mock.calls[0];
+      const token = decodeURIComponent(
+        /resetPasswordToken=([^\s]+)/.exec(message.text)![1],
+      );
+      expect(user.passwordResetTokenHash).toHaveLength(64);
+      expect(user.passwordResetTokenHash).not.toBe(token);
+      expect(user.passwordResetExpiresAt!.getTime()).toBeGreaterThan(
+        Date.now(),
+      );
+    });
+
+    it('answers identically for unknown addresses', async () => {
+      userModel.findOne.mockReturnValueOnce(exec(null));
+      const unknown = await service.forgotPassword('nobody@b.c');
+
+      userModel.findOne.mockReturnValueOnce(exec(makeUser({ email: 'a@b.c' })));
+      const known = await service.forgotPassword('a@b.c');
+      await flushEmails();
+
+      expect(unknown).toEqual(known);
+      expect(mailService.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('answers the same when the email cannot be sent', async () => {
+      userModel.findOne.mockReturnValue(exec(makeUser({ email: 'a@b.c' })));
+      mailService.send.mockRejectedValueOnce(new Error('SMTP down'));
+
+      await expect(service.forgotPassword('a@b.c')).resolves.toHaveProperty(
+        'message',
+      );
+      await flushEmails();
+      expect(mailService.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('rehashes the password, consumes the token and revokes sessions', async () => {
+      const user = makeUser({ email: 'a@b.c' });
+      userModel.findOneAndUpdate.mockReturnValue(exec(user));
+
+      await service.resetPassword('token', 'new-password');
+
+      const [filter, update] = userModel.findOneAndUpdate.mock.calls[0];
+      expect(filter).toMatchObject({ passwordResetTokenHash: sha256('token') });
+      expect(
+        await bcrypt.compare('new-password', update.$set!.passwordHash!),
+      ).toBe(true);
+      expect(update.$unset).toEqual({
+        passwordResetTokenHash: 1,
+        passwordResetExpiresAt: 1,
+      });
+      expect(refreshTokenService.revokeAllForUser).toHaveBeenCalledWith(
+        String(user._id),
+      );
+    });
+
+    it('rejects unknown, expired or already used tokens', async () => {
+      userModel.findOneAndUpdate.mockReturnValue(exec(null));
+
+      await expect(
+        service.resetPassword('token', 'new-password'),
+      ).rejects.toBeInstanceOf(UnauthorizedException);
+    });
+  });
+
+  describe('credential changes', () => {
+    let user: TestUser;
+
+    beforeEach(async () => {
+      user = makeUser({
+        email: 'a@b.c',
+        passwordHash: await bcrypt.hash('password1', 4),
+      });
+      userModel.findById.mockReturnValue(exec(user));
+    });
+
+    it('requires the current password to change it', async () => {
+      await expect(
+        service.changePassword(String(user._id), 'wrong', 'new-password'),
+      ).rejects.toBeInstanceOf(UnauthorizedException);
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it('changes the password and keeps only the current session', async () => {
+      await service.changePassword(
+        String(user._id),
+        'password1',
+        'new-password',
+        'current-refresh',
+      );
+
+      expect(await bcrypt.compare('new-password', user.passwordHash!)).toBe(
+        true,
+      );
+      expect(refreshTokenService.revokeOthers).toHaveBeenCalledWith(
+        String(user._id),
+        'current-refresh',
+      );
+    });
+
+    it('lets an account without a password set its first one', async () => {
+      const passwordless = makeUser({ email: 'a@b.c' });
+      userModel.findOneAndUpdate.mockReturnValue(exec(passwordless));
+
+      const result = await service.setPassword(
+        String(passwordless._id),
+        'new-password',
+        'current-refresh',
+      );
+      await flushEmails();
+
+      const [filter, update] = userModel.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({
+        _id: String(passwordless._id),
+        passwordHash: null,
+      });
+      expect(
+        await bcrypt.compare('new-password', update.$set!.passwordHash!),
+      ).toBe(true);
+      expect(refreshTokenService.revokeOthers).toHaveBeenCalledWith(
+        String(passwordless._id),
+        'current-refresh',
+      );
+      expect(mailService.send).toHaveBeenCalledWith(
+        expect.objectContaining({ to: 'a@b.c' }),
+      );
+      expect(result.message).toContain('Password set');
+    });
+
+    it('never replaces an existing password without the current one', async () => {
+      userModel.findOneAndUpdate.mockReturnValue(exec(null));
+
+      await expect(
+        service.setPassword(String(user._id), 'new-password'),
+      ).rejects.toBeInstanceOf(ConflictException);
+      expect(refreshTokenService.revokeOthers).not.toHaveBeenCalled();
+      expect(mailService.send).not.toHaveBeenCalled();
+    });
+
+    it('keeps the old address until the new one is confirmed', async () => {
+      await service.requestEmailChange(
+        String(user._id),
+        'new@b.c',
+        'password1',
+      );
+
+      expect(user.email).toBe('a@b.c');
+      expect(user.pendingEmail).toBe('new@b.c');
+      expect(
+        mailService.send.mock.calls.map(([message]) => message.to),
+      ).toEqual(['new@b.c', 'a@b.c']);
+    });
+
+    it('swaps the address with the confirmation token', async () => {
+      tokenService.verifyInternalToken.mockReturnValue({
+        sub: String(user._id),
+        newEmail: 'new@b.c',
+        jti: 'jti-1',
+      });
+      userModel.findOneAndUpdate.mockReturnValue(
+        exec(makeUser({ email: 'new@b.c', emailVerified: true })),
+      );
+
+      const result = await service.confirmEmailChange('token');
+
+      expect(userModel.findOneAndUpdate.mock.calls[0][0]).toMatchObject({
+        pendingEmail: 'new@b.c',
+        emailChangeTokenId: 'jti-1',
+      });
+      expect(result.user.email).toBe('new@b.c');
+      expect(refreshTokenService.revokeOthers).toHaveBeenCalledWith(
+        String(user._id),
+        undefined,
+      );
+    });
+  });
+
+  describe('two-factor login', () => {
+    it('returns a challenge instead of tokens when MFA is enabled', async () => {
+      const passwordHash = await bcrypt.hash('password1', 4);
+      userModel.findOne.mockReturnValue(
+        exec(makeUser({ email: 'a@b.c', passwordHash, mfaEnabled: true })),
+      );
+
+      const result = await service.loginUser({
+        email: 'a@b.c',
+        password: 'password1',
+      });
+
+      expect(result).toMatchObject({ mfaRequired: true });
+      expect(result).not.toHaveProperty('accessToken');
+      expect(tokenService.signInternalToken).toHaveBeenCalledWith(
+        TokenType.MfaChallenge,
+        expect.any(Object),
+        expect.any(Number),
+      );
+      expect(tokenService.signAccessToken).not.toHaveBeenCalled();
+      expect(refreshTokenService.issue).not.toHaveBeenCalled();
+    });
+
+    it('issues tokens once the second factor is verified', async () => {
+      const user = makeUser({ email: 'a@b.c', mfaEnabled: true });
+      tokenService.verifyInternalToken.mockReturnValue({
+        sub: String(user._id),
+      });
+      userModel.findById.mockReturnValue(exec(user));
+
+      const result = await service.completeMfaLogin('mfa-token', {
+        code: '123456',
+      });
+
+      expect(mfaService.assertSecondFactor).toHaveBeenCalledWith(user, {
+        code: '123456',
+      });
+      expect(result).toMatchObject({
+        accessToken: 'access-token',
+        refreshToken: 'refresh-token',
+      });
+      expect(result.user).not.toHaveProperty('mfaSecret');
+    });
+
+    it('does not issue tokens when the second factor is wrong', async () => {
+      const user = makeUser({ email: 'a@b.c', mfaEnabled: true });
+      tokenService.verifyInternalToken.mockReturnValue({
+        sub: String(user._id),
+      });
+      userModel.findById.mockReturnValue(exec(user));
+      mfaService.assertSecondFactor.mockRejectedValueOnce(
+        new UnauthorizedException(),
+      );
+
+      await expect(
+        service.completeMfaLogin('mfa-token', { code: '000000' }),
+      ).rejects.toBeInstanceOf(UnauthorizedException);
+      expect(refreshTokenService.issue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('social login', () => {
+    it('issues a session recording the provider', async () => {
+      const user = makeUser({ email: 'a@b.c', emailVerified: true });
+
+      await expect(
+        service.loginWithProvider(user, 'github'),
+      ).resolves.toMatchObject({ accessToken: 'access-token' });
+
+      expect(auditService.record).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: AuditEventType.Login,
+          metadata: { method: 'oauth', provider: 'github' },
+        }),
+      );
+    });
+
+    it('still asks for the second factor', async () => {
+      const user = makeUser({ email: 'a@b.c', mfaEnabled: true });
+
+      await expect(
+        service.loginWithProvider(user, 'google'),
+      ).resolves.toMatchObject({ mfaRequired: true });
+      expect(refreshTokenService.issue).not.toHaveBeenCalled();
+    });
+
+    it('refuses disabled accounts', async () => {
+      const user = makeUser({ email: 'a@b.c', status: AccountStatus.Disabled });
+
+      await expect(
+        service.loginWithProvider(user, 'google'),
+      ).rejects.toBeInstanceOf(ForbiddenException);
+    });
+
+    it('never lets a password in to an account without one', async () => {
+      userModel.findOne.mockReturnValue(exec(makeUser({ email: 'a@b.c' })));
+      userModel.findByIdAndUpdate.mockReturnValue(
+        exec({ failedLoginAttempts: 1 }),
+      );
+
+      await expect(
+        service.loginUser({ email: 'a@b.c', password: '' }),
+      ).rejects.toThrow('Invalid credentials');
+    });
+  });
+
+  describe('passkey login', () => {
+    it('applies the lockout and verification checks to passkey sign-ins', async () => {
+      const locked = makeUser({
+        email: 'a@b.c',
+        emailVerified: true,
+        lockUntil: new Date(Date.now() + 60_000),
+      });
+      await expect(service.loginWithPasskey(locked)).rejects.toBeInstanceOf(
+        TooManyRequestsException,
+      );
+
+      config.REQUIRE_EMAIL_VERIFICATION = 'true';
+      const unverified = makeUser({ email: 'a@b.c', emailVerified: false });
+      await expect(service.loginWithPasskey(unverified)).rejects.toBeInstanceOf(
+        ForbiddenException,
+      );
+
+      const user = makeUser({ email: 'a@b.c', emailVerified: true });
+      await expect(service.loginWithPasskey(user)).resolves.toMatchObject({
+        accessToken: 'access-token',
+      });
+      expect(refreshTokenService.issue).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('magic links', () => {
+    const linkFor = (user: UserDocument, browserKey = 'browser-key') => {
+      tokenService.verifyInternalToken.mockReturnValue({
+        sub: String(user._id),
+        jti: 'jti-1',
+        bh: sha256(browserKey),
+      });
+    };
+
+    it('emails a link bound to the requesting browser', async () => {
+      const user = makeUser({ email: 'a@b.c' });
+      userModel.findOne.mockReturnValue(exec(user));
+
+      await service.requestMagicLink('a@b.c', 'browser-key');
+      await flushEmails();
+
+      expect(user.magicLinkTokenId).toEqual(expect.any(String));
+      expect(tokenService.signInternalToken).toHaveBeenCalledWith(
+        TokenType.MagicLink,
+        {
+          sub: String(user._id),
+          jti: user.magicLinkTokenId,
+          bh: sha256('browser-key'),
+        },
+        15 * 60,
+      );
+      expect(mailService.send.mock.calls[0][0].text).toContain(
+        'http://app.test/?magicLinkToken=',
+      );
+    });
+
+    it('answers identically for unknown addresses', async () => {
+      userModel.findOne.mockReturnValueOnce(exec(null));
+      const unknown = await service.requestMagicLink(
+        'nobody@b.c',
+        'browser-key',
+      );
+
+      userModel.findOne.mockReturnValueOnce(exec(makeUser({ email: 'a@b.c' })));
+      const known = await service.requestMagicLink('a@b.c', 'browser-key');
+      await flushEmails();
+
+      expect(unknown).toEqual(known);
+      expect(mailService.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('answers the same when the link cannot be sent', async () => {
+      userModel.findOne.mockReturnValue(exec(makeUser({ email: 'a@b.c' })));
+      mailService.send.mockRejectedValueOnce(new Error('SMTP down'));
+
+      await expect(
+        service.requestMagicLink('a@b.c', 'browser-key'),
+      ).resolves.toHaveProperty('message');
+      await flushEmails();
+      expect(mailService.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('signs in once with the latest link and verifies the address', async () => {
+      const user = makeUser({ email: 'a@b.c', emailVerified: false });
+      linkFor(user);
+      userModel.findOne.mockReturnValue(exec(user));
+      userModel.findOneAndUpdate
+        .mockReturnValueOnce(exec(user))
+        .mockReturnValueOnce(exec(null));
+
+      await expect(
+        service.loginWithMagicLink('token', 'browser-key'),
+      ).resolves.toMatchObject({ accessToken: 'access-token' });
+
+      expect(userModel.findOneAndUpdate.mock.calls[0][0]).toMatchObject({
+        magicLinkTokenId: 'jti-1',
+      });
+      expect(auditService.record).toHaveBeenCalledWith(
+        expect.objectContaining({ type: AuditEventType.EmailVerified }),
+      );
+      expect(auditService.record).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: AuditEventType.Login,
+          metadata: { method: 'magic_link' },
+        }),
+      );
+      await expect(
+        service.loginWithMagicLink('token', 'browser-key'),
+      ).rejects.toBeInstanceOf(UnauthorizedException);
+    });
+
+    it.each([
+      ['another browser', 'someone-elses-key'],
+      ['a browser without the cookie', undefined],
+    ])(
+      'refuses links opened in %s without using them up',
+      async (_browser, browserKey) => {
+        linkFor(makeUser({ email: 'a@b.c' }));
+
+        await expect(
+          service.loginWithMagicLink('token', browserKey),
+        ).rejects.toThrow('browser where you asked for it');
+
+        expect(userModel.findOneAndUpdate).not.toHaveBeenCalled();
+        expect(auditService.record).toHaveBeenCalledWith(
+          expect.objectContaining({ reason: 'magic_link_other_browser' }),
+        );
+      },
+    );
+
+    it('still asks for the second factor', async () => {
+      const user = makeUser({
+        email: 'a@b.c',
+        emailVerified: true,
+        mfaEnabled: true,
+      });
+      linkFor(user);
+      userModel.findOne.mockReturnValue(exec(user));
+      userModel.findOneAndUpdate.mockReturnValue(exec(user));
+
+      await expect(
+        service.loginWithMagicLink('token', 'browser-key'),
+      ).resolves.toMatchObject({ mfaRequired: true });
+      expect(refreshTokenService.issue).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      [
+        'locked',
+        { lockUntil: new Date(Date.now() + 60_000) },
+        TooManyRequestsException,
+      ],
+      ['disabled', { status: AccountStatus.Disabled }, ForbiddenException],
+    ])(
+      'leaves the link unused when the account is %s',
+      async (_state, data, errorType) => {
+        const user = makeUser({
+          email: 'a@b.c',
+          emailVerified: false,
+          ...data,
+        });
+        linkFor(user);
+        userModel.findOne.mockReturnValue(exec(user));
+
+        await expect(
+          service.loginWithMagicLink('token', 'browser-key'),
+        ).rejects.toBeInstanceOf(errorType);
+
+        expect(userModel.findOneAndUpdate).not.toHaveBeenCalled();
+        expect(user.emailVerified).toBe(false);
+      },
+    );
+  });
+
+  describe('brute-force protection', () => {
+    let passwordHash: string;
+
+    beforeAll(async () => {
+      passwordHash = await bcrypt.hash('password1', 4);
+    });
+
+    it('counts failed passwords without locking below the threshold', async () => {
+      const user = makeUser({ email: 'a@b.c', passwordHash });
+      userModel.findOne.mockReturnValue(exec(user));
+      userModel.findByIdAndUpdate.mockReturnValue(
+        exec({ failedLoginAttempts: 4 }),
+      );
+
+      await expect(
+        service.loginUser({ email: 'a@b.c', password: 'wrong' }),
+      ).rejects.toBeInstanceOf(UnauthorizedException);
+      expect(userModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        user._id,
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true },
+      );
+      expect(userModel.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('locks the account for longer with every failure past the threshold', async () => {
+      userModel.findOne.mockReturnValue(
+        exec(makeUser({ email: 'a@b.c', passwordHash })),
+      );
+      const lockedFor = async (attempts: number) => {
+        userModel.updateOne.mockClear();
+        userModel.findByIdAndUpdate.mockReturnValue(
+          exec({ failedLoginAttempts: attempts }),
+        );
+        await expect(
+          service.loginUser({ email: 'a@b.c', password: 'wrong' }),
+        ).rejects.toThrow();
+        return (
+          userModel.updateOne.mock.calls[0][1].lockUntil!.getTime() - Date.now()
+        );
+      };
+
+      const first = await lockedFor(5);
+      const second = await lockedFor(6);
+
+      expect(first).toBeGreaterThan(50 * 1000);
+      expect(first).toBeLessThanOrEqual(60 * 1000);
+      expect(second).toBeGreaterThan(110 * 1000);
+      expect(await lockedFor(50)).toBeLessThanOrEqual(60 * 60 * 1000);
+    });
+
+    it('refuses a locked account even with the right password', async () => {
+      const lockUntil = new Date(Date.now() + 90 * 1000);
+      userModel.findOne.mockReturnValue(
+        exec(
+          makeUser({
+            email: 'a@b.c',
+            passwordHash,
+            failedLoginAttempts: 5,
+            lockUntil,
+          }),
+        ),
+      );
+
+      const attempt = service.loginUser({
+        email: 'a@b.c',
+        password: 'password1',
+      });
+
+      await expect(attempt).rejects.toBeInstanceOf(TooManyRequestsException);
+      await expect(attempt).rejects.toMatchObject({ retryAfterSeconds: 90 });
+      expect(refreshTokenService.issue).not.toHaveBeenCalled();
+    });
+
+    it('clears the counter once the lock has expired and the login succeeds', async () => {
+      const lockUntil = new Date(Date.now() - 1000);
+      const user = makeUser({
+        email: 'a@b.c',
+        passwordHash,
+        failedLoginAttempts: 6,
+        lockUntil,
+      });
+      userModel.findOne.mockReturnValue(exec(user));
+
+      const result = (await service.loginUser({
+        email: 'a@b.c',
+        password: 'password1',
+      })) as IssuedSession;
+
+      expect(result.accessToken).toBe('access-token');
+      expect(result.user).not.toHaveProperty('failedLoginAttempts');
+      expect(userModel.updateOne).toHaveBeenCalledWith(
+        { _id: user._id },
+        { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } },
+      );
+    });
+
+    it('refuses disabled accounts and accounts awaiting a forced reset', async () => {
+      userModel.findOne.mockReturnValueOnce(
+        exec(
+          makeUser({
+            email: 'a@b.c',
+            passwordHash,
+            status: AccountStatus.Disabled,
+          }),
+        ),
+      );
+      await expect(
+        service.loginUser({ email: 'a@b.c', password: 'password1' }),
+      ).rejects.toBeInstanceOf(ForbiddenException);
+
+      userModel.findOne.mockReturnValueOnce(
+        exec(
+          makeUser({
+            email: 'a@b.c',
+            passwordHash,
+            passwordResetRequired: true,
+          }),
+        ),
+      );
+      await expect(
+        service.loginUser({ email: 'a@b.c', password: 'password1' }),
+      ).rejects.toBeInstanceOf(ForbiddenException);
+      expect(refreshTokenService.issue).not.toHaveBeenCalled();
+    });
+
+    it('counts wrong second-factor codes as failed logins', async () => {
+      const user = makeUser({ email: 'a@b.c', mfaEnabled: true });
+      tokenService.verifyInternalToken.mockReturnValue({
+        sub: String(user._id),
+      });
+      userModel.findById.mockReturnValue(exec(user));
+      mfaService.assertSecondFactor.mockRejectedValueOnce(
+        new UnauthorizedException(),
+      );
+
+      await expect(
+        service.completeMfaLogin('mfa-token', { code: '000000' }),
+      ).rejects.toThrow();
+      expect(userModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        user._id,
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true },
+      );
+    });
+  });
+
+  describe('access tokens', () => {
+    it('carry the roles stored on the user', async () => {
+      const user = makeUser({ email: 'a@b.c', roles: [Role.User, Role.Admin] });
+
+      await service.issueSession(user);
+
+      expect(tokenService.signAccessToken).toHaveBeenCalledWith(
+        expect.objectContaining({
+          sub: String(user._id),
+          roles: [Role.User, Role.Admin],
+        }),
+      );
+    });
+
+    it('carry the permissions granted by roles and to the user directly', async () => {
+      const user = makeUser({
+        email: 'a@b.c',
+        roles: [Role.Support],
+        permissions: [Permission.UsersUpdate],
+      });
+
+      await service.issueSession(user);
+
+      const { permissions } = tokenService.signAccessToken.mock.calls[0][0];
+      expect(permissions).toEqual(
+        expect.arrayContaining([Permission.UsersRead, Permission.UsersUpdate]),
+      );
+      expect(permissions).not.toContain(Permission.UsersUpdateEmail);
+    });
+  });
+
+  describe('account status', () => {
+    it('cancels a pending deletion when the owner signs in', async () => {
+      const user = makeUser({
+        email: 'a@b.c',
+        status: AccountStatus.PendingDeletion,
+      });
+
+      const result = await service.issueSession(user);
+
+      expect(accountDeletionService.cancel).toHaveBeenCalledWith(user);
+      expect(result.accessToken).toBe('access-token');
+    });
+
+    it('does not refresh sessions of inactive accounts', async () => {
+      refreshTokenService.rotate.mockResolvedValue({
+        userId: 'u1',
+        refreshToken: 'next',
+      });
+      userModel.findById.mockReturnValue(
+        exec(makeUser({ email: 'a@b.c', status: AccountStatus.Disabled })),
+      );
+
+      await expect(service.refreshToken('refresh')).rejects.toBeInstanceOf(
+        UnauthorizedException,
+      );
+    });
+  });
+
+  describe('login alerts', () => {
+    it('checks every new session with the failures that preceded it', async () => {
+      const user = makeUser({ email: 'a@b.c', failedLoginAttempts: 3 });
+      const context = { ip: '203.0.113.7', userAgent: 'Firefox' };
+
+      await service.issueSession(user, context);
+
+      const [, family] = refreshTokenService.issue.mock.calls[0];
+      expect(loginAlertService.checkLogin).toHaveBeenCalledWith(
+        user,
+        family,
+        context,
+        3,
+      );
+    });
+
+    it('signs out everywhere and forces a password reset when the user denies a sign-in', async () => {
+      const user = makeUser({ email: 'a@b.c' });
+      tokenService.verifyInternalToken.mockReturnValue({
+        sub: String(user._id),
+        fam: 'family-1',
+        jti: 'jti-1',
+      });
+      userModel.findOneAndUpdate.mockReturnValue(exec(user));
+
+      await service.denyLogin('token');
+
+      expect(tokenService.verifyInternalToken).toHaveBeenCalledWith(
+        TokenType.LoginAlert,
+        'token',
+        expect.any(String),
+      );
+      expect(refreshTokenService.revokeAllForUser).toHaveBeenCalledWith(
+        String(user._id),
+      );
+      expect(user.passwordResetRequired).toBe(true);
+      expect(mailService.send.mock.calls[0][0].text).toContain(
+        'http://app.test/?resetPasswordToken=',
+      );
+      expect(auditService.record).toHaveBeenCalledWith(
+        expect.objectContaining({ type: AuditEventType.LoginDenied }),
+      );
+    });
+
+    it('consumes the link so it only works once', async () => {
+      const userId = new Types.ObjectId();
+      tokenService.verifyInternalToken.mockReturnValue({
+        sub: String(userId),
+        fam: 'family-1',
+        jti: 'jti-1',
+      });
+      userModel.findOneAndUpdate.mockReturnValue(exec(null));
+
+      await expect(service.denyLogin('token')).rejects.toBeInstanceOf(
+        UnauthorizedException,
+      );
+      expect(userModel.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({
+          _id: String(userId),
+          loginAlertTokenIds: 'jti-1',
+        }),
+        { $pull: { loginAlertTokenIds: 'jti-1' } },
+        { new: true },
+      );
+      expect(refreshTokenService.revokeAllForUser).not.toHaveBeenCalled();
+    });
+
+    it('rejects links for accounts that no longer exist', async () => {
+      tokenService.verifyInternalToken.mockReturnValue({
+        sub: String(new Types.ObjectId()),
+        fam: 'family-1',
+        jti: 'jti-1',
+      });
+      userModel.findOneAndUpdate.mockReturnValue(exec(null));
+
+      await expect(service.denyLogin('token')).rejects.toBeInstanceOf(
+        UnauthorizedException,
+      );
+      expect(refreshTokenService.revokeAllForUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('audit trail', () => {
+    const context = { ip: '203.0.113.7', userAgent: 'Firefox' };
+    let passwordHash: string;
+
+    beforeAll(async () => {
+      passwordHash = await bcrypt.hash('password1', 4);
+    });
+
+    it('tells unknown addresses and wrong passwords apart, unlike the client', async () => {
+      userModel.findOne.mockReturnValueOnce(exec(null));
+      await expect(
+        service.loginUser({ email: 'x@b.c', password: 'password1' }, context),
+      ).rejects.toThrow('Invalid credentials');
+
+      const user = makeUser({ email: 'a@b.c', passwordHash });
+      userModel.findOne.mockReturnValueOnce(exec(user));
+      await expect(
+        service.loginUser({ email: 'a@b.c', password: 'wrong' }, context),
+      ).rejects.toThrow('Invalid credentials');
+
+      expect(auditService.record.mock.calls.map(([event]) => event)).toEqual([
+        expect.objectContaining({
+          type: AuditEventType.Login,
+          outcome: AuditOutcome.Failure,
+          reason: 'unknown_email',
+          email: 'x@b.c',
+          context,
+        }),
+        expect.objectContaining({
+          outcome: AuditOutcome.Failure,
+          reason: 'invalid_password',
+          actorId: String(user._id),
+        }),
+      ]);
+    });
+
+    it('records why a correct password was still refused', async () => {
+      userModel.findOne.mockReturnValue(
+        exec(
+          makeUser({
+            email: 'a@b.c',
+            passwordHash,
+            status: AccountStatus.Disabled,
+          }),
+        ),
+      );
+
+      await expect(
+        service.loginUser({ email: 'a@b.c', password: 'password1' }, context),
+      ).rejects.toThrow();
+
+      expect(auditService.record).toHaveBeenCalledWith(
+        expect.objectContaining({ reason: 'account_disabled' }),
+      );
+    });
+
+    it('records successful logins with the method used', async () => {
+      const user = makeUser({ email: 'a@b.c' });
+
+      await service.issueSession(user, context, 'passkey');
+
+      expect(auditService.record).toHaveBeenCalledWith({
+        type: AuditEventType.Login,
+        actorId: String(user._id),
+        context,
+        metadata: { method: 'passkey' },
+      });
+    });
+
+    it('records refreshes with invalid tokens', async () => {
+      refreshTokenService.rotate.mockRejectedValue(
+        new UnauthorizedException('Invalid refresh token'),
+      );
+
+      await expect(
+        service.refreshToken('stolen', context),
+      ).rejects.toBeInstanceOf(UnauthorizedException);
+
+      expect(auditService.record).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: AuditEventType.TokenRefreshed,
+          outcome: AuditOutcome.Failure,
+          reason: 'invalid_refresh_token',
+        }),
+      );
+    });
+  });
+});
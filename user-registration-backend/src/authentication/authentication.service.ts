@@ -1,84 +1,939 @@
-import { Injectable, ConflictException, UnauthorizedException } from '@nestjs/common';
+import {
+  Injectable,
+  ConflictException,
+  UnauthorizedException,
+  ForbiddenException,
+  HttpException,
+  Logger,
+} from '@nestjs/common';
 import { InjectModel } from '@nestjs/mongoose';
-import { Model, Types } from 'mongoose';
-import { JwtService } from '@nestjs/jwt';
+import { ConfigService } from '@nestjs/config';
+import { Model } from 'mongoose';
+import { randomUUID } from 'crypto';
 import { User, UserDocument } from './schemas/user.schema';
+import { RefreshTokenService } from './refresh-token.service';
+import { TokenService } from './jwt/token.service';
+import { JwtPayload } from './jwt/jwt-payload.interface';
+import { TokenType } from './jwt/jwt.constants';
+import { MailService } from '../mail/mail.service';
+import {
+  emailChangeConfirmationEmail,
+  emailChangeRequestedEmail,
+  magicLinkEmail,
+  passwordResetEmail,
+  passwordSetEmail,
+  verificationEmail,
+} from './emails';
+import { passwordMatches, randomToken, sha256 } from './crypto.util';
+import { MfaService, SecondFactor } from './mfa/mfa.service';
+import { SessionContext } from './sessions/session-context';
+import { resolvePermissions } from './permissions/role-permissions';
+import { PublicUser, sanitizeUser } from './user.sanitizer';
+import { AccountStatus } from './account/account-status.enum';
+import { AccountDeletionService } from './account/account-deletion.service';
+import { LockoutService } from './account/lockout.service';
+import {
+  LoginAlertPayload,
+  LoginAlertService,
+} from './devices/login-alert.service';
+import { AuditService } from './audit/audit.service';
+import { AuditEventType, AuditOutcome } from './audit/audit-event-type.enum';
+import { TooManyRequestsException } from '../rate-limit/too-many-requests.exception';
 import * as bcrypt from 'bcrypt';
 
-interface JwtPayload {
-    name?: string;
-    iat?: number;
-    email: string;
-    sub: string; // Subject (often used for user ID)
+const EMAIL_VERIFICATION_TTL_SECONDS = 24 * 60 * 60; // Verification links are valid for 24 hours
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // Reset links are valid for 1 hour
+const MFA_CHALLENGE_TTL_SECONDS = 5 * 60; // Time allowed to enter the second factor after the password
+const MAGIC_LINK_TTL_SECONDS = 15 * 60; // Sign-in links are valid for 15 minutes
+
+interface EmailVerificationPayload {
+  sub: string;
+  email: string;
+  jti: string;
+}
+
+interface MagicLinkPayload {
+  sub: string;
+  jti: string;
+  // SHA-256 of the key in the requesting browser's cookie
+  bh: string;
+}
+
+interface EmailChangePayload {
+  sub: string;
+  newEmail: string;
+  jti: string;
+}
+
+/** How the user proved who they are; recorded with every login. */
+export type LoginMethod =
+  | 'password'
+  | 'mfa'
+  | 'passkey'
+  | 'oauth'
+  | 'magic_link';
+
+/** A new session. The refresh token belongs in the cookie, not the response body. */
+export interface IssuedSession {
+  mfaRequired?: false;
+  user: PublicUser;
+  accessToken: string;
+  refreshToken: string;
+}
+
+/** What the first factor earns on an account with two-factor authentication. */
+export interface MfaChallenge {
+  mfaRequired: true;
+  mfaToken: string;
+}
+
+export type SignInResult = IssuedSession | MfaChallenge;
+
+/** Why a sign-in is refused: `reason` goes to the audit log, `error` to the client. */
+interface LoginRefusal {
+  reason: string;
+  error: HttpException;
 }
 
 @Injectable()
 export class AuthenticationService {
-    constructor(
-        @InjectModel(User.name) private userModel: Model<UserDocument>,
-        private readonly jwtService: JwtService,
-    ) {}
-
-    async registerUser(registrationData: { email: string; password: string; name?: string }): Promise<any> {
-        const { email, password, name } = registrationData;
-        
-        // Check if user already exists
-        const existingUser = await this.userModel.findOne({ email }).exec();
-        if (existingUser) {
-            throw new ConflictException('User with this email already exists');
-        }
-
-        // Hash password and create user
-        const hashedPassword = await bcrypt.hash(password, 10);
-        const newUser = new this.userModel({
-            email,
-            passwordHash: hashedPassword,
-            name,
-        });
-
-        const savedUser = await newUser.save();
-        const { passwordHash: _, ...result } = savedUser.toJSON();
-        return result as Omit<User, 'passwordHash'>;
-    }
-
-    async loginUser(loginData: { email: string; password: string }): Promise<any> {
-        const { email, password } = loginData;
-        
-        // Find user by email
-        const user = await this.userModel.findOne({ email }).exec();
-        if (!user) {
-            throw new UnauthorizedException('Invalid credentials');
-        }
-
-        // Verify password
-        const isPasswordValid = await bcrypt.compare(password, user.passwordHash);
-        if (!isPasswordValid) {
-            throw new UnauthorizedException('Invalid credentials');
-        }
-
-        const payload: JwtPayload = { email: user.email, sub: user._id as string, name: user.name };
-        const accessToken = this.jwtService.sign(payload);
-        const refreshToken = this.jwtService.sign(payload, { expiresIn: '7d' }); // Refresh token valid for 7 days
-
-        const { passwordHash: _, ...result } = user.toJSON();
-        return {
-            user: result as Omit<User, 'passwordHash'>,
-            accessToken, refreshToken
-        };
-    }
-
-    async refreshToken(refreshToken: string): Promise<any> {
-        try {
-            const decoded = this.jwtService.verify<JwtPayload>(refreshToken);
-            const user = await this.userModel.findById(decoded.sub).exec();
-            if (!user) {
-                throw new UnauthorizedException('Invalid refresh token');
-            }
-            const payload: JwtPayload = { email: user.email, sub: user._id as string, name: user.name };
-            const newAccessToken = this.jwtService.sign(payload);
-            return { accessToken: newAccessToken };
-        } catch (error) {
-            throw new UnauthorizedException('Invalid refresh token');
-        }
+  private readonly logger = new Logger(AuthenticationService.name);
+
+  constructor(
+    @InjectModel(User.name) private userModel: Model<UserDocument>,
+    private readonly tokenService: TokenService,
+    private readonly refreshTokenService: RefreshTokenService,
+    private readonly mailService: MailService,
+    private readonly configService: ConfigService,
+    private readonly mfaService: MfaService,
+    private readonly accountDeletionService: AccountDeletionService,
+    private readonly auditService: AuditService,
+    private readonly loginAlertService: LoginAlertService,
+    private readonly lockoutService: LockoutService,
+  ) {}
+
+  async registerUser(
+    registrationData: { email: string; password: string; name?: string },
+    context: SessionContext = {},
+  ): Promise<PublicUser> {
+    const { email, password, name } = registrationData;
+
+    // Check if user already exists
+    const existingUser = await this.userModel.findOne({ email }).exec();
+    if (existingUser) {
+      await this.auditService.record({
+        type: AuditEventType.Registered,
+        outcome: AuditOutcome.Failure,
+        reason: 'email_taken',
+        email,
+        context,
+      });
+      throw new ConflictException('User with this email already exists');
+    }
+
+    // Hash password and create user
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const newUser = new this.userModel({
+      email,
+      passwordHash: hashedPassword,
+      name,
+    });
+
+    const savedUser = await newUser.save();
+    await this.auditService.record({
+      type: AuditEventType.Registered,
+      actorId: String(savedUser._id),
+      email,
+      context,
+    });
+    await this.sendVerificationEmail(savedUser);
+    return sanitizeUser(savedUser);
+  }
+
+  async loginUser(
+    loginData: { email: string; password: string },
+    context: SessionContext = {},
+  ): Promise<SignInResult> {
+    const { email, password } = loginData;
+
+    // Find user by email
+    const user = await this.userModel.findOne({ email }).exec();
+    if (!user) {
+      throw await this.refuseLogin(
+        {
+          reason: 'unknown_email',
+          error: new UnauthorizedException('Invalid credentials'),
+        },
+        context,
+        undefined,
+        email,
+      );
+    }
+    // Refuse before comparing so a locked account gives no feedback on guesses
+    await this.assertNotLocked(user, context);
+
+    // Verify password
+    const isPasswordValid = await passwordMatches(password, user.passwordHash);
+    if (!isPasswordValid) {
+      await this.lockoutService.recordFailure(user);
+      throw await this.refuseLogin(
+        {
+          reason: 'invalid_password',
+          error: new UnauthorizedException('Invalid credentials'),
+        },
+        context,
+        user,
+      );
+    }
+
+    // Checked only after the password so the response does not reveal which addresses are registered
+    await this.assertEmailVerified(user, context);
+    await this.assertCanSignIn(user, context);
+
+    if (user.mfaEnabled) {
+      // The password alone is not enough: hand out a short-lived challenge instead of tokens
+      return this.mfaChallenge(user);
+    }
+
+    return this.issueSession(user, context, 'password');
+  }
+
+  /**
+   * Signs in a user an identity provider vouched for. It stands in for the
+   * password only, accounts with two-factor authentication still get the challenge.
+   */
+  async loginWithProvider(
+    user: UserDocument,
+    provider: string,
+    context: SessionContext = {},
+  ): Promise<SignInResult> {
+    await this.assertNotLocked(user, context);
+    await this.assertEmailVerified(user, context);
+    await this.assertCanSignIn(user, context);
+
+    if (user.mfaEnabled) {
+      return this.mfaChallenge(user);
+    }
+    return this.issueSession(user, context, 'oauth', { provider });
+  }
+
+  /**
+   * Signs in a user who proved a registered passkey. A passkey is both factors
+   * at once, so no TOTP challenge follows; lockout and verification still apply.
+   */
+  async loginWithPasskey(
+    user: UserDocument,
+    context: SessionContext = {},
+  ): Promise<IssuedSession> {
+    await this.assertNotLocked(user, context);
+    await this.assertEmailVerified(user, context);
+    return this.issueSession(user, context, 'passkey');
+  }
+
+  /**
+   * Emails a single-use sign-in link, bound to the browser holding
+   * `browserKey`. Only the newest link works.
+   */
+  async requestMagicLink(
+    email: string,
+    browserKey: string,
+  ): Promise<{ message: string }> {
+    const user = await this.userModel.findOne({ email }).exec();
+    if (user && !this.signInRefusal(user)) {
+      this.sendInBackground(this.sendMagicLinkEmail(user, browserKey), user);
+    }
+    // Same answer whether or not the address exists
+    return {
+      message:
+        'If an account exists for that address, a sign-in link has been sent. Open it in this browser.',
+    };
+  }
+
+  /**
+   * Signs in with a link from `requestMagicLink`. It stands in for the
+   * password only, like a provider login, and proves the address is the user's.
+   */
+  async loginWithMagicLink(
+    token: string,
+    browserKey: string | undefined,
+    context: SessionContext = {},
+  ): Promise<SignInResult> {
+    const { sub, jti, bh } =
+      this.tokenService.verifyInternalToken<MagicLinkPayload>(
+        TokenType.MagicLink,
+        token,
+        'Invalid or expired sign-in link',
+      );
+    // Checked before the link is used up, so opening a forwarded copy does not burn the owner's
+    if (!browserKey || sha256(browserKey) !== bh) {
+      const error = new UnauthorizedException(
+        'Open the sign-in link in the browser where you asked for it.',
+      );
+      throw await this.refuseLogin(
+        { reason: 'magic_link_other_browser', error },
+        context,
+      );
+    }
+
+    const link = { _id: sub, magicLinkTokenId: jti };
+    const invalidLink = () =>
+      this.refuseLogin(
+        {
+          reason: 'invalid_magic_link',
+          error: new UnauthorizedException('Invalid or expired sign-in link'),
+        },
+        context,
+      );
+    const user = await this.userModel.findOne(link).exec();
+    if (!user) {
+      throw await invalidLink();
+    }
+    // Also before the link is used up: a locked or disabled account keeps it and stays unverified
+    await this.assertNotLocked(user, context);
+    await this.assertCanSignIn(user, context);
+
+    // Consuming the token ID makes the link single-use, even when opened twice at once
+    const consumed = await this.userModel
+      .findOneAndUpdate(link, {
+        $set: { emailVerified: true },
+        $unset: { magicLinkTokenId: 1 },
+      })
+      .exec();
+    if (!consumed) {
+      throw await invalidLink();
+    }
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      await this.auditService.record({
+        type: AuditEventType.EmailVerified,
+        actorId: sub,
+        context,
+      });
+    }
+
+    if (user.mfaEnabled) {
+      return this.mfaChallenge(user);
+    }
+    return this.issueSession(user, context, 'magic_link');
+  }
+
+  async completeMfaLogin(
+    mfaToken: string,
+    factor: SecondFactor,
+    context: SessionContext = {},
+  ): Promise<IssuedSession> {
+    const { sub } = this.tokenService.verifyInternalToken<{ sub: string }>(
+      TokenType.MfaChallenge,
+      mfaToken,
+      'Two-factor challenge expired, please log in again',
+    );
+    const user = await this.userModel.findById(sub).exec();
+    if (!user) {
+      throw new UnauthorizedException('Invalid credentials');
+    }
+    await this.assertNotLocked(user, context);
+    try {
+      await this.mfaService.assertSecondFactor(user, factor);
+    } catch (error) {
+      // Wrong codes count too, otherwise a stolen password gives unlimited guesses at the code
+      if (error instanceof UnauthorizedException) {
+        await this.lockoutService.recordFailure(user);
+        throw await this.refuseLogin(
+          { reason: 'invalid_second_factor', error },
+          context,
+          user,
+        );
+      }
+      throw error;
+    }
+    return this.issueSession(user, context, 'mfa');
+  }
+
+  /** Issues the access/refresh token pair for a user who completed every login step, starting a new session. */
+  async issueSession(
+    user: UserDocument,
+    context: SessionContext = {},
+    method: LoginMethod = 'password',
+    details: Record<string, unknown> = {},
+  ): Promise<IssuedSession> {
+    await this.assertCanSignIn(user, context);
+    if (user.status === AccountStatus.PendingDeletion) {
+      // Signing in during the grace period is how a user takes the deletion back
+      await this.accountDeletionService.cancel(user);
+    }
+    const accessToken = this.tokenService.signAccessToken(
+      this.accessTokenPayload(user),
+    );
+    const family = randomUUID();
+    const refreshToken = await this.refreshTokenService.issue(
+      String(user._id),
+      family,
+      context,
+    );
+    // Reads the failure count before it is reset below
+    await this.loginAlertService.checkLogin(
+      user,
+      family,
+      context,
+      user.failedLoginAttempts ?? 0,
+    );
+    if (user.failedLoginAttempts || user.lockUntil) {
+      await this.userModel
+        .updateOne(
+          { _id: user._id },
+          { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } },
+        )
+        .exec();
+    }
+    await this.auditService.record({
+      type: AuditEventType.Login,
+      actorId: String(user._id),
+      context,
+      metadata: { method, ...details },
+    });
+
+    return {
+      user: sanitizeUser(user),
+      accessToken,
+      refreshToken,
+    };
+  }
+
+  async refreshToken(
+    refreshToken: string,
+    context: SessionContext = {},
+  ): Promise<{ accessToken: string; refreshToken: string }> {
+    let rotated: { userId: string; refreshToken: string };
+    try {
+      // Rotation throws on unknown, expired, revoked or replayed tokens
+      rotated = await this.refreshTokenService.rotate(refreshToken, context);
+    } catch (error) {
+      await this.auditService.record({
+        type: AuditEventType.TokenRefreshed,
+        outcome: AuditOutcome.Failure,
+        reason: 'invalid_refresh_token',
+        context,
+      });
+      throw error;
+    }
+    const user = await this.userModel.findById(rotated.userId).exec();
+    // Disabling or deleting revokes every session already; this covers a refresh racing with it
+    if (!user || (user.status && user.status !== AccountStatus.Active)) {
+      await this.auditService.record({
+        type: AuditEventType.TokenRefreshed,
+        outcome: AuditOutcome.Failure,
+        reason: 'account_inactive',
+        actorId: rotated.userId,
+        context,
+      });
+      throw new UnauthorizedException('Invalid refresh token');
+    }
+    await this.auditService.record({
+      type: AuditEventType.TokenRefreshed,
+      actorId: String(user._id),
+      context,
+    });
+    // Built from the stored user, so role changes reach the client on its next refresh
+    const newAccessToken = this.tokenService.signAccessToken(
+      this.accessTokenPayload(user),
+    );
+    return { accessToken: newAccessToken, refreshToken: rotated.refreshToken };
+  }
+
+  async logout(
+    refreshToken: string,
+    context: SessionContext = {},
+  ): Promise<void> {
+    const userId = await this.refreshTokenService.revoke(refreshToken);
+    if (userId) {
+      await this.auditService.record({
+        type: AuditEventType.Logout,
+        actorId: userId,
+        context,
+      });
     }
+  }
+
+  async logoutEverywhere(userId: string): Promise<void> {
+    await this.refreshTokenService.revokeAllForUser(userId);
+  }
+
+  /**
+   * The "this wasn't me" link of a login alert. Whoever signed in knows the
+   * password, so every session ends, not only theirs, and the owner has to
+   * pick a new password before signing in again.
+   */
+  async denyLogin(token: string, context: SessionContext = {}): Promise<any> {
+    const { sub, fam, jti } =
+      this.tokenService.verifyInternalToken<LoginAlertPayload>(
+        TokenType.LoginAlert,
+        token,
+        'Invalid or expired link',
+      );
+    // Consuming the token ID makes the link single-use
+    const user = await this.userModel
+      .findOneAndUpdate(
+        {
+          _id: sub,
+          status: { $ne: AccountStatus.Deleted },
+          loginAlertTokenIds: jti,
+        },
+        { $pull: { loginAlertTokenIds: jti } },
+        { new: true },
+      )
+      .exec();
+    if (!user) {
+      throw new UnauthorizedException('Invalid or expired link');
+    }
+
+    await this.refreshTokenService.revokeAllForUser(sub);
+    user.passwordResetRequired = true;
+    await this.sendPasswordResetEmail(user);
+    await this.auditService.record({
+      type: AuditEventType.LoginDenied,
+      actorId: sub,
+      context,
+      metadata: { family: fam },
+    });
+    return {
+      message:
+        'The sign-in has been blocked and all devices signed out. Check your email to choose a new password.',
+    };
+  }
+
+  async verifyEmail(token: string, context: SessionContext = {}): Promise<any> {
+    const { sub, email, jti } =
+      this.tokenService.verifyInternalToken<EmailVerificationPayload>(
+        TokenType.EmailVerification,
+        token,
+        'Invalid or expired verification link',
+      );
+
+    // Consuming the token ID makes the link single-use; a resend also invalidates older links
+    const user = await this.userModel
+      .findOneAndUpdate(
+        { _id: sub, email, emailVerificationTokenId: jti },
+        {
+          $set: { emailVerified: true },
+          $unset: { emailVerificationTokenId: 1 },
+        },
+        { new: true },
+      )
+      .exec();
+    if (!user) {
+      throw new UnauthorizedException('Invalid or expired verification link');
+    }
+    await this.auditService.record({
+      type: AuditEventType.EmailVerified,
+      actorId: String(user._id),
+      context,
+    });
+    return {
+      message: 'Email address verified. You can now log in.',
+      user: sanitizeUser(user),
+    };
+  }
+
+  async resendVerificationEmail(email: string): Promise<{ message: string }> {
+    const user = await this.userModel.findOne({ email }).exec();
+    if (user && !user.emailVerified) {
+      this.sendInBackground(this.sendVerificationEmail(user), user);
+    }
+    // Same answer whether or not the address exists
+    return {
+      message: 'If that address needs verification, a new link has been sent.',
+    };
+  }
+
+  async forgotPassword(email: string): Promise<{ message: string }> {
+    const user = await this.userModel.findOne({ email }).exec();
+    if (user) {
+      this.sendInBackground(this.sendPasswordResetEmail(user), user);
+    }
+    // Same answer whether or not the address exists
+    return {
+      message:
+        'If an account exists for that address, a password reset link has been sent.',
+    };
+  }
+
+  async resetPassword(
+    token: string,
+    password: string,
+    context: SessionContext = {},
+  ): Promise<any> {
+    const passwordHash = await bcrypt.hash(password, 10);
+    // Consuming the token in the same update makes the link single-use, even when opened twice at once
+    const user = await this.userModel
+      .findOneAndUpdate(
+        {
+          passwordResetTokenHash: sha256(token),
+          passwordResetExpiresAt: { $gt: new Date() },
+        },
+        {
+          $set: {
+            passwordHash,
+            passwordResetRequired: false,
+            // Receiving the link proves the user owns the mailbox
+            emailVerified: true,
+          },
+          $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 },
+        },
+        { new: true },
+      )
+      .exec();
+    if (!user) {
+      // Reset tokens can be guessed at like passwords, so failures are worth keeping
+      await this.auditService.record({
+        type: AuditEventType.PasswordReset,
+        outcome: AuditOutcome.Failure,
+        reason: 'invalid_token',
+        context,
+      });
+      throw new UnauthorizedException('Invalid or expired password reset link');
+    }
+
+    // Whoever knew the old password must not keep a session
+    await this.refreshTokenService.revokeAllForUser(String(user._id));
+    await this.auditService.record({
+      type: AuditEventType.PasswordReset,
+      actorId: String(user._id),
+      context,
+    });
+    return { message: 'Password has been reset. You can now log in.' };
+  }
+
+  /**
+   * Changes the password of a signed-in user. Every other session is revoked,
+   * the one identified by `currentRefreshToken` (if any) stays signed in.
+   */
+  async changePassword(
+    userId: string,
+    currentPassword: string,
+    newPassword: string,
+    currentRefreshToken?: string,
+  ): Promise<any> {
+    const user = await this.findUserWithPassword(userId, currentPassword);
+
+    user.passwordHash = await bcrypt.hash(newPassword, 10);
+    // A password reset link sent before the change must not be usable afterwards
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpiresAt = undefined;
+    await user.save();
+
+    await this.refreshTokenService.revokeOthers(userId, currentRefreshToken);
+    return { message: 'Password changed. Other devices have been signed out.' };
+  }
+
+  /** Gives an account created through a sign-in provider its first password; `changePassword` takes over from there. */
+  async setPassword(
+    userId: string,
+    password: string,
+    currentRefreshToken?: string,
+  ): Promise<{ message: string }> {
+    const passwordHash = await bcrypt.hash(password, 10);
+    // Matching on the missing hash means an existing password is never replaced without being confirmed
+    const user = await this.userModel
+      .findOneAndUpdate(
+        { _id: userId, passwordHash: null },
+        { $set: { passwordHash } },
+        { new: true },
+      )
+      .exec();
+    if (!user) {
+      throw new ConflictException(
+        'Your account already has a password. Change it instead.',
+      );
+    }
+
+    await this.refreshTokenService.revokeOthers(userId, currentRefreshToken);
+    this.sendInBackground(
+      this.mailService.send({ to: user.email, ...passwordSetEmail(user.name) }),
+      user,
+    );
+    return { message: 'Password set. Other devices have been signed out.' };
+  }
+
+  /** Starts an email change: the new address only replaces the old one once confirmed. */
+  async requestEmailChange(
+    userId: string,
+    newEmail: string,
+    password: string,
+  ): Promise<any> {
+    const user = await this.findUserWithPassword(userId, password);
+    if (newEmail === user.email) {
+      throw new ConflictException('This is already your email address');
+    }
+    if (await this.userModel.exists({ email: newEmail }).exec()) {
+      throw new ConflictException('User with this email already exists');
+    }
+
+    const jti = randomUUID();
+    user.pendingEmail = newEmail;
+    user.emailChangeTokenId = jti;
+    await user.save();
+
+    const payload: EmailChangePayload = {
+      sub: String(user._id),
+      newEmail,
+      jti,
+    };
+    const token = this.tokenService.signInternalToken(
+      TokenType.EmailChange,
+      payload,
+      EMAIL_VERIFICATION_TTL_SECONDS,
+    );
+    const link = `${this.frontendUrl()}/?confirmEmailChangeToken=${encodeURIComponent(token)}`;
+    await this.mailService.send({
+      to: newEmail,
+      ...emailChangeConfirmationEmail(link, user.name),
+    });
+    // Warn the current address so a hijacked session cannot silently take the account over
+    await this.mailService.send({
+      to: user.email,
+      ...emailChangeRequestedEmail(newEmail, user.name),
+    });
+
+    return { message: `A confirmation link has been sent to ${newEmail}.` };
+  }
+
+  async confirmEmailChange(
+    token: string,
+    currentRefreshToken?: string,
+    context: SessionContext = {},
+  ): Promise<{ message: string; user: PublicUser }> {
+    const { sub, newEmail, jti } =
+      this.tokenService.verifyInternalToken<EmailChangePayload>(
+        TokenType.EmailChange,
+        token,
+        'Invalid or expired confirmation link',
+      );
+    if (await this.userModel.exists({ email: newEmail }).exec()) {
+      throw new ConflictException('User with this email already exists');
+    }
+
+    const user = await this.userModel
+      .findOneAndUpdate(
+        { _id: sub, pendingEmail: newEmail, emailChangeTokenId: jti },
+        {
+          $set: { email: newEmail, emailVerified: true },
+          $unset: { pendingEmail: 1, emailChangeTokenId: 1 },
+        },
+        { new: true },
+      )
+      .exec();
+    if (!user) {
+      throw new UnauthorizedException('Invalid or expired confirmation link');
+    }
+
+    await this.refreshTokenService.revokeOthers(sub, currentRefreshToken);
+    await this.auditService.record({
+      type: AuditEventType.EmailChanged,
+      actorId: String(user._id),
+      context,
+    });
+    return {
+      message: 'Email address updated. Other devices have been signed out.',
+      user: sanitizeUser(user),
+    };
+  }
+
+  private accessTokenPayload(user: UserDocument): JwtPayload {
+    return {
+      email: user.email,
+      sub: String(user._id),
+      name: user.name,
+      roles: user.roles,
+      permissions: resolvePermissions(user.roles, user.permissions),
+    };
+  }
+
+  private mfaChallenge(user: UserDocument): MfaChallenge {
+    const mfaToken = this.tokenService.signInternalToken(
+      TokenType.MfaChallenge,
+      { sub: String(user._id) },
+      MFA_CHALLENGE_TTL_SECONDS,
+    );
+    return { mfaRequired: true, mfaToken };
+  }
+
+  private async assertEmailVerified(
+    user: UserDocument,
+    context: SessionContext,
+  ): Promise<void> {
+    if (
+      !user.emailVerified &&
+      this.configService.get<string>('REQUIRE_EMAIL_VERIFICATION') === 'true'
+    ) {
+      const error = new ForbiddenException(
+        'Please verify your email address before logging in.',
+      );
+      throw await this.refuseLogin(
+        { reason: 'email_not_verified', error },
+        context,
+        user,
+      );
+    }
+  }
+
+  private async assertCanSignIn(
+    user: UserDocument,
+    context: SessionContext,
+  ): Promise<void> {
+    const refusal = this.signInRefusal(user);
+    if (refusal) {
+      throw await this.refuseLogin(refusal, context, user);
+    }
+  }
+
+  private signInRefusal(user: UserDocument): LoginRefusal | undefined {
+    if (user.status === AccountStatus.Disabled) {
+      return {
+        reason: 'account_disabled',
+        error: new ForbiddenException('This account has been disabled.'),
+      };
+    }
+    if (user.status === AccountStatus.Deleted) {
+      return {
+        reason: 'account_deleted',
+        error: new UnauthorizedException('Invalid credentials'),
+      };
+    }
+    if (user.passwordResetRequired) {
+      const error = new ForbiddenException(
+        'A password reset is required. Check your email for the reset link.',
+      );
+      return { reason: 'password_reset_required', error };
+    }
+    return undefined;
+  }
+
+  private async assertNotLocked(
+    user: UserDocument,
+    context: SessionContext,
+  ): Promise<void> {
+    const lockedForSeconds = this.lockoutService.lockedForSeconds(user);
+    if (lockedForSeconds > 0) {
+      const error = new TooManyRequestsException(
+        lockedForSeconds,
+        'Too many failed login attempts.',
+      );
+      throw await this.refuseLogin(
+        { reason: 'account_locked', error },
+        context,
+        user,
+      );
+    }
+  }
+
+  /** Records a refused sign-in and hands back the error to throw. */
+  private async refuseLogin(
+    { reason, error }: LoginRefusal,
+    context: SessionContext,
+    user?: UserDocument,
+    email?: string,
+  ): Promise<HttpException> {
+    await this.auditService.record({
+      type: AuditEventType.Login,
+      outcome: AuditOutcome.Failure,
+      reason,
+      actorId: user && String(user._id),
+      email: email ?? user?.email,
+      context,
+    });
+    return error;
+  }
+
+  private async findUserWithPassword(
+    userId: string,
+    password: string,
+  ): Promise<UserDocument> {
+    const user = await this.userModel.findById(userId).exec();
+    if (!user || !(await passwordMatches(password, user.passwordHash))) {
+      throw new UnauthorizedException('Current password is incorrect');
+    }
+    return user;
+  }
+
+  /** Emails a reset link. Only the hash is kept; issuing a new token replaces any previous one. */
+  async sendPasswordResetEmail(user: UserDocument): Promise<void> {
+    const token = randomToken();
+    user.passwordResetTokenHash = sha256(token);
+    user.passwordResetExpiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+    await user.save();
+
+    const link = `${this.frontendUrl()}/?resetPasswordToken=${encodeURIComponent(token)}`;
+    await this.mailService.send({
+      to: user.email,
+      ...passwordResetEmail(link, user.name),
+    });
+  }
+
+  /** Emails a sign-in link bound to `browserKey`; older links stop working. */
+  private async sendMagicLinkEmail(
+    user: UserDocument,
+    browserKey: string,
+  ): Promise<void> {
+    const jti = randomUUID();
+    user.magicLinkTokenId = jti;
+    await user.save();
+
+    const payload: MagicLinkPayload = {
+      sub: String(user._id),
+      jti,
+      bh: sha256(browserKey),
+    };
+    const token = this.tokenService.signInternalToken(
+      TokenType.MagicLink,
+      payload,
+      MAGIC_LINK_TTL_SECONDS,
+    );
+    const link = `${this.frontendUrl()}/?magicLinkToken=${encodeURIComponent(token)}`;
+    await this.mailService.send({
+      to: user.email,
+      ...magicLinkEmail(link, user.name),
+    });
+  }
+
+  /** Emails a fresh verification link; older links stop working. */
+  async sendVerificationEmail(user: UserDocument): Promise<void> {
+    const jti = randomUUID();
+    user.emailVerificationTokenId = jti;
+    await user.save();
+
+    const payload: EmailVerificationPayload = {
+      sub: String(user._id),
+      email: user.email,
+      jti,
+    };
+    const token = this.tokenService.signInternalToken(
+      TokenType.EmailVerification,
+      payload,
+      EMAIL_VERIFICATION_TTL_SECONDS,
+    );
+    const link = `${this.frontendUrl()}/?verifyEmailToken=${encodeURIComponent(token)}`;
+    await this.mailService.send({
+      to: user.email,
+      ...verificationEmail(link, user.name),
+    });
+  }
+
+  /**
+   * Lets an email go out after the response. Used where awaiting it would let
+   * response times or mail failures reveal whether an address is registered.
+   */
+  private sendInBackground(sending: Promise<void>, user: UserDocument): void {
+    sending.catch((error) =>
+      this.logger.error(
+        `Email to ${String(user._id)} failed`,
+        error instanceof Error ? error.stack : error,
+      ),
+    );
+  }
+
+  private frontendUrl(): string {
+    return (
+      this.configService.get<string>('FRONTEND_URL') || 'http://localhost:5173'
+    );
+  }
 }
@@ -0,0 +1,20 @@
+import { createHash, randomBytes } from 'crypto';
+import * as bcrypt from 'bcrypt';
+
+/** Tokens we hand out are stored as SHA-256 digests so a database leak does not expose them. */
+export function sha256(value: string): string {
+  return createHash('sha256').update(value).digest('hex');
+}
+
+/** A URL-safe random token with 256 bits of entropy. */
+export function randomToken(): string {
+  return randomBytes(32).toString('base64url');
+}
+
+/** Accounts that only sign in through an identity provider have no hash, and no password matches. */
+export async function passwordMatches(
+  password: string,
+  passwordHash?: string,
+): Promise<boolean> {
+  return !!passwordHash && bcrypt.compare(password, passwordHash);
+}
@@ -0,0 +1,203 @@
+import { ConfigService } from '@nestjs/config';
+import { Model, Types } from 'mongoose';
+import { LoginAlertService } from './login-alert.service';
+import { MailService } from '../../mail/mail.service';
+import { MemoryMailTransport } from '../../mail/transports/memory.transport';
+import { UserDocument } from '../schemas/user.schema';
+import {
+  KnownDevice,
+  KnownDeviceDocument,
+} from '../schemas/known-device.schema';
+import { TokenService } from '../jwt/token.service';
+import { TokenType } from '../jwt/jwt.constants';
+import { AuditService } from '../audit/audit.service';
+import { AuditEventType } from '../audit/audit-event-type.enum';
+
+const CHROME_WINDOWS =
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const FIREFOX_LINUX =
+  'Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0';
+
+const exec = (value: unknown) => ({ exec: () => Promise.resolve(value) });
+
+type DeviceFilter = { userId: Types.ObjectId; device?: string };
+
+/** Just enough of the KnownDevice model to remember devices between sign-ins. */
+const makeKnownDeviceModel = () => {
+  let devices: Partial<KnownDevice>[] = [];
+  return {
+    find: jest.fn(({ userId }: DeviceFilter) =>
+      exec(devices.filter((known) => String(known.userId) === String(userId))),
+    ),
+    updateOne: jest.fn(
+      (
+        { userId, device }: DeviceFilter,
+        { $set }: { $set: Partial<KnownDevice> },
+      ) => {
+        const existing = devices.find(
+          (known) =>
+            String(known.userId) === String(userId) && known.device === device,
+        );
+        if (existing) Object.assign(existing, $set);
+        else devices.push({ userId, device, ...$set });
+        return exec({});
+      },
+    ),
+    deleteMany: jest.fn(({ userId }: DeviceFilter) => {
+      devices = devices.filter(
+        (known) => String(known.userId) !== String(userId),
+      );
+      return exec({});
+    }),
+  };
+};
+
+describe('LoginAlertService', () => {
+  const user = { _id: new Types.ObjectId(), email: 'a@b.c', name: 'Ada' };
+  const tokenService = {
+    signInternalToken: jest
+      .fn<string, [TokenType, { jti: string }, number]>()
+      .mockReturnValue('alert-token'),
+  };
+  const auditService = { record: jest.fn() };
+  const userModel = { updateOne: jest.fn(() => exec({})) };
+  let config: Record<string, string>;
+  let knownDeviceModel: ReturnType<typeof makeKnownDeviceModel>;
+  let transport: MemoryMailTransport;
+  let service: LoginAlertService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config = { FRONTEND_URL: 'http://app.test' };
+    const configService = {
+      get: (key: string) => config[key],
+    } as unknown as ConfigService;
+    knownDeviceModel = makeKnownDeviceModel();
+    transport = new MemoryMailTransport();
+    service = new LoginAlertService(
+      userModel as unknown as Model<UserDocument>,
+      knownDeviceModel as unknown as Model<KnownDeviceDocument>,
+      tokenService as unknown as TokenService,
+      new MailService(transport, configService),
+      auditService as unknown as AuditService,
+      configService,
+    );
+  });
+
+  const signIn = (userAgent: string, ip: string, failedAttempts = 0) =>
+    service.checkLogin(
+      user as unknown as UserDocument,
+      'family-1',
+      { userAgent, ip },
+      failedAttempts,
+    );
+
+  it('stays quiet on the first sign-in and on devices it has seen', async () => {
+    await signIn(CHROME_WINDOWS, '203.0.113.7');
+    await signIn(CHROME_WINDOWS, '203.0.113.7');
+
+    expect(transport.messages).toHaveLength(0);
+  });
+
+  it('emails a "this wasn\'t me" link for a new device', async () => {
+    await signIn(CHROME_WINDOWS, '203.0.113.7');
+    await signIn(FIREFOX_LINUX, '198.51.100.4');
+
+    const message = transport.lastTo('a@b.c');
+    expect(message?.subject).toBe('New sign-in to your account');
+    expect(message?.text).toContain('Firefox on Linux (198.51.100.4)');
+    expect(message?.text).toContain(
+      'http://app.test/?denyLoginToken=alert-token',
+    );
+    expect(tokenService.signInternalToken).toHaveBeenCalledWith(
+      TokenType.LoginAlert,
+      expect.objectContaining({ sub: String(user._id), fam: 'family-1' }),
+      expect.any(Number),
+    );
+    // The link's ID is kept so it can be used only once
+    const { jti } = tokenService.signInternalToken.mock.calls[0][1];
+    expect(userModel.updateOne).toHaveBeenCalledWith(
+      { _id: user._id },
+      {
+        $push: {
+          loginAlertTokenIds: {
+            $each: [jti],
+            $slice: expect.any(Number) as number,
+          },
+        },
+      },
+    );
+    expect(auditService.record).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: AuditEventType.LoginAlertSent,
+        metadata: { reason: 'new_device' },
+      }),
+    );
+  });
+
+  it('treats a known device at a new address as new by default', async () => {
+    await signIn(CHROME_WINDOWS, '203.0.113.7');
+    await signIn(CHROME_WINDOWS, '198.51.100.4');
+
+    expect(transport.messages).toHaveLength(1);
+  });
+
+  it('only compares the device when KNOWN_DEVICE_MATCH is device', async () => {
+    config.KNOWN_DEVICE_MATCH = 'device';
+    await signIn(CHROME_WINDOWS, '203.0.113.7');
+    await signIn(CHROME_WINDOWS, '198.51.100.4');
+    expect(transport.messages).toHaveLength(0);
+
+    await signIn(FIREFOX_LINUX, '198.51.100.4');
+    expect(transport.messages).toHaveLength(1);
+  });
+
+  it('only compares the address when KNOWN_DEVICE_MATCH is ip', async () => {
+    config.KNOWN_DEVICE_MATCH = 'ip';
+    await signIn(CHROME_WINDOWS, '203.0.113.7');
+    await signIn(FIREFOX_LINUX, '203.0.113.7');
+    expect(transport.messages).toHaveLength(0);
+
+    await signIn(FIREFOX_LINUX, '198.51.100.4');
+    expect(transport.messages).toHaveLength(1);
+  });
+
+  it('flags a known device after too many failed attempts', async () => {
+    config.SUSPICIOUS_LOGIN_FAILED_ATTEMPTS = '5';
+    await signIn(CHROME_WINDOWS, '203.0.113.7');
+    await signIn(CHROME_WINDOWS, '203.0.113.7', 4);
+    expect(transport.messages).toHaveLength(0);
+
+    await signIn(CHROME_WINDOWS, '203.0.113.7', 5);
+    expect(transport.lastTo('a@b.c')?.subject).toBe(
+      'Suspicious sign-in to your account',
+    );
+  });
+
+  it('can be turned off', async () => {
+    config.LOGIN_ALERTS = 'false';
+    await signIn(CHROME_WINDOWS, '203.0.113.7');
+    await signIn(FIREFOX_LINUX, '198.51.100.4');
+
+    expect(transport.messages).toHaveLength(0);
+    expect(knownDeviceModel.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('does not fail the sign-in when the email cannot be sent', async () => {
+    jest.spyOn(transport, 'send').mockRejectedValue(new Error('SMTP down'));
+    await signIn(CHROME_WINDOWS, '203.0.113.7');
+
+    await expect(
+      signIn(FIREFOX_LINUX, '198.51.100.4'),
+    ).resolves.toBeUndefined();
+  });
+
+  it('forgets every device of a user', async () => {
+    await signIn(CHROME_WINDOWS, '203.0.113.7');
+    await service.forgetAllForUser(String(user._id));
+    await signIn(FIREFOX_LINUX, '198.51.100.4');
+
+    // Nothing left to compare against, so it is a first sign-in again
+    expect(transport.messages).toHaveLength(0);
+  });
+});
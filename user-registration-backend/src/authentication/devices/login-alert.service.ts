@@ -0,0 +1,213 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { InjectModel } from '@nestjs/mongoose';
+import { ConfigService } from '@nestjs/config';
+import { Model } from 'mongoose';
+import { randomUUID } from 'crypto';
+import { User, UserDocument } from '../schemas/user.schema';
+import {
+  KnownDevice,
+  KnownDeviceDocument,
+} from '../schemas/known-device.schema';
+import { TokenService } from '../jwt/token.service';
+import { TokenType } from '../jwt/jwt.constants';
+import { SessionContext, describeUserAgent } from '../sessions/session-context';
+import { MailService } from '../../mail/mail.service';
+import { loginAlertEmail } from '../emails';
+import { AuditService } from '../audit/audit.service';
+import { AuditEventType } from '../audit/audit-event-type.enum';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_KNOWN_DEVICE_TTL_DAYS = 90;
+const DEFAULT_SUSPICIOUS_FAILED_ATTEMPTS = 3;
+const MAX_IPS_PER_DEVICE = 20;
+// Older "this wasn't me" links stop working once this many newer ones are out
+const MAX_OPEN_LOGIN_ALERTS = 20;
+// As long as a refresh token lives, so the link still works for any session it could be about
+export const LOGIN_ALERT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * What makes a sign-in "known" (KNOWN_DEVICE_MATCH):
+ * - `device`: the browser and OS were seen before
+ * - `ip`: the address was seen before, from any device
+ * - `device_and_ip` (default): this device was seen before at this address
+ */
+export type KnownDeviceMatch = 'device' | 'ip' | 'device_and_ip';
+
+export interface LoginAlertPayload {
+  sub: string;
+  fam: string;
+  jti: string;
+}
+
+/**
+ * Emails the user when a sign-in comes from a device or address we have not
+ * seen, or right after SUSPICIOUS_LOGIN_FAILED_ATTEMPTS wrong passwords. The
+ * email carries a "this wasn't me" link, handled by AuthenticationService.denyLogin.
+ */
+@Injectable()
+export class LoginAlertService {
+  private readonly logger = new Logger(LoginAlertService.name);
+
+  constructor(
+    @InjectModel(User.name) private userModel: Model<UserDocument>,
+    @InjectModel(KnownDevice.name)
+    private knownDeviceModel: Model<KnownDeviceDocument>,
+    private readonly tokenService: TokenService,
+    private readonly mailService: MailService,
+    private readonly auditService: AuditService,
+    private readonly configService: ConfigService,
+  ) {}
+
+  /**
+   * Called for every new session. `failedAttempts` is the failure count the
+   * user had before this sign-in succeeded. Never throws: a mail outage must
+   * not stop people from signing in.
+   */
+  async checkLogin(
+    user: UserDocument,
+    family: string,
+    context: SessionContext,
+    failedAttempts = 0,
+  ): Promise<void> {
+    if (this.configService.get<string>('LOGIN_ALERTS') === 'false') return;
+
+    try {
+      const device = describeUserAgent(context.userAgent);
+      const devices = await this.knownDeviceModel
+        .find({ userId: user._id })
+        .exec();
+      const known = this.isKnown(devices, device, context.ip);
+      const threshold = this.suspiciousThreshold();
+      const suspicious = threshold > 0 && failedAttempts >= threshold;
+
+      await this.remember(user, devices, device, context.ip);
+
+      // The very first sign-in has nothing to compare against
+      if (devices.length === 0 || (known && !suspicious)) return;
+
+      const payload: LoginAlertPayload = {
+        sub: String(user._id),
+        fam: family,
+        jti: randomUUID(),
+      };
+      // Stored so denyLogin can consume it and the link works only once
+      await this.userModel
+        .updateOne(
+          { _id: user._id },
+          {
+            $push: {
+              loginAlertTokenIds: {
+                $each: [payload.jti],
+                $slice: -MAX_OPEN_LOGIN_ALERTS,
+              },
+            },
+          },
+        )
+        .exec();
+      const token = this.tokenService.signInternalToken(
+        TokenType.LoginAlert,
+        payload,
+        LOGIN_ALERT_TTL_SECONDS,
+      );
+      const link = `${this.frontendUrl()}/?denyLoginToken=${encodeURIComponent(token)}`;
+      await this.mailService.send({
+        to: user.email,
+        ...loginAlertEmail(
+          link,
+          { device, ip: context.ip, at: new Date(), suspicious },
+          user.name,
+        ),
+      });
+      await this.auditService.record({
+        type: AuditEventType.LoginAlertSent,
+        actorId: String(user._id),
+        context,
+        metadata: { reason: suspicious ? 'suspicious' : 'new_device' },
+      });
+    } catch (error) {
+      this.logger.error(
+        `Login check for ${String(user._id)} failed`,
+        error instanceof Error ? error.stack : error,
+      );
+    }
+  }
+
+  async forgetAllForUser(userId: string): Promise<void> {
+    await this.knownDeviceModel.deleteMany({ userId }).exec();
+  }
+
+  private isKnown(
+    devices: KnownDeviceDocument[],
+    device: string,
+    ip?: string,
+  ): boolean {
+    const sameDevice = devices.find((known) => known.device === device);
+    switch (this.match()) {
+      case 'device':
+        return !!sameDevice;
+      case 'ip':
+        return !!ip && devices.some((known) => known.ips.includes(ip));
+      default:
+        return !!sameDevice && !!ip && sameDevice.ips.includes(ip);
+    }
+  }
+
+  private async remember(
+    user: UserDocument,
+    devices: KnownDeviceDocument[],
+    device: string,
+    ip?: string,
+  ): Promise<void> {
+    const now = new Date();
+    const expiresAt = new Date(
+      now.getTime() + this.knownDeviceTtlDays() * DAY_MS,
+    );
+    const previousIps =
+      devices.find((known) => known.device === device)?.ips ?? [];
+    const ips = ip
+      ? [...previousIps.filter((seen) => seen !== ip), ip].slice(
+          -MAX_IPS_PER_DEVICE,
+        )
+      : previousIps;
+
+    await this.knownDeviceModel
+      .updateOne(
+        { userId: user._id, device },
+        { $set: { ips, lastSeenAt: now, expiresAt } },
+        { upsert: true },
+      )
+      .exec();
+  }
+
+  private match(): KnownDeviceMatch {
+    const configured = this.configService.get<string>('KNOWN_DEVICE_MATCH');
+    return configured === 'device' || configured === 'ip'
+      ? configured
+      : 'device_and_ip';
+  }
+
+  private knownDeviceTtlDays(): number {
+    const configured = Number(
+      this.configService.get<string>('KNOWN_DEVICE_TTL_DAYS'),
+    );
+    return Number.isFinite(configured) && configured > 0
+      ? configured
+      : DEFAULT_KNOWN_DEVICE_TTL_DAYS;
+  }
+
+  private suspiciousThreshold(): number {
+    const configured = this.configService.get<string>(
+      'SUSPICIOUS_LOGIN_FAILED_ATTEMPTS',
+    );
+    const value = Number(configured);
+    return configured !== undefined && Number.isFinite(value) && value >= 0
+      ? value
+      : DEFAULT_SUSPICIOUS_FAILED_ATTEMPTS;
+  }
+
+  private frontendUrl(): string {
+    return (
+      this.configService.get<string>('FRONTEND_URL') || 'http://localhost:5173'
+    );
+  }
+}
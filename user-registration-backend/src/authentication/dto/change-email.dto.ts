@@ -0,0 +1,11 @@
+import { IsEmail, IsNotEmpty, IsString } from 'class-validator';
+
+export class ChangeEmailDto {
+  @IsEmail({}, { message: 'Email must be a valid email address.' })
+  @IsNotEmpty()
+  newEmail: string;
+
+  @IsString()
+  @IsNotEmpty()
+  password: string;
+}
@@ -0,0 +1,7 @@
+import { IsNotEmpty, IsString } from 'class-validator';
+
+export class ConsumeMagicLinkDto {
+  @IsString()
+  @IsNotEmpty()
+  token: string;
+}
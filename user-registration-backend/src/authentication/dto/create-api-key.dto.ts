@@ -0,0 +1,31 @@
+import {
+  ArrayUnique,
+  IsArray,
+  IsEnum,
+  IsInt,
+  IsNotEmpty,
+  IsString,
+  Max,
+  MaxLength,
+  Min,
+} from 'class-validator';
+import { Permission } from '../permissions/permission.enum';
+
+export class CreateApiKeyDto {
+  @IsString()
+  @IsNotEmpty()
+  @MaxLength(100)
+  name: string;
+
+  // Empty for keys that only act as the user on their own account
+  @IsArray()
+  @ArrayUnique()
+  @IsEnum(Permission, { each: true })
+  scopes: Permission[];
+
+  // Every key expires; a year at most
+  @IsInt()
+  @Min(1)
+  @Max(365)
+  expiresInDays: number;
+}
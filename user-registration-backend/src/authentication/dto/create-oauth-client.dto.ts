@@ -0,0 +1,39 @@
+import {
+  ArrayMaxSize,
+  ArrayMinSize,
+  ArrayUnique,
+  IsArray,
+  IsBoolean,
+  IsNotEmpty,
+  IsOptional,
+  IsString,
+  IsUrl,
+  MaxLength,
+} from 'class-validator';
+
+export class CreateOAuthClientDto {
+  @IsString()
+  @IsNotEmpty()
+  @MaxLength(100)
+  name: string;
+
+  // localhost is allowed so apps can be tried out in development
+  @IsArray()
+  @ArrayMinSize(1)
+  @ArrayMaxSize(10)
+  @ArrayUnique()
+  @IsUrl(
+    {
+      require_tld: false,
+      require_protocol: true,
+      protocols: ['http', 'https'],
+    },
+    { each: true, message: 'Redirect URIs must be absolute http(s) URLs.' },
+  )
+  redirectUris: string[];
+
+  // Apps that can keep a secret (servers) get one; SPAs and mobile apps only use PKCE
+  @IsOptional()
+  @IsBoolean()
+  confidential?: boolean;
+}
@@ -0,0 +1,16 @@
+import { IsNotEmpty, IsOptional, IsString } from 'class-validator';
+
+export class DeleteAccountDto {
+  @IsString()
+  @IsNotEmpty()
+  password: string;
+
+  // Required when two-factor authentication is on: one of the two
+  @IsOptional()
+  @IsString()
+  code?: string;
+
+  @IsOptional()
+  @IsString()
+  recoveryCode?: string;
+}
@@ -0,0 +1,7 @@
+import { IsNotEmpty, IsString } from 'class-validator';
+
+export class DenyLoginDto {
+  @IsString()
+  @IsNotEmpty()
+  token: string;
+}
@@ -0,0 +1,8 @@
+import { IsIn, IsOptional } from 'class-validator';
+import type { DataExportFormat } from '../schemas/data-export.schema';
+
+export class ExportDataDto {
+  @IsOptional()
+  @IsIn(['json', 'zip'])
+  format?: DataExportFormat;
+}
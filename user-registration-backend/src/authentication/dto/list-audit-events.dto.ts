@@ -0,0 +1,55 @@
+import {
+  IsDateString,
+  IsEnum,
+  IsIP,
+  IsMongoId,
+  IsNumberString,
+  IsOptional,
+  IsString,
+  MaxLength,
+} from 'class-validator';
+import { AuditEventType, AuditOutcome } from '../audit/audit-event-type.enum';
+
+// Query strings arrive as strings; AuditService converts them once they are known to be well-formed
+export class ListAuditEventsDto {
+  @IsOptional()
+  @IsNumberString({ no_symbols: true })
+  page?: string;
+
+  @IsOptional()
+  @IsNumberString({ no_symbols: true })
+  limit?: string;
+
+  @IsOptional()
+  @IsEnum(AuditEventType)
+  type?: AuditEventType;
+
+  @IsOptional()
+  @IsEnum(AuditOutcome)
+  outcome?: AuditOutcome;
+
+  @IsOptional()
+  @IsMongoId()
+  actorId?: string;
+
+  @IsOptional()
+  @IsMongoId()
+  targetId?: string;
+
+  @IsOptional()
+  @IsString()
+  @MaxLength(254)
+  email?: string;
+
+  @IsOptional()
+  @IsIP()
+  ip?: string;
+
+  @IsOptional()
+  @IsDateString()
+  from?: string;
+
+  @IsOptional()
+  @IsDateString()
+  to?: string;
+}
@@ -0,0 +1,53 @@
+import {
+  IsBooleanString,
+  IsDateString,
+  IsEnum,
+  IsIn,
+  IsNumberString,
+  IsOptional,
+  IsString,
+  MaxLength,
+} from 'class-validator';
+import { AccountStatus } from '../account/account-status.enum';
+
+// Query strings arrive as strings; UsersService converts them once they are known to be well-formed
+export class ListUsersDto {
+  @IsOptional()
+  @IsNumberString({ no_symbols: true })
+  page?: string;
+
+  @IsOptional()
+  @IsNumberString({ no_symbols: true })
+  limit?: string;
+
+  // Matched against email and name, case-insensitively
+  @IsOptional()
+  @IsString()
+  @MaxLength(100)
+  search?: string;
+
+  @IsOptional()
+  @IsBooleanString()
+  verified?: string;
+
+  @IsOptional()
+  @IsBooleanString()
+  locked?: string;
+
+  // Deleted tombstones are only listed when asked for explicitly
+  @IsOptional()
+  @IsEnum(AccountStatus)
+  status?: AccountStatus;
+
+  @IsOptional()
+  @IsDateString()
+  createdFrom?: string;
+
+  @IsOptional()
+  @IsDateString()
+  createdTo?: string;
+
+  @IsOptional()
+  @IsIn(['createdAt', '-createdAt', 'email', '-email', 'name', '-name'])
+  sort?: string;
+}
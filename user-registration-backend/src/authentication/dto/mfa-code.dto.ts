@@ -0,0 +1,7 @@
+import { IsNotEmpty, IsString } from 'class-validator';
+
+export class MfaCodeDto {
+  @IsString()
+  @IsNotEmpty()
+  code: string;
+}
@@ -0,0 +1,11 @@
+import { IsBoolean, IsNotEmpty, IsString } from 'class-validator';
+
+export class OidcConsentDto {
+  // The signed authorization request the app was sent with
+  @IsString()
+  @IsNotEmpty()
+  request: string;
+
+  @IsBoolean()
+  approve: boolean;
+}
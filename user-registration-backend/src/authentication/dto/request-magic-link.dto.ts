@@ -0,0 +1,7 @@
+import { IsEmail, IsNotEmpty } from 'class-validator';
+
+export class RequestMagicLinkDto {
+  @IsEmail({}, { message: 'Email must be a valid email address.' })
+  @IsNotEmpty()
+  email: string;
+}
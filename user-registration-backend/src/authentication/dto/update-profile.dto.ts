@@ -0,0 +1,35 @@
+import {
+  IsLocale,
+  IsOptional,
+  IsString,
+  IsTimeZone,
+  MaxLength,
+} from 'class-validator';
+
+// null or an empty string clears a field; the avatar has its own upload endpoint
+export class UpdateProfileDto {
+  @IsOptional()
+  @IsString()
+  @MaxLength(100)
+  name?: string | null;
+
+  @IsOptional()
+  @IsString()
+  @MaxLength(50)
+  displayName?: string | null;
+
+  @IsOptional()
+  @IsLocale({ message: 'Locale must be a language tag such as en-GB.' })
+  locale?: string | null;
+
+  @IsOptional()
+  @IsTimeZone({
+    message: 'Timezone must be an IANA time zone such as Europe/London.',
+  })
+  timezone?: string | null;
+
+  @IsOptional()
+  @IsString()
+  @MaxLength(500)
+  bio?: string | null;
+}
@@ -0,0 +1,16 @@
+import { IsNotEmpty, IsOptional, IsString } from 'class-validator';
+
+export class VerifyMfaDto {
+  @IsString()
+  @IsNotEmpty()
+  mfaToken: string;
+
+  // Either a code from the authenticator app or one of the recovery codes
+  @IsString()
+  @IsOptional()
+  code?: string;
+
+  @IsString()
+  @IsOptional()
+  recoveryCode?: string;
+}
@@ -0,0 +1,9 @@
+import { IsNotEmptyObject, IsObject } from 'class-validator';
+import type { AuthenticationResponseJSON } from '@simplewebauthn/server';
+
+export class WebAuthnAuthenticationDto {
+  // Output of startAuthentication() in the browser, checked by @simplewebauthn/server
+  @IsObject()
+  @IsNotEmptyObject()
+  response: AuthenticationResponseJSON;
+}
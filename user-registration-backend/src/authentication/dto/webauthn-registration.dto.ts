@@ -0,0 +1,20 @@
+import {
+  IsNotEmptyObject,
+  IsObject,
+  IsOptional,
+  IsString,
+  MaxLength,
+} from 'class-validator';
+import type { RegistrationResponseJSON } from '@simplewebauthn/server';
+
+export class WebAuthnRegistrationDto {
+  // Output of startRegistration() in the browser, checked by @simplewebauthn/server
+  @IsObject()
+  @IsNotEmptyObject()
+  response: RegistrationResponseJSON;
+
+  @IsString()
+  @IsOptional()
+  @MaxLength(64)
+  name?: string;
+}
@@ -0,0 +1,119 @@
+import { MailMessage } from '../mail/transports/mail-transport.interface';
+
+export type EmailContent = Omit<MailMessage, 'to'>;
+
+const greeting = (name?: string) => (name ? `Hi ${name},` : 'Hi,');
+
+export function verificationEmail(link: string, name?: string): EmailContent {
+  return {
+    subject: 'Verify your email address',
+    text: `${greeting(name)}\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nIf you did not create an account, you can ignore this email.`,
+    html: `<p>${greeting(name)}</p><p>Please confirm your email address by opening the link below:</p><p><a href="${link}">Verify email address</a></p><p>If you did not create an account, you can ignore this email.</p>`,
+  };
+}
+
+export function passwordResetEmail(link: string, name?: string): EmailContent {
+  return {
+    subject: 'Reset your password',
+    text: `${greeting(name)}\n\nSomeone asked to reset the password of your account. Open the link below to choose a new one:\n\n${link}\n\nThe link expires in 1 hour. If you did not ask for this, you can ignore this email.`,
+    html: `<p>${greeting(name)}</p><p>Someone asked to reset the password of your account. Open the link below to choose a new one:</p><p><a href="${link}">Reset password</a></p><p>The link expires in 1 hour. If you did not ask for this, you can ignore this email.</p>`,
+  };
+}
+
+export function magicLinkEmail(link: string, name?: string): EmailContent {
+  return {
+    subject: 'Your sign-in link',
+    text: `${greeting(name)}\n\nOpen the link below to sign in. It works once, only in the browser where you asked for it:\n\n${link}\n\nThe link expires in 15 minutes. If you did not ask for it, you can ignore this email.`,
+    html: `<p>${greeting(name)}</p><p>Open the link below to sign in. It works once, only in the browser where you asked for it:</p><p><a href="${link}">Sign in</a></p><p>The link expires in 15 minutes. If you did not ask for it, you can ignore this email.</p>`,
+  };
+}
+
+export function passwordSetEmail(name?: string): EmailContent {
+  return {
+    subject: 'A password was added to your account',
+    text: `${greeting(name)}\n\nYou can now also sign in with your email address and a password. If this was not you, reset your password right away.`,
+    html: `<p>${greeting(name)}</p><p>You can now also sign in with your email address and a password. If this was not you, reset your password right away.</p>`,
+  };
+}
+
+export function emailChangeConfirmationEmail(
+  link: string,
+  name?: string,
+): EmailContent {
+  return {
+    subject: 'Confirm your new email address',
+    text: `${greeting(name)}\n\nOpen the link below to start using this address for your account:\n\n${link}\n\nThe link expires in 24 hours. If you did not ask for this, you can ignore this email.`,
+    html: `<p>${greeting(name)}</p><p>Open the link below to start using this address for your account:</p><p><a href="${link}">Confirm email address</a></p><p>The link expires in 24 hours. If you did not ask for this, you can ignore this email.</p>`,
+  };
+}
+
+export function emailChangeRequestedEmail(
+  newEmail: string,
+  name?: string,
+): EmailContent {
+  return {
+    subject: 'Your email address is being changed',
+    text: `${greeting(name)}\n\nSomeone asked to change the email address of your account to ${newEmail}. If this was not you, reset your password right away.`,
+    html: `<p>${greeting(name)}</p><p>Someone asked to change the email address of your account to <strong>${newEmail}</strong>. If this was not you, reset your password right away.</p>`,
+  };
+}
+
+export function accountDeletionScheduledEmail(
+  deletionDate: Date,
+  name?: string,
+): EmailContent {
+  const date = deletionDate.toUTCString();
+  return {
+    subject: 'Your account is scheduled for deletion',
+    text: `${greeting(name)}\n\nAs requested, your account and its data will be deleted on ${date}. You have been signed out everywhere.\n\nChanged your mind? Sign in before then and the deletion is cancelled.`,
+    html: `<p>${greeting(name)}</p><p>As requested, your account and its data will be deleted on <strong>${date}</strong>. You have been signed out everywhere.</p><p>Changed your mind? Sign in before then and the deletion is cancelled.</p>`,
+  };
+}
+
+export function accountDeletionCancelledEmail(name?: string): EmailContent {
+  return {
+    subject: 'Your account deletion was cancelled',
+    text: `${greeting(name)}\n\nYou signed in, so your account will not be deleted after all. If this was not you, reset your password right away.`,
+    html: `<p>${greeting(name)}</p><p>You signed in, so your account will not be deleted after all. If this was not you, reset your password right away.</p>`,
+  };
+}
+
+export function dataExportReadyEmail(
+  link: string,
+  expiresAt: Date,
+  name?: string,
+): EmailContent {
+  const date = expiresAt.toUTCString();
+  return {
+    subject: 'Your data export is ready',
+    text: `${greeting(name)}\n\nThe copy of your personal data you asked for is ready. Sign in and download it from your profile:\n\n${link}\n\nIt is available until ${date}.`,
+    html: `<p>${greeting(name)}</p><p>The copy of your personal data you asked for is ready. Sign in and download it from your profile:</p><p><a href="${link}">Open your profile</a></p><p>It is available until <strong>${date}</strong>.</p>`,
+  };
+}
+
+export interface LoginAlertDetails {
+  device: string;
+  ip?: string;
+  at: Date;
+  // Set when the sign-in came right after a run of wrong passwords
+  suspicious: boolean;
+}
+
+export function loginAlertEmail(
+  denyLink: string,
+  details: LoginAlertDetails,
+  name?: string,
+): EmailContent {
+  const where = `${details.device}${details.ip ? ` (${details.ip})` : ''}`;
+  const when = details.at.toUTCString();
+  const intro = details.suspicious
+    ? 'Your account was signed in to after several failed attempts.'
+    : 'Your account was signed in to from a device we have not seen before.';
+  return {
+    subject: details.suspicious
+      ? 'Suspicious sign-in to your account'
+      : 'New sign-in to your account',
+    text: `${greeting(name)}\n\n${intro}\n\nDevice: ${where}\nTime: ${when}\n\nIf this was you, there is nothing to do. If it was not, open the link below: it signs out every device and makes you choose a new password.\n\n${denyLink}`,
+    html: `<p>${greeting(name)}</p><p>${intro}</p><p>Device: <strong>${where}</strong><br>Time: <strong>${when}</strong></p><p>If this was you, there is nothing to do. If it was not, open the link below: it signs out every device and makes you choose a new password.</p><p><a href="${denyLink}">This wasn't me</a></p>`,
+  };
+}
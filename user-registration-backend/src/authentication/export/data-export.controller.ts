@@ -0,0 +1,76 @@
+import {
+  Controller,
+  Get,
+  HttpStatus,
+  Param,
+  Query,
+  Request,
+  Res,
+  StreamableFile,
+  UseGuards,
+} from '@nestjs/common';
+import type { Response } from 'express';
+import { JwtAuthGuard } from '../jwt/jwt.guard';
+import { AuthenticatedRequest } from '../jwt/authenticated-request.interface';
+import { RateLimit } from '../../rate-limit/rate-limit.decorator';
+import { DataExportService, ExportFile } from './data-export.service';
+import { ExportDataDto } from '../dto/export-data.dto';
+import { Audit } from '../audit/audit.decorator';
+import { AuditEventType } from '../audit/audit-event-type.enum';
+
+@UseGuards(JwtAuthGuard)
+@Controller('authentication/me')
+export class DataExportController {
+  constructor(private readonly dataExportService: DataExportService) {}
+
+  // Answers with the file itself, or 202 and a job to poll when the account is too large to export on the spot
+  @Get('export')
+  @RateLimit({ by: 'ip', limit: 10, windowSeconds: 60 * 60 })
+  @Audit(AuditEventType.DataExported)
+  async export(
+    @Request() req: AuthenticatedRequest,
+    @Query() { format = 'json' }: ExportDataDto,
+    @Res({ passthrough: true }) res: Response,
+  ) {
+    const result = await this.dataExportService.requestExport(
+      req.user.sub,
+      format,
+    );
+    if ('file' in result) {
+      return toStreamableFile(result.file);
+    }
+    res.status(HttpStatus.ACCEPTED);
+    return {
+      message:
+        'Your export is being prepared. We will email you when it is ready.',
+      export: result.job,
+    };
+  }
+
+  @Get('exports')
+  list(@Request() req: AuthenticatedRequest) {
+    return this.dataExportService.list(req.user.sub);
+  }
+
+  @Get('exports/:id/download')
+  async download(
+    @Request() req: AuthenticatedRequest,
+    @Param('id') id: string,
+  ) {
+    return toStreamableFile(
+      await this.dataExportService.download(req.user.sub, id),
+    );
+  }
+}
+
+function toStreamableFile({
+  fileName,
+  contentType,
+  content,
+}: ExportFile): StreamableFile {
+  return new StreamableFile(content, {
+    type: contentType,
+    disposition: `attachment; filename="${fileName}"`,
+    length: content.length,
+  });
+}
@@ -0,0 +1,286 @@
+import { NotFoundException } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { Model, Types } from 'mongoose';
+import JSZip from 'jszip';
+import { DataExportService } from './data-export.service';
+import { ExportArchiveStore } from './export-archive.store';
+import { UserDocument } from '../schemas/user.schema';
+import { SessionDocument } from '../schemas/session.schema';
+import { WebAuthnCredentialDocument } from '../schemas/webauthn-credential.schema';
+import { KnownDeviceDocument } from '../schemas/known-device.schema';
+import { ExternalIdentityDocument } from '../schemas/external-identity.schema';
+import { OAuthConsentDocument } from '../schemas/oauth-consent.schema';
+import { ApiKeyDocument } from '../schemas/api-key.schema';
+import {
+  DataExportDocument,
+  DataExportStatus,
+} from '../schemas/data-export.schema';
+import { AuditService } from '../audit/audit.service';
+import { MailService } from '../../mail/mail.service';
+
+const exec = <T>(value: T) => ({ exec: jest.fn().mockResolvedValue(value) });
+const sorted = <T>(value: T) => ({
+  sort: jest.fn().mockReturnValue(exec(value)),
+});
+
+type Entry = Record<string, unknown>;
+interface Archive {
+  account: Entry;
+  sessions: Entry[];
+  connectedApps: Entry[];
+  apiKeys: Entry[];
+  auditEvents: Entry[];
+}
+
+describe('DataExportService', () => {
+  let service: DataExportService;
+  let config: Record<string, string>;
+  const userId = new Types.ObjectId();
+  const user = {
+    _id: userId,
+    email: 'a@b.c',
+    name: 'Ada',
+    toJSON: () => ({
+      _id: userId,
+      email: 'a@b.c',
+      name: 'Ada',
+      passwordHash: 'hash',
+      mfaSecret: 'secret',
+    }),
+  };
+  const session = {
+    createdAt: new Date('2025-01-01'),
+    lastUsedAt: new Date('2025-01-02'),
+    expiresAt: new Date('2025-02-01'),
+    ip: '203.0.113.7',
+    userAgent: 'Firefox',
+    family: 'family-1',
+  };
+  const userModel = { findById: jest.fn() };
+  const sessionModel = { find: jest.fn(), countDocuments: jest.fn() };
+  const credentialModel = { find: jest.fn(), countDocuments: jest.fn() };
+  const dataExportModel = {
+    findOne: jest.fn<unknown, [{ createdAt?: { $gt: Date } }]>(),
+    find: jest.fn(),
+    create: jest.fn(),
+    updateMany: jest.fn(),
+    deleteMany: jest.fn(),
+  };
+  const knownDeviceModel = { find: jest.fn() };
+  const identityModel = { find: jest.fn() };
+  const consentModel = { find: jest.fn() };
+  const apiKeyModel = { find: jest.fn() };
+  const mailService = { send: jest.fn() };
+  const auditService = { forUser: jest.fn(), countForUser: jest.fn() };
+  const archiveId = new Types.ObjectId();
+  const archiveStore = {
+    put: jest.fn(() => Promise.resolve(archiveId)),
+    get: jest.fn(),
+    delete: jest.fn(() => Promise.resolve()),
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config = {};
+    userModel.findById.mockReturnValue(exec(user));
+    sessionModel.find.mockReturnValue(sorted([session]));
+    sessionModel.countDocuments.mockReturnValue(exec(1));
+    credentialModel.find.mockReturnValue(sorted([]));
+    credentialModel.countDocuments.mockReturnValue(exec(0));
+    knownDeviceModel.find.mockReturnValue(
+      sorted([{ device: 'Firefox on Linux', ips: ['203.0.113.7'] }]),
+    );
+    identityModel.find.mockReturnValue(
+      sorted([{ provider: 'github', subject: '42', email: 'a@b.c' }]),
+    );
+    consentModel.find.mockReturnValue({
+      populate: jest
+        .fn()
+        .mockReturnValue(
+          sorted([{ client: { name: 'Wiki' }, scopes: ['openid', 'email'] }]),
+        ),
+    });
+    apiKeyModel.find.mockReturnValue(
+      sorted([
+        {
+          name: 'Backup script',
+          start: 'urk_AbCdEf',
+          keyHash: 'hash',
+          scopes: [],
+        },
+      ]),
+    );
+    auditService.forUser.mockResolvedValue([
+      { type: 'auth.login', outcome: 'success' },
+    ]);
+    auditService.countForUser.mockResolvedValue(1);
+    service = new DataExportService(
+      userModel as unknown as Model<UserDocument>,
+      sessionModel as unknown as Model<SessionDocument>,
+      credentialModel as unknown as Model<WebAuthnCredentialDocument>,
+      dataExportModel as unknown as Model<DataExportDocument>,
+      knownDeviceModel as unknown as Model<KnownDeviceDocument>,
+      identityModel as unknown as Model<ExternalIdentityDocument>,
+      consentModel as unknown as Model<OAuthConsentDocument>,
+      apiKeyModel as unknown as Model<ApiKeyDocument>,
+      auditService as unknown as AuditService,
+      mailService as unknown as MailService,
+      archiveStore as unknown as ExportArchiveStore,
+      { get: (key: string) => config[key] } as unknown as ConfigService,
+    );
+  });
+
+  it('returns small accounts as a JSON file without secrets', async () => {
+    const result = await service.requestExport(String(userId), 'json');
+
+    if (!('file' in result)) throw new Error('expected a file');
+    expect(result.file.contentType).toBe('application/json');
+    const archive = JSON.parse(result.file.content.toString()) as Archive;
+    expect(archive.account).toEqual({
+      _id: String(userId),
+      email: 'a@b.c',
+      name: 'Ada',
+      hasPassword: false,
+    });
+    expect(archive.sessions).toEqual([
+      expect.objectContaining({ ip: '203.0.113.7', userAgent: 'Firefox' }),
+    ]);
+    expect(archive.sessions[0].family).toBeUndefined();
+    expect(archive.connectedApps).toEqual([
+      expect.objectContaining({ name: 'Wiki', scopes: ['openid', 'email'] }),
+    ]);
+    expect(archive.apiKeys).toEqual([
+      expect.objectContaining({ name: 'Backup script', start: 'urk_AbCdEf' }),
+    ]);
+    expect(archive.apiKeys[0].keyHash).toBeUndefined();
+    expect(archive.auditEvents).toEqual([
+      { type: 'auth.login', outcome: 'success' },
+    ]);
+    expect(dataExportModel.create).not.toHaveBeenCalled();
+  });
+
+  it('puts one file per section in zip archives', async () => {
+    const file = await service.build(String(userId), 'zip');
+
+    const zip = await JSZip.loadAsync(file.content);
+    expect(Object.keys(zip.files).sort()).toEqual([
+      'account.json',
+      'apiKeys.json',
+      'auditEvents.json',
+      'connectedApps.json',
+      'export.json',
+      'knownDevices.json',
+      'linkedAccounts.json',
+      'passkeys.json',
+      'sessions.json',
+    ]);
+    expect(file.fileName).toMatch(/^personal-data-\d{4}-\d{2}-\d{2}\.zip$/);
+  });
+
+  it('prepares large accounts in the background and emails when ready', async () => {
+    config.DATA_EXPORT_SYNC_LIMIT = '0';
+    dataExportModel.findOne.mockReturnValue(exec(null));
+    const job: Record<string, any> = {
+      _id: new Types.ObjectId(),
+      userId,
+      format: 'json',
+      status: DataExportStatus.Pending,
+      expiresAt: new Date(Date.now() + 1000),
+    };
+    job.save = jest.fn().mockResolvedValue(job);
+    dataExportModel.create.mockResolvedValue(job);
+
+    const result = await service.requestExport(String(userId), 'json');
+
+    expect(result).toMatchObject({
+      job: { status: DataExportStatus.Pending },
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(job.status).toBe(DataExportStatus.Ready);
+    expect(job.fileId).toBe(archiveId);
+    expect(archiveStore.put).toHaveBeenCalledWith(
+      expect.stringMatching(/^personal-data-.*\.json$/),
+      expect.any(Buffer),
+    );
+    expect(mailService.send).toHaveBeenCalledWith(
+      expect.objectContaining({ to: 'a@b.c' }),
+    );
+  });
+
+  it('reuses a running export instead of starting another', async () => {
+    config.DATA_EXPORT_SYNC_LIMIT = '0';
+    const running = {
+      _id: new Types.ObjectId(),
+      status: DataExportStatus.Pending,
+      format: 'zip',
+    };
+    dataExportModel.findOne.mockReturnValue(exec(running));
+
+    const result = await service.requestExport(String(userId), 'zip');
+
+    expect(result).toMatchObject({ job: { id: String(running._id) } });
+    expect(dataExportModel.create).not.toHaveBeenCalled();
+    // Jobs lost to a restart stay pending; only recent ones count as running
+    const [filter] = dataExportModel.findOne.mock.calls[0];
+    expect(filter.createdAt?.$gt).toBeInstanceOf(Date);
+  });
+
+  it('serves finished exports from the archive store', async () => {
+    dataExportModel.findOne.mockReturnValue(
+      exec({
+        format: 'zip',
+        fileId: archiveId,
+        fileName: 'personal-data-2025-01-01.zip',
+      }),
+    );
+    archiveStore.get.mockResolvedValue(Buffer.from('archive'));
+
+    const file = await service.download(
+      String(userId),
+      String(new Types.ObjectId()),
+    );
+
+    expect(archiveStore.get).toHaveBeenCalledWith(archiveId);
+    expect(file).toEqual({
+      fileName: 'personal-data-2025-01-01.zip',
+      contentType: 'application/zip',
+      content: Buffer.from('archive'),
+    });
+  });
+
+  it('only lets owners download finished exports', async () => {
+    dataExportModel.findOne.mockReturnValue(exec(null));
+
+    await expect(
+      service.download(String(userId), String(new Types.ObjectId())),
+    ).rejects.toBeInstanceOf(NotFoundException);
+    await expect(
+      service.download(String(userId), 'not-an-id'),
+    ).rejects.toBeInstanceOf(NotFoundException);
+  });
+
+  it('fails stalled jobs and removes expired ones with their files', async () => {
+    const now = new Date('2025-06-01T12:00:00Z');
+    const expired = { _id: new Types.ObjectId(), fileId: archiveId };
+    dataExportModel.updateMany.mockReturnValue(exec({ modifiedCount: 1 }));
+    dataExportModel.find.mockReturnValue(exec([expired]));
+    dataExportModel.deleteMany.mockReturnValue(exec({}));
+
+    await service.sweep(now);
+
+    expect(dataExportModel.updateMany).toHaveBeenCalledWith(
+      {
+        status: DataExportStatus.Pending,
+        createdAt: { $lte: new Date('2025-06-01T11:00:00Z') },
+      },
+      { $set: { status: DataExportStatus.Failed } },
+    );
+    expect(dataExportModel.find).toHaveBeenCalledWith({
+      expiresAt: { $lte: now },
+    });
+    expect(archiveStore.delete).toHaveBeenCalledWith(archiveId);
+    expect(dataExportModel.deleteMany).toHaveBeenCalledWith({
+      _id: { $in: [expired._id] },
+    });
+  });
+});
@@ -0,0 +1,381 @@
+import { Injectable, Logger, NotFoundException } from '@nestjs/common';
+import { InjectModel } from '@nestjs/mongoose';
+import { ConfigService } from '@nestjs/config';
+import { Cron, CronExpression } from '@nestjs/schedule';
+import { isValidObjectId, Model, Types } from 'mongoose';
+import JSZip from 'jszip';
+import { User, UserDocument } from '../schemas/user.schema';
+import { Session, SessionDocument } from '../schemas/session.schema';
+import {
+  WebAuthnCredential,
+  WebAuthnCredentialDocument,
+} from '../schemas/webauthn-credential.schema';
+import {
+  KnownDevice,
+  KnownDeviceDocument,
+} from '../schemas/known-device.schema';
+import {
+  ExternalIdentity,
+  ExternalIdentityDocument,
+} from '../schemas/external-identity.schema';
+import {
+  OAuthConsent,
+  OAuthConsentDocument,
+} from '../schemas/oauth-consent.schema';
+import { OAuthClientDocument } from '../schemas/oauth-client.schema';
+import { ApiKey, ApiKeyDocument } from '../schemas/api-key.schema';
+import {
+  DataExport,
+  DataExportDocument,
+  DataExportFormat,
+  DataExportStatus,
+} from '../schemas/data-export.schema';
+import { sanitizeUser } from '../user.sanitizer';
+import { AuditService } from '../audit/audit.service';
+import { MailService } from '../../mail/mail.service';
+import { dataExportReadyEmail } from '../emails';
+import { ExportArchiveStore } from './export-archive.store';
+
+const DEFAULT_SYNC_LIMIT = 1000;
+const EXPORT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// A job still pending after this was lost, most likely to a restart
+const EXPORT_JOB_TIMEOUT_MS = 60 * 60 * 1000;
+
+const CONTENT_TYPES: Record<DataExportFormat, string> = {
+  json: 'application/json',
+  zip: 'application/zip',
+};
+
+export interface ExportFile {
+  fileName: string;
+  contentType: string;
+  content: Buffer;
+}
+
+export type ExportRequestResult =
+  | { file: ExportFile }
+  | { job: ReturnType<typeof toView> };
+
+/**
+ * Builds the archive behind GDPR access requests. Small accounts get it in the
+ * response; accounts with more than DATA_EXPORT_SYNC_LIMIT records (1000 by
+ * default) get a background job and an email once it can be downloaded. Those
+ * archives are kept in ExportArchiveStore, the job only points at them.
+ */
+@Injectable()
+export class DataExportService {
+  private readonly logger = new Logger(DataExportService.name);
+
+  constructor(
+    @InjectModel(User.name) private userModel: Model<UserDocument>,
+    @InjectModel(Session.name) private sessionModel: Model<SessionDocument>,
+    @InjectModel(WebAuthnCredential.name)
+    private credentialModel: Model<WebAuthnCredentialDocument>,
+    @InjectModel(DataExport.name)
+    private dataExportModel: Model<DataExportDocument>,
+    @InjectModel(KnownDevice.name)
+    private knownDeviceModel: Model<KnownDeviceDocument>,
+    @InjectModel(ExternalIdentity.name)
+    private identityModel: Model<ExternalIdentityDocument>,
+    @InjectModel(OAuthConsent.name)
+    private consentModel: Model<OAuthConsentDocument>,
+    @InjectModel(ApiKey.name) private apiKeyModel: Model<ApiKeyDocument>,
+    private readonly auditService: AuditService,
+    private readonly mailService: MailService,
+    private readonly archiveStore: ExportArchiveStore,
+    private readonly configService: ConfigService,
+  ) {}
+
+  async requestExport(
+    userId: string,
+    format: DataExportFormat,
+  ): Promise<ExportRequestResult> {
+    if ((await this.countRecords(userId)) <= this.syncLimit()) {
+      return { file: await this.build(userId, format) };
+    }
+
+    // One job at a time is plenty, asking again just points at the running one.
+    // Jobs pending for too long died with the process and get replaced.
+    const pending = await this.dataExportModel
+      .findOne({
+        userId: new Types.ObjectId(userId),
+        status: DataExportStatus.Pending,
+        createdAt: { $gt: new Date(Date.now() - EXPORT_JOB_TIMEOUT_MS) },
+      })
+      .exec();
+    if (pending) {
+      return { job: toView(pending) };
+    }
+
+    const job = await this.dataExportModel.create({
+      userId: new Types.ObjectId(userId),
+      format,
+      expiresAt: new Date(Date.now() + EXPORT_TTL_MS),
+    });
+    void this.generate(job);
+    return { job: toView(job) };
+  }
+
+  async list(userId: string) {
+    const jobs = await this.dataExportModel
+      .find({ userId: new Types.ObjectId(userId) })
+      .sort({ createdAt: -1 })
+      .exec();
+    return jobs.map(toView);
+  }
+
+  async download(userId: string, id: string): Promise<ExportFile> {
+    const job = isValidObjectId(id)
+      ? await this.dataExportModel
+          .findOne({
+            _id: id,
+            userId: new Types.ObjectId(userId),
+            status: DataExportStatus.Ready,
+            expiresAt: { $gt: new Date() },
+          })
+          .exec()
+      : null;
+    const content = job?.fileId
+      ? await this.archiveStore.get(job.fileId)
+      : null;
+    if (!job || !content) {
+      throw new NotFoundException('Export not found');
+    }
+    return {
+      fileName: job.fileName!,
+      contentType: CONTENT_TYPES[job.format],
+      content,
+    };
+  }
+
+  /**
+   * Fails jobs that have been pending longer than any export takes, and
+   * removes expired jobs along with their archives.
+   */
+  @Cron(CronExpression.EVERY_HOUR)
+  async sweep(now = new Date()): Promise<void> {
+    const { modifiedCount } = await this.dataExportModel
+      .updateMany(
+        {
+          status: DataExportStatus.Pending,
+          createdAt: { $lte: new Date(now.getTime() - EXPORT_JOB_TIMEOUT_MS) },
+        },
+        { $set: { status: DataExportStatus.Failed } },
+      )
+      .exec();
+    if (modifiedCount) {
+      this.logger.warn(`Marked ${modifiedCount} stalled data export(s) failed`);
+    }
+
+    const expired = await this.dataExportModel
+      .find({ expiresAt: { $lte: now } })
+      .exec();
+    await this.remove(expired);
+  }
+
+  /** Removes every export of the user, archives included. */
+  async deleteForUser(userId: string): Promise<void> {
+    const jobs = await this.dataExportModel
+      .find({ userId: new Types.ObjectId(userId) })
+      .exec();
+    await this.remove(jobs);
+  }
+
+  async build(userId: string, format: DataExportFormat): Promise<ExportFile> {
+    const sections = await this.collect(userId);
+    const exportedAt = new Date();
+    const baseName = `personal-data-${exportedAt.toISOString().slice(0, 10)}`;
+
+    if (format === 'zip') {
+      // One file per section keeps large histories openable in an editor
+      const zip = new JSZip();
+      zip.file('export.json', JSON.stringify({ exportedAt }, null, 2));
+      for (const [name, data] of Object.entries(sections)) {
+        zip.file(`${name}.json`, JSON.stringify(data, null, 2));
+      }
+      const content = await zip.generateAsync({
+        type: 'nodebuffer',
+        compression: 'DEFLATE',
+      });
+      return {
+        fileName: `${baseName}.zip`,
+        contentType: CONTENT_TYPES.zip,
+        content,
+      };
+    }
+
+    const content = Buffer.from(
+      JSON.stringify({ exportedAt, ...sections }, null, 2),
+    );
+    return {
+      fileName: `${baseName}.json`,
+      contentType: CONTENT_TYPES.json,
+      content,
+    };
+  }
+
+  /** Everything we hold on the user, by section. Secrets and token hashes are left out. */
+  async collect(userId: string): Promise<Record<string, unknown>> {
+    const user = await this.userModel.findById(userId).exec();
+    if (!user) {
+      throw new NotFoundException('User not found');
+    }
+    const owner = { userId: user._id };
+
+    const sessions = await this.sessionModel
+      .find(owner)
+      .sort({ createdAt: -1 })
+      .exec();
+    const passkeys = await this.credentialModel
+      .find(owner)
+      .sort({ createdAt: -1 })
+      .exec();
+    const knownDevices = await this.knownDeviceModel
+      .find(owner)
+      .sort({ lastSeenAt: -1 })
+      .exec();
+    const linkedAccounts = await this.identityModel
+      .find(owner)
+      .sort({ createdAt: 1 })
+      .exec();
+    const connectedApps = await this.consentModel
+      .find(owner)
+      .populate<{ client: OAuthClientDocument | null }>('client', 'name')
+      .sort({ createdAt: 1 })
+      .exec();
+    const apiKeys = await this.apiKeyModel
+      .find(owner)
+      .sort({ createdAt: -1 })
+      .exec();
+
+    return {
+      account: sanitizeUser(user),
+      // Every sign-in opens a session, so this doubles as the login history we keep
+      sessions: sessions.map((session) => ({
+        signedInAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        ip: session.ip,
+        userAgent: session.userAgent,
+      })),
+      passkeys: passkeys.map((credential) => ({
+        name: credential.name,
+        deviceType: credential.deviceType,
+        backedUp: credential.backedUp,
+        transports: credential.transports,
+        createdAt: (credential as { createdAt?: Date }).createdAt,
+        lastUsedAt: credential.lastUsedAt,
+      })),
+      linkedAccounts: linkedAccounts.map((identity) => ({
+        provider: identity.provider,
+        subject: identity.subject,
+        email: identity.email,
+        linkedAt: (identity as { createdAt?: Date }).createdAt,
+        lastUsedAt: identity.lastUsedAt,
+      })),
+      // Apps of ours the user lets sign them in, and what they may see
+      connectedApps: connectedApps.map((consent) => ({
+        name: consent.client?.name,
+        scopes: consent.scopes,
+        authorizedAt: (consent as { createdAt?: Date }).createdAt,
+        lastUsedAt: consent.lastUsedAt,
+      })),
+      apiKeys: apiKeys.map((apiKey) => ({
+        name: apiKey.name,
+        start: apiKey.start,
+        scopes: apiKey.scopes,
+        createdAt: (apiKey as { createdAt?: Date }).createdAt,
+        expiresAt: apiKey.expiresAt,
+        lastUsedAt: apiKey.lastUsedAt,
+        lastUsedIp: apiKey.lastUsedIp,
+      })),
+      // What new-sign-in alerts compare against
+      knownDevices: knownDevices.map((known) => ({
+        device: known.device,
+        ips: known.ips,
+        lastSeenAt: known.lastSeenAt,
+      })),
+      auditEvents: await this.auditService.forUser(userId),
+    };
+  }
+
+  private async generate(job: DataExportDocument): Promise<void> {
+    try {
+      const file = await this.build(String(job.userId), job.format);
+      job.fileId = await this.archiveStore.put(file.fileName, file.content);
+      job.status = DataExportStatus.Ready;
+      job.fileName = file.fileName;
+      job.completedAt = new Date();
+      await job.save();
+
+      const user = await this.userModel.findById(job.userId).exec();
+      if (user) {
+        await this.mailService.send({
+          to: user.email,
+          ...dataExportReadyEmail(this.frontendUrl(), job.expiresAt, user.name),
+        });
+      }
+    } catch (error) {
+      this.logger.error(
+        `Data export ${String(job._id)} failed`,
+        error instanceof Error ? error.stack : error,
+      );
+      if (job.fileId) {
+        await this.archiveStore.delete(job.fileId).catch(() => undefined);
+      }
+      job.status = DataExportStatus.Failed;
+      job.fileId = undefined;
+      await job.save().catch(() => undefined);
+    }
+  }
+
+  private async remove(jobs: DataExportDocument[]): Promise<void> {
+    for (const job of jobs) {
+      if (job.fileId) {
+        await this.archiveStore.delete(job.fileId);
+      }
+    }
+    if (jobs.length) {
+      await this.dataExportModel
+        .deleteMany({ _id: { $in: jobs.map((job) => job._id) } })
+        .exec();
+    }
+  }
+
+  private async countRecords(userId: string): Promise<number> {
+    const owner = { userId: new Types.ObjectId(userId) };
+    const counts = await Promise.all([
+      this.sessionModel.countDocuments(owner).exec(),
+      this.credentialModel.countDocuments(owner).exec(),
+      this.auditService.countForUser(userId),
+    ]);
+    return counts.reduce((sum, count) => sum + count, 0);
+  }
+
+  private syncLimit(): number {
+    const configured = Number(
+      this.configService.get<string>('DATA_EXPORT_SYNC_LIMIT'),
+    );
+    return Number.isFinite(configured) && configured >= 0
+      ? configured
+      : DEFAULT_SYNC_LIMIT;
+  }
+
+  private frontendUrl(): string {
+    return (
+      this.configService.get<string>('FRONTEND_URL') || 'http://localhost:5173'
+    );
+  }
+}
+
+function toView(job: DataExportDocument) {
+  return {
+    id: String(job._id),
+    format: job.format,
+    status: job.status,
+    fileName: job.fileName,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt,
+    expiresAt: job.expiresAt,
+  };
+}
@@ -0,0 +1,64 @@
+import { Injectable } from '@nestjs/common';
+import { InjectConnection } from '@nestjs/mongoose';
+import { Connection, mongo, Types } from 'mongoose';
+
+const BUCKET_NAME = 'dataExports';
+
+/**
+ * Finished data export archives, kept in GridFS so they are not bound by the
+ * 16 MB document limit. Nothing serves this bucket: archives only leave
+ * through the authenticated download route.
+ */
+@Injectable()
+export class ExportArchiveStore {
+  constructor(@InjectConnection() private readonly connection: Connection) {}
+
+  /** Stores the archive and returns the id to keep on the job. */
+  async put(fileName: string, content: Buffer): Promise<Types.ObjectId> {
+    const id = new Types.ObjectId();
+    await new Promise<void>((resolve, reject) => {
+      this.bucket()
+        .openUploadStreamWithId(id, fileName)
+        .once('finish', () => resolve())
+        .once('error', reject)
+        .end(content);
+    });
+    return id;
+  }
+
+  async get(id: Types.ObjectId): Promise<Buffer | null> {
+    const chunks: Buffer[] = [];
+    try {
+      for await (const chunk of this.bucket().openDownloadStream(id)) {
+        chunks.push(chunk as Buffer);
+      }
+    } catch (error) {
+      if (isFileNotFound(error)) return null;
+      throw error;
+    }
+    return Buffer.concat(chunks);
+  }
+
+  async delete(id: Types.ObjectId): Promise<void> {
+    try {
+      await this.bucket().delete(id);
+    } catch (error) {
+      if (!isFileNotFound(error)) throw error;
+    }
+  }
+
+  private bucket(): mongo.GridFSBucket {
+    return new mongo.GridFSBucket(this.connection.db!, {
+      bucketName: BUCKET_NAME,
+    });
+  }
+}
+
+// Already gone is fine: cleanup may run twice, and a missing archive is just a 404.
+// The driver reports it as a generic MongoRuntimeError, worded differently for reads and deletes.
+function isFileNotFound(error: unknown): boolean {
+  return (
+    error instanceof Error &&
+    /^(FileNotFound|File not found)/.test(error.message)
+  );
+}
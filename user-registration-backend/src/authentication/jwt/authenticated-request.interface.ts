@@ -0,0 +1,10 @@
+import type { Request } from 'express';
+import { JwtPayload } from './jwt-payload.interface';
+
+/**
+ * A request that got past JwtAuthGuard (or JwtOrApiKeyGuard), carrying what
+ * the strategy returned. API keys add their `apiKeyId`, see ApiKeyPrincipal.
+ */
+export interface AuthenticatedRequest extends Request {
+  user: JwtPayload & { apiKeyId?: string };
+}
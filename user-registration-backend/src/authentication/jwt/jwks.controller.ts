@@ -0,0 +1,25 @@
+import { Controller, Get, Header } from '@nestjs/common';
+import { SigningKeyService } from './signing-key.service';
+import { OidcProviderService } from '../oidc/oidc-provider.service';
+
+@Controller('.well-known')
+export class JwksController {
+  constructor(
+    private readonly signingKeyService: SigningKeyService,
+    private readonly oidcProvider: OidcProviderService,
+  ) {}
+
+  // Lets other services verify our access tokens without sharing any secret
+  @Get('jwks.json')
+  @Header('Cache-Control', 'public, max-age=300')
+  getJwks() {
+    return this.signingKeyService.jwks();
+  }
+
+  // Lets our other apps configure us as their OpenID Connect provider from the issuer URL alone
+  @Get('openid-configuration')
+  @Header('Cache-Control', 'public, max-age=300')
+  getOpenIdConfiguration() {
+    return this.oidcProvider.discovery();
+  }
+}
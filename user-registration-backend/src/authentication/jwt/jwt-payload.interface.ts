@@ -0,0 +1,13 @@
+import { TokenType } from './jwt.constants';
+import { Role } from '../roles/role.enum';
+import { Permission } from '../permissions/permission.enum';
+
+export interface JwtPayload {
+  name?: string;
+  iat?: number;
+  email: string;
+  sub: string; // Subject (often used for user ID)
+  roles?: Role[];
+  permissions?: Permission[]; // Resolved from roles and per-user grants when the token is issued
+  typ?: TokenType;
+}
@@ -0,0 +1,16 @@
+export enum TokenType {
+  Access = 'access',
+  Refresh = 'refresh',
+  EmailVerification = 'email-verification',
+  EmailChange = 'email-change',
+  MfaChallenge = 'mfa-challenge',
+  LoginAlert = 'login-alert',
+  MagicLink = 'magic-link',
+  OAuthState = 'oauth-state',
+  OAuthLink = 'oauth-link',
+  OidcRequest = 'oidc-request',
+  OidcAccess = 'oidc-access',
+}
+
+export const DEFAULT_JWT_ISSUER = 'user-registration-backend';
+export const DEFAULT_JWT_AUDIENCE = 'user-registration-api';
@@ -0,0 +1,56 @@
+import { UnauthorizedException } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { Model } from 'mongoose';
+import { JwtStrategy } from './jwt.strategy';
+import { TokenType } from './jwt.constants';
+import { SigningKeyService } from './signing-key.service';
+import { UserDocument } from '../schemas/user.schema';
+
+describe('JwtStrategy', () => {
+  const configService = { get: () => undefined } as unknown as ConfigService;
+  const userModel = { exists: jest.fn<unknown, [object]>() };
+  const strategy = new JwtStrategy(
+    configService,
+    new SigningKeyService(configService),
+    userModel as unknown as Model<UserDocument>,
+  );
+
+  beforeEach(() => {
+    userModel.exists.mockReturnValue({
+      exec: jest.fn().mockResolvedValue({ _id: 'user-id' }),
+    });
+  });
+
+  it('accepts access tokens', async () => {
+    const payload = { sub: 'user-id', email: 'a@b.c', typ: TokenType.Access };
+    await expect(strategy.validate(payload)).resolves.toEqual(payload);
+  });
+
+  it('rejects tokens of accounts that are no longer active', async () => {
+    userModel.exists.mockReturnValue({
+      exec: jest.fn().mockResolvedValue(null),
+    });
+
+    await expect(
+      strategy.validate({
+        sub: 'user-id',
+        email: 'a@b.c',
+        typ: TokenType.Access,
+      }),
+    ).rejects.toThrow('Account is not active');
+    expect(userModel.exists.mock.calls[0][0]).toMatchObject({ _id: 'user-id' });
+  });
+
+  it('rejects refresh tokens and untyped tokens', async () => {
+    await expect(
+      strategy.validate({
+        sub: 'user-id',
+        email: 'a@b.c',
+        typ: TokenType.Refresh,
+      }),
+    ).rejects.toBeInstanceOf(UnauthorizedException);
+    await expect(
+      strategy.validate({ sub: 'user-id', email: 'a@b.c' }),
+    ).rejects.toBeInstanceOf(UnauthorizedException);
+  });
+});
@@ -1,20 +1,86 @@
-import { Injectable } from '@nestjs/common';
+import { Injectable, UnauthorizedException } from '@nestjs/common';
 import { PassportStrategy } from '@nestjs/passport';
 import { ExtractJwt, Strategy } from 'passport-jwt';
 import { ConfigService } from '@nestjs/config';
+import { InjectModel } from '@nestjs/mongoose';
+import { Model } from 'mongoose';
+import {
+  DEFAULT_JWT_AUDIENCE,
+  DEFAULT_JWT_ISSUER,
+  TokenType,
+} from './jwt.constants';
+import { JwtPayload } from './jwt-payload.interface';
+import { SigningKeyService } from './signing-key.service';
+import { User, UserDocument } from '../schemas/user.schema';
+import { AccountStatus } from '../account/account-status.enum';
 
 @Injectable()
 export class JwtStrategy extends PassportStrategy(Strategy) {
-  constructor(private configService: ConfigService) {
+  constructor(
+    private configService: ConfigService,
+    signingKeyService: SigningKeyService,
+    @InjectModel(User.name) private userModel: Model<UserDocument>,
+  ) {
     super({
       jwtFromRequest: ExtractJwt.fromAuthHeaderAsBearerToken(),
       ignoreExpiration: false,
-      secretOrKey: configService.get<string>('JWT_SECRET'),
+      // Pick the key by `kid` so tokens signed before a rotation stay valid during the overlap window
+      secretOrKeyProvider: (
+        _request: unknown,
+        rawJwtToken: string,
+        done: (error: Error | null, key?: string | Buffer) => void,
+      ) => {
+        const key = signingKeyService.findVerificationKey(
+          decodeKeyId(rawJwtToken),
+        );
+        if (!key) {
+          return done(new UnauthorizedException('Unknown signing key'));
+        }
+        return done(
+          null,
+          key.publicKey.export({ format: 'pem', type: 'spki' }),
+        );
+      },
+      algorithms: signingKeyService.verificationKeys().map((key) => key.alg),
+      issuer: configService.get<string>('JWT_ISSUER') || DEFAULT_JWT_ISSUER,
+      audience:
+        configService.get<string>('JWT_AUDIENCE') || DEFAULT_JWT_AUDIENCE,
     });
   }
 
-  async validate(payload: any) {
+  async validate(payload: JwtPayload) {
+    // Refresh and other special-purpose tokens must never authenticate a request
+    if (payload.typ !== TokenType.Access) {
+      throw new UnauthorizedException('Invalid token type');
+    }
+    // Tokens outlive a suspension or deletion request by up to an hour, so the account is checked on every request
+    const active = await this.userModel
+      .exists({
+        _id: payload.sub,
+        status: {
+          $nin: [
+            AccountStatus.Disabled,
+            AccountStatus.PendingDeletion,
+            AccountStatus.Deleted,
+          ],
+        },
+      })
+      .exec();
+    if (!active) {
+      throw new UnauthorizedException('Account is not active');
+    }
     // This payload is what you signed in AuthenticationService
     return payload;
   }
-}
\ No newline at end of file
+}
+
+function decodeKeyId(rawJwtToken: string): string | undefined {
+  try {
+    const header = JSON.parse(
+      Buffer.from(rawJwtToken.split('.')[0], 'base64url').toString(),
+    ) as { kid?: string };
+    return header.kid;
+  } catch {
+    return undefined;
+  }
+}
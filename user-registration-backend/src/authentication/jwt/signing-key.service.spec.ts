@@ -0,0 +1,108 @@
+import { ConfigService } from '@nestjs/config';
+import { generateKeyPairSync } from 'crypto';
+import { JwtService } from '@nestjs/jwt';
+import { SigningKeyService } from './signing-key.service';
+
+const pem = (type: 'rsa' | 'ec') => {
+  const { privateKey, publicKey } =
+    type === 'rsa'
+      ? generateKeyPairSync('rsa', { modulusLength: 2048 })
+      : generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  return {
+    privateKey: privateKey.export({ format: 'pem', type: 'pkcs8' }).toString(),
+    publicKey: publicKey.export({ format: 'pem', type: 'spki' }).toString(),
+  };
+};
+
+const configWith = (values: Record<string, string | undefined>) =>
+  ({ get: (key: string) => values[key] }) as unknown as ConfigService;
+
+describe('SigningKeyService', () => {
+  const current = pem('rsa');
+  const previous = pem('ec');
+
+  it('publishes the current public key in the JWKS', () => {
+    const service = new SigningKeyService(
+      configWith({ JWT_PRIVATE_KEY: current.privateKey, JWT_KEY_ID: 'key-2' }),
+    );
+
+    const { keys } = service.jwks();
+
+    expect(keys).toHaveLength(1);
+    expect(keys[0]).toMatchObject({
+      kid: 'key-2',
+      alg: 'RS256',
+      use: 'sig',
+      kty: 'RSA',
+    });
+    expect(keys[0]).not.toHaveProperty('d');
+  });
+
+  it('signs tokens that verify with the published key', () => {
+    const service = new SigningKeyService(
+      configWith({ JWT_PRIVATE_KEY: current.privateKey.replace(/\n/g, '\\n') }),
+    );
+    const jwtService = new JwtService();
+
+    const token = jwtService.sign({ sub: 'user-id' }, service.signingOptions());
+    const { header } = jwtService.decode<{ header: { kid: string } }>(token, {
+      complete: true,
+    });
+    const key = service.findVerificationKey(header.kid);
+
+    expect(key).toBeDefined();
+    expect(
+      jwtService.verify(token, {
+        publicKey: key!.publicKey.export({ format: 'pem', type: 'spki' }),
+        algorithms: [key!.alg],
+      }),
+    ).toMatchObject({
+      sub: 'user-id',
+    });
+  });
+
+  it('keeps accepting the previous key until its overlap window ends', () => {
+    const active = new SigningKeyService(
+      configWith({
+        JWT_PRIVATE_KEY: current.privateKey,
+        JWT_PREVIOUS_PUBLIC_KEY: previous.publicKey,
+        JWT_PREVIOUS_KEY_ID: 'key-1',
+        JWT_PREVIOUS_KEY_EXPIRES_AT: new Date(
+          Date.now() + 60_000,
+        ).toISOString(),
+      }),
+    );
+    const expired = new SigningKeyService(
+      configWith({
+        JWT_PRIVATE_KEY: current.privateKey,
+        JWT_PREVIOUS_PUBLIC_KEY: previous.publicKey,
+        JWT_PREVIOUS_KEY_ID: 'key-1',
+        JWT_PREVIOUS_KEY_EXPIRES_AT: new Date(
+          Date.now() - 60_000,
+        ).toISOString(),
+      }),
+    );
+
+    expect(active.findVerificationKey('key-1')).toMatchObject({ alg: 'ES256' });
+    expect(active.jwks().keys.map((key) => key.kid)).toContain('key-1');
+    expect(expired.findVerificationKey('key-1')).toBeUndefined();
+  });
+
+  it('refuses to start without a key in production', () => {
+    expect(
+      () => new SigningKeyService(configWith({ NODE_ENV: 'production' })),
+    ).toThrow(/JWT_PRIVATE_KEY/);
+  });
+
+  it('rejects an algorithm that does not fit the key', () => {
+    expect(
+      () =>
+        new SigningKeyService(
+          configWith({
+            JWT_PRIVATE_KEY: current.privateKey,
+            JWT_ALGORITHM: 'ES256',
+          }),
+        ),
+    ).toThrow(/JWT_ALGORITHM/);
+  });
+});
@@ -0,0 +1,188 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { Algorithm } from 'jsonwebtoken';
+import {
+  createHash,
+  createPrivateKey,
+  createPublicKey,
+  generateKeyPairSync,
+  JsonWebKey,
+  KeyObject,
+} from 'crypto';
+
+export interface SigningKey {
+  kid: string;
+  alg: Algorithm;
+  publicKey: KeyObject;
+  // Keys kept only for verification during a rotation may be given an end date
+  notAfter?: Date;
+}
+
+export interface PublicJwk extends JsonWebKey {
+  kid: string;
+  alg: Algorithm;
+  use: 'sig';
+}
+
+const EC_ALGORITHMS: Record<string, Algorithm> = {
+  'P-256': 'ES256',
+  'P-384': 'ES384',
+  'P-521': 'ES512',
+};
+
+/**
+ * Holds the asymmetric key pair access tokens are signed with, plus the
+ * public half of the previous key while a rotation is in progress.
+ *
+ * Configuration:
+ * - `JWT_PRIVATE_KEY`: PEM private key (RSA or EC). Escaped `\n` are accepted.
+ * - `JWT_ALGORITHM`: optional, inferred from the key (`RS256`, `ES256`, ...).
+ * - `JWT_KEY_ID`: optional, defaults to the RFC 7638 thumbprint of the key.
+ * - `JWT_PREVIOUS_PUBLIC_KEY` / `JWT_PREVIOUS_KEY_ID`: the key being rotated out.
+ * - `JWT_PREVIOUS_KEY_EXPIRES_AT`: optional ISO date after which the previous key is dropped.
+ *
+ * Outside production an ephemeral key pair is generated when none is configured.
+ */
+@Injectable()
+export class SigningKeyService {
+  private readonly logger = new Logger(SigningKeyService.name);
+  private readonly privateKey: KeyObject;
+  private readonly current: SigningKey;
+  private readonly previous?: SigningKey;
+
+  constructor(configService: ConfigService) {
+    this.privateKey = this.loadPrivateKey(configService);
+    const publicKey = createPublicKey(this.privateKey);
+    const inferred = inferAlgorithm(publicKey);
+    const configured = configService.get<string>('JWT_ALGORITHM') as
+      | Algorithm
+      | undefined;
+    if (configured && !isCompatible(configured, inferred)) {
+      throw new Error(
+        `JWT_ALGORITHM ${configured} cannot be used with a ${publicKey.asymmetricKeyType} key`,
+      );
+    }
+    this.current = {
+      kid: configService.get<string>('JWT_KEY_ID') || thumbprint(publicKey),
+      alg: configured || inferred,
+      publicKey,
+    };
+
+    const previousPem = configService.get<string>('JWT_PREVIOUS_PUBLIC_KEY');
+    if (previousPem) {
+      const previousKey = createPublicKey(normalizePem(previousPem));
+      const expiresAt = configService.get<string>(
+        'JWT_PREVIOUS_KEY_EXPIRES_AT',
+      );
+      this.previous = {
+        kid:
+          configService.get<string>('JWT_PREVIOUS_KEY_ID') ||
+          thumbprint(previousKey),
+        alg: inferAlgorithm(previousKey),
+        publicKey: previousKey,
+        notAfter: expiresAt ? new Date(expiresAt) : undefined,
+      };
+    }
+  }
+
+  /** Options to pass to `JwtService.sign` for tokens signed with the current key. */
+  signingOptions(): {
+    privateKey: KeyObject;
+    algorithm: Algorithm;
+    keyid: string;
+  } {
+    return {
+      privateKey: this.privateKey,
+      algorithm: this.current.alg,
+      keyid: this.current.kid,
+    };
+  }
+
+  /** Every key a token issued by this service may currently be signed with. */
+  verificationKeys(): SigningKey[] {
+    const now = new Date();
+    const previous =
+      this.previous && (!this.previous.notAfter || this.previous.notAfter > now)
+        ? [this.previous]
+        : [];
+    return [this.current, ...previous];
+  }
+
+  findVerificationKey(kid?: string): SigningKey | undefined {
+    return this.verificationKeys().find((key) => key.kid === kid);
+  }
+
+  jwks(): { keys: PublicJwk[] } {
+    return {
+      keys: this.verificationKeys().map((key) => ({
+        ...key.publicKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.alg,
+        use: 'sig',
+      })),
+    };
+  }
+
+  private loadPrivateKey(configService: ConfigService): KeyObject {
+    const pem = configService.get<string>('JWT_PRIVATE_KEY');
+    if (pem) {
+      return createPrivateKey(normalizePem(pem));
+    }
+
+    const nodeEnv =
+      configService.get<string>('NODE_ENV') ||
+      process.env.NODE_ENV ||
+      'development';
+    if (nodeEnv === 'production') {
+      // Fail fast in production, an ephemeral key would invalidate every token on restart
+      throw new Error(
+        'JWT_PRIVATE_KEY must be provided in production environment',
+      );
+    }
+
+    this.logger.warn(
+      'JWT_PRIVATE_KEY is not set, generating an ephemeral RS256 key pair',
+    );
+    return generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+  }
+}
+
+function normalizePem(pem: string): string {
+  // Hosting dashboards usually store multi-line values with literal "\n"
+  return pem.replace(/\\n/g, '\n');
+}
+
+function inferAlgorithm(key: KeyObject): Algorithm {
+  switch (key.asymmetricKeyType) {
+    case 'rsa':
+      return 'RS256';
+    case 'rsa-pss':
+      return 'PS256';
+    case 'ec': {
+      const alg = EC_ALGORITHMS[key.export({ format: 'jwk' }).crv as string];
+      if (alg) return alg;
+      break;
+    }
+  }
+  // jsonwebtoken (used by @nestjs/jwt and passport-jwt) cannot sign or verify EdDSA yet
+  throw new Error(`Unsupported JWT signing key type: ${key.asymmetricKeyType}`);
+}
+
+function isCompatible(alg: Algorithm, inferred: Algorithm): boolean {
+  // An RSA key may be used for RS* or PS*, an EC key only for its curve's ES* algorithm
+  if (inferred === 'RS256') return /^(RS|PS)(256|384|512)$/.test(alg);
+  if (inferred === 'PS256') return /^PS(256|384|512)$/.test(alg);
+  return alg === inferred;
+}
+
+/** RFC 7638 JWK thumbprint, used as the default key ID. */
+function thumbprint(key: KeyObject): string {
+  const jwk = key.export({ format: 'jwk' });
+  const members =
+    jwk.kty === 'EC'
+      ? { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y }
+      : { e: jwk.e, kty: jwk.kty, n: jwk.n };
+  return createHash('sha256')
+    .update(JSON.stringify(members))
+    .digest('base64url');
+}
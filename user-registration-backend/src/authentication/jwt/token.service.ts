@@ -0,0 +1,141 @@
+import { Injectable, UnauthorizedException } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { JwtService } from '@nestjs/jwt';
+import { DEFAULT_JWT_ISSUER, TokenType } from './jwt.constants';
+import { JwtPayload } from './jwt-payload.interface';
+import { SigningKeyService } from './signing-key.service';
+
+/**
+ * Signs and verifies the tokens issued by this service.
+ *
+ * Access tokens are signed with the asymmetric key from `SigningKeyService`
+ * (so other services can verify them through the JWKS endpoint) and use the
+ * `JwtModule` defaults for issuer, audience and lifetime from `app.module.ts`.
+ * Refresh and other internal tokens are signed with an HMAC secret and are
+ * only ever meant for this service, so their audience is the issuer itself.
+ * Each token carries a `typ` claim so one can never stand in for the other.
+ */
+@Injectable()
+export class TokenService {
+  private readonly refreshSecret: string;
+  private readonly issuer: string;
+
+  constructor(
+    private readonly jwtService: JwtService,
+    private readonly signingKeyService: SigningKeyService,
+    configService: ConfigService,
+  ) {
+    const refreshSecret = configService.get<string>('JWT_REFRESH_SECRET');
+    if (!refreshSecret) {
+      throw new Error('JWT_REFRESH_SECRET must be provided');
+    }
+    this.refreshSecret = refreshSecret;
+    this.issuer = configService.get<string>('JWT_ISSUER') || DEFAULT_JWT_ISSUER;
+  }
+
+  signAccessToken(payload: JwtPayload): string {
+    return this.jwtService.sign(
+      { ...payload, typ: TokenType.Access },
+      this.signingKeyService.signingOptions(),
+    );
+  }
+
+  signRefreshToken<T extends object>(
+    payload: T,
+    expiresInSeconds: number,
+  ): string {
+    return this.signInternalToken(TokenType.Refresh, payload, expiresInSeconds);
+  }
+
+  verifyRefreshToken<T extends object>(token: string): T {
+    return this.verifyInternalToken<T>(
+      TokenType.Refresh,
+      token,
+      'Invalid refresh token',
+    );
+  }
+
+  /**
+   * Signs a token that only this service will ever read back (refresh,
+   * email verification, ...). The `typ` claim keeps each purpose separate.
+   */
+  signInternalToken<T extends object>(
+    type: TokenType,
+    payload: T,
+    expiresInSeconds: number,
+  ): string {
+    return this.jwtService.sign(
+      { ...payload, typ: type },
+      {
+        secret: this.refreshSecret,
+        expiresIn: expiresInSeconds,
+        issuer: this.issuer,
+        audience: this.issuer,
+      },
+    );
+  }
+
+  verifyInternalToken<T extends object>(
+    type: TokenType,
+    token: string,
+    errorMessage = 'Invalid token',
+  ): T {
+    let payload: T & { typ?: TokenType };
+    try {
+      payload = this.jwtService.verify<T & { typ?: TokenType }>(token, {
+        secret: this.refreshSecret,
+        issuer: this.issuer,
+        audience: this.issuer,
+      });
+    } catch {
+      throw new UnauthorizedException(errorMessage);
+    }
+    if (payload.typ !== type) {
+      throw new UnauthorizedException(errorMessage);
+    }
+    return payload;
+  }
+
+  /**
+   * Signs a token for a registered OIDC client (ID tokens, and access tokens
+   * for `/userinfo`) with the access token key, so clients can check it
+   * against the JWKS endpoint. The audience is the client, never this API.
+   */
+  signClientToken<T extends object>(
+    payload: T,
+    options: { issuer: string; audience: string; expiresInSeconds: number },
+  ): string {
+    return this.jwtService.sign(payload, {
+      ...this.signingKeyService.signingOptions(),
+      issuer: options.issuer,
+      audience: options.audience,
+      expiresIn: options.expiresInSeconds,
+    });
+  }
+
+  /** Verifies an access token handed to an OIDC client by `signClientToken`, whichever client it was for. */
+  verifyClientAccessToken<T extends object>(token: string, issuer: string): T {
+    const kid = this.jwtService.decode<{ header?: { kid?: string } } | null>(
+      token,
+      { complete: true },
+    )?.header?.kid;
+    const key = this.signingKeyService.findVerificationKey(kid);
+    if (!key) {
+      throw new UnauthorizedException('Invalid access token');
+    }
+    let payload: T & { typ?: TokenType };
+    try {
+      payload = this.jwtService.verify<T & { typ?: TokenType }>(token, {
+        publicKey: key.publicKey.export({ format: 'pem', type: 'spki' }),
+        algorithms: [key.alg],
+        issuer,
+      });
+    } catch {
+      throw new UnauthorizedException('Invalid access token');
+    }
+    if (payload.typ !== TokenType.OidcAccess) {
+      throw new UnauthorizedException('Invalid access token');
+    }
+    return payload;
+  }
+}
@@ -0,0 +1,44 @@
+import { ConfigService } from '@nestjs/config';
+import type { CookieOptions, Request, Response } from 'express';
+
+export const MAGIC_LINK_COOKIE = 'magicLinkBrowser';
+const MAGIC_LINK_COOKIE_MAX_AGE_MS = 15 * 60 * 1000; // Matches the sign-in link lifetime
+
+function magicLinkCookieAttributes(
+  configService: ConfigService,
+): CookieOptions {
+  const isProduction = configService.get<string>('NODE_ENV') === 'production';
+  return {
+    httpOnly: true,
+    // Set and read through XHR from the frontend's site, like the refresh token cookie
+    secure: isProduction,
+    sameSite: isProduction ? 'none' : 'lax',
+    path: '/authentication/magic-link',
+  };
+}
+
+/**
+ * The key binding a sign-in link to the browser that asked for it. The link
+ * only carries its hash, so a forwarded or intercepted email is useless elsewhere.
+ */
+export function setMagicLinkCookie(
+  res: Response,
+  browserKey: string,
+  configService: ConfigService,
+) {
+  res.cookie(MAGIC_LINK_COOKIE, browserKey, {
+    ...magicLinkCookieAttributes(configService),
+    maxAge: MAGIC_LINK_COOKIE_MAX_AGE_MS,
+  });
+}
+
+export function clearMagicLinkCookie(
+  res: Response,
+  configService: ConfigService,
+) {
+  res.clearCookie(MAGIC_LINK_COOKIE, magicLinkCookieAttributes(configService));
+}
+
+export function readMagicLinkCookie(req: Request): string | undefined {
+  return req.cookies?.[MAGIC_LINK_COOKIE] as string | undefined;
+}
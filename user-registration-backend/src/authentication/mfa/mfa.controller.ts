@@ -0,0 +1,67 @@
+import {
+  Body,
+  Controller,
+  Get,
+  HttpCode,
+  HttpStatus,
+  Post,
+  Request,
+  UseGuards,
+} from '@nestjs/common';
+import { JwtAuthGuard } from '../jwt/jwt.guard';
+import { AuthenticatedRequest } from '../jwt/authenticated-request.interface';
+import { MfaService } from './mfa.service';
+import { MfaCodeDto } from '../dto/mfa-code.dto';
+import { DisableMfaDto } from '../dto/disable-mfa.dto';
+import { Audit } from '../audit/audit.decorator';
+import { AuditEventType } from '../audit/audit-event-type.enum';
+import { RateLimit } from '../../rate-limit/rate-limit.decorator';
+
+@UseGuards(JwtAuthGuard)
+@Controller('authentication/mfa')
+export class MfaController {
+  constructor(private readonly mfaService: MfaService) {}
+
+  @Get()
+  status(@Request() req: AuthenticatedRequest) {
+    return this.mfaService.status(req.user.sub);
+  }
+
+  @Post('setup')
+  @HttpCode(HttpStatus.OK)
+  setup(@Request() req: AuthenticatedRequest) {
+    return this.mfaService.setup(req.user.sub);
+  }
+
+  @Post('enable')
+  @HttpCode(HttpStatus.OK)
+  @Audit(AuditEventType.MfaEnabled)
+  enable(@Request() req: AuthenticatedRequest, @Body() { code }: MfaCodeDto) {
+    return this.mfaService.enable(req.user.sub, code);
+  }
+
+  @Post('disable')
+  @RateLimit({ by: 'ip', limit: 30, windowSeconds: 15 * 60 })
+  @HttpCode(HttpStatus.OK)
+  @Audit(AuditEventType.MfaDisabled)
+  disable(
+    @Request() req: AuthenticatedRequest,
+    @Body() { password, code, recoveryCode }: DisableMfaDto,
+  ) {
+    return this.mfaService.disable(req.user.sub, password, {
+      code,
+      recoveryCode,
+    });
+  }
+
+  @Post('recovery-codes')
+  @RateLimit({ by: 'ip', limit: 30, windowSeconds: 15 * 60 })
+  @HttpCode(HttpStatus.OK)
+  @Audit(AuditEventType.MfaRecoveryCodesRegenerated)
+  regenerateRecoveryCodes(
+    @Request() req: AuthenticatedRequest,
+    @Body() { code }: MfaCodeDto,
+  ) {
+    return this.mfaService.regenerateRecoveryCodes(req.user.sub, code);
+  }
+}
@@ -0,0 +1,173 @@
+import { UnauthorizedException } from '@nestjs/common';
+import { TooManyRequestsException } from '../../rate-limit/too-many-requests.exception';
+import { LockoutService } from '../account/lockout.service';
+import { ConfigService } from '@nestjs/config';
+import { Model, Types } from 'mongoose';
+import * as bcrypt from 'bcrypt';
+import { MfaService } from './mfa.service';
+import { User, UserDocument } from '../schemas/user.schema';
+import { hotp, timeStep } from './totp';
+
+const makeUser = (data: Partial<User> = {}): UserDocument => {
+  const user: Record<string, unknown> = {
+    _id: new Types.ObjectId(),
+    email: 'a@b.c',
+    mfaEnabled: false,
+    mfaRecoveryCodeHashes: [],
+    ...data,
+  };
+  user.save = jest.fn().mockResolvedValue(user);
+  return user as unknown as UserDocument;
+};
+
+// The conditions and updates MfaService sends, as far as the fake model below applies them
+interface UserFilter {
+  mfaLastUsedStep?: { $not: { $gte: number } };
+  mfaRecoveryCodeHashes?: string;
+}
+interface UserUpdate {
+  $set?: Partial<User>;
+  $pull?: { mfaRecoveryCodeHashes: string };
+}
+
+describe('MfaService', () => {
+  let user: UserDocument;
+  let service: MfaService;
+
+  beforeEach(async () => {
+    user = makeUser({ passwordHash: await bcrypt.hash('password1', 4) });
+    const userModel = {
+      findById: () => ({ exec: () => Promise.resolve(user) }),
+      // Applies the conditional updates MfaService makes the way MongoDB would
+      findOneAndUpdate: (filter: UserFilter, update: UserUpdate) => {
+        const step = filter.mfaLastUsedStep?.$not.$gte;
+        const hash = filter.mfaRecoveryCodeHashes;
+        const matches =
+          (step === undefined || !((user.mfaLastUsedStep ?? -1) >= step)) &&
+          (hash === undefined || user.mfaRecoveryCodeHashes.includes(hash));
+        if (matches && update.$set) {
+          Object.assign(user, update.$set);
+        }
+        const pulled = update.$pull?.mfaRecoveryCodeHashes;
+        if (matches && pulled) {
+          user.mfaRecoveryCodeHashes = user.mfaRecoveryCodeHashes.filter(
+            (stored) => stored !== pulled,
+          );
+        }
+        return { exec: () => Promise.resolve(matches ? user : null) };
+      },
+      findByIdAndUpdate: (
+        _id: unknown,
+        { $inc }: { $inc: { failedLoginAttempts: number } },
+      ) => {
+        user.failedLoginAttempts =
+          (user.failedLoginAttempts ?? 0) + $inc.failedLoginAttempts;
+        return { exec: () => Promise.resolve(user) };
+      },
+      updateOne: (_filter: unknown, update: Partial<User>) => {
+        Object.assign(user, update);
+        return { exec: () => Promise.resolve({}) };
+      },
+    } as unknown as Model<UserDocument>;
+    service = new MfaService(userModel, new LockoutService(userModel), {
+      get: () => undefined,
+    } as unknown as ConfigService);
+  });
+
+  const enroll = async () => {
+    const { secret, otpauthUrl, qrCode } = await service.setup(
+      String(user._id),
+    );
+    expect(otpauthUrl).toContain(`secret=${secret}`);
+    expect(qrCode).toMatch(/^data:image\/png;base64,/);
+    const { recoveryCodes } = await service.enable(
+      String(user._id),
+      hotp(secret, timeStep() - 1),
+    );
+    return { secret, recoveryCodes };
+  };
+
+  it('enables MFA only after a valid code from the pending secret', async () => {
+    await service.setup(String(user._id));
+    await expect(
+      service.enable(String(user._id), '000000'),
+    ).rejects.toBeInstanceOf(UnauthorizedException);
+    expect(user.mfaEnabled).toBe(false);
+
+    const { recoveryCodes } = await enroll();
+
+    expect(user.mfaEnabled).toBe(true);
+    expect(recoveryCodes).toHaveLength(10);
+    expect(user.mfaRecoveryCodeHashes).not.toContain(recoveryCodes[0]);
+  });
+
+  it('refuses to accept the same code twice', async () => {
+    const { secret } = await enroll();
+    const code = hotp(secret, timeStep());
+
+    await expect(
+      service.assertSecondFactor(user, { code }),
+    ).resolves.toBeUndefined();
+    await expect(
+      service.assertSecondFactor(user, { code }),
+    ).rejects.toBeInstanceOf(UnauthorizedException);
+  });
+
+  it('accepts a code only once when requests race on stale copies', async () => {
+    const { secret } = await enroll();
+    const code = hotp(secret, timeStep());
+    const stale = { ...user } as UserDocument;
+
+    await service.assertSecondFactor(user, { code });
+
+    await expect(
+      service.assertSecondFactor(stale, { code }),
+    ).rejects.toBeInstanceOf(UnauthorizedException);
+  });
+
+  it('consumes recovery codes', async () => {
+    const { recoveryCodes } = await enroll();
+
+    await service.assertSecondFactor(user, {
+      recoveryCode: recoveryCodes[0].toUpperCase(),
+    });
+
+    expect(user.mfaRecoveryCodeHashes).toHaveLength(9);
+    await expect(
+      service.assertSecondFactor(user, {
+        recoveryCode: recoveryCodes[0],
+      }),
+    ).rejects.toBeInstanceOf(UnauthorizedException);
+  });
+
+  it('requires the password and a second factor to disable MFA', async () => {
+    const { recoveryCodes } = await enroll();
+
+    await expect(
+      service.disable(String(user._id), 'wrong', {
+        recoveryCode: recoveryCodes[0],
+      }),
+    ).rejects.toBeInstanceOf(UnauthorizedException);
+    await service.disable(String(user._id), 'password1', {
+      recoveryCode: recoveryCodes[0],
+    });
+
+    expect(user.mfaEnabled).toBe(false);
+    expect(user.mfaSecret).toBeUndefined();
+  });
+
+  it('counts wrong codes when changing settings and locks after too many', async () => {
+    await enroll();
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await expect(
+        service.regenerateRecoveryCodes(String(user._id), '000000'),
+      ).rejects.toBeInstanceOf(UnauthorizedException);
+    }
+
+    expect(user.failedLoginAttempts).toBe(5);
+    await expect(
+      service.disable(String(user._id), 'password1', { code: '000000' }),
+    ).rejects.toBeInstanceOf(TooManyRequestsException);
+  });
+});
@@ -0,0 +1,209 @@
+import {
+  BadRequestException,
+  ConflictException,
+  Injectable,
+  UnauthorizedException,
+} from '@nestjs/common';
+import { InjectModel } from '@nestjs/mongoose';
+import { ConfigService } from '@nestjs/config';
+import { Model } from 'mongoose';
+import * as QRCode from 'qrcode';
+import { randomBytes } from 'crypto';
+import { User, UserDocument } from '../schemas/user.schema';
+import { passwordMatches, sha256 } from '../crypto.util';
+import { LockoutService } from '../account/lockout.service';
+import { TooManyRequestsException } from '../../rate-limit/too-many-requests.exception';
+import {
+  base32Encode,
+  generateTotpSecret,
+  otpauthUrl,
+  verifyTotp,
+} from './totp';
+
+const RECOVERY_CODE_COUNT = 10;
+
+export interface SecondFactor {
+  code?: string;
+  recoveryCode?: string;
+}
+
+@Injectable()
+export class MfaService {
+  private readonly issuer: string;
+
+  constructor(
+    @InjectModel(User.name) private userModel: Model<UserDocument>,
+    private readonly lockoutService: LockoutService,
+    configService: ConfigService,
+  ) {
+    this.issuer = configService.get<string>('MFA_ISSUER') || 'Secure Auth Demo';
+  }
+
+  async status(userId: string) {
+    const user = await this.getUser(userId);
+    return {
+      enabled: user.mfaEnabled,
+      recoveryCodesRemaining: user.mfaRecoveryCodeHashes.length,
+    };
+  }
+
+  /** Generates a secret to scan. MFA stays off until `enable` confirms a code from it. */
+  async setup(userId: string) {
+    const user = await this.getUser(userId);
+    if (user.mfaEnabled) {
+      throw new ConflictException(
+        'Two-factor authentication is already enabled',
+      );
+    }
+
+    const secret = generateTotpSecret();
+    user.mfaPendingSecret = secret;
+    await user.save();
+
+    const url = otpauthUrl(secret, user.email, this.issuer);
+    return { secret, otpauthUrl: url, qrCode: await QRCode.toDataURL(url) };
+  }
+
+  async enable(userId: string, code: string) {
+    const user = await this.getUser(userId);
+    if (!user.mfaPendingSecret) {
+      throw new BadRequestException('Start the two-factor setup first');
+    }
+    const step = verifyTotp(user.mfaPendingSecret, code);
+    if (step === null) {
+      throw new UnauthorizedException('Invalid authentication code');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.mfaSecret = user.mfaPendingSecret;
+    user.mfaPendingSecret = undefined;
+    user.mfaEnabled = true;
+    user.mfaLastUsedStep = step;
+    user.mfaRecoveryCodeHashes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    // Only time the plain recovery codes are ever shown
+    return { recoveryCodes };
+  }
+
+  /** Turning MFA off requires both the password and a second factor. */
+  async disable(userId: string, password: string, factor: SecondFactor) {
+    const user = await this.getUser(userId);
+    this.assertNotLocked(user);
+    if (!(await passwordMatches(password, user.passwordHash))) {
+      await this.lockoutService.recordFailure(user);
+      throw new UnauthorizedException('Current password is incorrect');
+    }
+    await this.assertSecondFactorCounted(user, factor);
+
+    user.mfaEnabled = false;
+    user.mfaSecret = undefined;
+    user.mfaLastUsedStep = undefined;
+    user.mfaRecoveryCodeHashes = [];
+    await user.save();
+    return { message: 'Two-factor authentication disabled.' };
+  }
+
+  async regenerateRecoveryCodes(userId: string, code: string) {
+    const user = await this.getUser(userId);
+    this.assertNotLocked(user);
+    await this.assertSecondFactorCounted(user, { code });
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.mfaRecoveryCodeHashes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+    return { recoveryCodes };
+  }
+
+  /**
+   * Checks a TOTP code or consumes a recovery code for the user, throwing when
+   * neither is valid. Accepted codes are recorded so they cannot be replayed;
+   * the record is a conditional update, so two requests racing with the same
+   * code cannot both pass.
+   */
+  async assertSecondFactor(
+    user: UserDocument,
+    { code, recoveryCode }: SecondFactor,
+  ): Promise<void> {
+    if (!user.mfaEnabled || !user.mfaSecret) {
+      throw new BadRequestException('Two-factor authentication is not enabled');
+    }
+
+    if (code) {
+      const step = verifyTotp(user.mfaSecret, code);
+      if (step !== null) {
+        // $not/$gte also matches when no step has been recorded yet
+        const updated = await this.userModel
+          .findOneAndUpdate(
+            { _id: user._id, mfaLastUsedStep: { $not: { $gte: step } } },
+            { $set: { mfaLastUsedStep: step } },
+            { new: true },
+          )
+          .exec();
+        if (updated) {
+          user.mfaLastUsedStep = step;
+          return;
+        }
+      }
+    } else if (recoveryCode) {
+      const hash = hashRecoveryCode(recoveryCode);
+      const updated = await this.userModel
+        .findOneAndUpdate(
+          { _id: user._id, mfaRecoveryCodeHashes: hash },
+          { $pull: { mfaRecoveryCodeHashes: hash } },
+          { new: true },
+        )
+        .exec();
+      if (updated) {
+        user.mfaRecoveryCodeHashes = updated.mfaRecoveryCodeHashes;
+        return;
+      }
+    }
+    throw new UnauthorizedException('Invalid authentication code');
+  }
+
+  /** A stolen access token must not give unlimited guesses at the code either. */
+  private async assertSecondFactorCounted(
+    user: UserDocument,
+    factor: SecondFactor,
+  ): Promise<void> {
+    try {
+      await this.assertSecondFactor(user, factor);
+    } catch (error) {
+      if (error instanceof UnauthorizedException) {
+        await this.lockoutService.recordFailure(user);
+      }
+      throw error;
+    }
+  }
+
+  private assertNotLocked(user: UserDocument): void {
+    const lockedForSeconds = this.lockoutService.lockedForSeconds(user);
+    if (lockedForSeconds > 0) {
+      throw new TooManyRequestsException(
+        lockedForSeconds,
+        'Too many failed attempts.',
+      );
+    }
+  }
+
+  private async getUser(userId: string): Promise<UserDocument> {
+    const user = await this.userModel.findById(userId).exec();
+    if (!user) {
+      throw new UnauthorizedException('User not found');
+    }
+    return user;
+  }
+}
+
+function generateRecoveryCodes(): string[] {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = base32Encode(randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+}
+
+function hashRecoveryCode(code: string): string {
+  // Users type these by hand, so ignore case, spaces and the dash
+  return sha256(code.replace(/[\s-]/g, '').toLowerCase());
+}
@@ -0,0 +1,47 @@
+import {
+  base32Decode,
+  base32Encode,
+  generateTotpSecret,
+  hotp,
+  otpauthUrl,
+  timeStep,
+  verifyTotp,
+} from './totp';
+
+// Secret of the RFC 6238 SHA-1 test vectors ("12345678901234567890")
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('totp', () => {
+  it('round-trips base32', () => {
+    const bytes = Buffer.from('any carnal pleasure');
+    expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  it.each([
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1234567890, '89005924'],
+    [20000000000, '65353130'],
+  ])('matches the RFC 6238 vector at %i seconds', (seconds, expected) => {
+    expect(hotp(RFC_SECRET, timeStep(seconds * 1000), 8)).toBe(expected);
+  });
+
+  it('accepts codes from the neighbouring time steps only', () => {
+    const secret = generateTotpSecret();
+    const now = Date.now();
+    const step = timeStep(now);
+
+    expect(verifyTotp(secret, hotp(secret, step), 1, now)).toBe(step);
+    expect(verifyTotp(secret, hotp(secret, step - 1), 1, now)).toBe(step - 1);
+    expect(verifyTotp(secret, hotp(secret, step - 3), 1, now)).toBeNull();
+    expect(verifyTotp(secret, 'abcdef', 1, now)).toBeNull();
+  });
+
+  it('builds an otpauth URI authenticator apps understand', () => {
+    const url = otpauthUrl('SECRET', 'a@b.c', 'Secure Auth');
+    expect(url).toBe(
+      'otpauth://totp/Secure%20Auth%3Aa%40b.c?secret=SECRET&issuer=Secure+Auth&algorithm=SHA1&digits=6&period=30',
+    );
+  });
+});
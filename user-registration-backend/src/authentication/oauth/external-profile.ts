@@ -0,0 +1,10 @@
+/** The parts of a provider's profile we use, whichever provider it came from. */
+export interface ExternalProfile {
+  provider: string;
+  // The provider's stable account ID (`sub` for OIDC)
+  subject: string;
+  email?: string;
+  // Only a verified address is trusted to match an existing account
+  emailVerified: boolean;
+  name?: string;
+}
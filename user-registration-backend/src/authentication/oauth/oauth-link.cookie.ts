@@ -0,0 +1,45 @@
+import { ConfigService } from '@nestjs/config';
+import type { CookieOptions, Request, Response } from 'express';
+
+export const OAUTH_LINK_COOKIE = 'oauthLinkBrowser';
+const OAUTH_LINK_COOKIE_MAX_AGE_MS = 15 * 60 * 1000; // The link token's lifetime plus the time allowed at the provider
+
+function oauthLinkCookieAttributes(
+  configService: ConfigService,
+): CookieOptions {
+  const isProduction = configService.get<string>('NODE_ENV') === 'production';
+  return {
+    httpOnly: true,
+    // Set through XHR from the frontend's site, then sent along on the navigation to the provider and back
+    secure: isProduction,
+    sameSite: isProduction ? 'none' : 'lax',
+    path: '/authentication/oauth',
+  };
+}
+
+/**
+ * The key binding a link URL to the profile page that asked for it. The URL
+ * only carries its hash, so sending it to someone else cannot connect their
+ * provider account to yours.
+ */
+export function setOAuthLinkCookie(
+  res: Response,
+  browserKey: string,
+  configService: ConfigService,
+) {
+  res.cookie(OAUTH_LINK_COOKIE, browserKey, {
+    ...oauthLinkCookieAttributes(configService),
+    maxAge: OAUTH_LINK_COOKIE_MAX_AGE_MS,
+  });
+}
+
+export function clearOAuthLinkCookie(
+  res: Response,
+  configService: ConfigService,
+) {
+  res.clearCookie(OAUTH_LINK_COOKIE, oauthLinkCookieAttributes(configService));
+}
+
+export function readOAuthLinkCookie(req: Request): string | undefined {
+  return req.cookies?.[OAUTH_LINK_COOKIE] as string | undefined;
+}
@@ -0,0 +1,135 @@
+import {
+  Injectable,
+  Logger,
+  NotFoundException,
+  OnModuleInit,
+} from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import passport, { Strategy } from 'passport';
+import OAuth2Strategy from 'passport-oauth2';
+import { TokenService } from '../jwt/token.service';
+import { OAuthStateStore } from './oauth-state.store';
+import {
+  GOOGLE_ENDPOINTS,
+  OidcStrategy,
+  discoverOidcEndpoints,
+} from './strategies/oidc.strategy';
+import { GithubStrategy } from './strategies/github.strategy';
+
+/** What the login page needs to draw a button. */
+export interface OAuthProviderInfo {
+  id: string;
+  name: string;
+}
+
+interface ClientCredentials {
+  clientID: string;
+  clientSecret: string;
+}
+
+/**
+ * Registers a passport strategy for every provider with credentials in the
+ * environment: GOOGLE_*, GITHUB_* and a generic OIDC_* issuer (any OpenID
+ * Connect provider, such as Keycloak or a mock IdP for tests). Providers
+ * without credentials stay off and their routes answer 404.
+ */
+@Injectable()
+export class OAuthProviders implements OnModuleInit {
+  private readonly logger = new Logger(OAuthProviders.name);
+  private readonly enabled = new Map<string, OAuthProviderInfo>();
+
+  constructor(
+    private readonly tokenService: TokenService,
+    private readonly configService: ConfigService,
+  ) {}
+
+  async onModuleInit(): Promise<void> {
+    const google = this.credentials('GOOGLE');
+    if (google) {
+      this.register(
+        { id: 'google', name: 'Google' },
+        new OidcStrategy(
+          'google',
+          GOOGLE_ENDPOINTS,
+          this.options('google', google),
+        ),
+      );
+    }
+
+    const github = this.credentials('GITHUB');
+    if (github) {
+      this.register(
+        { id: 'github', name: 'GitHub' },
+        new GithubStrategy('github', this.options('github', github)),
+      );
+    }
+
+    const oidc = this.credentials('OIDC');
+    const issuer = this.configService.get<string>('OIDC_ISSUER');
+    if (oidc && issuer) {
+      try {
+        const endpoints = await discoverOidcEndpoints(issuer);
+        const name =
+          this.configService.get<string>('OIDC_NAME') || 'Single sign-on';
+        this.register(
+          { id: 'oidc', name },
+          new OidcStrategy('oidc', endpoints, this.options('oidc', oidc)),
+        );
+      } catch (error) {
+        // An unreachable identity provider must not keep everyone else from signing in
+        this.logger.error(
+          `Sign-in through ${issuer} is off`,
+          error instanceof Error ? error.stack : error,
+        );
+      }
+    }
+  }
+
+  list(): OAuthProviderInfo[] {
+    return [...this.enabled.values()];
+  }
+
+  get(id: string): OAuthProviderInfo {
+    const provider = this.enabled.get(id);
+    if (!provider) {
+      throw new NotFoundException('Unknown sign-in provider');
+    }
+    return provider;
+  }
+
+  /** Where the browser goes to start signing in with the provider. */
+  startUrl(id: string, query: Record<string, string> = {}): string {
+    const search = new URLSearchParams(query).toString();
+    return `${this.apiUrl()}/authentication/oauth/${id}${search ? `?${search}` : ''}`;
+  }
+
+  private register(info: OAuthProviderInfo, strategy: Strategy): void {
+    passport.use(info.id, strategy);
+    this.enabled.set(info.id, info);
+  }
+
+  private options(id: string, credentials: ClientCredentials) {
+    return {
+      ...credentials,
+      callbackURL: `${this.apiUrl()}/authentication/oauth/${id}/callback`,
+      // Giving a store turns on `state`, which PKCE requires; the typings only know the session-based signatures
+      pkce: true,
+      store: new OAuthStateStore(
+        this.tokenService,
+        this.configService,
+      ) as unknown as OAuth2Strategy.StateStore,
+    };
+  }
+
+  private credentials(prefix: string): ClientCredentials | undefined {
+    const clientID = this.configService.get<string>(`${prefix}_CLIENT_ID`);
+    const clientSecret = this.configService.get<string>(
+      `${prefix}_CLIENT_SECRET`,
+    );
+    return clientID && clientSecret ? { clientID, clientSecret } : undefined;
+  }
+
+  private apiUrl(): string {
+    return this.configService.get<string>('API_URL') || 'http://localhost:4000';
+  }
+}
@@ -0,0 +1,98 @@
+import { ConfigService } from '@nestjs/config';
+import type { CookieOptions, Request } from 'express';
+import { TokenService } from '../jwt/token.service';
+import { TokenType } from '../jwt/jwt.constants';
+import { randomToken } from '../crypto.util';
+
+export const OAUTH_STATE_COOKIE = 'oauthState';
+const OAUTH_STATE_TTL_SECONDS = 10 * 60; // Time allowed to get through the provider's sign-in page
+
+/** What we need to remember across the trip to the provider. */
+export interface OAuthFlowState {
+  // Set when a signed-in user connects the provider from their profile
+  linkUserId?: string;
+  // sha256 of the key in that browser's OAuth link cookie
+  linkBrowserHash?: string;
+}
+
+interface StoredState {
+  handle: string;
+  verifier: string;
+  state: OAuthFlowState;
+}
+
+type StoreCallback = (error: Error | null, handle?: string) => void;
+type VerifyCallback = (
+  error: Error | null,
+  verifier: string | false,
+  state?: OAuthFlowState | { message: string },
+) => void;
+
+/**
+ * State store for passport-oauth2 without server-side sessions: the `state`
+ * handle and the PKCE verifier travel in a short-lived signed cookie, and the
+ * callback is only accepted from the browser holding it (no login CSRF).
+ * passport-oauth2 picks the signatures by arity, keep the parameter lists as they are.
+ */
+export class OAuthStateStore {
+  constructor(
+    private readonly tokenService: TokenService,
+    private readonly configService: ConfigService,
+  ) {}
+
+  store(
+    req: Request,
+    verifier: string,
+    state: OAuthFlowState,
+    _meta: unknown,
+    callback: StoreCallback,
+  ): void {
+    const handle = randomToken();
+    const payload: StoredState = { handle, verifier, state: state ?? {} };
+    const cookie = this.tokenService.signInternalToken(
+      TokenType.OAuthState,
+      payload,
+      OAUTH_STATE_TTL_SECONDS,
+    );
+    req.res!.cookie(OAUTH_STATE_COOKIE, cookie, {
+      ...this.cookieOptions(),
+      maxAge: OAUTH_STATE_TTL_SECONDS * 1000,
+    });
+    callback(null, handle);
+  }
+
+  verify(req: Request, providedState: string, callback: VerifyCallback): void {
+    const cookie = req.cookies?.[OAUTH_STATE_COOKIE] as string | undefined;
+    // Single use, whatever the outcome
+    req.res?.clearCookie(OAUTH_STATE_COOKIE, this.cookieOptions());
+
+    let stored: StoredState | undefined;
+    try {
+      stored = cookie
+        ? this.tokenService.verifyInternalToken<StoredState>(
+            TokenType.OAuthState,
+            cookie,
+          )
+        : undefined;
+    } catch {
+      stored = undefined;
+    }
+    if (!stored || !providedState || stored.handle !== providedState) {
+      return callback(null, false, {
+        message:
+          'The sign-in took too long or was started in another browser. Please try again.',
+      });
+    }
+    callback(null, stored.verifier, stored.state);
+  }
+
+  private cookieOptions(): CookieOptions {
+    // Lax is enough: the provider sends the browser back with a top-level GET
+    return {
+      httpOnly: true,
+      secure: this.configService.get<string>('NODE_ENV') === 'production',
+      sameSite: 'lax',
+      path: '/authentication/oauth',
+    };
+  }
+}
@@ -0,0 +1,216 @@
+import {
+  Controller,
+  Delete,
+  Get,
+  HttpCode,
+  HttpException,
+  HttpStatus,
+  Logger,
+  Param,
+  Post,
+  Query,
+  Request,
+  Res,
+  UnauthorizedException,
+  UseGuards,
+} from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import type {
+  Request as ExpressRequest,
+  RequestHandler,
+  Response,
+} from 'express';
+import passport from 'passport';
+import { JwtAuthGuard } from '../jwt/jwt.guard';
+import { AuthenticatedRequest } from '../jwt/authenticated-request.interface';
+import { RateLimit } from '../../rate-limit/rate-limit.decorator';
+import { setRefreshCookie } from '../refresh-token.cookie';
+import { randomToken } from '../crypto.util';
+import { sessionContext } from '../sessions/session-context';
+import { AuditService } from '../audit/audit.service';
+import { Audit } from '../audit/audit.decorator';
+import { AuditEventType, AuditOutcome } from '../audit/audit-event-type.enum';
+import { OAuthService } from './oauth.service';
+import { OAuthProviders } from './oauth-providers';
+import { OAuthFlowState } from './oauth-state.store';
+import { ExternalProfile } from './external-profile';
+import {
+  clearOAuthLinkCookie,
+  readOAuthLinkCookie,
+  setOAuthLinkCookie,
+} from './oauth-link.cookie';
+
+/**
+ * The browser-facing half of social login. `:provider` and its callback are
+ * navigated to, not called with XHR, so they answer with redirects back to
+ * the React app (`?oauthLogin=`, `?oauthLinked=`, `?mfaToken=` or `?oauthError=`)
+ * and the session arrives as the usual refresh token cookie.
+ */
+@Controller('authentication/oauth')
+export class OAuthController {
+  private readonly logger = new Logger(OAuthController.name);
+
+  constructor(
+    private readonly oauthService: OAuthService,
+    private readonly providers: OAuthProviders,
+    private readonly auditService: AuditService,
+    private readonly configService: ConfigService,
+  ) {}
+
+  @Get('providers')
+  list() {
+    return this.providers.list();
+  }
+
+  @UseGuards(JwtAuthGuard)
+  @Get('identities')
+  identities(@Request() req: AuthenticatedRequest) {
+    return this.oauthService.list(req.user.sub);
+  }
+
+  @UseGuards(JwtAuthGuard)
+  @Delete('identities/:id')
+  @Audit(AuditEventType.IdentityUnlinked)
+  unlink(@Request() req: AuthenticatedRequest, @Param('id') id: string) {
+    return this.oauthService.unlink(req.user.sub, id);
+  }
+
+  @UseGuards(JwtAuthGuard)
+  @Post(':provider/link')
+  @HttpCode(HttpStatus.OK)
+  link(
+    @Request() req: AuthenticatedRequest,
+    @Param('provider') provider: string,
+    @Res({ passthrough: true }) res: Response,
+  ) {
+    const browserKey = randomToken();
+    const url = this.oauthService.linkUrl(req.user.sub, provider, browserKey);
+    setOAuthLinkCookie(res, browserKey, this.configService);
+    return { url };
+  }
+
+  @Get(':provider')
+  @RateLimit({ by: 'ip', limit: 30, windowSeconds: 15 * 60 })
+  async start(
+    @Param('provider') provider: string,
+    @Query('link') linkToken: string | undefined,
+    @Request() req: ExpressRequest,
+    @Res() res: Response,
+  ) {
+    try {
+      this.providers.get(provider);
+      const state: OAuthFlowState = linkToken
+        ? this.oauthService.verifyLinkToken(linkToken)
+        : {};
+      // Ends with the strategy redirecting to the provider
+      await authenticate(provider, req, res, { state });
+    } catch (error) {
+      this.fail(res, error);
+    }
+  }
+
+  @Get(':provider/callback')
+  @RateLimit({ by: 'ip', limit: 30, windowSeconds: 15 * 60 })
+  async callback(
+    @Param('provider') provider: string,
+    @Request() req: ExpressRequest,
+    @Res() res: Response,
+  ) {
+    const context = sessionContext(req);
+    let profile: ExternalProfile;
+    let state: OAuthFlowState;
+    try {
+      this.providers.get(provider);
+      ({ profile, state } = await authenticate(provider, req, res));
+    } catch (error) {
+      await this.auditService.record({
+        type: AuditEventType.Login,
+        outcome: AuditOutcome.Failure,
+        reason: 'oauth_failed',
+        context,
+        metadata: { method: 'oauth', provider },
+      });
+      return this.fail(res, error);
+    }
+
+    try {
+      if (state.linkUserId) {
+        const browserKey = readOAuthLinkCookie(req);
+        clearOAuthLinkCookie(res, this.configService);
+        await this.oauthService.link(state, browserKey, profile, context);
+        return res.redirect(
+          this.oauthService.frontendRedirect({ oauthLinked: provider }),
+        );
+      }
+      const result = await this.oauthService.signIn(profile, context);
+      if (result.mfaRequired) {
+        // No session yet: the React app asks for the code and completes the challenge at mfa/verify
+        return res.redirect(
+          this.oauthService.frontendRedirect({ mfaToken: result.mfaToken }),
+        );
+      }
+      setRefreshCookie(res, result.refreshToken, this.configService);
+      return res.redirect(
+        this.oauthService.frontendRedirect({ oauthLogin: provider }),
+      );
+    } catch (error) {
+      return this.fail(res, error);
+    }
+  }
+
+  /** Errors end up on the React app too; only our own messages are shown to the user. */
+  private fail(res: Response, error: unknown) {
+    if (!(error instanceof HttpException)) {
+      this.logger.error(
+        'Social sign-in failed',
+        error instanceof Error ? error.stack : error,
+      );
+    }
+    const message =
+      error instanceof HttpException
+        ? error.message
+        : 'Sign-in failed. Please try again.';
+    res.redirect(this.oauthService.frontendRedirect({ oauthError: message }));
+  }
+}
+
+/**
+ * Runs the provider's passport strategy. On the way out it redirects to the
+ * provider and never settles; on the way back it resolves with the profile
+ * and the state saved by OAuthStateStore.
+ */
+function authenticate(
+  provider: string,
+  req: ExpressRequest,
+  res: Response,
+  options: { state?: OAuthFlowState } = {},
+): Promise<{ profile: ExternalProfile; state: OAuthFlowState }> {
+  return new Promise((resolve, reject) => {
+    const callback = (
+      error: Error | null,
+      profile: ExternalProfile | false,
+      info?: { message?: string; state?: OAuthFlowState },
+    ) => {
+      if (error) {
+        return reject(error);
+      }
+      if (!profile) {
+        return reject(
+          new UnauthorizedException(info?.message || 'Sign-in was cancelled.'),
+        );
+      }
+      resolve({ profile, state: info?.state ?? {} });
+    };
+    // passport types `state` as a string; passport-oauth2 hands objects to the state store
+    const authenticateOptions = {
+      session: false,
+      ...options,
+    } as unknown as passport.AuthenticateOptions;
+    const handler = passport.authenticate(
+      provider,
+      authenticateOptions,
+      callback,
+    ) as RequestHandler;
+    handler(req, res, reject);
+  });
+}
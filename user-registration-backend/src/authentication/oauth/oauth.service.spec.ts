@@ -0,0 +1,290 @@
+import {
+  BadRequestException,
+  ConflictException,
+  NotFoundException,
+  UnauthorizedException,
+} from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { Model, Types } from 'mongoose';
+import { OAuthService } from './oauth.service';
+import { OAuthProviders } from './oauth-providers';
+import { ExternalProfile } from './external-profile';
+import { UserDocument } from '../schemas/user.schema';
+import { ExternalIdentityDocument } from '../schemas/external-identity.schema';
+import { WebAuthnCredentialDocument } from '../schemas/webauthn-credential.schema';
+import { AuthenticationService } from '../authentication.service';
+import { TokenService } from '../jwt/token.service';
+import { TokenType } from '../jwt/jwt.constants';
+import { AuditService } from '../audit/audit.service';
+import { AuditEventType } from '../audit/audit-event-type.enum';
+import { sha256 } from '../crypto.util';
+
+const exec = <T>(value: T) => ({ exec: jest.fn().mockResolvedValue(value) });
+
+const makeUser = (data: Record<string, any> = {}) => ({
+  _id: new Types.ObjectId(),
+  email: 'a@b.c',
+  emailVerified: true,
+  status: 'active',
+  ...data,
+});
+
+const profile = (data: Partial<ExternalProfile> = {}): ExternalProfile => ({
+  provider: 'github',
+  subject: '42',
+  email: 'a@b.c',
+  emailVerified: true,
+  name: 'Ada',
+  ...data,
+});
+
+describe('OAuthService', () => {
+  let service: OAuthService;
+  const userModel = {
+    findById: jest.fn(),
+    findOne: jest.fn(),
+    create: jest.fn(),
+  };
+  const identityModel = {
+    findOne: jest.fn(),
+    find: jest.fn(),
+    exists: jest.fn(),
+    countDocuments: jest.fn(),
+    create: jest.fn(),
+  };
+  const credentialModel = { countDocuments: jest.fn() };
+  const authService = { loginWithProvider: jest.fn() };
+  const providers = {
+    get: jest.fn((id: string) => ({ id, name: 'GitHub' })),
+    startUrl: jest.fn(
+      (id: string, query: Record<string, string>) =>
+        `http://api.test/authentication/oauth/${id}?link=${query.link}`,
+    ),
+  };
+  const tokenService = {
+    signInternalToken: jest.fn().mockReturnValue('link-token'),
+    verifyInternalToken: jest.fn(),
+  };
+  const auditService = { record: jest.fn() };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    identityModel.findOne.mockReturnValue(exec(null));
+    identityModel.exists.mockReturnValue(exec(null));
+    authService.loginWithProvider.mockResolvedValue({
+      accessToken: 'access-token',
+      refreshToken: 'refresh-token',
+    });
+    service = new OAuthService(
+      userModel as unknown as Model<UserDocument>,
+      identityModel as unknown as Model<ExternalIdentityDocument>,
+      credentialModel as unknown as Model<WebAuthnCredentialDocument>,
+      authService as unknown as AuthenticationService,
+      providers as unknown as OAuthProviders,
+      tokenService as unknown as TokenService,
+      auditService as unknown as AuditService,
+      { get: () => 'http://app.test' } as unknown as ConfigService,
+    );
+  });
+
+  describe('signIn', () => {
+    it('signs in the owner of an identity seen before', async () => {
+      const user = makeUser();
+      const identity = { userId: user._id, save: jest.fn() };
+      identityModel.findOne.mockReturnValue(exec(identity));
+      userModel.findById.mockReturnValue(exec(user));
+
+      await expect(
+        service.signIn(profile(), { ip: '203.0.113.7' }),
+      ).resolves.toMatchObject({ accessToken: 'access-token' });
+
+      expect(authService.loginWithProvider).toHaveBeenCalledWith(
+        user,
+        'github',
+        { ip: '203.0.113.7' },
+      );
+      expect(identity.save).toHaveBeenCalled();
+      expect(userModel.create).not.toHaveBeenCalled();
+    });
+
+    it('links to the account with the same address when both sides verified it', async () => {
+      const user = makeUser();
+      userModel.findOne.mockReturnValue(exec(user));
+
+      await service.signIn(profile());
+
+      expect(identityModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: user._id,
+          provider: 'github',
+          subject: '42',
+        }),
+      );
+      expect(auditService.record).toHaveBeenCalledWith(
+        expect.objectContaining({ type: AuditEventType.IdentityLinked }),
+      );
+      expect(authService.loginWithProvider).toHaveBeenCalledWith(
+        user,
+        'github',
+        {},
+      );
+    });
+
+    it('refuses to take over an account whose owner has not verified the address', async () => {
+      userModel.findOne.mockReturnValue(
+        exec(makeUser({ emailVerified: false })),
+      );
+
+      await expect(service.signIn(profile())).rejects.toBeInstanceOf(
+        ConflictException,
+      );
+
+      expect(identityModel.create).not.toHaveBeenCalled();
+      expect(authService.loginWithProvider).not.toHaveBeenCalled();
+      expect(auditService.record).toHaveBeenCalledWith(
+        expect.objectContaining({ reason: 'email_in_use' }),
+      );
+    });
+
+    it.each([
+      ['an existing', makeUser()],
+      ['a new', null],
+    ])(
+      'refuses an address the provider has not verified for %s account',
+      async (_kind, user) => {
+        userModel.findOne.mockReturnValue(exec(user));
+
+        await expect(
+          service.signIn(profile({ emailVerified: false })),
+        ).rejects.toBeInstanceOf(BadRequestException);
+
+        expect(userModel.create).not.toHaveBeenCalled();
+        expect(identityModel.create).not.toHaveBeenCalled();
+        expect(authService.loginWithProvider).not.toHaveBeenCalled();
+        expect(auditService.record).toHaveBeenCalledWith(
+          expect.objectContaining({ reason: 'email_unverified' }),
+        );
+      },
+    );
+
+    it('creates a verified, password-less account for a new address', async () => {
+      userModel.findOne.mockReturnValue(exec(null));
+      const user = makeUser();
+      userModel.create.mockResolvedValue(user);
+
+      await service.signIn(profile());
+
+      expect(userModel.create).toHaveBeenCalledWith({
+        email: 'a@b.c',
+        name: 'Ada',
+        emailVerified: true,
+      });
+      expect(auditService.record).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: AuditEventType.Registered,
+          metadata: { provider: 'github' },
+        }),
+      );
+    });
+
+    it('needs an email address to create an account', async () => {
+      await expect(
+        service.signIn(profile({ email: undefined })),
+      ).rejects.toBeInstanceOf(BadRequestException);
+      expect(userModel.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('link', () => {
+    const linkState = (user: { _id: Types.ObjectId }) => ({
+      linkUserId: String(user._id),
+      linkBrowserHash: sha256('browser-key'),
+    });
+
+    it('connects the identity to the signed-in user', async () => {
+      const user = makeUser();
+      userModel.findById.mockReturnValue(exec(user));
+
+      await service.link(linkState(user), 'browser-key', profile());
+
+      expect(identityModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: user._id, subject: '42' }),
+      );
+    });
+
+    it.each([
+      ['without the link cookie', undefined],
+      ['with another browser key', 'other-key'],
+    ])('refuses a link finished %s', async (_case, browserKey) => {
+      const user = makeUser();
+      userModel.findById.mockReturnValue(exec(user));
+
+      await expect(
+        service.link(linkState(user), browserKey, profile()),
+      ).rejects.toBeInstanceOf(UnauthorizedException);
+      expect(identityModel.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses an identity that belongs to someone else', async () => {
+      const user = makeUser();
+      userModel.findById.mockReturnValue(exec(user));
+      identityModel.findOne.mockReturnValue(
+        exec({ userId: new Types.ObjectId() }),
+      );
+
+      await expect(
+        service.link(linkState(user), 'browser-key', profile()),
+      ).rejects.toBeInstanceOf(ConflictException);
+      expect(identityModel.create).not.toHaveBeenCalled();
+    });
+
+    it('hands out a short-lived URL bound to the browser', () => {
+      expect(service.linkUrl('user-1', 'github', 'browser-key')).toBe(
+        'http://api.test/authentication/oauth/github?link=link-token',
+      );
+      expect(tokenService.signInternalToken).toHaveBeenCalledWith(
+        TokenType.OAuthLink,
+        { sub: 'user-1', bh: sha256('browser-key') },
+        expect.any(Number),
+      );
+    });
+  });
+
+  describe('unlink', () => {
+    const userId = String(new Types.ObjectId());
+    const identity = { _id: new Types.ObjectId(), deleteOne: jest.fn() };
+
+    beforeEach(() => {
+      identityModel.findOne.mockReturnValue(exec(identity));
+      identityModel.countDocuments.mockReturnValue(exec(0));
+      credentialModel.countDocuments.mockReturnValue(exec(0));
+    });
+
+    it('keeps the only way into a password-less account', async () => {
+      userModel.findById.mockReturnValue(exec(makeUser()));
+
+      await expect(
+        service.unlink(userId, String(identity._id)),
+      ).rejects.toBeInstanceOf(BadRequestException);
+      expect(identity.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('removes the identity when the user can still sign in another way', async () => {
+      userModel.findById.mockReturnValue(
+        exec(makeUser({ passwordHash: 'hash' })),
+      );
+
+      await service.unlink(userId, String(identity._id));
+
+      expect(identity.deleteOne).toHaveBeenCalled();
+    });
+
+    it('only finds identities of the user', async () => {
+      identityModel.findOne.mockReturnValue(exec(null));
+
+      await expect(service.unlink(userId, 'not-an-id')).rejects.toBeInstanceOf(
+        NotFoundException,
+      );
+    });
+  });
+});
@@ -0,0 +1,307 @@
+import {
+  BadRequestException,
+  ConflictException,
+  Injectable,
+  NotFoundException,
+  UnauthorizedException,
+} from '@nestjs/common';
+import { InjectModel } from '@nestjs/mongoose';
+import { ConfigService } from '@nestjs/config';
+import { isValidObjectId, Model, Types } from 'mongoose';
+import { User, UserDocument } from '../schemas/user.schema';
+import {
+  ExternalIdentity,
+  ExternalIdentityDocument,
+} from '../schemas/external-identity.schema';
+import {
+  WebAuthnCredential,
+  WebAuthnCredentialDocument,
+} from '../schemas/webauthn-credential.schema';
+import { AuthenticationService, SignInResult } from '../authentication.service';
+import { TokenService } from '../jwt/token.service';
+import { TokenType } from '../jwt/jwt.constants';
+import { SessionContext } from '../sessions/session-context';
+import { AccountStatus } from '../account/account-status.enum';
+import { AuditService } from '../audit/audit.service';
+import { AuditEventType, AuditOutcome } from '../audit/audit-event-type.enum';
+import { sha256 } from '../crypto.util';
+import { OAuthProviders } from './oauth-providers';
+import { OAuthFlowState } from './oauth-state.store';
+import { ExternalProfile } from './external-profile';
+
+const LINK_TOKEN_TTL_SECONDS = 5 * 60; // Only has to survive the redirect to the provider's consent page
+
+interface LinkPayload {
+  sub: string;
+  // sha256 of the browser key in the OAuth link cookie
+  bh: string;
+}
+
+/**
+ * Signs users in with Google, GitHub or an OIDC provider and manages the
+ * identities linked to an account. An identity belongs to exactly one user,
+ * and only an address the provider has verified can create or join an account.
+ */
+@Injectable()
+export class OAuthService {
+  constructor(
+    @InjectModel(User.name) private userModel: Model<UserDocument>,
+    @InjectModel(ExternalIdentity.name)
+    private identityModel: Model<ExternalIdentityDocument>,
+    @InjectModel(WebAuthnCredential.name)
+    private credentialModel: Model<WebAuthnCredentialDocument>,
+    private readonly authService: AuthenticationService,
+    private readonly providers: OAuthProviders,
+    private readonly tokenService: TokenService,
+    private readonly auditService: AuditService,
+    private readonly configService: ConfigService,
+  ) {}
+
+  /**
+   * Signs in the owner of the identity, linking it first to the account with
+   * the same verified email, or to a new account when there is none. Answers
+   * like `loginUser`: a session, or a two-factor challenge.
+   */
+  async signIn(
+    profile: ExternalProfile,
+    context: SessionContext = {},
+  ): Promise<SignInResult> {
+    const identity = await this.identityModel
+      .findOne({ provider: profile.provider, subject: profile.subject })
+      .exec();
+    let user: UserDocument | null;
+    if (identity) {
+      user = await this.userModel.findById(identity.userId).exec();
+      identity.email = profile.email;
+      identity.lastUsedAt = new Date();
+      await identity.save();
+    } else {
+      user = await this.accountFor(profile, context);
+    }
+    if (!user) {
+      throw new UnauthorizedException('Invalid credentials');
+    }
+    return this.authService.loginWithProvider(user, profile.provider, context);
+  }
+
+  /**
+   * Links the identity to a signed-in user, who started from their profile in
+   * this browser. `browserKey` comes from the cookie set by `linkUrl`'s caller.
+   */
+  async link(
+    state: OAuthFlowState,
+    browserKey: string | undefined,
+    profile: ExternalProfile,
+    context: SessionContext = {},
+  ): Promise<void> {
+    const { name } = this.providers.get(profile.provider);
+    // Otherwise a link URL sent to someone else would connect their provider account to the sender's
+    if (!browserKey || sha256(browserKey) !== state.linkBrowserHash) {
+      throw new UnauthorizedException(
+        `Connect ${name} from your profile in this browser.`,
+      );
+    }
+    const userId = state.linkUserId!;
+    const user = await this.userModel.findById(userId).exec();
+    if (!user || user.status !== AccountStatus.Active) {
+      throw new UnauthorizedException('Please sign in again');
+    }
+
+    const existing = await this.identityModel
+      .findOne({ provider: profile.provider, subject: profile.subject })
+      .exec();
+    if (existing && !existing.userId.equals(user._id as Types.ObjectId)) {
+      throw new ConflictException(
+        `This ${name} account is already connected to another user.`,
+      );
+    }
+    if (
+      !existing &&
+      (await this.identityModel
+        .exists({ userId: user._id, provider: profile.provider })
+        .exec())
+    ) {
+      throw new ConflictException(
+        `Another ${name} account is already connected. Disconnect it first.`,
+      );
+    }
+
+    if (existing) {
+      existing.email = profile.email;
+      await existing.save();
+      return;
+    }
+    await this.identityModel.create({
+      userId: user._id,
+      provider: profile.provider,
+      subject: profile.subject,
+      email: profile.email,
+    });
+    await this.auditService.record({
+      type: AuditEventType.IdentityLinked,
+      actorId: userId,
+      context,
+      metadata: { provider: profile.provider },
+    });
+  }
+
+  /**
+   * The browser cannot carry the access token through a redirect, so linking
+   * starts from a short-lived signed URL, only good in the browser holding `browserKey`.
+   */
+  linkUrl(userId: string, provider: string, browserKey: string): string {
+    this.providers.get(provider);
+    const payload: LinkPayload = { sub: userId, bh: sha256(browserKey) };
+    const token = this.tokenService.signInternalToken(
+      TokenType.OAuthLink,
+      payload,
+      LINK_TOKEN_TTL_SECONDS,
+    );
+    return this.providers.startUrl(provider, { link: token });
+  }
+
+  /** What to remember across the trip to the provider for a link token from `linkUrl`. */
+  verifyLinkToken(token: string): OAuthFlowState {
+    const { sub, bh } = this.tokenService.verifyInternalToken<LinkPayload>(
+      TokenType.OAuthLink,
+      token,
+      'The link has expired, please try again from your profile',
+    );
+    return { linkUserId: sub, linkBrowserHash: bh };
+  }
+
+  async list(userId: string) {
+    const identities = await this.identityModel
+      .find({ userId: new Types.ObjectId(userId) })
+      .sort({ createdAt: 1 })
+      .exec();
+    return identities.map((identity) => ({
+      id: String(identity._id),
+      provider: identity.provider,
+      email: identity.email,
+      createdAt: (identity as { createdAt?: Date }).createdAt,
+      lastUsedAt: identity.lastUsedAt,
+    }));
+  }
+
+  async unlink(userId: string, id: string): Promise<void> {
+    const owner = new Types.ObjectId(userId);
+    const identity = isValidObjectId(id)
+      ? await this.identityModel.findOne({ _id: id, userId: owner }).exec()
+      : null;
+    if (!identity) {
+      throw new NotFoundException('Linked account not found');
+    }
+
+    // Never leave an account nobody can sign in to
+    const user = await this.userModel.findById(userId).exec();
+    const otherIdentities = await this.identityModel
+      .countDocuments({ userId: owner, _id: { $ne: identity._id } })
+      .exec();
+    const passkeys = await this.credentialModel
+      .countDocuments({ userId: owner })
+      .exec();
+    if (!user?.passwordHash && otherIdentities === 0 && passkeys === 0) {
+      throw new BadRequestException(
+        'This is your only way to sign in. Set a password before disconnecting it.',
+      );
+    }
+    await identity.deleteOne();
+  }
+
+  /** Where to send the browser back to on the React app once the provider is done. */
+  frontendRedirect(query: Record<string, string>): string {
+    return `${this.frontendUrl()}/?${new URLSearchParams(query).toString()}`;
+  }
+
+  private async accountFor(
+    profile: ExternalProfile,
+    context: SessionContext,
+  ): Promise<UserDocument> {
+    const { name } = this.providers.get(profile.provider);
+    if (!profile.email) {
+      await this.refuse('email_missing', profile, context);
+      throw new BadRequestException(
+        `${name} did not share an email address with us.`,
+      );
+    }
+    // Otherwise anyone could claim an address at the provider, get an account for it
+    // and keep their identity linked after the real owner resets the password
+    if (!profile.emailVerified) {
+      await this.refuse('email_unverified', profile, context);
+      throw new BadRequestException(
+        `Verify ${profile.email} with ${name} first, then try again.`,
+      );
+    }
+
+    const existing = await this.userModel
+      .findOne({ email: profile.email })
+      .exec();
+    if (existing) {
+      if (!existing.emailVerified) {
+        await this.refuse('email_in_use', profile, context, existing);
+        throw new ConflictException(
+          `An account already uses ${profile.email}. Sign in to it and connect ${name} from your profile.`,
+        );
+      }
+      await this.identityModel.create({
+        userId: existing._id,
+        provider: profile.provider,
+        subject: profile.subject,
+        email: profile.email,
+        lastUsedAt: new Date(),
+      });
+      await this.auditService.record({
+        type: AuditEventType.IdentityLinked,
+        actorId: String(existing._id),
+        context,
+        metadata: { provider: profile.provider, byEmail: true },
+      });
+      return existing;
+    }
+
+    const user = await this.userModel.create({
+      email: profile.email,
+      name: profile.name,
+      emailVerified: true,
+    });
+    await this.identityModel.create({
+      userId: user._id,
+      provider: profile.provider,
+      subject: profile.subject,
+      email: profile.email,
+      lastUsedAt: new Date(),
+    });
+    await this.auditService.record({
+      type: AuditEventType.Registered,
+      actorId: String(user._id),
+      email: user.email,
+      context,
+      metadata: { provider: profile.provider },
+    });
+    return user;
+  }
+
+  private async refuse(
+    reason: string,
+    profile: ExternalProfile,
+    context: SessionContext,
+    user?: UserDocument,
+  ): Promise<void> {
+    await this.auditService.record({
+      type: AuditEventType.Login,
+      outcome: AuditOutcome.Failure,
+      reason,
+      actorId: user && String(user._id),
+      email: profile.email,
+      context,
+      metadata: { method: 'oauth', provider: profile.provider },
+    });
+  }
+
+  private frontendUrl(): string {
+    return (
+      this.configService.get<string>('FRONTEND_URL') || 'http://localhost:5173'
+    );
+  }
+}
@@ -0,0 +1,47 @@
+import {
+  Profile,
+  Strategy as GitHubStrategy,
+  StrategyOptions,
+} from 'passport-github2';
+import OAuth2Strategy from 'passport-oauth2';
+import { ExternalProfile } from '../external-profile';
+
+interface GitHubEmail {
+  value: string;
+  primary?: boolean;
+  verified?: boolean;
+}
+
+/** GitHub speaks plain OAuth 2.0, so the email (and whether it is verified) comes from its emails API. */
+export class GithubStrategy extends GitHubStrategy {
+  constructor(name: string, options: Omit<StrategyOptions, 'allRawEmails'>) {
+    super(
+      { scope: ['read:user', 'user:email'], ...options, allRawEmails: true },
+      (
+        _accessToken: string,
+        _refreshToken: string,
+        profile: Profile,
+        done: OAuth2Strategy.VerifyCallback,
+      ) => done(null, toExternalProfile(name, profile)),
+    );
+    this.name = name;
+  }
+}
+
+function toExternalProfile(
+  provider: string,
+  profile: Profile,
+): ExternalProfile {
+  const emails = (profile.emails ?? []) as GitHubEmail[];
+  const email =
+    emails.find((candidate) => candidate.primary) ??
+    emails.find((candidate) => candidate.verified) ??
+    emails[0];
+  return {
+    provider,
+    subject: String(profile.id),
+    email: email?.value.toLowerCase(),
+    emailVerified: !!email?.verified,
+    name: profile.displayName || profile.username,
+  };
+}
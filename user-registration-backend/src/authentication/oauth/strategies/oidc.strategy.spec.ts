@@ -0,0 +1,185 @@
+import { createServer, IncomingMessage, Server, ServerResponse } from 'http';
+import { AddressInfo } from 'net';
+import { createHash } from 'crypto';
+import { ConfigService } from '@nestjs/config';
+import { JwtService } from '@nestjs/jwt';
+import type { Request } from 'express';
+import OAuth2Strategy from 'passport-oauth2';
+import { OidcStrategy, discoverOidcEndpoints } from './oidc.strategy';
+import { OAUTH_STATE_COOKIE, OAuthStateStore } from '../oauth-state.store';
+import { TokenService } from '../../jwt/token.service';
+import { SigningKeyService } from '../../jwt/signing-key.service';
+
+const readBody = (req: IncomingMessage) =>
+  new Promise<URLSearchParams>((resolve) => {
+    let body = '';
+    req.on('data', (chunk: Buffer) => (body += chunk.toString()));
+    req.on('end', () => resolve(new URLSearchParams(body)));
+  });
+
+/** A local identity provider: discovery, a token endpoint that checks PKCE, and userinfo. */
+const startMockIdp = async () => {
+  const idp = { issuer: '', codeChallenge: '' };
+  const handle = async (req: IncomingMessage, res: ServerResponse) => {
+    const json = (status: number, body: unknown) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    if (req.url === '/.well-known/openid-configuration') {
+      return json(200, {
+        issuer: idp.issuer,
+        authorization_endpoint: `${idp.issuer}/authorize`,
+        token_endpoint: `${idp.issuer}/token`,
+        userinfo_endpoint: `${idp.issuer}/userinfo`,
+      });
+    }
+    if (req.url === '/token' && req.method === 'POST') {
+      const params = await readBody(req);
+      const challenge = createHash('sha256')
+        .update(params.get('code_verifier') ?? '')
+        .digest('base64url');
+      if (params.get('code') !== 'code-1' || challenge !== idp.codeChallenge) {
+        return json(400, { error: 'invalid_grant' });
+      }
+      return json(200, {
+        access_token: 'idp-access-token',
+        token_type: 'Bearer',
+      });
+    }
+    if (
+      req.url === '/userinfo' &&
+      req.headers.authorization === 'Bearer idp-access-token'
+    ) {
+      return json(200, {
+        sub: 'user-123',
+        email: 'Ada@Example.com',
+        email_verified: 'true',
+        name: 'Ada',
+      });
+    }
+    json(404, {});
+  };
+  const server = createServer((req, res) => void handle(req, res));
+  await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+  idp.issuer = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  return { idp, server };
+};
+
+type Outcome = {
+  redirect?: string;
+  user?: unknown;
+  info?: { state?: unknown };
+  failure?: { message?: string };
+  error?: unknown;
+};
+
+/** Runs one step of the strategy, the way passport would. */
+const run = (
+  strategy: OAuth2Strategy,
+  req: Record<string, unknown>,
+  options: Record<string, unknown> = {},
+) =>
+  new Promise<Outcome>((resolve) => {
+    const step = Object.create(strategy) as OAuth2Strategy;
+    step.redirect = (redirect: string) => resolve({ redirect });
+    step.success = (user: unknown, info: Outcome['info']) =>
+      resolve({ user, info });
+    step.fail = (failure: Outcome['failure']) => resolve({ failure });
+    step.error = (error: unknown) => resolve({ error });
+    step.authenticate(req as unknown as Request, options);
+  });
+
+describe('OidcStrategy', () => {
+  let server: Server;
+  let idp: { issuer: string; codeChallenge: string };
+  let strategy: OidcStrategy;
+
+  beforeAll(async () => {
+    ({ server, idp } = await startMockIdp());
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(async () => {
+    const configService = {
+      get: (key: string) => ({ JWT_REFRESH_SECRET: 'test-secret' })[key],
+    } as unknown as ConfigService;
+    const tokenService = new TokenService(
+      new JwtService(),
+      {} as SigningKeyService,
+      configService,
+    );
+    const endpoints = await discoverOidcEndpoints(idp.issuer);
+    strategy = new OidcStrategy('oidc', endpoints, {
+      clientID: 'client-1',
+      clientSecret: 'secret-1',
+      callbackURL: 'http://api.test/authentication/oauth/oidc/callback',
+      pkce: true,
+      store: new OAuthStateStore(
+        tokenService,
+        configService,
+      ) as unknown as OAuth2Strategy.StateStore,
+    });
+  });
+
+  /** Sends the browser to the provider and returns what it brings back. */
+  const startSignIn = async (state = {}) => {
+    const cookie = jest.fn<void, [string, string, object]>();
+    const { redirect } = await run(
+      strategy,
+      { query: {}, res: { cookie } },
+      { state },
+    );
+    const authorizeUrl = new URL(redirect!);
+    idp.codeChallenge = authorizeUrl.searchParams.get('code_challenge')!;
+    return { authorizeUrl, stateCookie: cookie.mock.calls[0][1] };
+  };
+
+  it('reads the endpoints from the discovery document', async () => {
+    await expect(discoverOidcEndpoints(`${idp.issuer}/`)).resolves.toEqual({
+      authorizationURL: `${idp.issuer}/authorize`,
+      tokenURL: `${idp.issuer}/token`,
+      userInfoURL: `${idp.issuer}/userinfo`,
+    });
+    await expect(discoverOidcEndpoints('http://127.0.0.1:1')).rejects.toThrow();
+  });
+
+  it('signs in through the provider with state and PKCE', async () => {
+    const { authorizeUrl, stateCookie } = await startSignIn({
+      linkUserId: 'user-1',
+    });
+    expect(authorizeUrl.origin + authorizeUrl.pathname).toBe(
+      `${idp.issuer}/authorize`,
+    );
+    expect(authorizeUrl.searchParams.get('scope')).toBe('openid email profile');
+    expect(authorizeUrl.searchParams.get('code_challenge_method')).toBe('S256');
+
+    const outcome = await run(strategy, {
+      query: { code: 'code-1', state: authorizeUrl.searchParams.get('state') },
+      cookies: { [OAUTH_STATE_COOKIE]: stateCookie },
+      res: { clearCookie: jest.fn() },
+    });
+
+    expect(outcome.user).toEqual({
+      provider: 'oidc',
+      subject: 'user-123',
+      email: 'ada@example.com',
+      emailVerified: true,
+      name: 'Ada',
+    });
+    expect(outcome.info?.state).toEqual({ linkUserId: 'user-1' });
+  });
+
+  it('rejects a callback from a browser that did not start the sign-in', async () => {
+    const { authorizeUrl } = await startSignIn();
+
+    const outcome = await run(strategy, {
+      query: { code: 'code-1', state: authorizeUrl.searchParams.get('state') },
+      cookies: {},
+      res: { clearCookie: jest.fn() },
+    });
+
+    expect(outcome.user).toBeUndefined();
+    expect(outcome.failure?.message).toMatch(/try again/);
+  });
+});
@@ -0,0 +1,125 @@
+import OAuth2Strategy, {
+  InternalOAuthError,
+  StrategyOptions,
+} from 'passport-oauth2';
+import { ExternalProfile } from '../external-profile';
+
+export interface OidcEndpoints {
+  authorizationURL: string;
+  tokenURL: string;
+  userInfoURL: string;
+}
+
+// Google is an OIDC provider; knowing its endpoints saves a discovery request on every start
+export const GOOGLE_ENDPOINTS: OidcEndpoints = {
+  authorizationURL: 'https://accounts.google.com/o/oauth2/v2/auth',
+  tokenURL: 'https://oauth2.googleapis.com/token',
+  userInfoURL: 'https://openidconnect.googleapis.com/v1/userinfo',
+};
+
+/** Reads the endpoints from the issuer's `.well-known/openid-configuration`. */
+export async function discoverOidcEndpoints(
+  issuer: string,
+): Promise<OidcEndpoints> {
+  const url = `${issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`;
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`OIDC discovery at ${url} answered ${response.status}`);
+  }
+  const document = (await response.json()) as Record<string, unknown>;
+  if (
+    String(document.issuer).replace(/\/+$/, '') !== issuer.replace(/\/+$/, '')
+  ) {
+    throw new Error(
+      `OIDC discovery at ${url} is for another issuer (${String(document.issuer)})`,
+    );
+  }
+  const { authorization_endpoint, token_endpoint, userinfo_endpoint } =
+    document;
+  if (
+    typeof authorization_endpoint !== 'string' ||
+    typeof token_endpoint !== 'string' ||
+    typeof userinfo_endpoint !== 'string'
+  ) {
+    throw new Error(
+      `OIDC discovery at ${url} is missing the authorization, token or userinfo endpoint`,
+    );
+  }
+  return {
+    authorizationURL: authorization_endpoint,
+    tokenURL: token_endpoint,
+    userInfoURL: userinfo_endpoint,
+  };
+}
+
+export type OidcStrategyOptions = Omit<
+  StrategyOptions,
+  'authorizationURL' | 'tokenURL'
+>;
+
+/**
+ * Authorization code flow against any OpenID Connect provider. The identity
+ * comes from the userinfo endpoint, called with the access token the token
+ * endpoint just handed us over TLS, so the ID token itself is not checked.
+ */
+export class OidcStrategy extends OAuth2Strategy {
+  private readonly userInfoURL: string;
+
+  constructor(
+    name: string,
+    endpoints: OidcEndpoints,
+    options: OidcStrategyOptions,
+  ) {
+    super(
+      {
+        scope: ['openid', 'email', 'profile'],
+        ...options,
+        authorizationURL: endpoints.authorizationURL,
+        tokenURL: endpoints.tokenURL,
+      },
+      (
+        _accessToken: string,
+        _refreshToken: string,
+        profile: ExternalProfile,
+        done: OAuth2Strategy.VerifyCallback,
+      ) => done(null, profile),
+    );
+    this.name = name;
+    this.userInfoURL = endpoints.userInfoURL;
+    this._oauth2.useAuthorizationHeaderforGET(true);
+  }
+
+  userProfile(
+    accessToken: string,
+    done: (error?: unknown, profile?: ExternalProfile) => void,
+  ): void {
+    this._oauth2.get(this.userInfoURL, accessToken, (error, body) => {
+      if (error) {
+        return done(
+          new InternalOAuthError('Failed to fetch the user profile', error),
+        );
+      }
+      let claims: Record<string, unknown>;
+      try {
+        claims = JSON.parse(String(body)) as Record<string, unknown>;
+      } catch {
+        return done(new Error('Failed to parse the user profile'));
+      }
+      if (typeof claims.sub !== 'string' || !claims.sub) {
+        return done(new Error('The user profile has no subject'));
+      }
+      done(null, {
+        provider: this.name,
+        subject: claims.sub,
+        email:
+          typeof claims.email === 'string'
+            ? claims.email.toLowerCase()
+            : undefined,
+        // Some providers send the claim as a string
+        emailVerified:
+          claims.email_verified === true || claims.email_verified === 'true',
+        name: typeof claims.name === 'string' ? claims.name : undefined,
+      });
+    });
+  }
+}
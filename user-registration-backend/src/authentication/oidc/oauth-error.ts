@@ -0,0 +1,12 @@
+import { HttpException, HttpStatus } from '@nestjs/common';
+
+/** An error answered in the RFC 6749 format (`error`, `error_description`) that OAuth clients expect. */
+export class OAuthError extends HttpException {
+  constructor(
+    readonly error: string,
+    readonly description: string,
+    status: HttpStatus = HttpStatus.BAD_REQUEST,
+  ) {
+    super({ error, error_description: description }, status);
+  }
+}
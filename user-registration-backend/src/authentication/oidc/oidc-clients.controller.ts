@@ -0,0 +1,46 @@
+import {
+  Body,
+  Controller,
+  Delete,
+  Get,
+  Param,
+  Post,
+  Request,
+  UseGuards,
+} from '@nestjs/common';
+import { JwtAuthGuard } from '../jwt/jwt.guard';
+import { AuthenticatedRequest } from '../jwt/authenticated-request.interface';
+import { PermissionsGuard } from '../permissions/permissions.guard';
+import { RequirePermissions } from '../permissions/permissions.decorator';
+import { Permission } from '../permissions/permission.enum';
+import { Audit } from '../audit/audit.decorator';
+import { AuditEventType } from '../audit/audit-event-type.enum';
+import { CreateOAuthClientDto } from '../dto/create-oauth-client.dto';
+import { OidcClientsService } from './oidc-clients.service';
+
+@UseGuards(JwtAuthGuard, PermissionsGuard)
+@RequirePermissions(Permission.ClientsManage)
+@Controller('authentication/oidc/clients')
+export class OidcClientsController {
+  constructor(private readonly clientsService: OidcClientsService) {}
+
+  @Get()
+  list() {
+    return this.clientsService.list();
+  }
+
+  @Post()
+  @Audit(AuditEventType.AdminClientCreated)
+  create(
+    @Request() req: AuthenticatedRequest,
+    @Body() dto: CreateOAuthClientDto,
+  ) {
+    return this.clientsService.create(dto, req.user.sub);
+  }
+
+  @Delete(':id')
+  @Audit(AuditEventType.AdminClientDeleted)
+  remove(@Param('id') id: string) {
+    return this.clientsService.remove(id);
+  }
+}
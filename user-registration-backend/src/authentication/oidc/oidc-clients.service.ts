@@ -0,0 +1,133 @@
+import { Injectable, NotFoundException } from '@nestjs/common';
+import { InjectModel } from '@nestjs/mongoose';
+import { isValidObjectId, Model, Types } from 'mongoose';
+import { randomBytes } from 'crypto';
+import {
+  OAuthClient,
+  OAuthClientDocument,
+} from '../schemas/oauth-client.schema';
+import {
+  OAuthConsent,
+  OAuthConsentDocument,
+} from '../schemas/oauth-consent.schema';
+import {
+  AuthorizationCode,
+  AuthorizationCodeDocument,
+} from '../schemas/authorization-code.schema';
+import { CreateOAuthClientDto } from '../dto/create-oauth-client.dto';
+import { randomToken, sha256 } from '../crypto.util';
+import { OAuthError } from './oauth-error';
+
+/** The apps allowed to sign users in through us, registered by administrators. */
+@Injectable()
+export class OidcClientsService {
+  constructor(
+    @InjectModel(OAuthClient.name)
+    private clientModel: Model<OAuthClientDocument>,
+    @InjectModel(OAuthConsent.name)
+    private consentModel: Model<OAuthConsentDocument>,
+    @InjectModel(AuthorizationCode.name)
+    private codeModel: Model<AuthorizationCodeDocument>,
+  ) {}
+
+  /** Registers an app. The secret is only ever returned here. */
+  async create(dto: CreateOAuthClientDto, createdBy: string) {
+    const clientSecret = dto.confidential === false ? undefined : randomToken();
+    const client = await this.clientModel.create({
+      clientId: randomBytes(16).toString('hex'),
+      clientSecretHash: clientSecret && sha256(clientSecret),
+      name: dto.name,
+      redirectUris: dto.redirectUris,
+      createdBy: new Types.ObjectId(createdBy),
+    });
+    return { ...toView(client), clientSecret };
+  }
+
+  async list() {
+    const clients = await this.clientModel
+      .find()
+      .select('+clientSecretHash')
+      .sort({ createdAt: -1 })
+      .exec();
+    return clients.map(toView);
+  }
+
+  /** Removes the app along with every consent given to it; tokens it already holds expire on their own. */
+  async remove(id: string): Promise<void> {
+    const client = isValidObjectId(id)
+      ? await this.clientModel.findById(id).exec()
+      : null;
+    if (!client) {
+      throw new NotFoundException('Application not found');
+    }
+    await this.consentModel.deleteMany({ client: client._id }).exec();
+    await this.codeModel.deleteMany({ clientId: client.clientId }).exec();
+    await client.deleteOne();
+  }
+
+  async findByClientId(clientId?: string): Promise<OAuthClientDocument | null> {
+    if (typeof clientId !== 'string' || !clientId) return null;
+    return this.clientModel
+      .findOne({ clientId })
+      .select('+clientSecretHash')
+      .exec();
+  }
+
+  /**
+   * Checks the credentials sent to the token endpoint, either as HTTP Basic
+   * (client_secret_basic) or in the body (client_secret_post). Public
+   * clients only send their client_id.
+   */
+  async authenticate(
+    authorization: string | undefined,
+    body: { client_id?: string; client_secret?: string },
+  ): Promise<OAuthClientDocument> {
+    const { clientId, clientSecret } = authorization?.startsWith('Basic ')
+      ? parseBasic(authorization.slice(6))
+      : { clientId: body.client_id, clientSecret: body.client_secret };
+
+    const client = await this.findByClientId(clientId);
+    const valid =
+      client &&
+      (client.clientSecretHash
+        ? !!clientSecret && sha256(clientSecret) === client.clientSecretHash
+        : !clientSecret);
+    if (!client || !valid) {
+      throw new OAuthError(
+        'invalid_client',
+        'Client authentication failed',
+        401,
+      );
+    }
+    return client;
+  }
+}
+
+// RFC 6749 form-encodes both parts before joining them with a colon
+function parseBasic(credentials: string): {
+  clientId?: string;
+  clientSecret?: string;
+} {
+  const decoded = Buffer.from(credentials, 'base64').toString();
+  const separator = decoded.indexOf(':');
+  if (separator < 0) return {};
+  try {
+    return {
+      clientId: decodeURIComponent(decoded.slice(0, separator)),
+      clientSecret: decodeURIComponent(decoded.slice(separator + 1)),
+    };
+  } catch {
+    return {};
+  }
+}
+
+function toView(client: OAuthClientDocument) {
+  return {
+    id: String(client._id),
+    clientId: client.clientId,
+    name: client.name,
+    redirectUris: client.redirectUris,
+    confidential: !!client.clientSecretHash,
+    createdAt: (client as { createdAt?: Date }).createdAt,
+  };
+}
@@ -0,0 +1,298 @@
+import { BadRequestException, UnauthorizedException } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { JwtService } from '@nestjs/jwt';
+import { Model, Types } from 'mongoose';
+import { createHash, generateKeyPairSync } from 'crypto';
+import { OidcProviderService } from './oidc-provider.service';
+import { OidcClientsService } from './oidc-clients.service';
+import { OAuthError } from './oauth-error';
+import { UserDocument } from '../schemas/user.schema';
+import { OAuthClientDocument } from '../schemas/oauth-client.schema';
+import { OAuthConsentDocument } from '../schemas/oauth-consent.schema';
+import { AuthorizationCodeDocument } from '../schemas/authorization-code.schema';
+import { TokenService } from '../jwt/token.service';
+import { SigningKeyService } from '../jwt/signing-key.service';
+import { AuditService } from '../audit/audit.service';
+import { AuditEventType } from '../audit/audit-event-type.enum';
+import { sha256 } from '../crypto.util';
+
+const exec = <T>(value: T) => ({ exec: jest.fn().mockResolvedValue(value) });
+const selected = <T>(value: T) => ({
+  select: jest.fn().mockReturnValue(exec(value)),
+});
+
+const ISSUER = 'http://api.test';
+const REDIRECT_URI = 'https://wiki.test/callback';
+const VERIFIER = 'a-code-verifier-that-is-long-enough-for-pkce-1234567890';
+const CHALLENGE = createHash('sha256').update(VERIFIER).digest('base64url');
+
+describe('OidcProviderService', () => {
+  const config: Record<string, string> = {
+    API_URL: ISSUER,
+    FRONTEND_URL: 'http://app.test',
+    JWT_REFRESH_SECRET: 'test-secret',
+    JWT_PRIVATE_KEY: generateKeyPairSync('rsa', { modulusLength: 2048 })
+      .privateKey.export({ format: 'pem', type: 'pkcs8' })
+      .toString(),
+  };
+  const configService = {
+    get: (key: string) => config[key],
+  } as unknown as ConfigService;
+  const signingKeyService = new SigningKeyService(configService);
+  const jwtService = new JwtService();
+  const tokenService = new TokenService(
+    jwtService,
+    signingKeyService,
+    configService,
+  );
+
+  const user = {
+    _id: new Types.ObjectId(),
+    email: 'ada@example.com',
+    emailVerified: true,
+    name: 'Ada',
+    status: 'active',
+  };
+  const client = {
+    _id: new Types.ObjectId(),
+    clientId: 'wiki',
+    clientSecretHash: sha256('wiki-secret'),
+    name: 'Wiki',
+    redirectUris: [REDIRECT_URI],
+  };
+
+  let service: OidcProviderService;
+  let codes: Record<string, any>[];
+  const userModel = { findById: jest.fn() };
+  const clientModel = { findOne: jest.fn() };
+  const consentModel = { findOne: jest.fn(), findOneAndUpdate: jest.fn() };
+  // Single use is the point of the tests below, so codes live in an array rather than in mocks
+  const codeModel = {
+    create: jest.fn((code: Record<string, any>) =>
+      Promise.resolve(codes.push(code)),
+    ),
+    findOneAndDelete: jest.fn(({ codeHash }: { codeHash: string }) => {
+      const index = codes.findIndex((code) => code.codeHash === codeHash);
+      return exec(index < 0 ? null : codes.splice(index, 1)[0]);
+    }),
+  };
+  const auditService = { record: jest.fn() };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    codes = [];
+    userModel.findById.mockReturnValue(exec(user));
+    clientModel.findOne.mockImplementation(({ clientId }) =>
+      selected(clientId === client.clientId ? client : null),
+    );
+    consentModel.findOne.mockReturnValue(exec(null));
+    consentModel.findOneAndUpdate.mockReturnValue(exec(null));
+    const clientsService = new OidcClientsService(
+      clientModel as unknown as Model<OAuthClientDocument>,
+      {} as Model<OAuthConsentDocument>,
+      {} as Model<AuthorizationCodeDocument>,
+    );
+    service = new OidcProviderService(
+      userModel as unknown as Model<UserDocument>,
+      consentModel as unknown as Model<OAuthConsentDocument>,
+      codeModel as unknown as Model<AuthorizationCodeDocument>,
+      clientsService,
+      tokenService,
+      signingKeyService,
+      auditService as unknown as AuditService,
+      configService,
+    );
+  });
+
+  const authorizationRequest = (query: Record<string, string> = {}) => ({
+    response_type: 'code',
+    client_id: 'wiki',
+    redirect_uri: REDIRECT_URI,
+    scope: 'openid email profile',
+    state: 'xyz',
+    code_challenge: CHALLENGE,
+    code_challenge_method: 'S256',
+    nonce: 'n-1',
+    ...query,
+  });
+
+  /** Runs the browser part of the flow and returns the code the app receives. */
+  const approve = async (query: Record<string, string> = {}) => {
+    const consentUrl = new URL(
+      await service.authorize(authorizationRequest(query)),
+    );
+    expect(consentUrl.origin).toBe('http://app.test');
+    const { redirectUrl } = await service.decide(
+      String(user._id),
+      consentUrl.searchParams.get('oidcRequest')!,
+      true,
+    );
+    return new URL(redirectUrl);
+  };
+
+  const exchange = (code: string, body: Record<string, string> = {}) =>
+    service.token(
+      {
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: REDIRECT_URI,
+        code_verifier: VERIFIER,
+        ...body,
+      },
+      `Basic ${Buffer.from('wiki:wiki-secret').toString('base64')}`,
+    );
+
+  it('publishes where its endpoints and keys are', () => {
+    expect(service.discovery()).toMatchObject({
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authentication/oidc/authorize`,
+      jwks_uri: `${ISSUER}/.well-known/jwks.json`,
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+    });
+  });
+
+  it('issues an ID token with the user claims for an approved request', async () => {
+    const redirect = await approve();
+    expect(redirect.origin + redirect.pathname).toBe(REDIRECT_URI);
+    expect(redirect.searchParams.get('state')).toBe('xyz');
+    expect(auditService.record).toHaveBeenCalledWith(
+      expect.objectContaining({ type: AuditEventType.AppAuthorized }),
+    );
+
+    const tokens = await exchange(redirect.searchParams.get('code')!);
+
+    const key = signingKeyService.verificationKeys()[0];
+    const idToken = jwtService.verify<Record<string, unknown>>(
+      tokens.id_token,
+      {
+        publicKey: key.publicKey.export({ format: 'pem', type: 'spki' }),
+        issuer: ISSUER,
+        audience: 'wiki',
+      },
+    );
+    expect(idToken).toMatchObject({
+      sub: String(user._id),
+      email: 'ada@example.com',
+      email_verified: true,
+      name: 'Ada',
+      nonce: 'n-1',
+    });
+    await expect(service.userinfo(tokens.access_token)).resolves.toEqual({
+      sub: String(user._id),
+      email: 'ada@example.com',
+      email_verified: true,
+      name: 'Ada',
+    });
+  });
+
+  it('only shares the claims of the scopes asked for', async () => {
+    const redirect = await approve({ scope: 'openid' });
+
+    const tokens = await exchange(redirect.searchParams.get('code')!);
+
+    await expect(service.userinfo(tokens.access_token)).resolves.toEqual({
+      sub: String(user._id),
+    });
+  });
+
+  it('refuses to send anything to an unregistered redirect URI', async () => {
+    await expect(
+      service.authorize(
+        authorizationRequest({ redirect_uri: 'https://evil.test/callback' }),
+      ),
+    ).rejects.toBeInstanceOf(BadRequestException);
+  });
+
+  it('sends requests without PKCE back to the app with an error', async () => {
+    const url = new URL(
+      await service.authorize(authorizationRequest({ code_challenge: '' })),
+    );
+
+    expect(url.origin + url.pathname).toBe(REDIRECT_URI);
+    expect(url.searchParams.get('error')).toBe('invalid_request');
+    expect(url.searchParams.get('state')).toBe('xyz');
+  });
+
+  it('tells the app when the user declines', async () => {
+    const consentUrl = new URL(await service.authorize(authorizationRequest()));
+
+    const { redirectUrl } = await service.decide(
+      String(user._id),
+      consentUrl.searchParams.get('oidcRequest')!,
+      false,
+    );
+
+    expect(new URL(redirectUrl).searchParams.get('error')).toBe(
+      'access_denied',
+    );
+    expect(codeModel.create).not.toHaveBeenCalled();
+  });
+
+  it('skips the consent screen for scopes already granted', async () => {
+    consentModel.findOne.mockReturnValue(
+      exec({ scopes: ['openid', 'email', 'profile'] }),
+    );
+    const consentUrl = new URL(
+      await service.authorize(authorizationRequest({ scope: 'openid email' })),
+    );
+
+    await expect(
+      service.describe(
+        String(user._id),
+        consentUrl.searchParams.get('oidcRequest')!,
+      ),
+    ).resolves.toEqual({
+      client: { name: 'Wiki', redirectOrigin: 'https://wiki.test' },
+      scopes: ['openid', 'email'],
+      consented: true,
+    });
+  });
+
+  it('accepts each code once', async () => {
+    const code = (await approve()).searchParams.get('code')!;
+    await exchange(code);
+
+    await expect(exchange(code)).rejects.toMatchObject({
+      error: 'invalid_grant',
+    });
+  });
+
+  it('needs the verifier matching the PKCE challenge', async () => {
+    const code = (await approve()).searchParams.get('code')!;
+
+    await expect(
+      exchange(code, {
+        code_verifier: 'someone-elses-verifier-0000000000000000000000',
+      }),
+    ).rejects.toMatchObject({
+      error: 'invalid_grant',
+    });
+  });
+
+  it('authenticates confidential clients', async () => {
+    const code = (await approve()).searchParams.get('code')!;
+
+    const attempt = service.token({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: REDIRECT_URI,
+      code_verifier: VERIFIER,
+      client_id: 'wiki',
+    });
+
+    await expect(attempt).rejects.toBeInstanceOf(OAuthError);
+    await expect(attempt).rejects.toMatchObject({ error: 'invalid_client' });
+  });
+
+  it('does not accept our own API access tokens at userinfo', async () => {
+    const apiToken = tokenService.signAccessToken({
+      sub: String(user._id),
+      email: user.email,
+    });
+
+    await expect(service.userinfo(apiToken)).rejects.toBeInstanceOf(
+      UnauthorizedException,
+    );
+  });
+});
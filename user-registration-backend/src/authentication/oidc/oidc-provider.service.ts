@@ -0,0 +1,435 @@
+import {
+  BadRequestException,
+  Injectable,
+  NotFoundException,
+  UnauthorizedException,
+} from '@nestjs/common';
+import { InjectModel } from '@nestjs/mongoose';
+import { ConfigService } from '@nestjs/config';
+import { isValidObjectId, Model, Types } from 'mongoose';
+import { createHash } from 'crypto';
+import { User, UserDocument } from '../schemas/user.schema';
+import {
+  OAuthConsent,
+  OAuthConsentDocument,
+} from '../schemas/oauth-consent.schema';
+import {
+  AuthorizationCode,
+  AuthorizationCodeDocument,
+} from '../schemas/authorization-code.schema';
+import { OAuthClientDocument } from '../schemas/oauth-client.schema';
+import { TokenService } from '../jwt/token.service';
+import { TokenType } from '../jwt/jwt.constants';
+import { SigningKeyService } from '../jwt/signing-key.service';
+import { SessionContext } from '../sessions/session-context';
+import { AccountStatus } from '../account/account-status.enum';
+import { AuditService } from '../audit/audit.service';
+import { AuditEventType } from '../audit/audit-event-type.enum';
+import { randomToken, sha256 } from '../crypto.util';
+import { OidcClientsService } from './oidc-clients.service';
+import { OAuthError } from './oauth-error';
+
+export const SUPPORTED_SCOPES = ['openid', 'email', 'profile'];
+
+const REQUEST_TTL_SECONDS = 15 * 60; // Long enough to sign in, or sign up, before consenting
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 60 * 60;
+
+/** The query an app sends the browser to `/authorize` with. */
+export interface AuthorizationRequestQuery {
+  response_type?: string;
+  client_id?: string;
+  redirect_uri?: string;
+  scope?: string;
+  state?: string;
+  code_challenge?: string;
+  code_challenge_method?: string;
+  nonce?: string;
+  prompt?: string;
+}
+
+/** The form an app posts to `/token`. */
+export interface TokenRequest {
+  grant_type?: string;
+  code?: string;
+  redirect_uri?: string;
+  code_verifier?: string;
+  client_id?: string;
+  client_secret?: string;
+}
+
+/** A validated authorization request, carried through the React app as a signed token. */
+interface PendingRequest {
+  clientId: string;
+  redirectUri: string;
+  scopes: string[];
+  state?: string;
+  codeChallenge: string;
+  nonce?: string;
+  prompt?: string;
+}
+
+/**
+ * Makes this service an OpenID Connect provider for our other apps: the
+ * authorization code flow with mandatory PKCE, ID tokens carrying the claims
+ * of our own access tokens (sub, email, name), and `/userinfo`.
+ *
+ * `/authorize` cannot see who is signed in (the access token lives in the
+ * React app), so it sends the browser to the app, which signs the user in if
+ * needed and asks for consent through `describe` and `decide`.
+ */
+@Injectable()
+export class OidcProviderService {
+  constructor(
+    @InjectModel(User.name) private userModel: Model<UserDocument>,
+    @InjectModel(OAuthConsent.name)
+    private consentModel: Model<OAuthConsentDocument>,
+    @InjectModel(AuthorizationCode.name)
+    private codeModel: Model<AuthorizationCodeDocument>,
+    private readonly clientsService: OidcClientsService,
+    private readonly tokenService: TokenService,
+    private readonly signingKeyService: SigningKeyService,
+    private readonly auditService: AuditService,
+    private readonly configService: ConfigService,
+  ) {}
+
+  /** The OpenID Connect discovery document. */
+  discovery() {
+    const issuer = this.issuer();
+    return {
+      issuer,
+      authorization_endpoint: `${issuer}/authentication/oidc/authorize`,
+      token_endpoint: `${issuer}/authentication/oidc/token`,
+      userinfo_endpoint: `${issuer}/authentication/oidc/userinfo`,
+      jwks_uri: `${issuer}/.well-known/jwks.json`,
+      response_types_supported: ['code'],
+      grant_types_supported: ['authorization_code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: [
+        this.signingKeyService.signingOptions().algorithm,
+      ],
+      scopes_supported: SUPPORTED_SCOPES,
+      claims_supported: [
+        'sub',
+        'iss',
+        'aud',
+        'exp',
+        'iat',
+        'nonce',
+        'email',
+        'email_verified',
+        'name',
+      ],
+      token_endpoint_auth_methods_supported: [
+        'client_secret_basic',
+        'client_secret_post',
+        'none',
+      ],
+      code_challenge_methods_supported: ['S256'],
+      authorization_response_iss_parameter_supported: true,
+    };
+  }
+
+  /**
+   * Checks an authorization request and answers with where to send the
+   * browser: the React app's consent screen, or back to the app with an
+   * error. Throws when the client or redirect URI is unknown, since then
+   * there is nowhere safe to send an error to.
+   */
+  async authorize(query: AuthorizationRequestQuery): Promise<string> {
+    const client = await this.clientsService.findByClientId(query.client_id);
+    if (
+      !client ||
+      !query.redirect_uri ||
+      !client.redirectUris.includes(query.redirect_uri)
+    ) {
+      throw new BadRequestException(
+        'This application is not registered, or sent an unregistered redirect URI.',
+      );
+    }
+    const redirectUri = query.redirect_uri;
+    const fail = (error: string, description: string) =>
+      withParams(redirectUri, {
+        error,
+        error_description: description,
+        state: query.state,
+        iss: this.issuer(),
+      });
+
+    if (query.response_type !== 'code') {
+      return fail(
+        'unsupported_response_type',
+        'Only the authorization code flow is supported',
+      );
+    }
+    const scopes = (query.scope ?? '')
+      .split(' ')
+      .filter((scope) => SUPPORTED_SCOPES.includes(scope));
+    if (!scopes.includes('openid')) {
+      return fail('invalid_scope', 'The openid scope is required');
+    }
+    if (!query.code_challenge || query.code_challenge_method !== 'S256') {
+      return fail('invalid_request', 'PKCE with the S256 method is required');
+    }
+    if (query.prompt === 'none') {
+      // Whether the user is signed in is only known to the React app
+      return fail('login_required', 'The user has to sign in interactively');
+    }
+
+    const request: PendingRequest = {
+      clientId: client.clientId,
+      redirectUri,
+      scopes: [...new Set(scopes)],
+      state: query.state,
+      codeChallenge: query.code_challenge,
+      nonce: query.nonce,
+      prompt: query.prompt,
+    };
+    const token = this.tokenService.signInternalToken(
+      TokenType.OidcRequest,
+      request,
+      REQUEST_TTL_SECONDS,
+    );
+    return `${this.frontendUrl()}/?${new URLSearchParams({ oidcRequest: token }).toString()}`;
+  }
+
+  /** What the consent screen shows, and whether the user already agreed to it. */
+  async describe(userId: string, requestToken: string) {
+    const { request, client } = await this.pending(requestToken);
+    const consent = await this.consentModel
+      .findOne({ userId: new Types.ObjectId(userId), client: client._id })
+      .exec();
+    return {
+      client: {
+        name: client.name,
+        redirectOrigin: new URL(request.redirectUri).origin,
+      },
+      scopes: request.scopes,
+      consented:
+        !!consent &&
+        request.prompt !== 'consent' &&
+        request.scopes.every((scope) => consent.scopes.includes(scope)),
+    };
+  }
+
+  /** Records the user's answer and returns the app URL to send the browser to, with a code or `access_denied`. */
+  async decide(
+    userId: string,
+    requestToken: string,
+    approve: boolean,
+    context: SessionContext = {},
+  ): Promise<{ redirectUrl: string }> {
+    const { request, client } = await this.pending(requestToken);
+    const base = { state: request.state, iss: this.issuer() };
+    if (!approve) {
+      return {
+        redirectUrl: withParams(request.redirectUri, {
+          ...base,
+          error: 'access_denied',
+          error_description: 'The user declined',
+        }),
+      };
+    }
+
+    const owner = new Types.ObjectId(userId);
+    const previous = await this.consentModel
+      .findOneAndUpdate(
+        { userId: owner, client: client._id },
+        {
+          $addToSet: { scopes: { $each: request.scopes } },
+          $set: { lastUsedAt: new Date() },
+        },
+        { upsert: true },
+      )
+      .exec();
+    if (
+      !previous ||
+      !request.scopes.every((scope) => previous.scopes.includes(scope))
+    ) {
+      await this.auditService.record({
+        type: AuditEventType.AppAuthorized,
+        actorId: userId,
+        context,
+        metadata: { clientId: client.clientId, scopes: request.scopes },
+      });
+    }
+
+    const code = randomToken();
+    await this.codeModel.create({
+      codeHash: sha256(code),
+      clientId: client.clientId,
+      userId: owner,
+      redirectUri: request.redirectUri,
+      scopes: request.scopes,
+      codeChallenge: request.codeChallenge,
+      nonce: request.nonce,
+      expiresAt: new Date(Date.now() + CODE_TTL_MS),
+    });
+    return { redirectUrl: withParams(request.redirectUri, { ...base, code }) };
+  }
+
+  /** The token endpoint: exchanges an authorization code for an ID token and an access token for `/userinfo`. */
+  async token(body: TokenRequest, authorization?: string) {
+    const client = await this.clientsService.authenticate(authorization, body);
+    if (body.grant_type !== 'authorization_code') {
+      throw new OAuthError(
+        'unsupported_grant_type',
+        'Only the authorization_code grant is supported',
+      );
+    }
+    if (!body.code || !body.code_verifier) {
+      throw new OAuthError(
+        'invalid_request',
+        'code and code_verifier are required',
+      );
+    }
+
+    // Deleting on read makes every code single-use, even with concurrent requests
+    const grant = await this.codeModel
+      .findOneAndDelete({ codeHash: sha256(body.code) })
+      .exec();
+    const challenge = createHash('sha256')
+      .update(body.code_verifier)
+      .digest('base64url');
+    if (
+      !grant ||
+      grant.expiresAt <= new Date() ||
+      grant.clientId !== client.clientId ||
+      grant.redirectUri !== body.redirect_uri ||
+      grant.codeChallenge !== challenge
+    ) {
+      throw new OAuthError(
+        'invalid_grant',
+        'The authorization code is invalid or has expired',
+      );
+    }
+
+    const user = await this.userModel.findById(grant.userId).exec();
+    if (!user || user.status !== AccountStatus.Active) {
+      throw new OAuthError(
+        'invalid_grant',
+        'The account can no longer sign in',
+      );
+    }
+
+    const sub = String(user._id);
+    const signing = {
+      issuer: this.issuer(),
+      audience: client.clientId,
+      expiresInSeconds: TOKEN_TTL_SECONDS,
+    };
+    const scope = grant.scopes.join(' ');
+    return {
+      access_token: this.tokenService.signClientToken(
+        { sub, scope, typ: TokenType.OidcAccess },
+        signing,
+      ),
+      token_type: 'Bearer',
+      expires_in: TOKEN_TTL_SECONDS,
+      scope,
+      id_token: this.tokenService.signClientToken(
+        {
+          sub,
+          ...(grant.nonce ? { nonce: grant.nonce } : {}),
+          ...claimsFor(user, grant.scopes),
+        },
+        signing,
+      ),
+    };
+  }
+
+  /** Claims about the user behind an access token from `token`, limited to the scopes they agreed to. */
+  async userinfo(accessToken: string) {
+    const { sub, scope } = this.tokenService.verifyClientAccessToken<{
+      sub: string;
+      scope?: string;
+    }>(accessToken, this.issuer());
+    const user = await this.userModel.findById(sub).exec();
+    if (!user || user.status !== AccountStatus.Active) {
+      throw new UnauthorizedException('Invalid access token');
+    }
+    return { sub, ...claimsFor(user, (scope ?? '').split(' ')) };
+  }
+
+  /** The apps the user has let sign them in. */
+  async listConsents(userId: string) {
+    const consents = await this.consentModel
+      .find({ userId: new Types.ObjectId(userId) })
+      .populate<{ client: OAuthClientDocument | null }>('client', 'name')
+      .sort({ createdAt: 1 })
+      .exec();
+    return consents
+      .filter((consent) => consent.client)
+      .map((consent) => ({
+        id: String(consent._id),
+        name: consent.client!.name,
+        scopes: consent.scopes,
+        createdAt: (consent as { createdAt?: Date }).createdAt,
+        lastUsedAt: consent.lastUsedAt,
+      }));
+  }
+
+  /** Forgets a consent, so the app has to ask again. Tokens it already holds expire within the hour. */
+  async revokeConsent(userId: string, id: string): Promise<void> {
+    const consent = isValidObjectId(id)
+      ? await this.consentModel
+          .findOneAndDelete({ _id: id, userId: new Types.ObjectId(userId) })
+          .exec()
+      : null;
+    if (!consent) {
+      throw new NotFoundException('Connected app not found');
+    }
+  }
+
+  /** Redirect target for requests that cannot go back to the app. */
+  frontendRedirect(query: Record<string, string>): string {
+    return `${this.frontendUrl()}/?${new URLSearchParams(query).toString()}`;
+  }
+
+  private async pending(
+    requestToken: string,
+  ): Promise<{ request: PendingRequest; client: OAuthClientDocument }> {
+    const request = this.tokenService.verifyInternalToken<PendingRequest>(
+      TokenType.OidcRequest,
+      requestToken,
+      'The sign-in request has expired. Please start again from the application.',
+    );
+    const client = await this.clientsService.findByClientId(request.clientId);
+    if (!client) {
+      throw new NotFoundException('This application is no longer registered.');
+    }
+    return { request, client };
+  }
+
+  // Our public URL; unlike JWT_ISSUER, the OIDC issuer has to be where the discovery document is served
+  private issuer(): string {
+    return this.configService.get<string>('API_URL') || 'http://localhost:4000';
+  }
+
+  private frontendUrl(): string {
+    return (
+      this.configService.get<string>('FRONTEND_URL') || 'http://localhost:5173'
+    );
+  }
+}
+
+/** The same claims as our own access tokens, per scope. */
+function claimsFor(user: UserDocument, scopes: string[]) {
+  return {
+    ...(scopes.includes('email')
+      ? { email: user.email, email_verified: !!user.emailVerified }
+      : {}),
+    ...(scopes.includes('profile') && user.name ? { name: user.name } : {}),
+  };
+}
+
+function withParams(
+  url: string,
+  params: Record<string, string | undefined>,
+): string {
+  const target = new URL(url);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined) target.searchParams.set(key, value);
+  }
+  return target.toString();
+}
@@ -0,0 +1,136 @@
+import {
+  Body,
+  Controller,
+  Delete,
+  Get,
+  Header,
+  Headers,
+  HttpCode,
+  HttpException,
+  HttpStatus,
+  Logger,
+  Param,
+  Post,
+  Query,
+  Request,
+  Res,
+  UnauthorizedException,
+  UseGuards,
+} from '@nestjs/common';
+import type { Response } from 'express';
+import { JwtAuthGuard } from '../jwt/jwt.guard';
+import { AuthenticatedRequest } from '../jwt/authenticated-request.interface';
+import { RateLimit } from '../../rate-limit/rate-limit.decorator';
+import { sessionContext } from '../sessions/session-context';
+import { Audit } from '../audit/audit.decorator';
+import { AuditEventType } from '../audit/audit-event-type.enum';
+import { OidcConsentDto } from '../dto/oidc-consent.dto';
+import {
+  AuthorizationRequestQuery,
+  OidcProviderService,
+  TokenRequest,
+} from './oidc-provider.service';
+
+/**
+ * OpenID Connect provider endpoints for our other apps. `authorize` is
+ * navigated to and answers with redirects; `token` and `userinfo` are called
+ * by the apps and answer in the OAuth error format; `consent` is what the
+ * React app's consent screen talks to.
+ */
+@Controller('authentication/oidc')
+export class OidcController {
+  private readonly logger = new Logger(OidcController.name);
+
+  constructor(private readonly oidcProvider: OidcProviderService) {}
+
+  @Get('authorize')
+  @RateLimit({ by: 'ip', limit: 60, windowSeconds: 15 * 60 })
+  async authorize(
+    @Query() query: AuthorizationRequestQuery,
+    @Res() res: Response,
+  ) {
+    try {
+      res.redirect(await this.oidcProvider.authorize(query));
+    } catch (error) {
+      // Unknown app or redirect URI: the user is told on our side rather than sent somewhere unverified
+      if (!(error instanceof HttpException)) {
+        this.logger.error(
+          'Authorization request failed',
+          error instanceof Error ? error.stack : error,
+        );
+      }
+      const message =
+        error instanceof HttpException
+          ? error.message
+          : 'The sign-in request could not be processed.';
+      res.redirect(this.oidcProvider.frontendRedirect({ oidcError: message }));
+    }
+  }
+
+  @UseGuards(JwtAuthGuard)
+  @Get('consent')
+  describe(
+    @Request() req: AuthenticatedRequest,
+    @Query('request') request: string,
+  ) {
+    return this.oidcProvider.describe(req.user.sub, request);
+  }
+
+  @UseGuards(JwtAuthGuard)
+  @Post('consent')
+  @HttpCode(HttpStatus.OK)
+  decide(
+    @Request() req: AuthenticatedRequest,
+    @Body() { request, approve }: OidcConsentDto,
+  ) {
+    return this.oidcProvider.decide(
+      req.user.sub,
+      request,
+      approve,
+      sessionContext(req),
+    );
+  }
+
+  // Form-encoded, as OAuth clients send it; left to the service since errors must use the OAuth format
+  @Post('token')
+  @HttpCode(HttpStatus.OK)
+  @Header('Cache-Control', 'no-store')
+  @RateLimit({ by: 'ip', limit: 60, windowSeconds: 15 * 60 })
+  token(
+    @Body() body: TokenRequest,
+    @Headers('authorization') authorization?: string,
+  ) {
+    return this.oidcProvider.token(body, authorization);
+  }
+
+  @Get('userinfo')
+  userinfo(@Headers('authorization') authorization?: string) {
+    return this.oidcProvider.userinfo(bearerToken(authorization));
+  }
+
+  @Post('userinfo')
+  @HttpCode(HttpStatus.OK)
+  userinfoPost(@Headers('authorization') authorization?: string) {
+    return this.oidcProvider.userinfo(bearerToken(authorization));
+  }
+
+  @UseGuards(JwtAuthGuard)
+  @Get('consents')
+  listConsents(@Request() req: AuthenticatedRequest) {
+    return this.oidcProvider.listConsents(req.user.sub);
+  }
+
+  @UseGuards(JwtAuthGuard)
+  @Delete('consents/:id')
+  @Audit(AuditEventType.AppRevoked)
+  revokeConsent(@Request() req: AuthenticatedRequest, @Param('id') id: string) {
+    return this.oidcProvider.revokeConsent(req.user.sub, id);
+  }
+}
+
+function bearerToken(authorization?: string): string {
+  if (!authorization?.startsWith('Bearer ')) {
+    throw new UnauthorizedException('Missing access token');
+  }
+  return authorization.slice(7);
+}
@@ -0,0 +1,13 @@
+/** Named capabilities checked by PermissionsGuard, written `<resource>:<action>`. */
+export enum Permission {
+  UsersRead = 'users:read',
+  UsersUpdate = 'users:update',
+  UsersUpdateEmail = 'users:update-email',
+  UsersDisable = 'users:disable',
+  UsersDelete = 'users:delete',
+  UsersAssignRoles = 'users:assign-roles',
+  SessionsRead = 'sessions:read',
+  SessionsRevoke = 'sessions:revoke',
+  AuditRead = 'audit:read',
+  ClientsManage = 'clients:manage',
+}
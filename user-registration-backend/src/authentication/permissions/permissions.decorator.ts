@@ -0,0 +1,15 @@
+import { SetMetadata } from '@nestjs/common';
+import { Permission } from './permission.enum';
+
+export const PERMISSIONS_KEY = 'permissions';
+export const OWNER_PARAM_KEY = 'ownerParam';
+
+/** Requires every listed permission. Pair with PermissionsGuard. */
+export const RequirePermissions = (...permissions: Permission[]) =>
+  SetMetadata(PERMISSIONS_KEY, permissions);
+
+/**
+ * Lets the owner of the resource through without the permissions: the route
+ * parameter `param` holds a user id, and it matches the caller's.
+ */
+export const AllowOwner = (param = 'id') => SetMetadata(OWNER_PARAM_KEY, param);
@@ -0,0 +1,73 @@
+import { ExecutionContext, ForbiddenException } from '@nestjs/common';
+import { Reflector } from '@nestjs/core';
+import { AllowOwner, RequirePermissions } from './permissions.decorator';
+import { PermissionsGuard } from './permissions.guard';
+import { Permission } from './permission.enum';
+import { resolvePermissions } from './role-permissions';
+import { Role } from '../roles/role.enum';
+
+@RequirePermissions(Permission.UsersRead)
+class UsersController {
+  find() {}
+
+  @RequirePermissions(Permission.UsersRead, Permission.UsersUpdateEmail)
+  changeEmail() {}
+
+  @AllowOwner()
+  @RequirePermissions(Permission.SessionsRead)
+  sessions() {}
+}
+
+const contextFor = (
+  handler: keyof UsersController,
+  user: Record<string, any>,
+  params: Record<string, string> = {},
+) =>
+  ({
+    getClass: () => UsersController,
+    getHandler: () => UsersController.prototype[handler],
+    switchToHttp: () => ({ getRequest: () => ({ user, params }) }),
+  }) as unknown as ExecutionContext;
+
+describe('PermissionsGuard', () => {
+  const guard = new PermissionsGuard(new Reflector());
+  const support = {
+    sub: 'support-1',
+    permissions: resolvePermissions([Role.Support]),
+  };
+
+  it('grants what the role allows and nothing more', () => {
+    expect(guard.canActivate(contextFor('find', support))).toBe(true);
+    expect(() => guard.canActivate(contextFor('changeEmail', support))).toThrow(
+      ForbiddenException,
+    );
+  });
+
+  it('requires every listed permission', () => {
+    const user = { sub: 'u1', permissions: [Permission.UsersUpdateEmail] };
+
+    expect(() => guard.canActivate(contextFor('changeEmail', user))).toThrow(
+      ForbiddenException,
+    );
+  });
+
+  it('lets owners act on their own resource only', () => {
+    const user = { sub: 'u1', permissions: [] };
+
+    expect(guard.canActivate(contextFor('sessions', user, { id: 'u1' }))).toBe(
+      true,
+    );
+    expect(() =>
+      guard.canActivate(contextFor('sessions', user, { id: 'u2' })),
+    ).toThrow(ForbiddenException);
+  });
+
+  it('gives admins every permission', () => {
+    const admin = {
+      sub: 'a1',
+      permissions: resolvePermissions([Role.User, Role.Admin]),
+    };
+
+    expect(guard.canActivate(contextFor('changeEmail', admin))).toBe(true);
+  });
+});
@@ -0,0 +1,49 @@
+import {
+  CanActivate,
+  ExecutionContext,
+  ForbiddenException,
+  Injectable,
+} from '@nestjs/common';
+import { Reflector } from '@nestjs/core';
+import { OWNER_PARAM_KEY, PERMISSIONS_KEY } from './permissions.decorator';
+import { Permission } from './permission.enum';
+import { JwtPayload } from '../jwt/jwt-payload.interface';
+import { AuthenticatedRequest } from '../jwt/authenticated-request.interface';
+
+/**
+ * Checks the permissions carried by the access token, so it must run after JwtAuthGuard:
+ * `@UseGuards(JwtAuthGuard, PermissionsGuard)`. Roles only matter through the
+ * permissions they grant, so admin-only routes require a permission too.
+ */
+@Injectable()
+export class PermissionsGuard implements CanActivate {
+  constructor(private readonly reflector: Reflector) {}
+
+  canActivate(context: ExecutionContext): boolean {
+    const targets = [context.getHandler(), context.getClass()];
+    const required = this.reflector.getAllAndOverride<Permission[] | undefined>(
+      PERMISSIONS_KEY,
+      targets,
+    );
+    if (!required?.length) return true;
+
+    const req = context.switchToHttp().getRequest<AuthenticatedRequest>();
+    const user: JwtPayload | undefined = req.user;
+
+    const ownerParam = this.reflector.getAllAndOverride<string | undefined>(
+      OWNER_PARAM_KEY,
+      targets,
+    );
+    if (ownerParam && user?.sub && req.params?.[ownerParam] === user.sub) {
+      return true;
+    }
+
+    const held = new Set(user?.permissions ?? []);
+    if (!required.every((permission) => held.has(permission))) {
+      throw new ForbiddenException(
+        'You do not have permission to access this resource',
+      );
+    }
+    return true;
+  }
+}
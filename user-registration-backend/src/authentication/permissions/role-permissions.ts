@@ -0,0 +1,27 @@
+import { Role } from '../roles/role.enum';
+import { Permission } from './permission.enum';
+
+/** What each role grants. Individual users can be given more through `User.permissions`. */
+export const ROLE_PERMISSIONS: Record<Role, Permission[]> = {
+  [Role.User]: [],
+  [Role.Support]: [
+    Permission.UsersRead,
+    Permission.SessionsRead,
+    Permission.SessionsRevoke,
+    Permission.AuditRead,
+  ],
+  [Role.Admin]: Object.values(Permission),
+};
+
+/** Everything the roles and per-user grants add up to, without duplicates. */
+export function resolvePermissions(
+  roles: Role[] = [],
+  granted: Permission[] = [],
+): Permission[] {
+  const permissions = new Set<Permission>(granted);
+  for (const role of roles) {
+    for (const permission of ROLE_PERMISSIONS[role] ?? [])
+      permissions.add(permission);
+  }
+  return [...permissions].sort();
+}
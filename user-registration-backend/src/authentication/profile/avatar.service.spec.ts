@@ -0,0 +1,123 @@
+import {
+  BadRequestException,
+  UnsupportedMediaTypeException,
+} from '@nestjs/common';
+import { Model, Types } from 'mongoose';
+import sharp from 'sharp';
+import { AVATAR_SIZES, AvatarService } from './avatar.service';
+import { User, UserDocument } from '../schemas/user.schema';
+import { StorageService } from '../../storage/storage.service';
+
+const exec = <T>(value: T) => ({ exec: jest.fn().mockResolvedValue(value) });
+
+const upload = (buffer: Buffer, mimetype = 'image/png') =>
+  ({
+    buffer,
+    mimetype,
+    originalname: 'me.png',
+    size: buffer.length,
+  }) as Express.Multer.File;
+
+describe('AvatarService', () => {
+  let service: AvatarService;
+  let stored: Map<string, Buffer>;
+  let photo: Buffer;
+  const userModel = { findById: jest.fn() };
+  const storageService = {
+    put: jest.fn((key: string, content: Buffer) => {
+      stored.set(key, content);
+      return Promise.resolve();
+    }),
+    delete: jest.fn((key: string) => {
+      stored.delete(key);
+      return Promise.resolve();
+    }),
+    url: (key: string) => `http://api.test/storage/${key}`,
+  };
+
+  const makeUser = (data: Partial<User> = {}) =>
+    ({
+      _id: new Types.ObjectId(),
+      save: jest.fn(),
+      ...data,
+    }) as unknown as UserDocument & { save: jest.Mock };
+
+  beforeAll(async () => {
+    photo = await sharp({
+      create: { width: 400, height: 300, channels: 3, background: '#4f46e5' },
+    })
+      .png()
+      .toBuffer();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stored = new Map();
+    service = new AvatarService(
+      userModel as unknown as Model<UserDocument>,
+      storageService as unknown as StorageService,
+    );
+  });
+
+  it('stores square WebP thumbnails in every size', async () => {
+    const user = makeUser();
+    userModel.findById.mockReturnValue(exec(user));
+
+    await service.upload(String(user._id), upload(photo));
+
+    expect(user.avatarKey).toMatch(new RegExp(`^avatars/${String(user._id)}-`));
+    expect(user.save).toHaveBeenCalled();
+    for (const size of AVATAR_SIZES) {
+      const metadata = await sharp(
+        stored.get(`${user.avatarKey}-${size}.webp`),
+      ).metadata();
+      expect(metadata).toMatchObject({
+        format: 'webp',
+        width: size,
+        height: size,
+      });
+    }
+    expect(service.urls(user.avatarKey)?.[128]).toBe(
+      `http://api.test/storage/${user.avatarKey}-128.webp`,
+    );
+  });
+
+  it('deletes the previous picture once the new one is saved', async () => {
+    const user = makeUser({ avatarKey: 'avatars/old' });
+    userModel.findById.mockReturnValue(exec(user));
+
+    await service.upload(String(user._id), upload(photo));
+
+    expect(storageService.delete).toHaveBeenCalledWith('avatars/old-64.webp');
+    expect(storageService.delete).toHaveBeenCalledTimes(AVATAR_SIZES.length);
+    expect(user.avatarKey).not.toBe('avatars/old');
+  });
+
+  it('goes by the content rather than the declared type', async () => {
+    await expect(
+      service.upload(
+        'user-1',
+        upload(Buffer.from('<svg onload="alert(1)"/>'), 'image/png'),
+      ),
+    ).rejects.toBeInstanceOf(UnsupportedMediaTypeException);
+    expect(userModel.findById).not.toHaveBeenCalled();
+    expect(storageService.put).not.toHaveBeenCalled();
+  });
+
+  it('needs a file', async () => {
+    await expect(service.upload('user-1', undefined)).rejects.toBeInstanceOf(
+      BadRequestException,
+    );
+  });
+
+  it('removes the picture', async () => {
+    const user = makeUser({ avatarKey: 'avatars/old' });
+    userModel.findById.mockReturnValue(exec(user));
+
+    await service.remove(String(user._id));
+
+    expect(user.avatarKey).toBeUndefined();
+    expect(user.save).toHaveBeenCalled();
+    expect(storageService.delete).toHaveBeenCalledWith('avatars/old-256.webp');
+  });
+});
@@ -0,0 +1,124 @@
+import {
+  BadRequestException,
+  Injectable,
+  NotFoundException,
+  UnsupportedMediaTypeException,
+} from '@nestjs/common';
+import { InjectModel } from '@nestjs/mongoose';
+import { Model } from 'mongoose';
+import sharp from 'sharp';
+import { User, UserDocument } from '../schemas/user.schema';
+import { StorageService } from '../../storage/storage.service';
+import { randomToken } from '../crypto.util';
+
+export const AVATAR_SIZES = [64, 128, 256] as const;
+export const MAX_AVATAR_BYTES = 5 * 1024 * 1024;
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+// A small file can still decode to a huge image; this is well above any real photo
+const MAX_INPUT_PIXELS = 50_000_000;
+
+export type AvatarUrls = Record<(typeof AVATAR_SIZES)[number], string>;
+
+/**
+ * Profile pictures. Uploads are re-encoded as square WebP thumbnails, which
+ * also drops EXIF data such as location, and stored under a new key each time.
+ */
+@Injectable()
+export class AvatarService {
+  constructor(
+    @InjectModel(User.name) private userModel: Model<UserDocument>,
+    private readonly storageService: StorageService,
+  ) {}
+
+  async upload(userId: string, file?: Express.Multer.File): Promise<void> {
+    if (!file?.buffer?.length) {
+      throw new BadRequestException('Choose an image to upload.');
+    }
+    // The declared type is whatever the browser guessed; the decoder decides
+    const image = sharp(file.buffer, { limitInputPixels: MAX_INPUT_PIXELS });
+    const format = await image.metadata().then(
+      (metadata) => metadata.format,
+      () => undefined,
+    );
+    if (!format || !ACCEPTED_FORMATS.includes(format)) {
+      throw new UnsupportedMediaTypeException(
+        'Upload a JPEG, PNG, WebP or GIF image.',
+      );
+    }
+
+    const user = await this.getUser(userId);
+    let thumbnails: Buffer[];
+    try {
+      thumbnails = await Promise.all(
+        AVATAR_SIZES.map((size) =>
+          image
+            .clone()
+            .rotate()
+            .resize(size, size, { fit: 'cover' })
+            .webp({ quality: 80 })
+            .toBuffer(),
+        ),
+      );
+    } catch {
+      throw new BadRequestException(
+        'The image could not be read. Try another file.',
+      );
+    }
+
+    const key = `avatars/${userId}-${randomToken().slice(0, 12)}`;
+    await Promise.all(
+      AVATAR_SIZES.map((size, index) =>
+        this.storageService.put(
+          fileKey(key, size),
+          thumbnails[index],
+          'image/webp',
+        ),
+      ),
+    );
+    const previous = user.avatarKey;
+    user.avatarKey = key;
+    await user.save();
+    if (previous) {
+      await this.deleteFiles(previous);
+    }
+  }
+
+  async remove(userId: string): Promise<void> {
+    const user = await this.getUser(userId);
+    if (!user.avatarKey) return;
+    const key = user.avatarKey;
+    user.avatarKey = undefined;
+    await user.save();
+    await this.deleteFiles(key);
+  }
+
+  urls(key?: string): AvatarUrls | undefined {
+    if (!key) return undefined;
+    return Object.fromEntries(
+      AVATAR_SIZES.map((size) => [
+        size,
+        this.storageService.url(fileKey(key, size)),
+      ]),
+    ) as AvatarUrls;
+  }
+
+  async deleteFiles(key: string): Promise<void> {
+    await Promise.all(
+      AVATAR_SIZES.map((size) =>
+        this.storageService.delete(fileKey(key, size)),
+      ),
+    );
+  }
+
+  private async getUser(userId: string): Promise<UserDocument> {
+    const user = await this.userModel.findById(userId).exec();
+    if (!user) {
+      throw new NotFoundException('User not found');
+    }
+    return user;
+  }
+}
+
+function fileKey(key: string, size: number): string {
+  return `${key}-${size}.webp`;
+}
@@ -0,0 +1,72 @@
+import {
+  Body,
+  Controller,
+  Delete,
+  Get,
+  Patch,
+  Put,
+  Request,
+  UploadedFile,
+  UseGuards,
+  UseInterceptors,
+} from '@nestjs/common';
+import { FileInterceptor } from '@nestjs/platform-express';
+import { JwtAuthGuard } from '../jwt/jwt.guard';
+import { AuthenticatedRequest } from '../jwt/authenticated-request.interface';
+import { JwtOrApiKeyGuard } from '../api-keys/jwt-or-api-key.guard';
+import { RateLimit } from '../../rate-limit/rate-limit.decorator';
+import { Audit } from '../audit/audit.decorator';
+import { AuditEventType } from '../audit/audit-event-type.enum';
+import { UpdateProfileDto } from '../dto/update-profile.dto';
+import { ProfileService } from './profile.service';
+import { AvatarService, MAX_AVATAR_BYTES } from './avatar.service';
+
+@Controller('authentication/me')
+export class ProfileController {
+  constructor(
+    private readonly profileService: ProfileService,
+    private readonly avatarService: AvatarService,
+  ) {}
+
+  @UseGuards(JwtOrApiKeyGuard)
+  @Get()
+  get(@Request() req: AuthenticatedRequest) {
+    return this.profileService.get(req.user.sub);
+  }
+
+  @UseGuards(JwtAuthGuard)
+  @Patch()
+  @Audit(AuditEventType.ProfileUpdated)
+  update(
+    @Request() req: AuthenticatedRequest,
+    @Body() changes: UpdateProfileDto,
+  ) {
+    return this.profileService.update(req.user.sub, changes);
+  }
+
+  // multipart/form-data with the image in an `avatar` field; larger files are refused with 413
+  @UseGuards(JwtAuthGuard)
+  @Put('avatar')
+  @RateLimit({ by: 'ip', limit: 20, windowSeconds: 60 * 60 })
+  @UseInterceptors(
+    FileInterceptor('avatar', {
+      limits: { fileSize: MAX_AVATAR_BYTES, files: 1 },
+    }),
+  )
+  @Audit(AuditEventType.ProfileUpdated)
+  async uploadAvatar(
+    @Request() req: AuthenticatedRequest,
+    @UploadedFile() file?: Express.Multer.File,
+  ) {
+    await this.avatarService.upload(req.user.sub, file);
+    return this.profileService.get(req.user.sub);
+  }
+
+  @UseGuards(JwtAuthGuard)
+  @Delete('avatar')
+  @Audit(AuditEventType.ProfileUpdated)
+  async removeAvatar(@Request() req: AuthenticatedRequest) {
+    await this.avatarService.remove(req.user.sub);
+    return this.profileService.get(req.user.sub);
+  }
+}
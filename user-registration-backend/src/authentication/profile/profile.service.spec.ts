@@ -0,0 +1,97 @@
+import { NotFoundException } from '@nestjs/common';
+import { Model, Types } from 'mongoose';
+import { ProfileService } from './profile.service';
+import { AvatarService } from './avatar.service';
+import { UserDocument } from '../schemas/user.schema';
+import { Role } from '../roles/role.enum';
+import { Permission } from '../permissions/permission.enum';
+
+const exec = <T>(value: T) => ({ exec: jest.fn().mockResolvedValue(value) });
+
+const makeUser = (data: Record<string, any> = {}) => {
+  const user: Record<string, any> = {
+    _id: new Types.ObjectId(),
+    email: 'a@b.c',
+    emailVerified: true,
+    name: 'Ada Lovelace',
+    roles: [Role.User],
+    permissions: [Permission.AuditRead],
+    passwordHash: 'hash',
+    mfaSecret: 'secret',
+    ...data,
+  };
+  user.set = jest.fn((field: string, value: unknown) => (user[field] = value));
+  user.save = jest.fn();
+  return user;
+};
+
+describe('ProfileService', () => {
+  let service: ProfileService;
+  const userModel = { findById: jest.fn() };
+  const avatarService = {
+    urls: jest.fn((key?: string) =>
+      key ? { 64: `http://api.test/storage/${key}-64.webp` } : undefined,
+    ),
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new ProfileService(
+      userModel as unknown as Model<UserDocument>,
+      avatarService as unknown as AvatarService,
+    );
+  });
+
+  it('reads the profile from the account, without secrets', async () => {
+    const user = makeUser({
+      displayName: 'Ada',
+      timezone: 'Europe/London',
+      avatarKey: 'avatars/ada',
+    });
+    userModel.findById.mockReturnValue(exec(user));
+
+    const profile = await service.get(String(user._id));
+
+    expect(profile).toMatchObject({
+      id: String(user._id),
+      email: 'a@b.c',
+      name: 'Ada Lovelace',
+      displayName: 'Ada',
+      timezone: 'Europe/London',
+      hasPassword: true,
+      permissions: [Permission.AuditRead],
+      avatarUrls: { 64: 'http://api.test/storage/avatars/ada-64.webp' },
+    });
+    expect(profile).not.toHaveProperty('avatarKey');
+    expect(profile).not.toHaveProperty('passwordHash');
+    expect(profile).not.toHaveProperty('mfaSecret');
+  });
+
+  it('changes only the fields sent and clears empty ones', async () => {
+    const user = makeUser({ bio: 'Analyst', locale: 'en-GB' });
+    userModel.findById.mockReturnValue(exec(user));
+
+    const profile = await service.update(String(user._id), {
+      displayName: '  Ada ',
+      bio: '',
+      locale: null,
+    });
+
+    expect(user.save).toHaveBeenCalled();
+    expect(profile).toMatchObject({
+      name: 'Ada Lovelace',
+      displayName: 'Ada',
+      bio: undefined,
+      locale: undefined,
+    });
+    expect(user.set).not.toHaveBeenCalledWith('name', expect.anything());
+  });
+
+  it('reports accounts that no longer exist', async () => {
+    userModel.findById.mockReturnValue(exec(null));
+
+    await expect(
+      service.update(String(new Types.ObjectId()), { bio: 'Hi' }),
+    ).rejects.toBeInstanceOf(NotFoundException);
+  });
+});
@@ -0,0 +1,69 @@
+import { Injectable, NotFoundException } from '@nestjs/common';
+import { InjectModel } from '@nestjs/mongoose';
+import { Model } from 'mongoose';
+import { User, UserDocument } from '../schemas/user.schema';
+import { UpdateProfileDto } from '../dto/update-profile.dto';
+import { resolvePermissions } from '../permissions/role-permissions';
+import { AvatarService } from './avatar.service';
+
+const EDITABLE_FIELDS = [
+  'name',
+  'displayName',
+  'locale',
+  'timezone',
+  'bio',
+] as const;
+
+/** The signed-in user's own profile, read from the database rather than from token claims. */
+@Injectable()
+export class ProfileService {
+  constructor(
+    @InjectModel(User.name) private userModel: Model<UserDocument>,
+    private readonly avatarService: AvatarService,
+  ) {}
+
+  async get(userId: string) {
+    return this.toProfile(await this.getUser(userId));
+  }
+
+  async update(userId: string, changes: UpdateProfileDto) {
+    const user = await this.getUser(userId);
+    for (const field of EDITABLE_FIELDS) {
+      const value = changes[field];
+      if (value === undefined) continue;
+      const trimmed = value?.trim();
+      user.set(field, trimmed || undefined);
+    }
+    await user.save();
+    return this.toProfile(user);
+  }
+
+  private toProfile(user: UserDocument) {
+    return {
+      id: String(user._id),
+      email: user.email,
+      emailVerified: user.emailVerified,
+      hasPassword: !!user.passwordHash,
+      name: user.name,
+      displayName: user.displayName,
+      // 64, 128 and 256 pixel squares
+      avatarUrls: this.avatarService.urls(user.avatarKey),
+      locale: user.locale,
+      timezone: user.timezone,
+      bio: user.bio,
+      roles: user.roles ?? [],
+      // Read from the account, so changes by an administrator show before the next token
+      permissions: resolvePermissions(user.roles, user.permissions),
+      mfaEnabled: user.mfaEnabled,
+      createdAt: (user as { createdAt?: Date }).createdAt,
+    };
+  }
+
+  private async getUser(userId: string): Promise<UserDocument> {
+    const user = await this.userModel.findById(userId).exec();
+    if (!user) {
+      throw new NotFoundException('User not found');
+    }
+    return user;
+  }
+}
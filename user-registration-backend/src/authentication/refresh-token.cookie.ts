@@ -0,0 +1,51 @@
+import { ConfigService } from '@nestjs/config';
+import type { CookieOptions, Request, Response } from 'express';
+
+export const REFRESH_TOKEN_COOKIE = 'refreshToken';
+const REFRESH_TOKEN_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // Matches the 7 day refresh token lifetime
+
+// What identifies the cookie: clearCookie must receive the same path/domain attributes it was set with
+function refreshCookieAttributes(configService: ConfigService): CookieOptions {
+  const isProduction = configService.get<string>('NODE_ENV') === 'production';
+  return {
+    httpOnly: true,
+    // Frontend (Vercel) and backend (Render) live on different sites in production,
+    // so the cookie has to be SameSite=None there, which browsers only accept with Secure.
+    secure: isProduction,
+    sameSite: isProduction ? 'none' : 'lax',
+    path: '/authentication',
+  };
+}
+
+export function refreshCookieOptions(
+  configService: ConfigService,
+): CookieOptions {
+  return {
+    ...refreshCookieAttributes(configService),
+    maxAge: REFRESH_TOKEN_MAX_AGE_MS,
+  };
+}
+
+/** The refresh token never reaches JavaScript, it only travels as an HTTP-only cookie. */
+export function setRefreshCookie(
+  res: Response,
+  refreshToken: string,
+  configService: ConfigService,
+) {
+  res.cookie(
+    REFRESH_TOKEN_COOKIE,
+    refreshToken,
+    refreshCookieOptions(configService),
+  );
+}
+
+export function clearRefreshCookie(
+  res: Response,
+  configService: ConfigService,
+) {
+  res.clearCookie(REFRESH_TOKEN_COOKIE, refreshCookieAttributes(configService));
+}
+
+export function readRefreshCookie(req: Request): string | undefined {
+  return req.cookies?.[REFRESH_TOKEN_COOKIE] as string | undefined;
+}
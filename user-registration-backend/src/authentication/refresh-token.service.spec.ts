@@ -0,0 +1,153 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { UnauthorizedException } from '@nestjs/common';
+import { JwtService } from '@nestjs/jwt';
+import { ConfigService } from '@nestjs/config';
+import { getModelToken } from '@nestjs/mongoose';
+import { Types } from 'mongoose';
+import { RefreshTokenService } from './refresh-token.service';
+import { RefreshToken } from './schemas/refresh-token.schema';
+import { TokenService } from './jwt/token.service';
+import { SigningKeyService } from './jwt/signing-key.service';
+import { SessionService } from './sessions/session.service';
+
+const exec = <T>(value: T) => ({ exec: jest.fn().mockResolvedValue(value) });
+
+const config: Record<string, string> = {
+  JWT_REFRESH_SECRET: 'refresh-secret',
+};
+
+describe('RefreshTokenService', () => {
+  let service: RefreshTokenService;
+  let tokenService: TokenService;
+  const userId = new Types.ObjectId().toString();
+  const refreshTokenModel = {
+    create: jest.fn<Promise<object>, [RefreshToken]>(),
+    findOneAndUpdate: jest.fn(),
+    findOne: jest.fn(),
+    exists: jest.fn(),
+    updateMany: jest.fn(),
+  };
+  const sessionService = {
+    record: jest.fn(),
+    endFamily: jest.fn(),
+    endAllForUser: jest.fn(),
+  };
+
+  beforeEach(async () => {
+    jest.resetAllMocks();
+    refreshTokenModel.updateMany.mockReturnValue(exec({}));
+
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        RefreshTokenService,
+        TokenService,
+        SigningKeyService,
+        {
+          provide: JwtService,
+          useValue: new JwtService({ signOptions: { expiresIn: '60m' } }),
+        },
+        {
+          provide: ConfigService,
+          useValue: { get: (key: string) => config[key] },
+        },
+        {
+          provide: getModelToken(RefreshToken.name),
+          useValue: refreshTokenModel,
+        },
+        { provide: SessionService, useValue: sessionService },
+      ],
+    }).compile();
+
+    service = module.get<RefreshTokenService>(RefreshTokenService);
+    tokenService = module.get<TokenService>(TokenService);
+  });
+
+  it('stores only a hash of issued tokens', async () => {
+    const token = await service.issue(userId, 'family-1');
+
+    const stored = refreshTokenModel.create.mock.calls[0][0];
+    expect(stored.family).toBe('family-1');
+    expect(stored.tokenHash).toHaveLength(64);
+    expect(stored.tokenHash).not.toContain(token);
+  });
+
+  it('rotates an unused token within the same family', async () => {
+    const token = await service.issue(userId, 'family-1');
+    refreshTokenModel.findOneAndUpdate.mockReturnValue(
+      exec({ userId: new Types.ObjectId(userId), family: 'family-1' }),
+    );
+
+    const result = await service.rotate(token, { ip: '203.0.113.7' });
+
+    expect(result.userId).toBe(userId);
+    expect(result.refreshToken).not.toBe(token);
+    expect(refreshTokenModel.create.mock.calls[1][0].family).toBe('family-1');
+    expect(sessionService.record).toHaveBeenLastCalledWith(
+      userId,
+      'family-1',
+      { ip: '203.0.113.7' },
+      expect.any(Date),
+    );
+  });
+
+  it('revokes the whole family when a used token is replayed', async () => {
+    const token = await service.issue(userId, 'family-1');
+    refreshTokenModel.findOneAndUpdate.mockReturnValue(exec(null));
+    refreshTokenModel.exists.mockReturnValue(
+      exec({ _id: new Types.ObjectId() }),
+    );
+
+    await expect(service.rotate(token)).rejects.toBeInstanceOf(
+      UnauthorizedException,
+    );
+    expect(refreshTokenModel.updateMany).toHaveBeenCalledWith(
+      { family: 'family-1', revokedAt: null },
+      expect.anything(),
+    );
+    expect(sessionService.endFamily).toHaveBeenCalledWith('family-1');
+  });
+
+  it('keeps the current session when signing out other devices', async () => {
+    refreshTokenModel.findOne.mockReturnValue(exec({ family: 'current' }));
+
+    await service.revokeOthers(userId, 'current-token');
+
+    expect(refreshTokenModel.updateMany).toHaveBeenCalledWith(
+      {
+        userId: new Types.ObjectId(userId),
+        revokedAt: null,
+        family: { $ne: 'current' },
+      },
+      expect.anything(),
+    );
+    expect(sessionService.endAllForUser).toHaveBeenCalledWith(
+      userId,
+      'current',
+    );
+  });
+
+  it('rejects tokens that were never issued by this service', async () => {
+    const foreign = new JwtService({ secret: 'some-other-secret' }).sign({
+      sub: userId,
+      fam: 'f',
+      jti: 'j',
+    });
+
+    await expect(service.rotate(foreign)).rejects.toBeInstanceOf(
+      UnauthorizedException,
+    );
+    expect(refreshTokenModel.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('rejects access tokens presented as refresh tokens', async () => {
+    const accessToken = tokenService.signAccessToken({
+      sub: userId,
+      email: 'a@b.c',
+    });
+
+    await expect(service.rotate(accessToken)).rejects.toBeInstanceOf(
+      UnauthorizedException,
+    );
+    expect(refreshTokenModel.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
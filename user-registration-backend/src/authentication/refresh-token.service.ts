@@ -0,0 +1,162 @@
+import { Injectable, UnauthorizedException } from '@nestjs/common';
+import { InjectModel } from '@nestjs/mongoose';
+import { Model, Types } from 'mongoose';
+import { randomUUID } from 'crypto';
+import {
+  RefreshToken,
+  RefreshTokenDocument,
+} from './schemas/refresh-token.schema';
+import { TokenService } from './jwt/token.service';
+import { sha256 } from './crypto.util';
+import { SessionService } from './sessions/session.service';
+import { SessionContext } from './sessions/session-context';
+
+const REFRESH_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60; // Refresh token valid for 7 days
+
+interface RefreshTokenPayload {
+  sub: string;
+  fam: string;
+  jti: string;
+}
+
+@Injectable()
+export class RefreshTokenService {
+  constructor(
+    @InjectModel(RefreshToken.name)
+    private refreshTokenModel: Model<RefreshTokenDocument>,
+    private readonly tokenService: TokenService,
+    private readonly sessionService: SessionService,
+  ) {}
+
+  /**
+   * Issues a refresh token for the user and persists its hash.
+   * Omitting `family` starts a new one (i.e. a new login, and a new session).
+   */
+  async issue(
+    userId: string,
+    family: string = randomUUID(),
+    context: SessionContext = {},
+  ): Promise<string> {
+    const payload: RefreshTokenPayload = {
+      sub: userId,
+      fam: family,
+      jti: randomUUID(),
+    };
+    const token = this.tokenService.signRefreshToken(
+      payload,
+      REFRESH_TOKEN_TTL_SECONDS,
+    );
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000);
+
+    await this.refreshTokenModel.create({
+      userId: new Types.ObjectId(userId),
+      family,
+      tokenHash: sha256(token),
+      expiresAt,
+    });
+    await this.sessionService.record(userId, family, context, expiresAt);
+    return token;
+  }
+
+  /**
+   * Consumes a refresh token and returns a new one from the same family.
+   * Presenting a token that was already used revokes the whole family,
+   * since either the legitimate client or an attacker holds a stolen copy.
+   */
+  async rotate(
+    token: string,
+    context: SessionContext = {},
+  ): Promise<{ userId: string; refreshToken: string }> {
+    const payload = this.decode(token);
+    const tokenHash = sha256(token);
+
+    const consumed = await this.refreshTokenModel
+      .findOneAndUpdate(
+        {
+          tokenHash,
+          usedAt: null,
+          revokedAt: null,
+          expiresAt: { $gt: new Date() },
+        },
+        { $set: { usedAt: new Date() } },
+      )
+      .exec();
+
+    if (!consumed) {
+      const known = await this.refreshTokenModel.exists({ tokenHash }).exec();
+      if (known) {
+        await this.revokeFamily(payload.fam);
+      }
+      throw new UnauthorizedException('Invalid refresh token');
+    }
+
+    const refreshToken = await this.issue(
+      consumed.userId.toString(),
+      consumed.family,
+      context,
+    );
+    return { userId: consumed.userId.toString(), refreshToken };
+  }
+
+  /** Revokes the family the given token belongs to (logout of a single session) and returns its owner. */
+  async revoke(token: string): Promise<string | undefined> {
+    const stored = await this.refreshTokenModel
+      .findOne({ tokenHash: sha256(token) })
+      .exec();
+    if (!stored) return undefined;
+    await this.revokeFamily(stored.family);
+    return stored.userId.toString();
+  }
+
+  async revokeFamily(family: string): Promise<void> {
+    await this.refreshTokenModel
+      .updateMany(
+        { family, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+      )
+      .exec();
+    await this.sessionService.endFamily(family);
+  }
+
+  /** The family (session) a still-valid token belongs to, if any. */
+  async familyOf(token?: string): Promise<string | undefined> {
+    if (!token) return undefined;
+    const stored = await this.refreshTokenModel
+      .findOne({ tokenHash: sha256(token), revokedAt: null })
+      .exec();
+    return stored?.family;
+  }
+
+  /** Signs the user out everywhere. */
+  async revokeAllForUser(userId: string): Promise<void> {
+    await this.refreshTokenModel
+      .updateMany(
+        { userId: new Types.ObjectId(userId), revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+      )
+      .exec();
+    await this.sessionService.endAllForUser(userId);
+  }
+
+  /** Signs the user out of every session except the one holding `currentToken`. */
+  async revokeOthers(userId: string, currentToken?: string): Promise<void> {
+    const currentFamily = await this.familyOf(currentToken);
+    const filter = currentFamily ? { family: { $ne: currentFamily } } : {};
+    await this.refreshTokenModel
+      .updateMany(
+        { userId: new Types.ObjectId(userId), revokedAt: null, ...filter },
+        { $set: { revokedAt: new Date() } },
+      )
+      .exec();
+    await this.sessionService.endAllForUser(userId, currentFamily);
+  }
+
+  private decode(token: string): RefreshTokenPayload {
+    const payload =
+      this.tokenService.verifyRefreshToken<RefreshTokenPayload>(token);
+    if (!payload.fam || !payload.jti) {
+      throw new UnauthorizedException('Invalid refresh token');
+    }
+    return payload;
+  }
+}
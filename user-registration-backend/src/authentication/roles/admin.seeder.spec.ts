@@ -0,0 +1,67 @@
+import { ConfigService } from '@nestjs/config';
+import { Model } from 'mongoose';
+import * as bcrypt from 'bcrypt';
+import { AdminSeeder } from './admin.seeder';
+import { Role } from './role.enum';
+import { User, UserDocument } from '../schemas/user.schema';
+
+const exec = <T>(value: T) => ({ exec: jest.fn().mockResolvedValue(value) });
+
+describe('AdminSeeder', () => {
+  let config: Record<string, string>;
+  const userModel = {
+    findOneAndUpdate: jest.fn(),
+    create: jest.fn<Promise<object>, [Partial<User>]>(),
+  };
+  const seeder = () =>
+    new AdminSeeder(
+      userModel as unknown as Model<UserDocument>,
+      { get: (key: string) => config[key] } as unknown as ConfigService,
+    );
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config = {
+      ADMIN_EMAIL: 'admin@example.com',
+      ADMIN_PASSWORD: 'change-me-now',
+    };
+  });
+
+  it('does nothing without ADMIN_EMAIL', async () => {
+    delete config.ADMIN_EMAIL;
+
+    await seeder().onApplicationBootstrap();
+
+    expect(userModel.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('promotes an existing account without touching its password', async () => {
+    userModel.findOneAndUpdate.mockReturnValue(
+      exec({ email: 'admin@example.com', roles: [Role.User] }),
+    );
+
+    await seeder().onApplicationBootstrap();
+
+    expect(userModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { email: 'admin@example.com' },
+      { $addToSet: { roles: Role.Admin } },
+    );
+    expect(userModel.create).not.toHaveBeenCalled();
+  });
+
+  it('creates a verified admin account when none exists', async () => {
+    userModel.findOneAndUpdate.mockReturnValue(exec(null));
+
+    await seeder().onApplicationBootstrap();
+
+    const created = userModel.create.mock.calls[0][0];
+    expect(created).toMatchObject({
+      email: 'admin@example.com',
+      emailVerified: true,
+      roles: [Role.User, Role.Admin],
+    });
+    expect(await bcrypt.compare('change-me-now', created.passwordHash!)).toBe(
+      true,
+    );
+  });
+});
@@ -0,0 +1,54 @@
+import { Injectable, Logger, OnApplicationBootstrap } from '@nestjs/common';
+import { InjectModel } from '@nestjs/mongoose';
+import { ConfigService } from '@nestjs/config';
+import { Model } from 'mongoose';
+import * as bcrypt from 'bcrypt';
+import { User, UserDocument } from '../schemas/user.schema';
+import { Role } from './role.enum';
+
+/**
+ * Makes sure the account named by ADMIN_EMAIL is an admin when the app starts.
+ * An existing account is promoted and keeps its password; otherwise one is
+ * created with ADMIN_PASSWORD. Nothing happens when ADMIN_EMAIL is unset.
+ */
+@Injectable()
+export class AdminSeeder implements OnApplicationBootstrap {
+  private readonly logger = new Logger(AdminSeeder.name);
+
+  constructor(
+    @InjectModel(User.name) private userModel: Model<UserDocument>,
+    private readonly configService: ConfigService,
+  ) {}
+
+  async onApplicationBootstrap(): Promise<void> {
+    const email = this.configService.get<string>('ADMIN_EMAIL');
+    if (!email) return;
+
+    // Returns the account as it was before the update, which tells us whether it was already an admin
+    const promoted = await this.userModel
+      .findOneAndUpdate({ email }, { $addToSet: { roles: Role.Admin } })
+      .exec();
+    if (promoted) {
+      if (!promoted.roles?.includes(Role.Admin)) {
+        this.logger.log(`Granted the admin role to ${email}`);
+      }
+      return;
+    }
+
+    const password = this.configService.get<string>('ADMIN_PASSWORD');
+    if (!password) {
+      this.logger.warn(
+        `ADMIN_EMAIL ${email} has no account yet, set ADMIN_PASSWORD to create it`,
+      );
+      return;
+    }
+    await this.userModel.create({
+      email,
+      passwordHash: await bcrypt.hash(password, 10),
+      name: 'Administrator',
+      emailVerified: true,
+      roles: [Role.User, Role.Admin],
+    });
+    this.logger.log(`Created admin account ${email}`);
+  }
+}
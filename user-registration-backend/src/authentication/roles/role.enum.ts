@@ -0,0 +1,5 @@
+export enum Role {
+  User = 'user',
+  Support = 'support',
+  Admin = 'admin',
+}
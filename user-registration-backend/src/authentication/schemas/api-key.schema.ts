@@ -0,0 +1,41 @@
+import { Prop, Schema, SchemaFactory } from '@nestjs/mongoose';
+import { Document, Types } from 'mongoose';
+import { Permission } from '../permissions/permission.enum';
+
+export type ApiKeyDocument = ApiKey & Document;
+
+/** A personal API key for scripts, acting as its owner within its scopes. */
+@Schema({ timestamps: true })
+export class ApiKey {
+  @Prop({ type: Types.ObjectId, ref: 'User', required: true, index: true })
+  userId: Types.ObjectId;
+
+  @Prop({ required: true })
+  name: string;
+
+  // SHA-256 of the key, which is only shown when it is created
+  @Prop({ required: true, unique: true, select: false })
+  keyHash: string;
+
+  // The first characters of the key, so users can tell their keys apart
+  @Prop({ required: true })
+  start: string;
+
+  // Permissions the key may use; whatever the owner has lost since is left out at each request
+  @Prop({ type: [String], enum: Object.values(Permission), default: [] })
+  scopes: Permission[];
+
+  @Prop()
+  lastUsedAt?: Date;
+
+  @Prop()
+  lastUsedIp?: string;
+
+  // Expired keys are removed by the TTL index below
+  @Prop({ required: true })
+  expiresAt: Date;
+}
+
+export const ApiKeySchema = SchemaFactory.createForClass(ApiKey);
+
+ApiKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
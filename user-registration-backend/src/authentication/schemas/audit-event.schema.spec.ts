@@ -0,0 +1,63 @@
+import { createConnection, Types } from 'mongoose';
+import {
+  ANONYMIZE_AUDIT_OPTION,
+  AuditEvent,
+  AuditEventSchema,
+} from './audit-event.schema';
+import { AuditEventType, AuditOutcome } from '../audit/audit-event-type.enum';
+
+describe('AuditEventSchema', () => {
+  // Without a server, any write that gets past the hooks fails on the connection instead
+  const connection = createConnection();
+  const AuditEventModel = connection.model(
+    AuditEvent.name,
+    AuditEventSchema.clone().set('bufferCommands', false),
+  );
+  const notConnected = /before initial connection/;
+
+  afterAll(() => connection.close());
+
+  it.each([
+    ['updateOne', () => AuditEventModel.updateOne({}, { reason: 'edited' })],
+    ['updateMany', () => AuditEventModel.updateMany({}, { reason: 'edited' })],
+    [
+      'findOneAndUpdate',
+      () => AuditEventModel.findOneAndUpdate({}, { reason: 'edited' }),
+    ],
+    ['replaceOne', () => AuditEventModel.replaceOne({}, {})],
+    ['deleteOne', () => AuditEventModel.deleteOne({})],
+    ['deleteMany', () => AuditEventModel.deleteMany({})],
+    ['findOneAndDelete', () => AuditEventModel.findOneAndDelete({})],
+  ])('refuses %s', async (_, query) => {
+    await expect(query().exec()).rejects.toThrow('append-only');
+  });
+
+  it('refuses to save changes to a stored event', async () => {
+    const event = AuditEventModel.hydrate({
+      _id: new Types.ObjectId(),
+      type: AuditEventType.Logout,
+      outcome: AuditOutcome.Success,
+    });
+    event.reason = 'edited';
+
+    await expect(event.save()).rejects.toThrow('append-only');
+    await expect(event.deleteOne()).rejects.toThrow('append-only');
+  });
+
+  it('lets the anonymizer unset personal fields and nothing else', async () => {
+    const anonymize = (update: Record<string, unknown>) =>
+      AuditEventModel.updateMany({}, update)
+        .setOptions({ [ANONYMIZE_AUDIT_OPTION]: true, timestamps: false })
+        .exec();
+
+    await expect(
+      anonymize({ $unset: { email: 1, ip: 1, userAgent: 1 } }),
+    ).rejects.toThrow(notConnected);
+    await expect(anonymize({ $unset: { reason: 1 } })).rejects.toThrow(
+      'append-only',
+    );
+    await expect(
+      anonymize({ $unset: { ip: 1 }, $set: { reason: 'edited' } }),
+    ).rejects.toThrow('append-only');
+  });
+});
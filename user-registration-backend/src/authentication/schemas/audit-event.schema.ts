@@ -0,0 +1,106 @@
+import { Prop, Schema, SchemaFactory } from '@nestjs/mongoose';
+import { Document, Types, UpdateQuery } from 'mongoose';
+import { AuditEventType, AuditOutcome } from '../audit/audit-event-type.enum';
+
+export type AuditEventDocument = AuditEvent & Document;
+
+// Personal details stripped when the account they belong to is anonymized
+export const ANONYMIZED_AUDIT_FIELDS = ['email', 'ip', 'userAgent'];
+// Query option that lets AuditService.anonymizeUser unset those fields
+export const ANONYMIZE_AUDIT_OPTION = 'anonymizeAudit';
+
+/** One entry of the security audit trail. Entries are only ever appended, never edited. */
+@Schema({ timestamps: { createdAt: true, updatedAt: false } })
+export class AuditEvent {
+  @Prop({ required: true, enum: AuditEventType, index: true })
+  type: AuditEventType;
+
+  @Prop({ required: true, enum: AuditOutcome })
+  outcome: AuditOutcome;
+
+  // Why a failed attempt failed, e.g. "invalid_password"; never shown to the client that failed
+  @Prop()
+  reason?: string;
+
+  // Who did it; missing when nobody could be identified (unknown email, invalid token...)
+  @Prop({ type: Types.ObjectId, ref: 'User', index: true })
+  actorId?: Types.ObjectId;
+
+  // Whose account it happened to; the actor's own unless an administrator acted on someone else
+  @Prop({ type: Types.ObjectId, ref: 'User', index: true })
+  targetId?: Types.ObjectId;
+
+  // The address typed in, kept for sign-in attempts that match no account
+  @Prop()
+  email?: string;
+
+  @Prop()
+  ip?: string;
+
+  @Prop()
+  userAgent?: string;
+
+  @Prop({ type: Object })
+  metadata?: Record<string, unknown>;
+
+  createdAt?: Date;
+}
+
+export const AuditEventSchema = SchemaFactory.createForClass(AuditEvent);
+
+AuditEventSchema.index({ createdAt: -1 });
+
+// The trail is append-only at the model level too, so no future caller can rewrite history
+const APPEND_ONLY_ERROR = 'Audit events are append-only';
+
+AuditEventSchema.pre(
+  [
+    'updateOne',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+  ],
+  { document: false, query: true },
+  function () {
+    throw new Error(APPEND_ONLY_ERROR);
+  },
+);
+
+// The one exemption: AuditService.anonymizeUser unsetting personal fields, and nothing else
+AuditEventSchema.pre('updateMany', function () {
+  if (
+    !this.getOptions()[ANONYMIZE_AUDIT_OPTION] ||
+    !unsetsOnlyPersonalFields(this.getUpdate())
+  ) {
+    throw new Error(APPEND_ONLY_ERROR);
+  }
+});
+
+AuditEventSchema.pre(
+  ['updateOne', 'deleteOne'],
+  { document: true, query: false },
+  function () {
+    throw new Error(APPEND_ONLY_ERROR);
+  },
+);
+
+AuditEventSchema.pre('save', function () {
+  if (!this.isNew) {
+    throw new Error(APPEND_ONLY_ERROR);
+  }
+});
+
+function unsetsOnlyPersonalFields(update: UpdateQuery<unknown> | null) {
+  const { $unset, ...rest } = update ?? {};
+  return (
+    Object.keys(rest).length === 0 &&
+    typeof $unset === 'object' &&
+    $unset !== null &&
+    Object.keys($unset).every((field) =>
+      ANONYMIZED_AUDIT_FIELDS.includes(field),
+    )
+  );
+}
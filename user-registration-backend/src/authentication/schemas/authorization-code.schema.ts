@@ -0,0 +1,42 @@
+import { Prop, Schema, SchemaFactory } from '@nestjs/mongoose';
+import { Document, Types } from 'mongoose';
+
+export type AuthorizationCodeDocument = AuthorizationCode & Document;
+
+/** A single-use code handed to a client's redirect URI, exchanged for tokens at the token endpoint. */
+@Schema()
+export class AuthorizationCode {
+  // SHA-256 of the code, the code itself only ever travels in the redirect
+  @Prop({ required: true, unique: true })
+  codeHash: string;
+
+  // The public client_id, not the document id
+  @Prop({ required: true })
+  clientId: string;
+
+  @Prop({ type: Types.ObjectId, ref: 'User', required: true, index: true })
+  userId: Types.ObjectId;
+
+  // Must be sent again, unchanged, with the code
+  @Prop({ required: true })
+  redirectUri: string;
+
+  @Prop({ type: [String], required: true })
+  scopes: string[];
+
+  // S256 PKCE challenge, required from every client
+  @Prop({ required: true })
+  codeChallenge: string;
+
+  @Prop()
+  nonce?: string;
+
+  @Prop({ required: true })
+  expiresAt: Date;
+}
+
+export const AuthorizationCodeSchema =
+  SchemaFactory.createForClass(AuthorizationCode);
+
+// Unused codes clean themselves up
+AuthorizationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
@@ -0,0 +1,48 @@
+import { Prop, Schema, SchemaFactory } from '@nestjs/mongoose';
+import { Document, Types } from 'mongoose';
+
+export type DataExportDocument = DataExport & Document;
+
+export enum DataExportStatus {
+  Pending = 'pending',
+  Ready = 'ready',
+  Failed = 'failed',
+}
+
+export type DataExportFormat = 'json' | 'zip';
+
+/** A personal data archive built in the background for accounts too large to export on the spot. */
+@Schema({ timestamps: true })
+export class DataExport {
+  @Prop({ type: Types.ObjectId, ref: 'User', required: true, index: true })
+  userId: Types.ObjectId;
+
+  @Prop({ required: true, enum: ['json', 'zip'] })
+  format: DataExportFormat;
+
+  @Prop({
+    required: true,
+    enum: DataExportStatus,
+    default: DataExportStatus.Pending,
+  })
+  status: DataExportStatus;
+
+  // The finished archive in ExportArchiveStore (GridFS)
+  @Prop({ type: Types.ObjectId })
+  fileId?: Types.ObjectId;
+
+  @Prop()
+  fileName?: string;
+
+  @Prop()
+  completedAt?: Date;
+
+  // Archives hold everything we know about a person, they do not stay around for long.
+  // DataExportService removes the job and its file once this passes.
+  @Prop({ required: true, index: true })
+  expiresAt: Date;
+
+  createdAt?: Date;
+}
+
+export const DataExportSchema = SchemaFactory.createForClass(DataExport);
@@ -0,0 +1,31 @@
+import { Prop, Schema, SchemaFactory } from '@nestjs/mongoose';
+import { Document, Types } from 'mongoose';
+
+export type ExternalIdentityDocument = ExternalIdentity & Document;
+
+/** An account at Google, GitHub or an OIDC provider that can sign in as the user. */
+@Schema({ timestamps: true })
+export class ExternalIdentity {
+  @Prop({ type: Types.ObjectId, ref: 'User', required: true, index: true })
+  userId: Types.ObjectId;
+
+  // Provider ID from OAuthProviders: google, github or oidc
+  @Prop({ required: true })
+  provider: string;
+
+  // The provider's stable ID for the account; emails can change, this cannot
+  @Prop({ required: true })
+  subject: string;
+
+  // What the provider reported at the last sign-in, shown in the profile
+  @Prop()
+  email?: string;
+
+  @Prop()
+  lastUsedAt?: Date;
+}
+
+export const ExternalIdentitySchema =
+  SchemaFactory.createForClass(ExternalIdentity);
+
+ExternalIdentitySchema.index({ provider: 1, subject: 1 }, { unique: true });
@@ -0,0 +1,31 @@
+import { Prop, Schema, SchemaFactory } from '@nestjs/mongoose';
+import { Document, Types } from 'mongoose';
+
+export type KnownDeviceDocument = KnownDevice & Document;
+
+/** A browser the user has signed in from before, with the addresses it used. */
+@Schema({ timestamps: true })
+export class KnownDevice {
+  @Prop({ type: Types.ObjectId, ref: 'User', required: true })
+  userId: Types.ObjectId;
+
+  // The "Chrome on Windows" label: stable across browser updates, unlike the full user agent
+  @Prop({ required: true })
+  device: string;
+
+  // Most recent last, capped so a roaming phone does not grow the document forever
+  @Prop({ type: [String], default: [] })
+  ips: string[];
+
+  @Prop({ required: true })
+  lastSeenAt: Date;
+
+  // Devices unused for KNOWN_DEVICE_TTL_DAYS are forgotten and count as new again
+  @Prop({ required: true })
+  expiresAt: Date;
+}
+
+export const KnownDeviceSchema = SchemaFactory.createForClass(KnownDevice);
+
+KnownDeviceSchema.index({ userId: 1, device: 1 }, { unique: true });
+KnownDeviceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
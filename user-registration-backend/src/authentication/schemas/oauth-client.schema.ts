@@ -0,0 +1,28 @@
+import { Prop, Schema, SchemaFactory } from '@nestjs/mongoose';
+import { Document, Types } from 'mongoose';
+
+export type OAuthClientDocument = OAuthClient & Document;
+
+/** Another app that signs its users in through us with OpenID Connect. */
+@Schema({ timestamps: true })
+export class OAuthClient {
+  @Prop({ required: true, unique: true })
+  clientId: string;
+
+  // SHA-256 of the secret, shown once at registration. Public clients (SPAs, mobile apps) have none and rely on PKCE
+  @Prop({ select: false })
+  clientSecretHash?: string;
+
+  // Shown on the consent screen
+  @Prop({ required: true })
+  name: string;
+
+  // Compared exactly, no wildcards
+  @Prop({ type: [String], required: true })
+  redirectUris: string[];
+
+  @Prop({ type: Types.ObjectId, ref: 'User' })
+  createdBy?: Types.ObjectId;
+}
+
+export const OAuthClientSchema = SchemaFactory.createForClass(OAuthClient);
@@ -0,0 +1,25 @@
+import { Prop, Schema, SchemaFactory } from '@nestjs/mongoose';
+import { Document, Types } from 'mongoose';
+
+export type OAuthConsentDocument = OAuthConsent & Document;
+
+/** Scopes a user agreed to share with a client; later sign-ins asking for no more skip the consent screen. */
+@Schema({ timestamps: true })
+export class OAuthConsent {
+  @Prop({ type: Types.ObjectId, ref: 'User', required: true })
+  userId: Types.ObjectId;
+
+  @Prop({ type: Types.ObjectId, ref: 'OAuthClient', required: true })
+  client: Types.ObjectId;
+
+  @Prop({ type: [String], default: [] })
+  scopes: string[];
+
+  @Prop()
+  lastUsedAt?: Date;
+}
+
+export const OAuthConsentSchema = SchemaFactory.createForClass(OAuthConsent);
+
+OAuthConsentSchema.index({ userId: 1, client: 1 }, { unique: true });
+OAuthConsentSchema.index({ client: 1 });
@@ -0,0 +1,32 @@
+import { Prop, Schema, SchemaFactory } from '@nestjs/mongoose';
+import { Document, Types } from 'mongoose';
+
+export type RefreshTokenDocument = RefreshToken & Document;
+
+@Schema({ timestamps: true })
+export class RefreshToken {
+  @Prop({ type: Types.ObjectId, ref: 'User', required: true, index: true })
+  userId: Types.ObjectId;
+
+  // Every token rotated out of the same login shares a family
+  @Prop({ required: true, index: true })
+  family: string;
+
+  // SHA-256 of the token, the raw value is never stored
+  @Prop({ required: true, unique: true })
+  tokenHash: string;
+
+  @Prop({ required: true })
+  expiresAt: Date;
+
+  @Prop()
+  usedAt?: Date;
+
+  @Prop()
+  revokedAt?: Date;
+}
+
+export const RefreshTokenSchema = SchemaFactory.createForClass(RefreshToken);
+
+// Let Mongo drop expired tokens on its own
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
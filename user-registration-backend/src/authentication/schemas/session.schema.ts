@@ -0,0 +1,34 @@
+import { Prop, Schema, SchemaFactory } from '@nestjs/mongoose';
+import { Document, Types } from 'mongoose';
+
+export type SessionDocument = Session & Document;
+
+/** One signed-in device: a refresh-token family plus what we know about the client holding it. */
+@Schema({ timestamps: true })
+export class Session {
+  @Prop({ type: Types.ObjectId, ref: 'User', required: true, index: true })
+  userId: Types.ObjectId;
+
+  // The refresh-token family this session lives on
+  @Prop({ required: true, unique: true })
+  family: string;
+
+  @Prop()
+  userAgent?: string;
+
+  @Prop()
+  ip?: string;
+
+  @Prop({ required: true })
+  lastUsedAt: Date;
+
+  // Follows the newest refresh token, so a session nobody refreshes disappears with it
+  @Prop({ required: true })
+  expiresAt: Date;
+
+  createdAt?: Date;
+}
+
+export const SessionSchema = SchemaFactory.createForClass(Session);
+
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
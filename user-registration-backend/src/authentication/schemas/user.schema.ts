@@ -1,5 +1,8 @@
 import { Prop, Schema, SchemaFactory } from '@nestjs/mongoose';
 import { Document } from 'mongoose';
+import { Role } from '../roles/role.enum';
+import { Permission } from '../permissions/permission.enum';
+import { AccountStatus } from '../account/account-status.enum';
 
 export type UserDocument = User & Document;
 
@@ -8,11 +11,117 @@ export class User {
   @Prop({ required: true, unique: true })
   email: string;
 
-  @Prop({ required: true })
-  passwordHash: string;
+  // Missing for accounts created through Google, GitHub or OIDC until the user sets a password
+  @Prop()
+  passwordHash?: string;
 
   @Prop()
   name?: string;
+
+  // Profile details the user edits themselves through /authentication/me
+  @Prop()
+  displayName?: string;
+
+  // Storage key prefix of the uploaded picture, with one file per AVATAR_SIZES
+  @Prop()
+  avatarKey?: string;
+
+  // BCP 47 tag such as "en-GB", and IANA zone such as "Europe/London"
+  @Prop()
+  locale?: string;
+
+  @Prop()
+  timezone?: string;
+
+  @Prop()
+  bio?: string;
+
+  @Prop({ default: false })
+  emailVerified: boolean;
+
+  @Prop({ type: [String], enum: Object.values(Role), default: [Role.User] })
+  roles: Role[];
+
+  // Only active accounts can sign in, refresh or use their access tokens
+  @Prop({
+    type: String,
+    enum: Object.values(AccountStatus),
+    default: AccountStatus.Active,
+    index: true,
+  })
+  status: AccountStatus;
+
+  @Prop()
+  disabledAt?: Date;
+
+  @Prop()
+  deletionRequestedAt?: Date;
+
+  // When the purge job anonymizes the account, unless the user signs in before then
+  @Prop()
+  deletionScheduledFor?: Date;
+
+  @Prop()
+  deletedAt?: Date;
+
+  // Set when an administrator forces a reset: the old password no longer signs in
+  @Prop({ default: false })
+  passwordResetRequired: boolean;
+
+  // Granted on top of what the roles give
+  @Prop({ type: [String], enum: Object.values(Permission), default: [] })
+  permissions: Permission[];
+
+  // ID of the only verification token still accepted, cleared once used
+  @Prop()
+  emailVerificationTokenId?: string;
+
+  // ID of the only sign-in link still accepted; asking for a new link replaces it
+  @Prop()
+  magicLinkTokenId?: string;
+
+  // IDs of the "this wasn't me" links from login alerts that have not been used yet
+  @Prop({ type: [String], default: [] })
+  loginAlertTokenIds: string[];
+
+  // SHA-256 of the outstanding password reset token
+  @Prop({ index: true, sparse: true })
+  passwordResetTokenHash?: string;
+
+  @Prop()
+  passwordResetExpiresAt?: Date;
+
+  // New address waiting for confirmation, and the ID of the token that confirms it
+  @Prop()
+  pendingEmail?: string;
+
+  @Prop()
+  emailChangeTokenId?: string;
+
+  @Prop({ default: false })
+  mfaEnabled: boolean;
+
+  // Base32 TOTP secret, and the one waiting to be confirmed during enrollment
+  @Prop()
+  mfaSecret?: string;
+
+  @Prop()
+  mfaPendingSecret?: string;
+
+  // SHA-256 of the unused recovery codes
+  @Prop({ type: [String], default: [] })
+  mfaRecoveryCodeHashes: string[];
+
+  // Time step of the last accepted code, so a code cannot be replayed
+  @Prop()
+  mfaLastUsedStep?: number;
+
+  // Consecutive failed password or second-factor attempts, reset by a successful login
+  @Prop({ default: 0 })
+  failedLoginAttempts: number;
+
+  @Prop()
+  lockUntil?: Date;
 }
 
-export const UserSchema = SchemaFactory.createForClass(User);
\ No newline at end of file
+export const UserSchema = SchemaFactory.createForClass(User);
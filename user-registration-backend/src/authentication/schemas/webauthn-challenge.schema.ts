@@ -0,0 +1,26 @@
+import { Prop, Schema, SchemaFactory } from '@nestjs/mongoose';
+import { Document, Types } from 'mongoose';
+
+export type WebAuthnChallengeDocument = WebAuthnChallenge & Document;
+
+@Schema()
+export class WebAuthnChallenge {
+  @Prop({ required: true, unique: true })
+  challenge: string;
+
+  @Prop({ required: true, enum: ['registration', 'authentication'] })
+  type: 'registration' | 'authentication';
+
+  // Set for registrations, passkey logins do not know the user up front
+  @Prop({ type: Types.ObjectId, ref: 'User' })
+  userId?: Types.ObjectId;
+
+  @Prop({ required: true })
+  expiresAt: Date;
+}
+
+export const WebAuthnChallengeSchema =
+  SchemaFactory.createForClass(WebAuthnChallenge);
+
+// Unanswered challenges clean themselves up
+WebAuthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
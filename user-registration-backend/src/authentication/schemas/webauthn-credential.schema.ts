@@ -0,0 +1,41 @@
+import { Prop, Schema, SchemaFactory } from '@nestjs/mongoose';
+import { Document, Types } from 'mongoose';
+
+export type WebAuthnCredentialDocument = WebAuthnCredential & Document;
+
+@Schema({ timestamps: true })
+export class WebAuthnCredential {
+  @Prop({ type: Types.ObjectId, ref: 'User', required: true, index: true })
+  userId: Types.ObjectId;
+
+  // Base64URL credential ID as reported by the authenticator
+  @Prop({ required: true, unique: true })
+  credentialId: string;
+
+  // COSE-encoded public key
+  @Prop({ type: Buffer, required: true })
+  publicKey: Buffer;
+
+  // Signature counter, must increase with every assertion for authenticators that keep one
+  @Prop({ required: true, default: 0 })
+  counter: number;
+
+  @Prop({ type: [String], default: [] })
+  transports: string[];
+
+  @Prop()
+  deviceType?: string;
+
+  @Prop({ default: false })
+  backedUp: boolean;
+
+  // Label chosen by the user ("MacBook", "YubiKey"...)
+  @Prop()
+  name?: string;
+
+  @Prop()
+  lastUsedAt?: Date;
+}
+
+export const WebAuthnCredentialSchema =
+  SchemaFactory.createForClass(WebAuthnCredential);
@@ -0,0 +1,37 @@
+import type { Request } from 'express';
+
+/** What the server can tell about the client starting or refreshing a session. */
+export interface SessionContext {
+  userAgent?: string;
+  ip?: string;
+}
+
+export function sessionContext(req: Request): SessionContext {
+  return { userAgent: req.get('user-agent'), ip: req.ip };
+}
+
+const BROWSERS: [RegExp, string][] = [
+  [/Edg\//, 'Edge'],
+  [/OPR\/|Opera/, 'Opera'],
+  [/Firefox\//, 'Firefox'],
+  [/Chrome\/|CriOS\//, 'Chrome'],
+  [/Safari\//, 'Safari'],
+];
+
+const SYSTEMS: [RegExp, string][] = [
+  [/iPhone|iPad|iPod/, 'iOS'],
+  [/Android/, 'Android'],
+  [/Windows/, 'Windows'],
+  [/Mac OS X|Macintosh/, 'macOS'],
+  [/CrOS/, 'ChromeOS'],
+  [/Linux/, 'Linux'],
+];
+
+/** A rough "Chrome on Windows" label; good enough to recognise your own devices, not for anything else. */
+export function describeUserAgent(userAgent?: string): string {
+  if (!userAgent) return 'Unknown device';
+  const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  const system = SYSTEMS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+}
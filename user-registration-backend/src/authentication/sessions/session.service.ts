@@ -0,0 +1,76 @@
+import { Injectable, NotFoundException } from '@nestjs/common';
+import { InjectModel } from '@nestjs/mongoose';
+import { isValidObjectId, Model, Types } from 'mongoose';
+import { Session, SessionDocument } from '../schemas/session.schema';
+import { describeUserAgent, SessionContext } from './session-context';
+
+/** Bookkeeping for signed-in devices. Revoking one goes through RefreshTokenService, which ends the session here. */
+@Injectable()
+export class SessionService {
+  constructor(
+    @InjectModel(Session.name) private sessionModel: Model<SessionDocument>,
+  ) {}
+
+  /** Creates the session for a new family, or marks an existing one as just used. */
+  async record(
+    userId: string,
+    family: string,
+    context: SessionContext,
+    expiresAt: Date,
+  ): Promise<void> {
+    const seen: Partial<Session> = { lastUsedAt: new Date(), expiresAt };
+    if (context.userAgent) seen.userAgent = context.userAgent;
+    if (context.ip) seen.ip = context.ip;
+
+    await this.sessionModel
+      .updateOne(
+        { family },
+        { $set: seen, $setOnInsert: { userId: new Types.ObjectId(userId) } },
+        { upsert: true },
+      )
+      .exec();
+  }
+
+  /** The user's sessions, most recently used first; `currentFamily` marks the one making the request. */
+  async list(userId: string, currentFamily?: string) {
+    const sessions = await this.sessionModel
+      .find({
+        userId: new Types.ObjectId(userId),
+        expiresAt: { $gt: new Date() },
+      })
+      .sort({ lastUsedAt: -1 })
+      .exec();
+    return sessions.map((session) => ({
+      id: String(session._id),
+      device: describeUserAgent(session.userAgent),
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      current: session.family === currentFamily,
+    }));
+  }
+
+  async findForUser(userId: string, id: string): Promise<SessionDocument> {
+    const session = isValidObjectId(id)
+      ? await this.sessionModel
+          .findOne({ _id: id, userId: new Types.ObjectId(userId) })
+          .exec()
+      : null;
+    if (!session) {
+      throw new NotFoundException('Session not found');
+    }
+    return session;
+  }
+
+  async endFamily(family: string): Promise<void> {
+    await this.sessionModel.deleteOne({ family }).exec();
+  }
+
+  async endAllForUser(userId: string, exceptFamily?: string): Promise<void> {
+    const filter = exceptFamily ? { family: { $ne: exceptFamily } } : {};
+    await this.sessionModel
+      .deleteMany({ userId: new Types.ObjectId(userId), ...filter })
+      .exec();
+  }
+}
@@ -0,0 +1,71 @@
+import {
+  Controller,
+  Delete,
+  Get,
+  HttpCode,
+  HttpStatus,
+  Param,
+  Request,
+  Res,
+  UseGuards,
+} from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import type { Response } from 'express';
+import { JwtAuthGuard } from '../jwt/jwt.guard';
+import { AuthenticatedRequest } from '../jwt/authenticated-request.interface';
+import { RefreshTokenService } from '../refresh-token.service';
+import { SessionService } from './session.service';
+import { clearRefreshCookie, readRefreshCookie } from '../refresh-token.cookie';
+import { Audit } from '../audit/audit.decorator';
+import { AuditEventType } from '../audit/audit-event-type.enum';
+
+// The refresh cookie is scoped to /authentication, so it reaches these routes and tells us which session is asking
+@UseGuards(JwtAuthGuard)
+@Controller('authentication/sessions')
+export class SessionsController {
+  constructor(
+    private readonly sessionService: SessionService,
+    private readonly refreshTokenService: RefreshTokenService,
+    private readonly configService: ConfigService,
+  ) {}
+
+  @Get()
+  async list(@Request() req: AuthenticatedRequest) {
+    const currentFamily = await this.refreshTokenService.familyOf(
+      readRefreshCookie(req),
+    );
+    return this.sessionService.list(req.user.sub, currentFamily);
+  }
+
+  // Declared before :id so "others" is not taken for a session id
+  @Delete('others')
+  @HttpCode(HttpStatus.OK)
+  @Audit(AuditEventType.OtherSessionsRevoked)
+  async revokeOthers(@Request() req: AuthenticatedRequest) {
+    await this.refreshTokenService.revokeOthers(
+      req.user.sub,
+      readRefreshCookie(req),
+    );
+    return { message: 'Signed out of all other devices.' };
+  }
+
+  @Delete(':id')
+  @HttpCode(HttpStatus.OK)
+  @Audit(AuditEventType.SessionRevoked)
+  async revoke(
+    @Request() req: AuthenticatedRequest,
+    @Param('id') id: string,
+    @Res({ passthrough: true }) res: Response,
+  ) {
+    const session = await this.sessionService.findForUser(req.user.sub, id);
+    const currentFamily = await this.refreshTokenService.familyOf(
+      readRefreshCookie(req),
+    );
+    await this.refreshTokenService.revokeFamily(session.family);
+
+    if (session.family === currentFamily) {
+      clearRefreshCookie(res, this.configService);
+    }
+    return { message: 'Session revoked.' };
+  }
+}
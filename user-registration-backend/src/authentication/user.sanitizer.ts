@@ -0,0 +1,45 @@
+import { User, UserDocument } from './schemas/user.schema';
+
+// Fields that must never leave the service
+export const PRIVATE_USER_FIELDS = [
+  'passwordHash',
+  'emailVerificationTokenId',
+  'magicLinkTokenId',
+  'loginAlertTokenIds',
+  'passwordResetTokenHash',
+  'passwordResetExpiresAt',
+  'emailChangeTokenId',
+  'mfaSecret',
+  'mfaPendingSecret',
+  'mfaRecoveryCodeHashes',
+  'mfaLastUsedStep',
+  'failedLoginAttempts',
+  'lockUntil',
+] as const;
+
+// Accounts created through an identity provider have no password until the user sets one
+export type PublicUser = Omit<User, (typeof PRIVATE_USER_FIELDS)[number]> & {
+  hasPassword: boolean;
+};
+
+/** What administrators see: the public user plus the lockout state they may need to act on. */
+export type AdminUserView = PublicUser &
+  Pick<User, 'failedLoginAttempts' | 'lockUntil'> & { locked: boolean };
+
+/** The user as shown to the user themselves. */
+export function sanitizeUser(user: UserDocument): PublicUser {
+  const result = user.toJSON();
+  for (const field of PRIVATE_USER_FIELDS) {
+    delete result[field];
+  }
+  return { ...result, hasPassword: !!user.passwordHash } as PublicUser;
+}
+
+export function sanitizeUserForAdmin(user: UserDocument): AdminUserView {
+  return {
+    ...sanitizeUser(user),
+    failedLoginAttempts: user.failedLoginAttempts ?? 0,
+    lockUntil: user.lockUntil,
+    locked: !!user.lockUntil && user.lockUntil > new Date(),
+  };
+}
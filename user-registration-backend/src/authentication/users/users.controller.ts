@@ -0,0 +1,134 @@
+import {
+  Body,
+  Controller,
+  Delete,
+  ForbiddenException,
+  Get,
+  HttpCode,
+  HttpStatus,
+  Param,
+  Patch,
+  Post,
+  Query,
+  Request,
+  UseGuards,
+} from '@nestjs/common';
+import { JwtOrApiKeyGuard } from '../api-keys/jwt-or-api-key.guard';
+import { AuthenticatedRequest } from '../jwt/authenticated-request.interface';
+import { PermissionsGuard } from '../permissions/permissions.guard';
+import { RequirePermissions } from '../permissions/permissions.decorator';
+import { Permission } from '../permissions/permission.enum';
+import { JwtPayload } from '../jwt/jwt-payload.interface';
+import { UsersService } from './users.service';
+import { ListUsersDto } from '../dto/list-users.dto';
+import { UpdateUserDto } from '../dto/update-user.dto';
+import { Audit } from '../audit/audit.decorator';
+import { AuditEventType } from '../audit/audit-event-type.enum';
+
+@UseGuards(JwtOrApiKeyGuard, PermissionsGuard)
+@Controller('authentication/users')
+export class UsersController {
+  constructor(private readonly usersService: UsersService) {}
+
+  @Get()
+  @RequirePermissions(Permission.UsersRead)
+  list(@Query() query: ListUsersDto) {
+    return this.usersService.list(query);
+  }
+
+  @Get(':id')
+  @RequirePermissions(Permission.UsersRead)
+  findOne(@Param('id') id: string) {
+    return this.usersService.findOne(id);
+  }
+
+  @Patch(':id')
+  @Audit(AuditEventType.AdminUserUpdated, { targetParam: 'id' })
+  @RequirePermissions(Permission.UsersUpdate)
+  update(
+    @Request() req: AuthenticatedRequest,
+    @Param('id') id: string,
+    @Body() changes: UpdateUserDto,
+  ) {
+    // Which extra permissions are needed depends on the fields being changed
+    if (changes.email !== undefined)
+      assertPermission(req.user, Permission.UsersUpdateEmail);
+    if (changes.roles !== undefined || changes.permissions !== undefined) {
+      assertPermission(req.user, Permission.UsersAssignRoles);
+    }
+    return this.usersService.update(id, changes);
+  }
+
+  @Post(':id/disable')
+  @Audit(AuditEventType.AdminUserDisabled, { targetParam: 'id' })
+  @HttpCode(HttpStatus.OK)
+  @RequirePermissions(Permission.UsersDisable)
+  disable(@Request() req: AuthenticatedRequest, @Param('id') id: string) {
+    return this.usersService.disable(id, req.user.sub);
+  }
+
+  @Post(':id/enable')
+  @Audit(AuditEventType.AdminUserEnabled, { targetParam: 'id' })
+  @HttpCode(HttpStatus.OK)
+  @RequirePermissions(Permission.UsersDisable)
+  enable(@Param('id') id: string) {
+    return this.usersService.enable(id);
+  }
+
+  @Post(':id/force-password-reset')
+  @Audit(AuditEventType.AdminPasswordResetForced, { targetParam: 'id' })
+  @HttpCode(HttpStatus.OK)
+  @RequirePermissions(Permission.UsersUpdate)
+  forcePasswordReset(@Param('id') id: string) {
+    return this.usersService.forcePasswordReset(id);
+  }
+
+  @Post(':id/resend-verification')
+  @Audit(AuditEventType.AdminVerificationResent, { targetParam: 'id' })
+  @HttpCode(HttpStatus.OK)
+  @RequirePermissions(Permission.UsersUpdate)
+  async resendVerification(@Param('id') id: string) {
+    await this.usersService.resendVerification(id);
+    return { message: 'Verification email sent.' };
+  }
+
+  @Get(':id/sessions')
+  @RequirePermissions(Permission.SessionsRead)
+  listSessions(@Param('id') id: string) {
+    return this.usersService.listSessions(id);
+  }
+
+  @Delete(':id/sessions')
+  @Audit(AuditEventType.AdminSessionsRevoked, { targetParam: 'id' })
+  @HttpCode(HttpStatus.OK)
+  @RequirePermissions(Permission.SessionsRevoke)
+  async revokeSessions(@Param('id') id: string) {
+    await this.usersService.revokeSessions(id);
+    return { message: 'All sessions revoked.' };
+  }
+
+  @Post(':id/unlock')
+  @Audit(AuditEventType.AdminUserUnlocked, { targetParam: 'id' })
+  @HttpCode(HttpStatus.OK)
+  @RequirePermissions(Permission.UsersUpdate)
+  unlock(@Param('id') id: string) {
+    return this.usersService.unlock(id);
+  }
+
+  @Delete(':id')
+  @Audit(AuditEventType.AdminUserDeleted, { targetParam: 'id' })
+  @HttpCode(HttpStatus.OK)
+  @RequirePermissions(Permission.UsersDelete)
+  async remove(@Request() req: AuthenticatedRequest, @Param('id') id: string) {
+    await this.usersService.remove(id, req.user.sub);
+    return { message: 'User deleted.' };
+  }
+}
+
+function assertPermission(user: JwtPayload, permission: Permission): void {
+  if (!user.permissions?.includes(permission)) {
+    throw new ForbiddenException(
+      'You do not have permission to access this resource',
+    );
+  }
+}
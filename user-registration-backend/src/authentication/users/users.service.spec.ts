@@ -0,0 +1,245 @@
+import {
+  BadRequestException,
+  ConflictException,
+  NotFoundException,
+} from '@nestjs/common';
+import { Model, Types } from 'mongoose';
+import { UsersService } from './users.service';
+import { UserDocument } from '../schemas/user.schema';
+import { RefreshTokenService } from '../refresh-token.service';
+import { AuthenticationService } from '../authentication.service';
+import { SessionService } from '../sessions/session.service';
+import { AccountDeletionService } from '../account/account-deletion.service';
+
+const exec = <T>(value: T) => ({ exec: jest.fn().mockResolvedValue(value) });
+
+const makeUser = (data: Record<string, any>) => {
+  const user: Record<string, any> = {
+    _id: new Types.ObjectId(),
+    emailVerified: true,
+    passwordHash: 'hash',
+    mfaSecret: 'secret',
+    ...data,
+  };
+  user.save = jest.fn().mockResolvedValue(user);
+  user.toJSON = () => {
+    const json = { ...user };
+    delete json.save;
+    delete json.toJSON;
+    return json;
+  };
+  return user;
+};
+
+interface SearchFilter {
+  $or: { email: RegExp }[];
+}
+
+describe('UsersService', () => {
+  let service: UsersService;
+  const query = {
+    sort: jest.fn(),
+    skip: jest.fn(),
+    limit: jest.fn(),
+    exec: jest.fn(),
+  };
+  const userModel = {
+    find: jest.fn<typeof query, [SearchFilter]>(),
+    findById: jest.fn(),
+    countDocuments: jest.fn(),
+    exists: jest.fn(),
+  };
+  const accountDeletionService = { anonymize: jest.fn() };
+  const refreshTokenService = { revokeAllForUser: jest.fn() };
+  const authService = {
+    sendPasswordResetEmail: jest.fn(),
+    sendVerificationEmail: jest.fn(),
+  };
+  const sessionService = { list: jest.fn() };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.sort.mockReturnValue(query);
+    query.skip.mockReturnValue(query);
+    query.limit.mockReturnValue(query);
+    userModel.find.mockReturnValue(query);
+    userModel.exists.mockReturnValue(exec(null));
+    service = new UsersService(
+      userModel as unknown as Model<UserDocument>,
+      refreshTokenService as unknown as RefreshTokenService,
+      authService as unknown as AuthenticationService,
+      sessionService as unknown as SessionService,
+      accountDeletionService as unknown as AccountDeletionService,
+    );
+  });
+
+  describe('list', () => {
+    it('pages, filters and strips secrets', async () => {
+      query.exec.mockResolvedValue([
+        makeUser({ email: 'a@b.c', lockUntil: new Date(Date.now() + 60_000) }),
+      ]);
+      userModel.countDocuments.mockReturnValue(exec(41));
+
+      const page = await service.list({
+        page: '3',
+        limit: '20',
+        search: 'a.b',
+        verified: 'true',
+        locked: 'true',
+      });
+
+      const filter = userModel.find.mock.calls[0][0];
+      expect(filter.$or[0].email.test('xa.by')).toBe(true);
+      expect(filter.$or[0].email.test('xaxby')).toBe(false);
+      expect(filter).toMatchObject({
+        emailVerified: true,
+        lockUntil: { $gt: expect.any(Date) as Date },
+        status: { $ne: 'deleted' },
+      });
+      expect(query.skip).toHaveBeenCalledWith(40);
+      expect(page).toMatchObject({ total: 41, page: 3, limit: 20 });
+      expect(page.items[0]).toMatchObject({ email: 'a@b.c', locked: true });
+      expect(page.items[0]).not.toHaveProperty('passwordHash');
+      expect(page.items[0]).not.toHaveProperty('mfaSecret');
+    });
+
+    it('caps the page size', async () => {
+      query.exec.mockResolvedValue([]);
+      userModel.countDocuments.mockReturnValue(exec(0));
+
+      const page = await service.list({ limit: '5000' });
+
+      expect(page.limit).toBe(100);
+    });
+  });
+
+  it('reports unknown or malformed ids as not found', async () => {
+    userModel.findById.mockReturnValue(exec(null));
+
+    await expect(
+      service.findOne(new Types.ObjectId().toString()),
+    ).rejects.toBeInstanceOf(NotFoundException);
+    await expect(service.findOne('not-an-id')).rejects.toBeInstanceOf(
+      NotFoundException,
+    );
+  });
+
+  it('refuses to move a user onto an address that is taken', async () => {
+    const user = makeUser({ email: 'a@b.c' });
+    userModel.findById.mockReturnValue(exec(user));
+    userModel.exists.mockReturnValue(exec({ _id: new Types.ObjectId() }));
+
+    await expect(
+      service.update(String(user._id), { email: 'taken@b.c' }),
+    ).rejects.toBeInstanceOf(ConflictException);
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  it('marks a changed address as unverified', async () => {
+    const user = makeUser({ email: 'a@b.c' });
+    userModel.findById.mockReturnValue(exec(user));
+
+    const updated = await service.update(String(user._id), {
+      email: 'new@b.c',
+      name: 'New',
+    });
+
+    expect(updated).toMatchObject({
+      email: 'new@b.c',
+      name: 'New',
+      emailVerified: false,
+    });
+  });
+
+  it('signs a user out everywhere when disabling them', async () => {
+    const user = makeUser({ email: 'a@b.c' });
+    userModel.findById.mockReturnValue(exec(user));
+
+    const updated = await service.disable(String(user._id), 'admin-id');
+
+    expect(updated).toMatchObject({
+      status: 'disabled',
+      disabledAt: expect.any(Date) as Date,
+    });
+    expect(refreshTokenService.revokeAllForUser).toHaveBeenCalledWith(
+      String(user._id),
+    );
+  });
+
+  it('does not let administrators disable or delete themselves', async () => {
+    await expect(
+      service.disable('admin-id', 'admin-id'),
+    ).rejects.toBeInstanceOf(BadRequestException);
+    await expect(service.remove('admin-id', 'admin-id')).rejects.toBeInstanceOf(
+      BadRequestException,
+    );
+  });
+
+  it('forces a password reset by mailing a link and ending sessions', async () => {
+    const user = makeUser({ email: 'a@b.c' });
+    userModel.findById.mockReturnValue(exec(user));
+
+    await service.forcePasswordReset(String(user._id));
+
+    expect(user.passwordResetRequired).toBe(true);
+    expect(authService.sendPasswordResetEmail).toHaveBeenCalledWith(user);
+    expect(refreshTokenService.revokeAllForUser).toHaveBeenCalledWith(
+      String(user._id),
+    );
+  });
+
+  it('only resends verification to unverified addresses', async () => {
+    const user = makeUser({ email: 'a@b.c', emailVerified: false });
+    userModel.findById.mockReturnValue(exec(user));
+    await service.resendVerification(String(user._id));
+    expect(authService.sendVerificationEmail).toHaveBeenCalledWith(user);
+
+    userModel.findById.mockReturnValue(exec(makeUser({ email: 'b@b.c' })));
+    await expect(
+      service.resendVerification(String(user._id)),
+    ).rejects.toBeInstanceOf(BadRequestException);
+  });
+
+  it('unlocks an account', async () => {
+    const user = makeUser({
+      email: 'a@b.c',
+      failedLoginAttempts: 7,
+      lockUntil: new Date(Date.now() + 60_000),
+    });
+    userModel.findById.mockReturnValue(exec(user));
+
+    expect(await service.unlock(String(user._id))).toMatchObject({
+      locked: false,
+      failedLoginAttempts: 0,
+    });
+  });
+
+  it('only re-enables disabled accounts', async () => {
+    const user = makeUser({
+      email: 'a@b.c',
+      status: 'disabled',
+      disabledAt: new Date(),
+    });
+    userModel.findById.mockReturnValue(exec(user));
+    expect(await service.enable(String(user._id))).toMatchObject({
+      status: 'active',
+      disabledAt: undefined,
+    });
+
+    userModel.findById.mockReturnValue(
+      exec(makeUser({ email: 'b@b.c', status: 'pending_deletion' })),
+    );
+    await expect(service.enable(String(user._id))).rejects.toBeInstanceOf(
+      BadRequestException,
+    );
+  });
+
+  it('deletes by anonymizing the account', async () => {
+    const user = makeUser({ email: 'a@b.c' });
+    userModel.findById.mockReturnValue(exec(user));
+
+    await service.remove(String(user._id), 'admin-id');
+
+    expect(accountDeletionService.anonymize).toHaveBeenCalledWith(user);
+  });
+});
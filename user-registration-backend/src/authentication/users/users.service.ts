@@ -0,0 +1,212 @@
+import {
+  BadRequestException,
+  ConflictException,
+  Injectable,
+  NotFoundException,
+} from '@nestjs/common';
+import { InjectModel } from '@nestjs/mongoose';
+import { FilterQuery, isValidObjectId, Model, SortOrder } from 'mongoose';
+import { User, UserDocument } from '../schemas/user.schema';
+import { RefreshTokenService } from '../refresh-token.service';
+import { SessionService } from '../sessions/session.service';
+import { AuthenticationService } from '../authentication.service';
+import { ListUsersDto } from '../dto/list-users.dto';
+import { UpdateUserDto } from '../dto/update-user.dto';
+import { AdminUserView, sanitizeUserForAdmin } from '../user.sanitizer';
+import { AccountStatus } from '../account/account-status.enum';
+import { AccountDeletionService } from '../account/account-deletion.service';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+export interface UserPage {
+  items: AdminUserView[];
+  total: number;
+  page: number;
+  limit: number;
+}
+
+/** Account administration. Callers are expected to have checked permissions already. */
+@Injectable()
+export class UsersService {
+  constructor(
+    @InjectModel(User.name) private userModel: Model<UserDocument>,
+    private readonly refreshTokenService: RefreshTokenService,
+    private readonly authService: AuthenticationService,
+    private readonly sessionService: SessionService,
+    private readonly accountDeletionService: AccountDeletionService,
+  ) {}
+
+  async list(query: ListUsersDto): Promise<UserPage> {
+    const page = Math.max(Number(query.page) || 1, 1);
+    const limit = Math.min(
+      Math.max(Number(query.limit) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE,
+    );
+    const filter = this.buildFilter(query);
+
+    const sort = query.sort || '-createdAt';
+    const sortField = sort.replace(/^-/, '');
+    const sortOrder: SortOrder = sort.startsWith('-') ? -1 : 1;
+
+    const [users, total] = await Promise.all([
+      this.userModel
+        .find(filter)
+        .sort({ [sortField]: sortOrder, _id: sortOrder })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .exec(),
+      this.userModel.countDocuments(filter).exec(),
+    ]);
+    return { items: users.map(sanitizeUserForAdmin), total, page, limit };
+  }
+
+  async findOne(id: string): Promise<AdminUserView> {
+    return sanitizeUserForAdmin(await this.getUser(id));
+  }
+
+  async update(id: string, changes: UpdateUserDto): Promise<AdminUserView> {
+    const user = await this.getUser(id);
+
+    if (changes.email && changes.email !== user.email) {
+      if (await this.userModel.exists({ email: changes.email }).exec()) {
+        throw new ConflictException('User with this email already exists');
+      }
+      user.email = changes.email;
+      // A new address is unverified unless the administrator says otherwise
+      user.emailVerified = false;
+      user.pendingEmail = undefined;
+      user.emailChangeTokenId = undefined;
+    }
+    if (changes.name !== undefined) user.name = changes.name;
+    if (changes.emailVerified !== undefined)
+      user.emailVerified = changes.emailVerified;
+    if (changes.roles) user.roles = changes.roles;
+    if (changes.permissions) user.permissions = changes.permissions;
+
+    await user.save();
+    return sanitizeUserForAdmin(user);
+  }
+
+  async disable(id: string, actorId: string): Promise<AdminUserView> {
+    if (id === actorId) {
+      throw new BadRequestException('You cannot disable your own account');
+    }
+    const user = await this.getUser(id);
+    this.assertNotDeleted(user);
+    user.status = AccountStatus.Disabled;
+    user.disabledAt = new Date();
+    await user.save();
+
+    await this.refreshTokenService.revokeAllForUser(id);
+    return sanitizeUserForAdmin(user);
+  }
+
+  async enable(id: string): Promise<AdminUserView> {
+    const user = await this.getUser(id);
+    if (user.status !== AccountStatus.Disabled) {
+      throw new BadRequestException('Only disabled accounts can be enabled');
+    }
+    user.status = AccountStatus.Active;
+    user.disabledAt = undefined;
+    await user.save();
+    return sanitizeUserForAdmin(user);
+  }
+
+  /** Emails a reset link and stops the current password (and every session) from working until it is used. */
+  async forcePasswordReset(id: string): Promise<AdminUserView> {
+    const user = await this.getUser(id);
+    user.passwordResetRequired = true;
+    await this.authService.sendPasswordResetEmail(user);
+    await this.refreshTokenService.revokeAllForUser(id);
+    return sanitizeUserForAdmin(user);
+  }
+
+  async resendVerification(id: string): Promise<void> {
+    const user = await this.getUser(id);
+    if (user.emailVerified) {
+      throw new BadRequestException('This email address is already verified');
+    }
+    await this.authService.sendVerificationEmail(user);
+  }
+
+  async listSessions(id: string) {
+    const user = await this.getUser(id);
+    return this.sessionService.list(String(user._id));
+  }
+
+  async revokeSessions(id: string): Promise<void> {
+    const user = await this.getUser(id);
+    await this.refreshTokenService.revokeAllForUser(String(user._id));
+  }
+
+  async unlock(id: string): Promise<AdminUserView> {
+    const user = await this.getUser(id);
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+    return sanitizeUserForAdmin(user);
+  }
+
+  /** Anonymizes the account right away, skipping the grace period a self-service request gets. */
+  async remove(id: string, actorId: string): Promise<void> {
+    if (id === actorId) {
+      throw new BadRequestException('You cannot delete your own account here');
+    }
+    const user = await this.getUser(id);
+    this.assertNotDeleted(user);
+    await this.accountDeletionService.anonymize(user);
+  }
+
+  private assertNotDeleted(user: UserDocument): void {
+    if (user.status === AccountStatus.Deleted) {
+      throw new BadRequestException('This account has been deleted');
+    }
+  }
+
+  private async getUser(id: string): Promise<UserDocument> {
+    const user = isValidObjectId(id)
+      ? await this.userModel.findById(id).exec()
+      : null;
+    if (!user) {
+      throw new NotFoundException('User not found');
+    }
+    return user;
+  }
+
+  private buildFilter(query: ListUsersDto): FilterQuery<UserDocument> {
+    const filter: FilterQuery<UserDocument> = {};
+
+    if (query.search) {
+      const pattern = new RegExp(escapeRegExp(query.search), 'i');
+      filter.$or = [{ email: pattern }, { name: pattern }];
+    }
+    if (query.verified !== undefined)
+      filter.emailVerified = query.verified === 'true';
+    filter.status = query.status ?? { $ne: AccountStatus.Deleted };
+    if (query.locked !== undefined) {
+      const now = new Date();
+      if (query.locked === 'true') filter.lockUntil = { $gt: now };
+      else
+        filter.$and = [
+          {
+            $or: [
+              { lockUntil: { $exists: false } },
+              { lockUntil: { $lte: now } },
+            ],
+          },
+        ];
+    }
+    if (query.createdFrom || query.createdTo) {
+      filter.createdAt = {
+        ...(query.createdFrom && { $gte: new Date(query.createdFrom) }),
+        ...(query.createdTo && { $lte: new Date(query.createdTo) }),
+      };
+    }
+    return filter;
+  }
+}
+
+function escapeRegExp(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,109 @@
+import {
+  Body,
+  Controller,
+  Delete,
+  Get,
+  HttpCode,
+  HttpStatus,
+  Param,
+  Post,
+  Request,
+  Res,
+  UseGuards,
+} from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import type { Request as ExpressRequest, Response } from 'express';
+import { JwtAuthGuard } from '../jwt/jwt.guard';
+import { AuthenticatedRequest } from '../jwt/authenticated-request.interface';
+import { AuthenticationService } from '../authentication.service';
+import { WebAuthnService } from './webauthn.service';
+import { WebAuthnRegistrationDto } from '../dto/webauthn-registration.dto';
+import { WebAuthnAuthenticationDto } from '../dto/webauthn-authentication.dto';
+import { setRefreshCookie } from '../refresh-token.cookie';
+import { sessionContext } from '../sessions/session-context';
+import { AuditService } from '../audit/audit.service';
+import { Audit } from '../audit/audit.decorator';
+import { AuditEventType, AuditOutcome } from '../audit/audit-event-type.enum';
+import { RateLimit } from '../../rate-limit/rate-limit.decorator';
+
+@Controller('authentication/webauthn')
+export class WebAuthnController {
+  constructor(
+    private readonly webAuthnService: WebAuthnService,
+    private readonly authService: AuthenticationService,
+    private readonly auditService: AuditService,
+    private readonly configService: ConfigService,
+  ) {}
+
+  @UseGuards(JwtAuthGuard)
+  @Post('register/options')
+  @HttpCode(HttpStatus.OK)
+  registrationOptions(@Request() req: AuthenticatedRequest) {
+    return this.webAuthnService.registrationOptions(req.user.sub);
+  }
+
+  @UseGuards(JwtAuthGuard)
+  @Post('register/verify')
+  @HttpCode(HttpStatus.OK)
+  @Audit(AuditEventType.PasskeyAdded)
+  verifyRegistration(
+    @Request() req: AuthenticatedRequest,
+    @Body() { response, name }: WebAuthnRegistrationDto,
+  ) {
+    return this.webAuthnService.verifyRegistration(
+      req.user.sub,
+      response,
+      name,
+    );
+  }
+
+  // Unauthenticated and stores a challenge per call, so it is limited like password login
+  @Post('login/options')
+  @RateLimit({ by: 'ip', limit: 30, windowSeconds: 15 * 60 })
+  @HttpCode(HttpStatus.OK)
+  authenticationOptions() {
+    return this.webAuthnService.authenticationOptions();
+  }
+
+  @Post('login/verify')
+  @RateLimit({ by: 'ip', limit: 30, windowSeconds: 15 * 60 })
+  @HttpCode(HttpStatus.OK)
+  async verifyAuthentication(
+    @Body() { response }: WebAuthnAuthenticationDto,
+    @Request() req: ExpressRequest,
+    @Res({ passthrough: true }) res: Response,
+  ) {
+    const context = sessionContext(req);
+    const user = await this.webAuthnService
+      .verifyAuthentication(response)
+      .catch(async (error) => {
+        await this.auditService.record({
+          type: AuditEventType.Login,
+          outcome: AuditOutcome.Failure,
+          reason: 'invalid_passkey',
+          context,
+        });
+        throw error;
+      });
+    const {
+      user: publicUser,
+      accessToken,
+      refreshToken,
+    } = await this.authService.loginWithPasskey(user, context);
+    setRefreshCookie(res, refreshToken, this.configService);
+    return { user: publicUser, accessToken };
+  }
+
+  @UseGuards(JwtAuthGuard)
+  @Get('credentials')
+  list(@Request() req: AuthenticatedRequest) {
+    return this.webAuthnService.list(req.user.sub);
+  }
+
+  @UseGuards(JwtAuthGuard)
+  @Delete('credentials/:id')
+  @Audit(AuditEventType.PasskeyRemoved)
+  remove(@Request() req: AuthenticatedRequest, @Param('id') id: string) {
+    return this.webAuthnService.remove(req.user.sub, id);
+  }
+}
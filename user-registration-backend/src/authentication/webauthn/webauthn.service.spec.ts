@@ -0,0 +1,246 @@
+import { UnauthorizedException } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { Model, Types } from 'mongoose';
+import {
+  createHash,
+  generateKeyPairSync,
+  KeyObject,
+  randomBytes,
+  sign,
+} from 'crypto';
+import { isoCBOR } from '@simplewebauthn/server/helpers';
+import { WebAuthnService } from './webauthn.service';
+import { UserDocument } from '../schemas/user.schema';
+import { WebAuthnCredentialDocument } from '../schemas/webauthn-credential.schema';
+import { WebAuthnChallengeDocument } from '../schemas/webauthn-challenge.schema';
+
+const ORIGIN = 'http://localhost:5173';
+const RP_ID = 'localhost';
+
+const exec = <T>(value: T) => ({ exec: () => Promise.resolve(value) });
+const matches = (doc: Record<string, any>, filter: Record<string, unknown>) =>
+  Object.entries(filter).every(([key, value]) => {
+    if (value && typeof value === 'object' && '$gt' in value)
+      return doc[key] > (value.$gt as Date);
+    return String(doc[key]) === String(value);
+  });
+
+/** Just enough of a Mongoose model, backed by an array. */
+const fakeModel = () => {
+  const docs: Record<string, any>[] = [];
+  return {
+    docs,
+    create: (data: Record<string, any>) => {
+      const doc: Record<string, any> = {
+        _id: new Types.ObjectId(),
+        createdAt: new Date(),
+        ...data,
+      };
+      doc.save = () => Promise.resolve(doc);
+      docs.push(doc);
+      return Promise.resolve(doc);
+    },
+    find: (filter: Record<string, any>) => ({
+      sort: () => exec(docs.filter((doc) => matches(doc, filter))),
+      ...exec(docs.filter((doc) => matches(doc, filter))),
+    }),
+    findOne: (filter: Record<string, any>) =>
+      exec(docs.find((doc) => matches(doc, filter)) ?? null),
+    findById: (id: unknown) =>
+      exec(docs.find((doc) => String(doc._id) === String(id)) ?? null),
+    findOneAndDelete: (filter: Record<string, any>) => {
+      const index = docs.findIndex((doc) => matches(doc, filter));
+      return exec(index === -1 ? null : docs.splice(index, 1)[0]);
+    },
+  };
+};
+
+/** A software authenticator holding one P-256 passkey. */
+class SoftwareAuthenticator {
+  readonly credentialId = randomBytes(16);
+  private readonly keys = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  counter = 0;
+
+  register(challenge: string) {
+    const jwk = this.keys.publicKey.export({ format: 'jwk' });
+    const cosePublicKey = new Map<number, number | Uint8Array>([
+      [1, 2], // kty: EC2
+      [3, -7], // alg: ES256
+      [-1, 1], // crv: P-256
+      [-2, Buffer.from(jwk.x!, 'base64url')],
+      [-3, Buffer.from(jwk.y!, 'base64url')],
+    ]);
+    const credentialIdLength = Buffer.alloc(2);
+    credentialIdLength.writeUInt16BE(this.credentialId.length);
+    const authData = Buffer.concat([
+      this.authDataHeader(0x45), // user present, user verified, attested credential data
+      Buffer.alloc(16), // AAGUID
+      credentialIdLength,
+      this.credentialId,
+      Buffer.from(isoCBOR.encode(cosePublicKey)),
+    ]);
+    const attestationObject = isoCBOR.encode(
+      new Map<string, any>([
+        ['fmt', 'none'],
+        ['attStmt', new Map()],
+        ['authData', authData],
+      ]),
+    );
+
+    return {
+      id: this.credentialId.toString('base64url'),
+      rawId: this.credentialId.toString('base64url'),
+      type: 'public-key' as const,
+      clientExtensionResults: {},
+      response: {
+        clientDataJSON: this.clientData('webauthn.create', challenge),
+        attestationObject: Buffer.from(attestationObject).toString('base64url'),
+        transports: ['internal' as const],
+      },
+    };
+  }
+
+  assert(challenge: string, signingKey: KeyObject = this.keys.privateKey) {
+    this.counter += 1;
+    const authData = this.authDataHeader(0x05); // user present, user verified
+    const clientDataJSON = this.clientData('webauthn.get', challenge);
+    const clientDataHash = createHash('sha256')
+      .update(Buffer.from(clientDataJSON, 'base64url'))
+      .digest();
+    const signature = sign(
+      'sha256',
+      Buffer.concat([authData, clientDataHash]),
+      signingKey,
+    );
+
+    return {
+      id: this.credentialId.toString('base64url'),
+      rawId: this.credentialId.toString('base64url'),
+      type: 'public-key' as const,
+      clientExtensionResults: {},
+      response: {
+        clientDataJSON,
+        authenticatorData: authData.toString('base64url'),
+        signature: signature.toString('base64url'),
+      },
+    };
+  }
+
+  private authDataHeader(flags: number) {
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(this.counter);
+    return Buffer.concat([
+      createHash('sha256').update(RP_ID).digest(),
+      Buffer.from([flags]),
+      counter,
+    ]);
+  }
+
+  private clientData(type: string, challenge: string) {
+    return Buffer.from(
+      JSON.stringify({ type, challenge, origin: ORIGIN, crossOrigin: false }),
+    ).toString('base64url');
+  }
+}
+
+describe('WebAuthnService', () => {
+  let service: WebAuthnService;
+  let users: ReturnType<typeof fakeModel>;
+  let credentials: ReturnType<typeof fakeModel>;
+  let challenges: ReturnType<typeof fakeModel>;
+  let userId: string;
+  let authenticator: SoftwareAuthenticator;
+
+  beforeEach(async () => {
+    users = fakeModel();
+    credentials = fakeModel();
+    challenges = fakeModel();
+    const user = await users.create({ email: 'a@b.c' });
+    userId = String(user._id);
+    authenticator = new SoftwareAuthenticator();
+
+    const config = {
+      get: (key: string) => (key === 'FRONTEND_URL' ? ORIGIN : undefined),
+    } as unknown as ConfigService;
+    service = new WebAuthnService(
+      users as unknown as Model<UserDocument>,
+      credentials as unknown as Model<WebAuthnCredentialDocument>,
+      challenges as unknown as Model<WebAuthnChallengeDocument>,
+      config,
+    );
+  });
+
+  const registerPasskey = async () => {
+    const options = await service.registrationOptions(userId);
+    return service.verifyRegistration(
+      userId,
+      authenticator.register(options.challenge),
+      'Laptop',
+    );
+  };
+
+  it('registers a passkey and lists it for its owner', async () => {
+    const created = await registerPasskey();
+
+    expect(created).toMatchObject({ name: 'Laptop' });
+    expect(await service.list(userId)).toHaveLength(1);
+    expect(challenges.docs).toHaveLength(0);
+  });
+
+  it('signs the owner in with a valid assertion and stores the new counter', async () => {
+    await registerPasskey();
+    const options = await service.authenticationOptions();
+
+    const user = await service.verifyAuthentication(
+      authenticator.assert(options.challenge),
+    );
+
+    expect(String(user._id)).toBe(userId);
+    expect(credentials.docs[0].counter).toBe(1);
+    expect(credentials.docs[0].lastUsedAt).toBeInstanceOf(Date);
+  });
+
+  it('rejects a replayed challenge', async () => {
+    await registerPasskey();
+    const options = await service.authenticationOptions();
+    await service.verifyAuthentication(authenticator.assert(options.challenge));
+
+    await expect(
+      service.verifyAuthentication(authenticator.assert(options.challenge)),
+    ).rejects.toBeInstanceOf(UnauthorizedException);
+  });
+
+  it('rejects a signature counter that went backwards', async () => {
+    await registerPasskey();
+    credentials.docs[0].counter = 10;
+    const options = await service.authenticationOptions();
+
+    await expect(
+      service.verifyAuthentication(authenticator.assert(options.challenge)),
+    ).rejects.toBeInstanceOf(UnauthorizedException);
+  });
+
+  it('rejects an assertion signed with another key', async () => {
+    await registerPasskey();
+    const options = await service.authenticationOptions();
+    const otherKey = generateKeyPairSync('ec', {
+      namedCurve: 'P-256',
+    }).privateKey;
+
+    await expect(
+      service.verifyAuthentication(
+        authenticator.assert(options.challenge, otherKey),
+      ),
+    ).rejects.toBeInstanceOf(UnauthorizedException);
+  });
+
+  it('only lets the owner remove a passkey', async () => {
+    const created = await registerPasskey();
+
+    await expect(
+      service.remove(new Types.ObjectId().toString(), created.id),
+    ).rejects.toThrow('Passkey not found');
+    await service.remove(userId, created.id);
+    expect(await service.list(userId)).toHaveLength(0);
+  });
+});
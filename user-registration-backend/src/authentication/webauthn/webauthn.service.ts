@@ -0,0 +1,251 @@
+import {
+  BadRequestException,
+  Injectable,
+  NotFoundException,
+  UnauthorizedException,
+} from '@nestjs/common';
+import { InjectModel } from '@nestjs/mongoose';
+import { ConfigService } from '@nestjs/config';
+import { Model, Types } from 'mongoose';
+import {
+  AuthenticationResponseJSON,
+  generateAuthenticationOptions,
+  generateRegistrationOptions,
+  RegistrationResponseJSON,
+  verifyAuthenticationResponse,
+  verifyRegistrationResponse,
+} from '@simplewebauthn/server';
+import { User, UserDocument } from '../schemas/user.schema';
+import {
+  WebAuthnCredential,
+  WebAuthnCredentialDocument,
+} from '../schemas/webauthn-credential.schema';
+import {
+  WebAuthnChallenge,
+  WebAuthnChallengeDocument,
+} from '../schemas/webauthn-challenge.schema';
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * WebAuthn registration and assertion ceremonies.
+ *
+ * Challenges are stored server-side and deleted when answered, so every
+ * ceremony can complete at most once. The relying party defaults to the
+ * frontend origin (WEBAUTHN_ORIGIN / WEBAUTHN_RP_ID override it).
+ */
+@Injectable()
+export class WebAuthnService {
+  private readonly rpName: string;
+  private readonly rpId: string;
+  private readonly origin: string;
+
+  constructor(
+    @InjectModel(User.name) private userModel: Model<UserDocument>,
+    @InjectModel(WebAuthnCredential.name)
+    private credentialModel: Model<WebAuthnCredentialDocument>,
+    @InjectModel(WebAuthnChallenge.name)
+    private challengeModel: Model<WebAuthnChallengeDocument>,
+    configService: ConfigService,
+  ) {
+    this.origin =
+      configService.get<string>('WEBAUTHN_ORIGIN') ||
+      configService.get<string>('FRONTEND_URL') ||
+      'http://localhost:5173';
+    this.rpId =
+      configService.get<string>('WEBAUTHN_RP_ID') ||
+      new URL(this.origin).hostname;
+    this.rpName =
+      configService.get<string>('WEBAUTHN_RP_NAME') || 'Secure Auth Demo';
+  }
+
+  async registrationOptions(userId: string) {
+    const user = await this.userModel.findById(userId).exec();
+    if (!user) {
+      throw new UnauthorizedException('User not found');
+    }
+    const existing = await this.credentialModel
+      .find({ userId: user._id })
+      .exec();
+
+    const options = await generateRegistrationOptions({
+      rpName: this.rpName,
+      rpID: this.rpId,
+      userName: user.email,
+      userDisplayName: user.name || user.email,
+      userID: Buffer.from(String(user._id)),
+      attestationType: 'none',
+      // Discoverable credentials make "Sign in with passkey" work without typing an email
+      authenticatorSelection: {
+        residentKey: 'required',
+        userVerification: 'preferred',
+      },
+      excludeCredentials: existing.map((credential) => ({
+        id: credential.credentialId,
+        transports: credential.transports,
+      })),
+    });
+
+    await this.storeChallenge(
+      options.challenge,
+      'registration',
+      user._id as Types.ObjectId,
+    );
+    return options;
+  }
+
+  async verifyRegistration(
+    userId: string,
+    response: RegistrationResponseJSON,
+    name?: string,
+  ) {
+    let verification: Awaited<ReturnType<typeof verifyRegistrationResponse>>;
+    try {
+      verification = await verifyRegistrationResponse({
+        response,
+        expectedChallenge: (challenge) =>
+          this.consumeChallenge(challenge, 'registration', userId),
+        expectedOrigin: this.origin,
+        expectedRPID: this.rpId,
+        requireUserVerification: false,
+      });
+    } catch (error) {
+      throw new BadRequestException(
+        `Passkey registration failed: ${(error as Error).message}`,
+      );
+    }
+    if (!verification.verified) {
+      throw new BadRequestException('Passkey registration failed');
+    }
+
+    const { credential, credentialDeviceType, credentialBackedUp } =
+      verification.registrationInfo;
+    const saved = await this.credentialModel.create({
+      userId: new Types.ObjectId(userId),
+      credentialId: credential.id,
+      publicKey: Buffer.from(credential.publicKey),
+      counter: credential.counter,
+      transports: credential.transports ?? [],
+      deviceType: credentialDeviceType,
+      backedUp: credentialBackedUp,
+      name: name || 'Passkey',
+    });
+    return toPublicCredential(saved);
+  }
+
+  async authenticationOptions() {
+    const options = await generateAuthenticationOptions({
+      rpID: this.rpId,
+      // The passkey has to prove the user is present and verified (PIN, biometrics),
+      // which is why a passkey login does not ask for the TOTP code as well
+      userVerification: 'required',
+    });
+    await this.storeChallenge(options.challenge, 'authentication');
+    return options;
+  }
+
+  /** Verifies an assertion and returns the user it belongs to. */
+  async verifyAuthentication(
+    response: AuthenticationResponseJSON,
+  ): Promise<UserDocument> {
+    const stored = await this.credentialModel
+      .findOne({ credentialId: response.id })
+      .exec();
+    if (!stored) {
+      throw new UnauthorizedException('Unknown passkey');
+    }
+
+    let verification: Awaited<ReturnType<typeof verifyAuthenticationResponse>>;
+    try {
+      verification = await verifyAuthenticationResponse({
+        response,
+        expectedChallenge: (challenge) =>
+          this.consumeChallenge(challenge, 'authentication'),
+        expectedOrigin: this.origin,
+        expectedRPID: this.rpId,
+        requireUserVerification: true,
+        // The library rejects a counter that did not increase, which points at a cloned authenticator
+        credential: {
+          id: stored.credentialId,
+          publicKey: new Uint8Array(stored.publicKey),
+          counter: stored.counter,
+          transports: stored.transports,
+        },
+      });
+    } catch {
+      throw new UnauthorizedException('Passkey verification failed');
+    }
+    if (!verification.verified) {
+      throw new UnauthorizedException('Passkey verification failed');
+    }
+
+    stored.counter = verification.authenticationInfo.newCounter;
+    stored.lastUsedAt = new Date();
+    await stored.save();
+
+    const user = await this.userModel.findById(stored.userId).exec();
+    if (!user) {
+      throw new UnauthorizedException('Unknown passkey');
+    }
+    return user;
+  }
+
+  async list(userId: string) {
+    const credentials = await this.credentialModel
+      .find({ userId: new Types.ObjectId(userId) })
+      .sort({ createdAt: -1 })
+      .exec();
+    return credentials.map(toPublicCredential);
+  }
+
+  async remove(userId: string, id: string) {
+    if (!Types.ObjectId.isValid(id)) {
+      throw new NotFoundException('Passkey not found');
+    }
+    const deleted = await this.credentialModel
+      .findOneAndDelete({ _id: id, userId: new Types.ObjectId(userId) })
+      .exec();
+    if (!deleted) {
+      throw new NotFoundException('Passkey not found');
+    }
+    return { message: 'Passkey removed.' };
+  }
+
+  private async storeChallenge(
+    challenge: string,
+    type: WebAuthnChallenge['type'],
+    userId?: Types.ObjectId,
+  ) {
+    await this.challengeModel.create({
+      challenge,
+      type,
+      userId,
+      expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS),
+    });
+  }
+
+  private async consumeChallenge(
+    challenge: string,
+    type: WebAuthnChallenge['type'],
+    userId?: string,
+  ): Promise<boolean> {
+    const filter = {
+      challenge,
+      type,
+      expiresAt: { $gt: new Date() },
+      ...(userId ? { userId: new Types.ObjectId(userId) } : {}),
+    };
+    return !!(await this.challengeModel.findOneAndDelete(filter).exec());
+  }
+}
+
+function toPublicCredential(credential: WebAuthnCredentialDocument) {
+  return {
+    id: String(credential._id),
+    name: credential.name,
+    deviceType: credential.deviceType,
+    backedUp: credential.backedUp,
+    createdAt: (credential as { createdAt?: Date }).createdAt,
+    lastUsedAt: credential.lastUsedAt,
+  };
+}
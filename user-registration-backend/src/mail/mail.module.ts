@@ -0,0 +1,55 @@
+import { Global, Module } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { MailService } from './mail.service';
+import {
+  MAIL_TRANSPORT,
+  MailTransport,
+} from './transports/mail-transport.interface';
+import { ConsoleMailTransport } from './transports/console.transport';
+import { FileMailTransport } from './transports/file.transport';
+import { SmtpMailTransport } from './transports/smtp.transport';
+import { MemoryMailTransport } from './transports/memory.transport';
+
+@Global()
+@Module({
+  providers: [
+    {
+      provide: MAIL_TRANSPORT,
+      inject: [ConfigService],
+      useFactory: (config: ConfigService): MailTransport => {
+        const nodeEnv =
+          config.get<string>('NODE_ENV') ||
+          process.env.NODE_ENV ||
+          'development';
+        const transport =
+          config.get<string>('MAIL_TRANSPORT') ||
+          (nodeEnv === 'production' ? 'smtp' : 'console');
+
+        switch (transport) {
+          case 'console':
+            return new ConsoleMailTransport();
+          case 'memory':
+            return new MemoryMailTransport();
+          case 'file':
+            return new FileMailTransport(
+              config.get<string>('MAIL_FILE_DIR') || '.tmp/mail',
+            );
+          case 'smtp': {
+            const smtpUrl = config.get<string>('SMTP_URL');
+            if (!smtpUrl) {
+              throw new Error(
+                'SMTP_URL must be provided when MAIL_TRANSPORT is smtp',
+              );
+            }
+            return new SmtpMailTransport(smtpUrl);
+          }
+          default:
+            throw new Error(`Unknown MAIL_TRANSPORT: ${transport}`);
+        }
+      },
+    },
+    MailService,
+  ],
+  exports: [MailService],
+})
+export class MailModule {}
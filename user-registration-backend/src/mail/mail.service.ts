@@ -0,0 +1,23 @@
+import { Inject, Injectable } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import {
+  MAIL_TRANSPORT,
+  MailMessage,
+  MailTransport,
+} from './transports/mail-transport.interface';
+
+@Injectable()
+export class MailService {
+  private readonly from: string;
+
+  constructor(
+    @Inject(MAIL_TRANSPORT) private readonly transport: MailTransport,
+    configService: ConfigService,
+  ) {
+    this.from = configService.get<string>('MAIL_FROM') || 'no-reply@localhost';
+  }
+
+  async send(message: MailMessage): Promise<void> {
+    await this.transport.send({ ...message, from: this.from });
+  }
+}
@@ -0,0 +1,14 @@
+import { Logger } from '@nestjs/common';
+import { MailMessage, MailTransport } from './mail-transport.interface';
+
+/** Prints mail to the log instead of sending it. Default outside production. */
+export class ConsoleMailTransport implements MailTransport {
+  private readonly logger = new Logger('Mail');
+
+  send(message: MailMessage & { from: string }): Promise<void> {
+    this.logger.log(
+      `To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`,
+    );
+    return Promise.resolve();
+  }
+}
@@ -0,0 +1,18 @@
+import { mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+import { MailMessage, MailTransport } from './mail-transport.interface';
+
+/** Writes every message as a JSON file, so tests and local tools can pick up links from it. */
+export class FileMailTransport implements MailTransport {
+  constructor(private readonly directory: string) {}
+
+  async send(message: MailMessage & { from: string }): Promise<void> {
+    await mkdir(this.directory, { recursive: true });
+    const fileName = `${Date.now()}-${randomUUID()}.json`;
+    await writeFile(
+      join(this.directory, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2),
+    );
+  }
+}
@@ -0,0 +1,13 @@
+export const MAIL_TRANSPORT = Symbol('MAIL_TRANSPORT');
+
+export interface MailMessage {
+  to: string;
+  subject: string;
+  text: string;
+  html?: string;
+}
+
+/** A way of delivering mail. Implementations are picked with MAIL_TRANSPORT. */
+export interface MailTransport {
+  send(message: MailMessage & { from: string }): Promise<void>;
+}
@@ -0,0 +1,16 @@
+import { MailMessage, MailTransport } from './mail-transport.interface';
+
+/** Keeps messages in memory so tests can read what would have been sent. */
+export class MemoryMailTransport implements MailTransport {
+  readonly messages: (MailMessage & { from: string })[] = [];
+
+  send(message: MailMessage & { from: string }): Promise<void> {
+    this.messages.push(message);
+    return Promise.resolve();
+  }
+
+  /** The most recent message sent to `to`, if any. */
+  lastTo(to: string): (MailMessage & { from: string }) | undefined {
+    return [...this.messages].reverse().find((message) => message.to === to);
+  }
+}
@@ -0,0 +1,14 @@
+import { createTransport, Transporter } from 'nodemailer';
+import { MailMessage, MailTransport } from './mail-transport.interface';
+
+export class SmtpMailTransport implements MailTransport {
+  private readonly transporter: Transporter;
+
+  constructor(smtpUrl: string) {
+    this.transporter = createTransport(smtpUrl);
+  }
+
+  async send(message: MailMessage & { from: string }): Promise<void> {
+    await this.transporter.sendMail(message);
+  }
+}
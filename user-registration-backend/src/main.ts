@@ -1,25 +1,41 @@
 import { NestFactory } from '@nestjs/core';
-import { AppModule } from './app.module';                             
+import { NestExpressApplication } from '@nestjs/platform-express';
+import { ValidationPipe } from '@nestjs/common';
+import { AppModule } from './app.module';
 import { ConfigService } from '@nestjs/config';
+import cookieParser from 'cookie-parser';
 import * as dotenv from 'dotenv';
 dotenv.config();
 
 const allowedOrigin = process.env.FRONTEND_URL;
 
 async function bootstrap() {
-  const app = await NestFactory.create(AppModule);
-    app.enableCors({
-    origin: allowedOrigin,// your React app
+  const app = await NestFactory.create<NestExpressApplication>(AppModule);
+  // Behind a reverse proxy req.ip is the proxy's address unless it is trusted (TRUST_PROXY=1 for one hop)
+  if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+  }
+  // Needed to read the HTTP-only refresh token cookie
+  app.use(cookieParser());
+  // Enforce the class-validator rules declared on the DTOs
+  app.useGlobalPipes(new ValidationPipe({ whitelist: true }));
+  app.enableCors({
+    origin: allowedOrigin, // your React app
     methods: 'GET,HEAD,PUT,PATCH,POST,DELETE,OPTIONS',
     credentials: true,
+    // Lets the frontend tell users how long to wait after a 429, and name downloaded files
+    exposedHeaders: ['Retry-After', 'Content-Disposition'],
   });
   const configService = app.get(ConfigService);
 
   const port = Number(process.env.PORT) || 4000;
   const nodeEnv = configService.get<string>('NODE_ENV') || 'development';
-  const mongoUri = configService.get<string>('MONGO_URI') || 'mongodb://localhost:27017/user_db';
+  const mongoUri =
+    configService.get<string>('MONGO_URI') ||
+    'mongodb://localhost:27017/user_db';
 
-    // Log active environment and database connection details
+  // Log active environment and database connection details
   console.log('----------------------------------------');
   console.log(`Environment: ${nodeEnv}`);
   console.log(`Port: ${port}`);
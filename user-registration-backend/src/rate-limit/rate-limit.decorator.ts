@@ -0,0 +1,14 @@
+import { SetMetadata } from '@nestjs/common';
+
+export interface RateLimitRule {
+  /** What the counter is keyed on: the client IP, or the `email` field of the request body. */
+  by: 'ip' | 'email';
+  limit: number;
+  windowSeconds: number;
+}
+
+export const RATE_LIMIT_KEY = 'rateLimit';
+
+/** Caps how often a route may be hit. Every rule is counted; the request is rejected if any of them is exceeded. */
+export const RateLimit = (...rules: RateLimitRule[]) =>
+  SetMetadata(RATE_LIMIT_KEY, rules);
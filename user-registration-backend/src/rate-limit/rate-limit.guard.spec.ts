@@ -0,0 +1,67 @@
+import { ExecutionContext } from '@nestjs/common';
+import { Reflector } from '@nestjs/core';
+import { RateLimit } from './rate-limit.decorator';
+import { RateLimitGuard } from './rate-limit.guard';
+import { MemoryRateLimitStore } from './stores/memory.store';
+import { TooManyRequestsException } from './too-many-requests.exception';
+
+class TestController {
+  @RateLimit(
+    { by: 'ip', limit: 3, windowSeconds: 60 },
+    { by: 'email', limit: 2, windowSeconds: 600 },
+  )
+  login() {}
+
+  open() {}
+}
+
+const contextFor = (handler: keyof TestController, req: Record<string, any>) =>
+  ({
+    getClass: () => TestController,
+    getHandler: () => TestController.prototype[handler],
+    switchToHttp: () => ({ getRequest: () => req }),
+  }) as unknown as ExecutionContext;
+
+describe('RateLimitGuard', () => {
+  let guard: RateLimitGuard;
+
+  beforeEach(() => {
+    guard = new RateLimitGuard(new Reflector(), new MemoryRateLimitStore());
+  });
+
+  const attempt = (ip: string, email?: string) =>
+    guard.canActivate(contextFor('login', { ip, body: { email } }));
+
+  it('ignores routes without a limit', async () => {
+    for (let i = 0; i < 10; i++) {
+      await expect(
+        guard.canActivate(contextFor('open', { ip: '1.1.1.1' })),
+      ).resolves.toBe(true);
+    }
+  });
+
+  it('rejects an IP over its limit with the time left in the window', async () => {
+    for (let i = 0; i < 3; i++) await attempt('1.1.1.1');
+
+    const error = (await attempt('1.1.1.1').catch(
+      (e: unknown) => e,
+    )) as TooManyRequestsException;
+
+    expect(error).toBeInstanceOf(TooManyRequestsException);
+    expect(error.getStatus()).toBe(429);
+    expect(error.retryAfterSeconds).toBe(60);
+    await expect(attempt('2.2.2.2')).resolves.toBe(true);
+  });
+
+  it('limits an email across IPs, ignoring case', async () => {
+    await attempt('1.1.1.1', 'victim@example.com');
+    await attempt('2.2.2.2', 'Victim@Example.com');
+
+    const error = (await attempt('3.3.3.3', 'victim@example.com').catch(
+      (e: unknown) => e,
+    )) as TooManyRequestsException;
+
+    expect(error).toBeInstanceOf(TooManyRequestsException);
+    expect(error.retryAfterSeconds).toBe(600);
+  });
+});
@@ -0,0 +1,58 @@
+import {
+  CanActivate,
+  ExecutionContext,
+  Inject,
+  Injectable,
+} from '@nestjs/common';
+import { Reflector } from '@nestjs/core';
+import type { Request } from 'express';
+import { RATE_LIMIT_KEY, RateLimitRule } from './rate-limit.decorator';
+import {
+  RATE_LIMIT_STORE,
+  RateLimitStore,
+} from './stores/rate-limit-store.interface';
+import { TooManyRequestsException } from './too-many-requests.exception';
+
+@Injectable()
+export class RateLimitGuard implements CanActivate {
+  constructor(
+    private readonly reflector: Reflector,
+    @Inject(RATE_LIMIT_STORE) private readonly store: RateLimitStore,
+  ) {}
+
+  async canActivate(context: ExecutionContext): Promise<boolean> {
+    const rules = this.reflector.get<RateLimitRule[] | undefined>(
+      RATE_LIMIT_KEY,
+      context.getHandler(),
+    );
+    if (!rules?.length) return true;
+
+    const req = context.switchToHttp().getRequest<Request>();
+    const route = `${context.getClass().name}.${context.getHandler().name}`;
+    let retryAfterMs = 0;
+
+    for (const rule of rules) {
+      const subject = this.subject(rule, req);
+      if (!subject) continue;
+
+      const { count, resetInMs } = await this.store.increment(
+        `${route}:${rule.by}:${subject}`,
+        rule.windowSeconds * 1000,
+      );
+      if (count > rule.limit) retryAfterMs = Math.max(retryAfterMs, resetInMs);
+    }
+
+    if (retryAfterMs > 0) {
+      throw new TooManyRequestsException(Math.ceil(retryAfterMs / 1000));
+    }
+    return true;
+  }
+
+  private subject(rule: RateLimitRule, req: Request): string | undefined {
+    if (rule.by === 'ip') return req.ip || req.socket?.remoteAddress;
+    const email = (req.body as { email?: unknown } | undefined)?.email;
+    return typeof email === 'string' && email
+      ? email.trim().toLowerCase()
+      : undefined;
+  }
+}
@@ -0,0 +1,46 @@
+import { Global, Module } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { APP_FILTER, APP_GUARD } from '@nestjs/core';
+import Redis from 'ioredis';
+import { RateLimitGuard } from './rate-limit.guard';
+import { TooManyRequestsFilter } from './too-many-requests.filter';
+import {
+  RATE_LIMIT_STORE,
+  RateLimitStore,
+} from './stores/rate-limit-store.interface';
+import { MemoryRateLimitStore } from './stores/memory.store';
+import { RedisRateLimitStore } from './stores/redis.store';
+
+@Global()
+@Module({
+  providers: [
+    {
+      provide: RATE_LIMIT_STORE,
+      inject: [ConfigService],
+      useFactory: (config: ConfigService): RateLimitStore => {
+        const store = config.get<string>('RATE_LIMIT_STORE') || 'memory';
+
+        switch (store) {
+          case 'memory':
+            return new MemoryRateLimitStore();
+          case 'redis': {
+            const redisUrl = config.get<string>('REDIS_URL');
+            if (!redisUrl) {
+              throw new Error(
+                'REDIS_URL must be provided when RATE_LIMIT_STORE is redis',
+              );
+            }
+            return new RedisRateLimitStore(new Redis(redisUrl));
+          }
+          default:
+            throw new Error(`Unknown RATE_LIMIT_STORE: ${store}`);
+        }
+      },
+    },
+    // Applied to every route, but only routes marked with @RateLimit() are counted
+    { provide: APP_GUARD, useClass: RateLimitGuard },
+    { provide: APP_FILTER, useClass: TooManyRequestsFilter },
+  ],
+  exports: [RATE_LIMIT_STORE],
+})
+export class RateLimitModule {}
@@ -0,0 +1,36 @@
+import { MemoryRateLimitStore } from './memory.store';
+
+describe('MemoryRateLimitStore', () => {
+  let now: number;
+  let store: MemoryRateLimitStore;
+
+  beforeEach(() => {
+    now = 1_000_000;
+    store = new MemoryRateLimitStore(() => now);
+  });
+
+  it('counts hits per key within the window', async () => {
+    await store.increment('a', 60_000);
+    now += 10_000;
+
+    expect(await store.increment('a', 60_000)).toEqual({
+      count: 2,
+      resetInMs: 50_000,
+    });
+    expect(await store.increment('b', 60_000)).toEqual({
+      count: 1,
+      resetInMs: 60_000,
+    });
+  });
+
+  it('starts over once the window has closed', async () => {
+    await store.increment('a', 60_000);
+    await store.increment('a', 60_000);
+    now += 60_000;
+
+    expect(await store.increment('a', 60_000)).toEqual({
+      count: 1,
+      resetInMs: 60_000,
+    });
+  });
+});
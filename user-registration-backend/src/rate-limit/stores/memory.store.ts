@@ -0,0 +1,40 @@
+import { RateLimitHit, RateLimitStore } from './rate-limit-store.interface';
+
+const SWEEP_INTERVAL_MS = 60_000;
+
+/** Fixed-window counters kept in process memory. Fine for a single instance; use Redis behind a load balancer. */
+export class MemoryRateLimitStore implements RateLimitStore {
+  private readonly windows = new Map<
+    string,
+    { count: number; resetAt: number }
+  >();
+  private nextSweepAt = 0;
+
+  constructor(private readonly now: () => number = Date.now) {}
+
+  increment(key: string, windowMs: number): Promise<RateLimitHit> {
+    const now = this.now();
+    this.sweep(now);
+
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+    window.count += 1;
+
+    return Promise.resolve({
+      count: window.count,
+      resetInMs: window.resetAt - now,
+    });
+  }
+
+  /** Drops closed windows now and then so one-off keys (scanned IPs, typo'd emails) do not pile up. */
+  private sweep(now: number): void {
+    if (now < this.nextSweepAt) return;
+    this.nextSweepAt = now + SWEEP_INTERVAL_MS;
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) this.windows.delete(key);
+    }
+  }
+}
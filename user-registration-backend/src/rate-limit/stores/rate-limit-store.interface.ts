@@ -0,0 +1,13 @@
+export const RATE_LIMIT_STORE = Symbol('RATE_LIMIT_STORE');
+
+export interface RateLimitHit {
+  /** Hits recorded for the key in the current window, including this one. */
+  count: number;
+  /** Milliseconds until the window closes and the count starts over. */
+  resetInMs: number;
+}
+
+/** Where rate-limit counters live. Implementations are picked with RATE_LIMIT_STORE. */
+export interface RateLimitStore {
+  increment(key: string, windowMs: number): Promise<RateLimitHit>;
+}
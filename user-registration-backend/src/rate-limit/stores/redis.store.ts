@@ -0,0 +1,40 @@
+import { RateLimitHit, RateLimitStore } from './rate-limit-store.interface';
+
+/** The one command this store needs, as exposed by ioredis (and anything that mimics it). */
+export interface RedisLikeClient {
+  eval(
+    script: string,
+    numKeys: number,
+    ...args: (string | number)[]
+  ): Promise<unknown>;
+}
+
+// Increment and start the window in one round trip, so a crash in between cannot leave a key without a TTL
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return { count, redis.call('PTTL', KEYS[1]) }
+`;
+
+/** Fixed-window counters shared by every instance through Redis. */
+export class RedisRateLimitStore implements RateLimitStore {
+  constructor(
+    private readonly client: RedisLikeClient,
+    private readonly prefix = 'rate-limit:',
+  ) {}
+
+  async increment(key: string, windowMs: number): Promise<RateLimitHit> {
+    const [count, ttl] = (await this.client.eval(
+      INCREMENT_SCRIPT,
+      1,
+      this.prefix + key,
+      windowMs,
+    )) as [number, number];
+    return {
+      count: Number(count),
+      resetInMs: Number(ttl) > 0 ? Number(ttl) : windowMs,
+    };
+  }
+}
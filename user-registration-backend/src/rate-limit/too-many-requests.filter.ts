@@ -0,0 +1,12 @@
+import { ArgumentsHost, Catch, ExceptionFilter } from '@nestjs/common';
+import type { Response } from 'express';
+import { TooManyRequestsException } from './too-many-requests.exception';
+
+@Catch(TooManyRequestsException)
+export class TooManyRequestsFilter implements ExceptionFilter {
+  catch(exception: TooManyRequestsException, host: ArgumentsHost) {
+    const res = host.switchToHttp().getResponse<Response>();
+    res.setHeader('Retry-After', String(exception.retryAfterSeconds));
+    res.status(exception.getStatus()).json(exception.getResponse());
+  }
+}
@@ -0,0 +1,35 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { LocalStorageDriver } from './local.driver';
+
+describe('LocalStorageDriver', () => {
+  let directory: string;
+  let driver: LocalStorageDriver;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'storage-'));
+    driver = new LocalStorageDriver(directory);
+  });
+
+  afterEach(() => rm(directory, { recursive: true, force: true }));
+
+  it('keeps, returns and deletes files', async () => {
+    await driver.put('avatars/a-64.webp', Buffer.from('image'));
+
+    await expect(driver.get('avatars/a-64.webp')).resolves.toEqual({
+      content: Buffer.from('image'),
+      contentType: 'image/webp',
+    });
+
+    await driver.delete('avatars/a-64.webp');
+    await expect(driver.get('avatars/a-64.webp')).resolves.toBeNull();
+    await expect(driver.delete('avatars/a-64.webp')).resolves.toBeUndefined();
+  });
+
+  it('stays inside its directory', async () => {
+    await expect(
+      driver.put('../escape.webp', Buffer.from('x')),
+    ).rejects.toThrow(/outside/);
+  });
+});
@@ -0,0 +1,50 @@
+import { mkdir, readFile, rm, writeFile } from 'fs/promises';
+import { dirname, extname, resolve, sep } from 'path';
+import { StorageDriver, StoredObject } from './storage-driver.interface';
+
+const CONTENT_TYPES: Record<string, string> = {
+  '.webp': 'image/webp',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+};
+
+/** Keeps files on the local disk. Fine for a single instance; use S3 when there are several. */
+export class LocalStorageDriver implements StorageDriver {
+  private readonly root: string;
+
+  constructor(directory: string) {
+    this.root = resolve(directory);
+  }
+
+  async put(key: string, content: Buffer): Promise<void> {
+    const path = this.pathFor(key);
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, content);
+  }
+
+  async get(key: string): Promise<StoredObject | null> {
+    try {
+      const content = await readFile(this.pathFor(key));
+      return {
+        content,
+        contentType: CONTENT_TYPES[extname(key)] ?? 'application/octet-stream',
+      };
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(key: string): Promise<void> {
+    await rm(this.pathFor(key), { force: true });
+  }
+
+  // Keys come from our own code, but a key reaching outside the directory would be a bug worth failing on
+  private pathFor(key: string): string {
+    const path = resolve(this.root, key);
+    if (!path.startsWith(this.root + sep)) {
+      throw new Error(`Storage key ${key} is outside the storage directory`);
+    }
+    return path;
+  }
+}
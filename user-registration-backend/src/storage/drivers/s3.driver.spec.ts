@@ -0,0 +1,103 @@
+import { createServer } from 'http';
+import { AddressInfo } from 'net';
+import { S3StorageDriver } from './s3.driver';
+
+/** A local stand-in for an S3-compatible store: objects in a map, path-style URLs. */
+const startMockS3 = async () => {
+  const objects = new Map<string, { content: Buffer; contentType: string }>();
+  const requests: { method: string; url: string; authorization?: string }[] =
+    [];
+  const server = createServer((req, res) => {
+    requests.push({
+      method: req.method!,
+      url: req.url!,
+      authorization: req.headers.authorization,
+    });
+    const chunks: Buffer[] = [];
+    req.on('data', (chunk: Buffer) => chunks.push(chunk));
+    req.on('end', () => {
+      const object = objects.get(req.url!);
+      if (req.method === 'PUT') {
+        objects.set(req.url!, {
+          content: Buffer.concat(chunks),
+          contentType: req.headers['content-type'] ?? '',
+        });
+        return res.writeHead(200).end();
+      }
+      if (req.method === 'DELETE') {
+        objects.delete(req.url!);
+        return res.writeHead(204).end();
+      }
+      if (!object) return res.writeHead(404).end();
+      res
+        .writeHead(200, { 'Content-Type': object.contentType })
+        .end(object.content);
+    });
+  });
+  await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    server,
+    objects,
+    requests,
+    endpoint: `http://127.0.0.1:${(server.address() as AddressInfo).port}`,
+  };
+};
+
+describe('S3StorageDriver', () => {
+  let s3: Awaited<ReturnType<typeof startMockS3>>;
+  let driver: S3StorageDriver;
+
+  beforeAll(async () => {
+    s3 = await startMockS3();
+  });
+
+  afterAll(() => new Promise((resolve) => s3.server.close(resolve)));
+
+  beforeEach(() => {
+    s3.objects.clear();
+    s3.requests.length = 0;
+    driver = new S3StorageDriver({
+      endpoint: s3.endpoint,
+      bucket: 'media',
+      region: 'eu-west-1',
+      accessKeyId: 'AKID',
+      secretAccessKey: 'secret',
+    });
+  });
+
+  it('puts, gets and deletes objects in the bucket', async () => {
+    await driver.put('avatars/a-64.webp', Buffer.from('image'), 'image/webp');
+
+    expect(s3.objects.has('/media/avatars/a-64.webp')).toBe(true);
+    await expect(driver.get('avatars/a-64.webp')).resolves.toEqual({
+      content: Buffer.from('image'),
+      contentType: 'image/webp',
+    });
+
+    await driver.delete('avatars/a-64.webp');
+    await expect(driver.get('avatars/a-64.webp')).resolves.toBeNull();
+  });
+
+  it('signs every request with Signature Version 4', async () => {
+    await driver.get('avatars/missing.webp');
+
+    expect(s3.requests[0].authorization).toMatch(
+      /^AWS4-HMAC-SHA256 Credential=AKID\/\d{8}\/eu-west-1\/s3\/aws4_request, SignedHeaders=host;x-amz-content-sha256;x-amz-date, Signature=[0-9a-f]{64}$/,
+    );
+  });
+
+  it('links to the public bucket URL when there is one', () => {
+    expect(driver.publicUrl('avatars/a-64.webp')).toBeUndefined();
+    const publicDriver = new S3StorageDriver({
+      endpoint: s3.endpoint,
+      bucket: 'media',
+      region: 'us-east-1',
+      accessKeyId: 'AKID',
+      secretAccessKey: 'secret',
+      publicUrl: 'https://cdn.test/',
+    });
+    expect(publicDriver.publicUrl('avatars/a-64.webp')).toBe(
+      'https://cdn.test/avatars/a-64.webp',
+    );
+  });
+});
@@ -0,0 +1,15 @@
+export const STORAGE_DRIVER = Symbol('STORAGE_DRIVER');
+
+export interface StoredObject {
+  content: Buffer;
+  contentType: string;
+}
+
+/** Where uploaded files live. Implementations are picked with STORAGE_DRIVER. */
+export interface StorageDriver {
+  put(key: string, content: Buffer, contentType: string): Promise<void>;
+  get(key: string): Promise<StoredObject | null>;
+  delete(key: string): Promise<void>;
+  // Where browsers can fetch the object directly; without one it is served by StorageController
+  publicUrl?(key: string): string | undefined;
+}
@@ -0,0 +1,42 @@
+import {
+  Controller,
+  Get,
+  NotFoundException,
+  Param,
+  Res,
+  StreamableFile,
+} from '@nestjs/common';
+import type { Response } from 'express';
+import { StorageService } from './storage.service';
+
+// Folder and file names we generate: no dots in folders, one extension on files
+const FOLDER = /^[a-z-]+$/;
+const FILE = /^[\w-]+\.[a-z]+$/;
+
+/** Serves stored files when the driver has no public URL of its own. */
+@Controller('storage')
+export class StorageController {
+  constructor(private readonly storageService: StorageService) {}
+
+  @Get(':folder/:file')
+  async get(
+    @Param('folder') folder: string,
+    @Param('file') file: string,
+    @Res({ passthrough: true }) res: Response,
+  ) {
+    const object =
+      FOLDER.test(folder) && FILE.test(file)
+        ? await this.storageService.get(`${folder}/${file}`)
+        : null;
+    if (!object) {
+      throw new NotFoundException('File not found');
+    }
+    // Keys change whenever the content does, so browsers can keep them forever
+    res.set({
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'X-Content-Type-Options': 'nosniff',
+      'Cross-Origin-Resource-Policy': 'cross-origin',
+    });
+    return new StreamableFile(object.content, { type: object.contentType });
+  }
+}
@@ -0,0 +1,55 @@
+import { Global, Module } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import {
+  STORAGE_DRIVER,
+  StorageDriver,
+} from './drivers/storage-driver.interface';
+import { LocalStorageDriver } from './drivers/local.driver';
+import { S3StorageDriver } from './drivers/s3.driver';
+import { StorageService } from './storage.service';
+import { StorageController } from './storage.controller';
+
+@Global()
+@Module({
+  providers: [
+    {
+      provide: STORAGE_DRIVER,
+      inject: [ConfigService],
+      useFactory: (config: ConfigService): StorageDriver => {
+        const driver = config.get<string>('STORAGE_DRIVER') || 'local';
+
+        switch (driver) {
+          case 'local':
+            return new LocalStorageDriver(
+              config.get<string>('STORAGE_LOCAL_DIR') || '.tmp/storage',
+            );
+          case 's3': {
+            const endpoint = config.get<string>('S3_ENDPOINT');
+            const bucket = config.get<string>('S3_BUCKET');
+            const accessKeyId = config.get<string>('S3_ACCESS_KEY_ID');
+            const secretAccessKey = config.get<string>('S3_SECRET_ACCESS_KEY');
+            if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+              throw new Error(
+                'S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY must be provided when STORAGE_DRIVER is s3',
+              );
+            }
+            return new S3StorageDriver({
+              endpoint,
+              bucket,
+              accessKeyId,
+              secretAccessKey,
+              region: config.get<string>('S3_REGION') || 'us-east-1',
+              publicUrl: config.get<string>('S3_PUBLIC_URL'),
+            });
+          }
+          default:
+            throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+        }
+      },
+    },
+    StorageService,
+  ],
+  controllers: [StorageController],
+  exports: [StorageService],
+})
+export class StorageModule {}
@@ -0,0 +1,36 @@
+import { Inject, Injectable } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import {
+  STORAGE_DRIVER,
+  StorageDriver,
+  StoredObject,
+} from './drivers/storage-driver.interface';
+
+/** Uploaded files. Everything stored here is public to anyone who knows its key. */
+@Injectable()
+export class StorageService {
+  constructor(
+    @Inject(STORAGE_DRIVER) private readonly driver: StorageDriver,
+    private readonly configService: ConfigService,
+  ) {}
+
+  put(key: string, content: Buffer, contentType: string): Promise<void> {
+    return this.driver.put(key, content, contentType);
+  }
+
+  get(key: string): Promise<StoredObject | null> {
+    return this.driver.get(key);
+  }
+
+  delete(key: string): Promise<void> {
+    return this.driver.delete(key);
+  }
+
+  url(key: string): string {
+    return this.driver.publicUrl?.(key) ?? `${this.apiUrl()}/storage/${key}`;
+  }
+
+  private apiUrl(): string {
+    return this.configService.get<string>('API_URL') || 'http://localhost:4000';
+  }
+}
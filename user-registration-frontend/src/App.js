@@ -1,8 +1,9 @@
-import React, { useState, useEffect, useCallback, createContext, useContext } from 'react';
-import { LogIn, User, UserPlus, RefreshCw, LogOut } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef, createContext, useContext } from 'react';
+import { LogIn, User, UserPlus, RefreshCw, LogOut, Mail, KeyRound, AtSign, ShieldCheck, Fingerprint, MonitorSmartphone, Users, X, Trash2, Download, History, Link2, AppWindow, Terminal, UserPen } from 'lucide-react';
 import { useForm } from 'react-hook-form';
-import { QueryClient, QueryClientProvider, useQuery, useMutation, useQueryClient } from '@tanstack/react-query'; 
+import { QueryClient, QueryClientProvider, useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query'; 
 import axios from 'axios';
+import { startAuthentication, startRegistration } from '@simplewebauthn/browser';
 
 // --- React Query Client Setup ---
 const queryClient = new QueryClient({
@@ -46,6 +47,8 @@ const getBaseUrl = () => {
 
 const API_BASE_URL = `${getBaseUrl()}`;
 const TOKEN_KEY = 'authToken';
+// Survives the sign-in (and the round trips of social login) between an app's request and the consent screen
+const OIDC_REQUEST_KEY = 'oidcRequest';
 
 // --- AXIOS INSTANCE SETUP (Global client) ---
 const axiosInstance = axios.create({
@@ -78,15 +81,32 @@ const processQueue = (error, token = null) => {
  * useAxiosInterceptorClient hook: Handles all network logic, 
  * including token attachment and the complex 401 refresh mechanism.
  */
+// Turns a Retry-After value (seconds) into something like "2 minutes"
+const formatRetryAfter = (seconds) => {
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
 const useAxiosInterceptorClient = (clearAuthState, displayMessage) => {
     
     // Core function to execute API calls
-    const apiCall = useCallback(async (config) => {
+    // `rawResponse` hands back the whole axios response, for callers that need the status or headers
+    const apiCall = useCallback(async ({ rawResponse, ...config }) => {
         try {
             const response = await axiosInstance.request(config);
-            return response.data;
+            return rawResponse ? response : response.data;
         } catch (error) {
-            const errorMsg = error.response?.data?.message || error.message;
+            // Downloads ask for a Blob, so their error bodies arrive as one too
+            const data = error.response?.data instanceof Blob
+                ? await error.response.data.text().then(JSON.parse).catch(() => ({}))
+                : error.response?.data;
+            if (error.response?.status === 429) {
+                const retryAfter = Number(error.response.headers['retry-after'] ?? data?.retryAfter);
+                const reason = data?.message || 'Too many attempts.';
+                throw new Error(retryAfter > 0 ? `${reason} Try again in ${formatRetryAfter(retryAfter)}.` : reason);
+            }
+            const errorMsg = data?.message || error.message;
             // Throw a simple Error with the processed message
             throw new Error(Array.isArray(errorMsg) ? errorMsg.join(', ') : errorMsg);
         }
@@ -115,6 +135,11 @@ const useAxiosInterceptorClient = (clearAuthState, displayMessage) => {
                     return Promise.reject(error);
                 }
 
+                // Requests sent without an access token (MFA challenge, emailed links...) failed on their own merits
+                if (!originalRequest.headers?.Authorization) {
+                    return Promise.reject(error);
+                }
+
                 if (isRefreshing) {
                     // Refresh is in progress, queue this request
                     return new Promise((resolve, reject) => {
@@ -143,9 +168,13 @@ const useAxiosInterceptorClient = (clearAuthState, displayMessage) => {
                     return axiosInstance(originalRequest);
                     
                 } catch (refreshError) {
-                    // Failed to refresh, clear everything and force re-login
                     isRefreshing = false;
                     processQueue(refreshError);
+                    // A rate-limited refresh says nothing about the session, keep it for the next attempt
+                    if (refreshError.response?.status === 429) {
+                        return Promise.reject(refreshError);
+                    }
+                    // Failed to refresh, clear everything and force re-login
                     clearAuthState();
                     displayMessage("Session expired. Please log in again.", 'error');
                     return Promise.reject(refreshError); 
@@ -169,6 +198,17 @@ const useAxiosInterceptorClient = (clearAuthState, displayMessage) => {
 
 const AuthContext = createContext(null);
 
+// Links we email (verification, password reset) carry a one-off token in the query string
+const getQueryParam = (name) => new URLSearchParams(window.location.search).get(name);
+
+const removeQueryParam = (name) => {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has(name)) return;
+    params.delete(name);
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+};
+
 const useAuth = () => useContext(AuthContext);
 
 /**
@@ -181,7 +221,10 @@ const useAuthLogic = () => {
     // Core Auth State
     const [isAuthenticated, setIsAuthenticated] = useState(!!localStorage.getItem(TOKEN_KEY));
     const [user, setUser] = useState(null);
-    const [activeTab, setActiveTab] = useState(isAuthenticated ? 'profile' : 'login');
+    const [resetToken, setResetToken] = useState(() => getQueryParam('resetPasswordToken'));
+    const [mfaToken, setMfaToken] = useState(null);
+    const [oidcRequest, setOidcRequest] = useState(() => getQueryParam('oidcRequest') || sessionStorage.getItem(OIDC_REQUEST_KEY));
+    const [activeTab, setActiveTab] = useState(isAuthenticated ? 'profile' : (resetToken ? 'reset' : 'login'));
 
     // --- State Manipulation Handlers ---
     
@@ -212,6 +255,12 @@ const useAuthLogic = () => {
     const loginMutation = useMutation({
         mutationFn: (credentials) => apiCall({ method: 'POST', url: '/login', data: credentials }),
         onSuccess: (data) => {
+            if (data.mfaRequired) {
+                // Password accepted, the second factor is still missing
+                setMfaToken(data.mfaToken);
+                setActiveTab('mfa');
+                return;
+            }
             setAuthState(data.accessToken, data.user);
             displayMessage('Login successful! Welcome.', 'success');
         },
@@ -220,12 +269,62 @@ const useAuthLogic = () => {
         }
     });
 
+    // 1b. Second factor for accounts with two-factor authentication
+    const mfaVerifyMutation = useMutation({
+        mutationFn: (factor) => apiCall({ method: 'POST', url: '/mfa/verify', data: { mfaToken, ...factor } }),
+        onSuccess: (data) => {
+            setMfaToken(null);
+            setAuthState(data.accessToken, data.user);
+            displayMessage('Login successful! Welcome.', 'success');
+        },
+        onError: (error) => {
+            displayMessage(`Verification Failed: ${error.message}`, 'error');
+        }
+    });
+
+    // 1c. Passwordless login with a passkey
+    const passkeyLoginMutation = useMutation({
+        mutationFn: async () => {
+            const optionsJSON = await apiCall({ method: 'POST', url: '/webauthn/login/options' });
+            const response = await startAuthentication({ optionsJSON });
+            return apiCall({ method: 'POST', url: '/webauthn/login/verify', data: { response } });
+        },
+        onSuccess: (data) => {
+            setAuthState(data.accessToken, data.user);
+            displayMessage('Login successful! Welcome.', 'success');
+        },
+        onError: (error) => {
+            displayMessage(`Passkey Login Failed: ${error.message}`, 'error');
+        }
+    });
+
+    // 1d. Passwordless login with an emailed link, which only works in the browser that asked for it
+    const magicLinkRequestMutation = useMutation({
+        mutationFn: ({ email }) => apiCall({ method: 'POST', url: '/magic-link', data: { email } }),
+        onSuccess: (data) => displayMessage(data.message, 'success'),
+        onError: (error) => displayMessage(`Request Failed: ${error.message}`, 'error'),
+    });
+
+    const magicLinkLoginMutation = useMutation({
+        mutationFn: (token) => apiCall({ method: 'POST', url: '/magic-link/consume', data: { token } }),
+        onSuccess: (data) => {
+            if (data.mfaRequired) {
+                setMfaToken(data.mfaToken);
+                setActiveTab('mfa');
+                return;
+            }
+            setAuthState(data.accessToken, data.user);
+            displayMessage('Login successful! Welcome.', 'success');
+        },
+        onError: (error) => displayMessage(`Login Failed: ${error.message}`, 'error'),
+    });
+
     // 2. Register Mutation
     const registerMutation = useMutation({
         mutationFn: (userData) => apiCall({ method: 'POST', url: '/register', data: userData }),
         onSuccess: () => {
-            displayMessage('Registration successful! You can now log in.', 'success');
-            setActiveTab('login');
+            // RegisterForm switches to its "check your inbox" state
+            displayMessage('Registration successful! Check your inbox to verify your email.', 'success');
         },
         onError: (error) => {
             displayMessage(`Registration Failed: ${error.message}`, 'error');
@@ -245,24 +344,166 @@ const useAuthLogic = () => {
         }
     }, [clearAuthState, displayMessage]);
 
+    // 4. Email verification links land on the app as ?verifyEmailToken=...
+    const verificationHandled = useRef(false);
+    useEffect(() => {
+        const token = getQueryParam('verifyEmailToken');
+        // The ref guards against StrictMode running the effect twice, the token is single-use
+        if (!token || verificationHandled.current) return;
+        verificationHandled.current = true;
+        removeQueryParam('verifyEmailToken');
+
+        apiCall({ method: 'POST', url: '/verify-email', data: { token } })
+            .then((data) => {
+                displayMessage(data.message, 'success');
+                setActiveTab('login');
+            })
+            .catch((error) => displayMessage(`Email Verification Failed: ${error.message}`, 'error'));
+    }, [apiCall, displayMessage]);
+
+    // 5. Email change confirmations land on the app as ?confirmEmailChangeToken=...
+    const emailChangeHandled = useRef(false);
+    useEffect(() => {
+        const token = getQueryParam('confirmEmailChangeToken');
+        if (!token || emailChangeHandled.current) return;
+        emailChangeHandled.current = true;
+        removeQueryParam('confirmEmailChangeToken');
+
+        apiCall({ method: 'POST', url: '/email/confirm', data: { token } })
+            .then(async (data) => {
+                displayMessage(data.message, 'success');
+                if (localStorage.getItem(TOKEN_KEY)) {
+                    // The current access token still carries the old address
+                    const { accessToken } = await apiCall({ method: 'POST', url: '/refresh-token' });
+                    localStorage.setItem(TOKEN_KEY, accessToken);
+                    queryClient.invalidateQueries({ queryKey: ['profile'] });
+                }
+            })
+            .catch((error) => displayMessage(`Email Change Failed: ${error.message}`, 'error'));
+    }, [apiCall, displayMessage, queryClient]);
+
+    // 6. "This wasn't me" links from sign-in alerts land on the app as ?denyLoginToken=...
+    const denyLoginHandled = useRef(false);
+    useEffect(() => {
+        const token = getQueryParam('denyLoginToken');
+        if (!token || denyLoginHandled.current) return;
+        denyLoginHandled.current = true;
+        removeQueryParam('denyLoginToken');
+
+        apiCall({ method: 'POST', url: '/login-alert/deny', data: { token } })
+            .then((data) => {
+                // Every session was revoked, this one included
+                clearAuthState();
+                displayMessage(data.message, 'success');
+                setActiveTab('login');
+            })
+            .catch((error) => displayMessage(`Could not block the sign-in: ${error.message}`, 'error'));
+    }, [apiCall, clearAuthState, displayMessage]);
+
+    // 7. Social sign-in comes back as ?oauthLogin=<provider> with the refresh cookie already set,
+    //    ?mfaToken=... when the account still needs its second factor, ?oauthLinked=... or ?oauthError=...
+    const oauthHandled = useRef(false);
+    useEffect(() => {
+        const provider = getQueryParam('oauthLogin');
+        const pendingMfaToken = getQueryParam('mfaToken');
+        const linkedProvider = getQueryParam('oauthLinked');
+        const oauthError = getQueryParam('oauthError');
+        if (!(provider || pendingMfaToken || linkedProvider || oauthError) || oauthHandled.current) return;
+        oauthHandled.current = true;
+        ['oauthLogin', 'mfaToken', 'oauthLinked', 'oauthError'].forEach(removeQueryParam);
+
+        if (oauthError) {
+            displayMessage(oauthError, 'error');
+        } else if (linkedProvider) {
+            displayMessage('Account connected. You can now sign in with it.', 'success');
+        } else if (pendingMfaToken) {
+            setMfaToken(pendingMfaToken);
+            setActiveTab('mfa');
+        } else {
+            apiCall({ method: 'POST', url: '/refresh-token' })
+                .then(({ accessToken }) => {
+                    setAuthState(accessToken, null);
+                    displayMessage('Login successful! Welcome.', 'success');
+                })
+                .catch((error) => displayMessage(`Login Failed: ${error.message}`, 'error'));
+        }
+    }, [apiCall, displayMessage, setAuthState]);
+
+    // 8. Sign-in links land on the app as ?magicLinkToken=...
+    const magicLinkHandled = useRef(false);
+    const { mutate: consumeMagicLink } = magicLinkLoginMutation;
+    useEffect(() => {
+        const token = getQueryParam('magicLinkToken');
+        if (!token || magicLinkHandled.current) return;
+        magicLinkHandled.current = true;
+        removeQueryParam('magicLinkToken');
+        consumeMagicLink(token);
+    }, [consumeMagicLink]);
+
+    // 9. Our other apps send users here as ?oidcRequest=... to sign in and consent, or ?oidcError=... when we cannot
+    useEffect(() => {
+        const oidcError = getQueryParam('oidcError');
+        if (oidcError) displayMessage(oidcError, 'error');
+        removeQueryParam('oidcError');
+        removeQueryParam('oidcRequest');
+    }, [displayMessage]);
+
+    useEffect(() => {
+        if (oidcRequest) sessionStorage.setItem(OIDC_REQUEST_KEY, oidcRequest);
+        else sessionStorage.removeItem(OIDC_REQUEST_KEY);
+    }, [oidcRequest]);
+
+    const finishOidcRequest = useCallback(() => setOidcRequest(null), []);
+
+    // 10. Password reset links land on the app as ?resetPasswordToken=... (kept in state, not in the URL)
+    useEffect(() => {
+        removeQueryParam('resetPasswordToken');
+    }, []);
+
+    const forgotPasswordMutation = useMutation({
+        mutationFn: ({ email }) => apiCall({ method: 'POST', url: '/forgot-password', data: { email } }),
+        onSuccess: (data) => {
+            displayMessage(data.message, 'success');
+        },
+        onError: (error) => {
+            displayMessage(`Request Failed: ${error.message}`, 'error');
+        }
+    });
+
+    const resetPasswordMutation = useMutation({
+        mutationFn: ({ password }) => apiCall({ method: 'POST', url: '/reset-password', data: { token: resetToken, password } }),
+        onSuccess: (data) => {
+            displayMessage(data.message, 'success');
+            setResetToken(null);
+            setActiveTab('login');
+        },
+        onError: (error) => {
+            displayMessage(`Password Reset Failed: ${error.message}`, 'error');
+        }
+    });
+
     // --- Data Fetching (React Query) ---
 
-    // Query for Protected User Profile Data
+    // Query for the signed-in user's profile, read from the database
     const { data: profileData, isLoading: isProfileLoading, refetch: refetchProfile, isError: isProfileError } = useQuery({
         queryKey: ['profile'],
-        queryFn: () => apiCall({ method: 'GET', url: '/profile' }),
+        queryFn: () => apiCall({ method: 'GET', url: '/me' }),
         enabled: isAuthenticated, // Only run if authenticated
         staleTime: 5 * 60 * 1000, // Data considered fresh for 5 minutes
     });
     
     // Effect to update the local 'user' state with fresh data after a successful profile fetch
     useEffect(() => {
-        if (profileData?.authenticatedUser) {
-            setUser(profileData.authenticatedUser);
+        if (profileData) {
+            setUser(profileData);
         }
     }, [profileData]);
 
 
+    // Permissions resolved by the backend, used to hide controls the user cannot use anyway
+    const permissions = profileData?.permissions;
+    const hasPermission = useCallback((permission) => !!permissions?.includes(permission), [permissions]);
+
     // --- Exposed Auth Values ---
     return {
         isAuthenticated, 
@@ -274,10 +515,19 @@ const useAuthLogic = () => {
         handleLogout, 
         displayMessage, 
         apiCall, 
+        clearAuthState,
+        hasPermission,
+        oidcRequest,
+        finishOidcRequest,
         
         // React Query Status/Functions
         loginMutation,
+        mfaVerifyMutation,
+        passkeyLoginMutation,
+        magicLinkRequestMutation,
         registerMutation,
+        forgotPasswordMutation,
+        resetPasswordMutation,
         profileQuery: { profileData, isProfileLoading, refetchProfile, isProfileError },
     };
 };
@@ -298,11 +548,44 @@ const AuthProvider = ({ children }) => {
 // --- PRESENTATION COMPONENTS ---
 // ---------------------------------------------------------------------
 
+// Navigated to rather than called: the provider's pages need the whole window
+const SocialLoginButtons = () => {
+    const { apiCall } = useAuth();
+    const { data: providers } = useQuery({
+        queryKey: ['oauthProviders'],
+        queryFn: () => apiCall({ method: 'GET', url: '/oauth/providers' }),
+        staleTime: Infinity,
+    });
+
+    if (!providers?.length) return null;
+
+    return (
+        <div className="space-y-2">
+            <p className="text-center text-xs uppercase tracking-wide text-gray-400">or continue with</p>
+            {providers.map((provider) => (
+                <a
+                    key={provider.id}
+                    href={`${API_BASE_URL}/oauth/${provider.id}`}
+                    className="w-full bg-white border border-gray-300 text-gray-700 p-3 rounded-lg hover:bg-gray-50 transition duration-150 flex items-center justify-center"
+                >
+                    {provider.name}
+                </a>
+            ))}
+        </div>
+    );
+};
+
 const LoginForm = () => {
-    const { loginMutation } = useAuth();
+    const { loginMutation, passkeyLoginMutation, magicLinkRequestMutation, setActiveTab } = useAuth();
     const { register, handleSubmit, formState: { errors } } = useForm();
+    // Emails a sign-in link instead of asking for the password
+    const [useMagicLink, setUseMagicLink] = useState(false);
 
     const onSubmit = (data) => {
+        if (useMagicLink) {
+            magicLinkRequestMutation.mutate(data);
+            return;
+        }
         loginMutation.mutate(data);
     };
 
@@ -318,36 +601,171 @@ const LoginForm = () => {
                 {errors.email && <p className="text-red-500 text-sm mt-1">{errors.email.message}</p>}
             </div>
             
+            {useMagicLink ? (
+                <button
+                    type="submit"
+                    disabled={magicLinkRequestMutation.isPending}
+                    className="w-full bg-indigo-600 text-white p-3 rounded-lg hover:bg-indigo-700 transition duration-150 shadow-md hover:shadow-lg disabled:bg-indigo-400 flex items-center justify-center space-x-2"
+                >
+                    <Mail size={20} />
+                    <span>{magicLinkRequestMutation.isPending ? 'Sending...' : 'Email me a sign-in link'}</span>
+                </button>
+            ) : (
+                <>
+                    <div>
+                        <input
+                            {...register("password", { required: "Password is required" })}
+                            type="password"
+                            placeholder="Password"
+                            className={`w-full p-3 border rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 ${errors.password ? 'border-red-500' : 'border-gray-300'}`}
+                        />
+                        {errors.password && <p className="text-red-500 text-sm mt-1">{errors.password.message}</p>}
+                        <button
+                            type="button"
+                            onClick={() => setActiveTab('forgot')}
+                            className="mt-2 text-sm text-indigo-600 hover:underline"
+                        >
+                            Forgot password?
+                        </button>
+                    </div>
+
+                    <button
+                        type="submit"
+                        disabled={loginMutation.isPending}
+                        className="w-full bg-indigo-600 text-white p-3 rounded-lg hover:bg-indigo-700 transition duration-150 shadow-md hover:shadow-lg disabled:bg-indigo-400 flex items-center justify-center space-x-2"
+                    >
+                        <LogIn size={20} />
+                        <span>{loginMutation.isPending ? 'Logging In...' : 'Login'}</span>
+                    </button>
+                </>
+            )}
+
+            <button
+                type="button"
+                onClick={() => setUseMagicLink(!useMagicLink)}
+                className="w-full text-sm text-indigo-600 hover:underline"
+            >
+                {useMagicLink ? 'Sign in with a password instead' : 'Email me a sign-in link instead'}
+            </button>
+
+            <button
+                type="button"
+                onClick={() => passkeyLoginMutation.mutate()}
+                disabled={passkeyLoginMutation.isPending}
+                className="w-full bg-gray-100 text-gray-700 p-3 rounded-lg hover:bg-gray-200 transition duration-150 disabled:opacity-50 flex items-center justify-center space-x-2"
+            >
+                <Fingerprint size={20} />
+                <span>{passkeyLoginMutation.isPending ? 'Waiting for Passkey...' : 'Sign in with a Passkey'}</span>
+            </button>
+
+            <SocialLoginButtons />
+        </form>
+    );
+};
+
+const MfaChallengeForm = () => {
+    const { mfaVerifyMutation, setActiveTab } = useAuth();
+    const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+    const { register, handleSubmit, reset, formState: { errors } } = useForm();
+
+    const onSubmit = ({ value }) => {
+        mfaVerifyMutation.mutate(useRecoveryCode ? { recoveryCode: value } : { code: value });
+    };
+
+    const toggleMode = () => {
+        setUseRecoveryCode(!useRecoveryCode);
+        reset();
+    };
+
+    return (
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <p className="text-gray-600 text-sm">
+                {useRecoveryCode
+                    ? 'Enter one of the recovery codes you saved when enabling two-factor authentication.'
+                    : 'Enter the 6-digit code from your authenticator app.'}
+            </p>
             <div>
                 <input
-                    {...register("password", { required: "Password is required" })}
-                    type="password"
-                    placeholder="Password"
-                    className={`w-full p-3 border rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 ${errors.password ? 'border-red-500' : 'border-gray-300'}`}
+                    {...register("value", { required: "Code is required" })}
+                    type="text"
+                    inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                    autoComplete="one-time-code"
+                    placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                    className={`w-full p-3 border rounded-lg text-center tracking-widest font-mono focus:ring-indigo-500 focus:border-indigo-500 ${errors.value ? 'border-red-500' : 'border-gray-300'}`}
                 />
-                {errors.password && <p className="text-red-500 text-sm mt-1">{errors.password.message}</p>}
+                {errors.value && <p className="text-red-500 text-sm mt-1">{errors.value.message}</p>}
             </div>
 
             <button
                 type="submit"
-                disabled={loginMutation.isPending}
+                disabled={mfaVerifyMutation.isPending}
                 className="w-full bg-indigo-600 text-white p-3 rounded-lg hover:bg-indigo-700 transition duration-150 shadow-md hover:shadow-lg disabled:bg-indigo-400 flex items-center justify-center space-x-2"
             >
-                <LogIn size={20} />
-                <span>{loginMutation.isPending ? 'Logging In...' : 'Login'}</span>
+                <ShieldCheck size={20} />
+                <span>{mfaVerifyMutation.isPending ? 'Verifying...' : 'Verify'}</span>
             </button>
+
+            <div className="flex justify-between text-sm">
+                <button type="button" onClick={toggleMode} className="text-indigo-600 hover:underline">
+                    {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+                </button>
+                <button type="button" onClick={() => setActiveTab('login')} className="text-gray-500 hover:underline">
+                    Back to login
+                </button>
+            </div>
         </form>
     );
 };
 
 const RegisterForm = () => {
-    const { registerMutation } = useAuth();
+    const { registerMutation, apiCall, displayMessage, setActiveTab } = useAuth();
     const { register, handleSubmit, formState: { errors } } = useForm();
+    const [isResending, setIsResending] = useState(false);
 
     const onSubmit = (data) => {
         registerMutation.mutate(data);
     };
 
+    const resendVerification = async () => {
+        setIsResending(true);
+        try {
+            const response = await apiCall({ method: 'POST', url: '/resend-verification', data: { email: registerMutation.variables.email } });
+            displayMessage(response.message, 'success');
+        } catch (error) {
+            displayMessage(`Resend Failed: ${error.message}`, 'error');
+        } finally {
+            setIsResending(false);
+        }
+    };
+
+    const backToLogin = () => {
+        registerMutation.reset();
+        setActiveTab('login');
+    };
+
+    if (registerMutation.isSuccess) return (
+        <div className="space-y-4 text-center">
+            <Mail size={40} className="mx-auto text-green-600" />
+            <h3 className="text-xl font-semibold text-gray-800">Check your inbox</h3>
+            <p className="text-gray-600">
+                We sent a verification link to <strong>{registerMutation.variables.email}</strong>. Open it to activate your account.
+            </p>
+            <button
+                onClick={resendVerification}
+                disabled={isResending}
+                className="w-full p-3 bg-green-100 text-green-700 rounded-lg hover:bg-green-200 disabled:opacity-60"
+            >
+                {isResending ? 'Sending...' : 'Resend verification email'}
+            </button>
+            <button
+                onClick={backToLogin}
+                className="w-full p-3 text-indigo-600 rounded-lg hover:bg-gray-100"
+            >
+                Back to login
+            </button>
+        </div>
+    );
+
     return (
         <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
             <div>
@@ -380,12 +798,12 @@ const RegisterForm = () => {
                     {...register("password", { 
                         required: "Password is required",
                         minLength: {
-                            value: 6,
-                            message: "Password must be at least 6 characters"
+                            value: 8,
+                            message: "Password must be at least 8 characters"
                         }
                     })}
                     type="password"
-                    placeholder="Password (Min 6 chars)"
+                    placeholder="Password (Min 8 chars)"
                     className={`w-full p-3 border rounded-lg focus:ring-green-500 focus:border-green-500 transition duration-150 ${errors.password ? 'border-red-500' : 'border-gray-300'}`}
                 />
                 {errors.password && <p className="text-red-500 text-sm mt-1">{errors.password.message}</p>}
@@ -403,104 +821,1779 @@ const RegisterForm = () => {
     );
 };
 
-const ProfileView = () => {
-    const { handleLogout, displayMessage, apiCall, profileQuery } = useAuth();
-    const { profileData, isProfileLoading, refetchProfile } = profileQuery;
-    const [isTestingRefresh, setIsTestingRefresh] = useState(false);
-    
-    // Manual test function that relies on the apiCall being intercepted/refreshed
-    const testRefresh = async () => {
-        setIsTestingRefresh(true);
-        try {
-            const response = await apiCall({ method: 'GET', url: '/profile' });
-            displayMessage(`Refresh Test Succeeded! Protected data accessed: ${response.message}`, 'success');
-        } catch (error) {
-            displayMessage(`Refresh Test Failed: ${error.message}`, 'error');
-        } finally {
-            setIsTestingRefresh(false);
-        }
+const ForgotPasswordForm = () => {
+    const { forgotPasswordMutation, setActiveTab } = useAuth();
+    const { register, handleSubmit, formState: { errors } } = useForm();
+
+    const onSubmit = (data) => {
+        forgotPasswordMutation.mutate(data);
     };
 
-    if (isProfileLoading) return (
-        <p className="text-center text-indigo-600 flex items-center justify-center space-x-2">
-            <RefreshCw size={16} className="animate-spin" />
-            <span>Loading Profile Data (React Query)...</span>
-        </p>
-    );
+    return (
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <p className="text-gray-600 text-sm">Enter your account email and we will send you a link to choose a new password.</p>
+            <div>
+                <input
+                    {...register("email", { required: "Email is required" })}
+                    type="email"
+                    placeholder="Email"
+                    className={`w-full p-3 border rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 ${errors.email ? 'border-red-500' : 'border-gray-300'}`}
+                />
+                {errors.email && <p className="text-red-500 text-sm mt-1">{errors.email.message}</p>}
+            </div>
 
-    if (!profileData) return (
-        <div className="space-y-4">
-            <p className="text-center text-red-500">Could not retrieve profile. 🔄</p>
-            <button onClick={() => refetchProfile()} className="w-full p-3 bg-red-100 text-red-700 rounded-lg hover:bg-red-200">
-                Retry Fetch
+            <button
+                type="submit"
+                disabled={forgotPasswordMutation.isPending}
+                className="w-full bg-indigo-600 text-white p-3 rounded-lg hover:bg-indigo-700 transition duration-150 shadow-md hover:shadow-lg disabled:bg-indigo-400 flex items-center justify-center space-x-2"
+            >
+                <Mail size={20} />
+                <span>{forgotPasswordMutation.isPending ? 'Sending...' : 'Send Reset Link'}</span>
             </button>
-        </div>
+
+            <button
+                type="button"
+                onClick={() => setActiveTab('login')}
+                className="w-full p-3 text-indigo-600 rounded-lg hover:bg-gray-100"
+            >
+                Back to login
+            </button>
+        </form>
     );
+};
+
+const ResetPasswordForm = () => {
+    const { resetPasswordMutation } = useAuth();
+    const { register, handleSubmit, getValues, formState: { errors } } = useForm();
 
-    const user = profileData.authenticatedUser;
+    const onSubmit = (data) => {
+        resetPasswordMutation.mutate(data);
+    };
 
     return (
-        <div className="space-y-6">
-            <div className="space-y-4 bg-gray-50 p-6 rounded-xl shadow-inner border border-gray-200">
-                <h3 className="text-xl font-semibold text-indigo-800 flex items-center space-x-2">
-                    <User size={20} />
-                    <span>Protected Profile Data (Cached by RQ)</span>
-                </h3>
-                <p className="text-gray-700">{profileData.message}</p>
-                <div className="border-t border-gray-200 pt-4 space-y-3">
-                    <p><strong>Name:</strong> {user.name || 'N/A'}</p>
-                    <p><strong>Email:</strong> {user.email}</p>
-                    <p className="text-sm"><strong>User ID (sub):</strong> <span className="bg-gray-200 p-1 rounded font-mono text-xs break-all">{user.sub}</span></p>
-                    <p className="text-sm"><strong>Token Issued At:</strong> {new Date(user.iat * 1000).toLocaleString()}</p>
-                </div>
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <p className="text-gray-600 text-sm">Choose a new password. You will be signed out of every device.</p>
+            <div>
+                <input
+                    {...register("password", {
+                        required: "Password is required",
+                        minLength: {
+                            value: 8,
+                            message: "Password must be at least 8 characters"
+                        }
+                    })}
+                    type="password"
+                    placeholder="New Password (Min 8 chars)"
+                    className={`w-full p-3 border rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 ${errors.password ? 'border-red-500' : 'border-gray-300'}`}
+                />
+                {errors.password && <p className="text-red-500 text-sm mt-1">{errors.password.message}</p>}
             </div>
-            
+
+            <div>
+                <input
+                    {...register("confirmPassword", {
+                        validate: (value) => value === getValues('password') || "Passwords do not match"
+                    })}
+                    type="password"
+                    placeholder="Confirm New Password"
+                    className={`w-full p-3 border rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 ${errors.confirmPassword ? 'border-red-500' : 'border-gray-300'}`}
+                />
+                {errors.confirmPassword && <p className="text-red-500 text-sm mt-1">{errors.confirmPassword.message}</p>}
+            </div>
+
             <button
-                onClick={testRefresh}
-                disabled={isTestingRefresh}
-                className="w-full bg-blue-600 text-white p-3 rounded-lg hover:bg-blue-700 transition duration-150 shadow-md hover:shadow-lg disabled:bg-blue-400 flex items-center justify-center space-x-2"
+                type="submit"
+                disabled={resetPasswordMutation.isPending}
+                className="w-full bg-indigo-600 text-white p-3 rounded-lg hover:bg-indigo-700 transition duration-150 shadow-md hover:shadow-lg disabled:bg-indigo-400 flex items-center justify-center space-x-2"
             >
-                <RefreshCw size={20} className={isTestingRefresh ? 'animate-spin' : ''} />
-                <span>{isTestingRefresh ? 'Testing Refresh...' : 'Test Auto Token Refresh'}</span>
+                <KeyRound size={20} />
+                <span>{resetPasswordMutation.isPending ? 'Saving...' : 'Reset Password'}</span>
             </button>
-            
+        </form>
+    );
+};
+
+// Collapsible panel used for the account settings in ProfileView
+const ProfileSection = ({ title, Icon, children }) => {
+    const [isOpen, setIsOpen] = useState(false);
+
+    return (
+        <div className="border border-gray-200 rounded-xl">
             <button
-                onClick={handleLogout}
-                className="w-full bg-red-600 text-white p-3 rounded-lg hover:bg-red-700 transition duration-150 shadow-md hover:shadow-lg flex items-center justify-center space-x-2"
+                onClick={() => setIsOpen(!isOpen)}
+                className="w-full p-4 flex items-center justify-between text-left font-semibold text-gray-800 hover:bg-gray-50 rounded-xl"
             >
-                <LogOut size={20} />
-                <span>Logout (Invalidates Tokens)</span>
+                <span className="flex items-center space-x-2">
+                    <Icon size={18} className="text-indigo-600" />
+                    <span>{title}</span>
+                </span>
+                <span className="text-gray-400">{isOpen ? '−' : '+'}</span>
             </button>
+            {isOpen && <div className="p-4 pt-0 space-y-3">{children}</div>}
         </div>
     );
 };
 
-// Simple reusable button component for tabs
-const TabButton = ({ label, tabName, activeTab, setActiveTab, Icon }) => (
-    <button
-        onClick={() => setActiveTab(tabName)}
-        className={`flex-1 py-2 px-4 rounded-full text-sm font-medium transition duration-200 ease-in-out flex items-center justify-center space-x-1 ${
-            activeTab === tabName 
-                ? 'bg-indigo-600 text-white shadow-lg' 
-                : 'text-gray-700 hover:bg-gray-300'
-        }`}
-    >
-        <Icon size={16} />
-        <span>{label}</span>
-    </button>
-);
+const AVATAR_TYPES = 'image/jpeg,image/png,image/webp,image/gif';
+const MAX_AVATAR_BYTES = 5 * 1024 * 1024;
 
+// The picture and name at the top of the profile, with the controls to change the picture
+const ProfileHeader = ({ profile }) => {
+    const { apiCall, displayMessage } = useAuth();
+    const queryClient = useQueryClient();
+    const fileInputRef = useRef(null);
 
-// ---------------------------------------------------------------------
-// --- MAIN APP COMPONENT (Router/Layout) ---
-// ---------------------------------------------------------------------
-const AuthRouter = () => {
-    // IMPORTANT: useAuth() MUST be called inside the AuthProvider wrapper.
-    const { isAuthenticated, activeTab, message, messageType, setActiveTab } = useAuth(); 
+    const onAvatarSaved = (message) => (updated) => {
+        queryClient.setQueryData(['profile'], updated);
+        displayMessage(message, 'success');
+    };
 
-    const renderContent = () => {
+    const uploadMutation = useMutation({
+        mutationFn: (file) => {
+            const data = new FormData();
+            data.append('avatar', file);
+            // Any multipart type makes axios send the FormData as is, letting the browser add the boundary
+            return apiCall({ method: 'PUT', url: '/me/avatar', data, headers: { 'Content-Type': 'multipart/form-data' } });
+        },
+        onSuccess: onAvatarSaved('Profile picture updated.'),
+        onError: (error) => displayMessage(`Upload Failed: ${error.message}`, 'error'),
+    });
+
+    const removeMutation = useMutation({
+        mutationFn: () => apiCall({ method: 'DELETE', url: '/me/avatar' }),
+        onSuccess: onAvatarSaved('Profile picture removed.'),
+        onError: (error) => displayMessage(`Could not remove the picture: ${error.message}`, 'error'),
+    });
+
+    const onFileChosen = (event) => {
+        const file = event.target.files?.[0];
+        // Cleared so picking the same file again still triggers a change
+        event.target.value = '';
+        if (!file) return;
+        if (file.size > MAX_AVATAR_BYTES) {
+            displayMessage('Pictures can be at most 5 MB.', 'error');
+            return;
+        }
+        uploadMutation.mutate(file);
+    };
+
+    const isBusy = uploadMutation.isPending || removeMutation.isPending;
+
+    return (
+        <div className="flex items-center space-x-4">
+            {profile.avatarUrls ? (
+                <img
+                    src={profile.avatarUrls[64]}
+                    srcSet={`${profile.avatarUrls[64]} 1x, ${profile.avatarUrls[128]} 2x`}
+                    alt=""
+                    className="w-16 h-16 rounded-full object-cover border border-gray-200"
+                />
+            ) : (
+                <div className="w-16 h-16 rounded-full bg-indigo-100 text-indigo-600 flex items-center justify-center">
+                    <User size={32} />
+                </div>
+            )}
+            <div className="space-y-1">
+                <h3 className="text-xl font-semibold text-indigo-800">{profile.displayName || profile.name || profile.email}</h3>
+                <div className="flex space-x-3 text-sm">
+                    <button type="button" onClick={() => fileInputRef.current?.click()} disabled={isBusy} className="text-indigo-600 hover:underline">
+                        {uploadMutation.isPending ? 'Uploading...' : (profile.avatarUrls ? 'Change picture' : 'Add picture')}
+                    </button>
+                    {profile.avatarUrls && (
+                        <button type="button" onClick={() => removeMutation.mutate()} disabled={isBusy} className="text-red-600 hover:underline">
+                            Remove
+                        </button>
+                    )}
+                </div>
+                <input ref={fileInputRef} type="file" accept={AVATAR_TYPES} onChange={onFileChosen} className="hidden" />
+            </div>
+        </div>
+    );
+};
+
+const PROFILE_FIELDS = ['name', 'displayName', 'locale', 'timezone', 'bio'];
+const TIME_ZONES = Intl.supportedValuesOf?.('timeZone') ?? [];
+
+const EditProfileForm = ({ profile }) => {
+    const { apiCall, displayMessage } = useAuth();
+    const queryClient = useQueryClient();
+    const { register, handleSubmit, reset, formState: { errors, isDirty } } = useForm({
+        defaultValues: Object.fromEntries(PROFILE_FIELDS.map((field) => [field, profile[field] ?? ''])),
+    });
+
+    const updateProfileMutation = useMutation({
+        // Empty fields are sent as null, which clears them
+        mutationFn: (data) => apiCall({
+            method: 'PATCH',
+            url: '/me',
+            data: Object.fromEntries(PROFILE_FIELDS.map((field) => [field, data[field].trim() || null])),
+        }),
+        onSuccess: (updated) => {
+            queryClient.setQueryData(['profile'], updated);
+            reset(Object.fromEntries(PROFILE_FIELDS.map((field) => [field, updated[field] ?? ''])));
+            displayMessage('Profile saved.', 'success');
+        },
+        onError: (error) => displayMessage(`Profile Update Failed: ${error.message}`, 'error'),
+    });
+
+    const inputClass = (field) => `w-full p-3 border rounded-lg focus:ring-indigo-500 focus:border-indigo-500 ${errors[field] ? 'border-red-500' : 'border-gray-300'}`;
+
+    return (
+        <form onSubmit={handleSubmit((data) => updateProfileMutation.mutate(data))} className="space-y-3">
+            <input {...register("name", { maxLength: { value: 100, message: "Name can be at most 100 characters" } })} placeholder="Full name" className={inputClass('name')} />
+            {errors.name && <p className="text-red-500 text-sm">{errors.name.message}</p>}
+            <input {...register("displayName", { maxLength: { value: 50, message: "Display name can be at most 50 characters" } })} placeholder="Display name" className={inputClass('displayName')} />
+            {errors.displayName && <p className="text-red-500 text-sm">{errors.displayName.message}</p>}
+            <div className="grid grid-cols-2 gap-3">
+                <input {...register("locale")} placeholder={`Locale (e.g. ${navigator.language})`} className={inputClass('locale')} />
+                <input {...register("timezone")} list="profile-time-zones" placeholder={`Timezone (e.g. ${Intl.DateTimeFormat().resolvedOptions().timeZone})`} className={inputClass('timezone')} />
+                <datalist id="profile-time-zones">
+                    {TIME_ZONES.map((zone) => <option key={zone} value={zone} />)}
+                </datalist>
+            </div>
+            <textarea
+                {...register("bio", { maxLength: { value: 500, message: "Bio can be at most 500 characters" } })}
+                placeholder="A few words about you"
+                rows={3}
+                className={inputClass('bio')}
+            />
+            {errors.bio && <p className="text-red-500 text-sm">{errors.bio.message}</p>}
+            <button
+                type="submit"
+                disabled={updateProfileMutation.isPending || !isDirty}
+                className="w-full bg-indigo-600 text-white p-3 rounded-lg hover:bg-indigo-700 disabled:bg-indigo-400"
+            >
+                {updateProfileMutation.isPending ? 'Saving...' : 'Save Profile'}
+            </button>
+        </form>
+    );
+};
+
+// Accounts created through a sign-in provider have no password yet, so they choose their first one without confirming it
+const ChangePasswordForm = ({ hasPassword }) => {
+    const { apiCall, displayMessage, profileQuery } = useAuth();
+    const { register, handleSubmit, reset, formState: { errors } } = useForm();
+
+    const changePasswordMutation = useMutation({
+        mutationFn: ({ currentPassword, newPassword }) => hasPassword
+            ? apiCall({ method: 'PATCH', url: '/password', data: { currentPassword, newPassword } })
+            : apiCall({ method: 'POST', url: '/password', data: { password: newPassword } }),
+        onSuccess: (data) => {
+            displayMessage(data.message, 'success');
+            reset();
+            if (!hasPassword) profileQuery.refetchProfile();
+        },
+        onError: (error) => {
+            displayMessage(`Password Change Failed: ${error.message}`, 'error');
+        }
+    });
+
+    const onSubmit = ({ currentPassword, newPassword }) => {
+        changePasswordMutation.mutate({ currentPassword, newPassword });
+    };
+
+    return (
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-3">
+            {hasPassword ? (
+                <>
+                    <input
+                        {...register("currentPassword", { required: "Current password is required" })}
+                        type="password"
+                        placeholder="Current Password"
+                        className={`w-full p-3 border rounded-lg focus:ring-indigo-500 focus:border-indigo-500 ${errors.currentPassword ? 'border-red-500' : 'border-gray-300'}`}
+                    />
+                    {errors.currentPassword && <p className="text-red-500 text-sm">{errors.currentPassword.message}</p>}
+                </>
+            ) : (
+                <p className="text-sm text-gray-600">You sign in through another account. Choose a password to also sign in with your email address.</p>
+            )}
+            <input
+                {...register("newPassword", {
+                    required: "New password is required",
+                    minLength: {
+                        value: 8,
+                        message: "Password must be at least 8 characters"
+                    }
+                })}
+                type="password"
+                placeholder="New Password (Min 8 chars)"
+                className={`w-full p-3 border rounded-lg focus:ring-indigo-500 focus:border-indigo-500 ${errors.newPassword ? 'border-red-500' : 'border-gray-300'}`}
+            />
+            {errors.newPassword && <p className="text-red-500 text-sm">{errors.newPassword.message}</p>}
+            <button
+                type="submit"
+                disabled={changePasswordMutation.isPending}
+                className="w-full bg-indigo-600 text-white p-3 rounded-lg hover:bg-indigo-700 disabled:bg-indigo-400"
+            >
+                {changePasswordMutation.isPending ? 'Saving...' : hasPassword ? 'Change Password' : 'Set Password'}
+            </button>
+        </form>
+    );
+};
+
+const ChangeEmailForm = () => {
+    const { apiCall, displayMessage } = useAuth();
+    const { register, handleSubmit, reset, formState: { errors } } = useForm();
+
+    const changeEmailMutation = useMutation({
+        mutationFn: (data) => apiCall({ method: 'POST', url: '/email', data }),
+        onSuccess: (data) => {
+            displayMessage(data.message, 'success');
+            reset();
+        },
+        onError: (error) => {
+            displayMessage(`Email Change Failed: ${error.message}`, 'error');
+        }
+    });
+
+    return (
+        <form onSubmit={handleSubmit((data) => changeEmailMutation.mutate(data))} className="space-y-3">
+            <p className="text-sm text-gray-600">We will send a confirmation link to the new address. Your current address stays active until you open it.</p>
+            <input
+                {...register("newEmail", {
+                    required: "New email is required",
+                    pattern: {
+                        value: /^\S+@\S+$/i,
+                        message: "Invalid email address"
+                    }
+                })}
+                type="email"
+                placeholder="New Email"
+                className={`w-full p-3 border rounded-lg focus:ring-indigo-500 focus:border-indigo-500 ${errors.newEmail ? 'border-red-500' : 'border-gray-300'}`}
+            />
+            {errors.newEmail && <p className="text-red-500 text-sm">{errors.newEmail.message}</p>}
+            <input
+                {...register("password", { required: "Password is required" })}
+                type="password"
+                placeholder="Current Password"
+                className={`w-full p-3 border rounded-lg focus:ring-indigo-500 focus:border-indigo-500 ${errors.password ? 'border-red-500' : 'border-gray-300'}`}
+            />
+            {errors.password && <p className="text-red-500 text-sm">{errors.password.message}</p>}
+            <button
+                type="submit"
+                disabled={changeEmailMutation.isPending}
+                className="w-full bg-indigo-600 text-white p-3 rounded-lg hover:bg-indigo-700 disabled:bg-indigo-400"
+            >
+                {changeEmailMutation.isPending ? 'Sending...' : 'Send Confirmation Link'}
+            </button>
+        </form>
+    );
+};
+
+const RecoveryCodesList = ({ codes }) => (
+    <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 space-y-2">
+        <p className="text-sm text-yellow-800">Save these recovery codes somewhere safe. Each works once, and they will not be shown again.</p>
+        <ul className="grid grid-cols-2 gap-1 font-mono text-sm">
+            {codes.map((code) => <li key={code}>{code}</li>)}
+        </ul>
+    </div>
+);
+
+const TwoFactorSettings = () => {
+    const { apiCall, displayMessage } = useAuth();
+    const queryClient = useQueryClient();
+    const [enrollment, setEnrollment] = useState(null);
+    const [recoveryCodes, setRecoveryCodes] = useState(null);
+    const { register, handleSubmit, reset } = useForm();
+
+    const { data: mfaStatus, isLoading } = useQuery({
+        queryKey: ['mfa'],
+        queryFn: () => apiCall({ method: 'GET', url: '/mfa' }),
+    });
+
+    const onMfaChanged = (message) => {
+        displayMessage(message, 'success');
+        reset();
+        queryClient.invalidateQueries({ queryKey: ['mfa'] });
+    };
+
+    const onMfaError = (error) => displayMessage(`Two-Factor Update Failed: ${error.message}`, 'error');
+
+    const setupMutation = useMutation({
+        mutationFn: () => apiCall({ method: 'POST', url: '/mfa/setup' }),
+        onSuccess: (data) => {
+            setRecoveryCodes(null);
+            setEnrollment(data);
+        },
+        onError: onMfaError,
+    });
+
+    const enableMutation = useMutation({
+        mutationFn: ({ code }) => apiCall({ method: 'POST', url: '/mfa/enable', data: { code } }),
+        onSuccess: (data) => {
+            setEnrollment(null);
+            setRecoveryCodes(data.recoveryCodes);
+            onMfaChanged('Two-factor authentication enabled.');
+        },
+        onError: onMfaError,
+    });
+
+    const disableMutation = useMutation({
+        mutationFn: ({ password, code }) => apiCall({ method: 'POST', url: '/mfa/disable', data: { password, code } }),
+        onSuccess: (data) => {
+            setRecoveryCodes(null);
+            onMfaChanged(data.message);
+        },
+        onError: onMfaError,
+    });
+
+    const regenerateMutation = useMutation({
+        mutationFn: ({ code }) => apiCall({ method: 'POST', url: '/mfa/recovery-codes', data: { code } }),
+        onSuccess: (data) => {
+            setRecoveryCodes(data.recoveryCodes);
+            onMfaChanged('New recovery codes generated.');
+        },
+        onError: onMfaError,
+    });
+
+    const inputClass = "w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500";
+
+    if (isLoading) return <p className="text-sm text-gray-500">Loading...</p>;
+
+    if (enrollment) return (
+        <form onSubmit={handleSubmit((data) => enableMutation.mutate(data))} className="space-y-3">
+            <p className="text-sm text-gray-600">Scan this QR code with your authenticator app, then enter the code it shows.</p>
+            <img src={enrollment.qrCode} alt="Authenticator QR code" className="mx-auto w-48 h-48" />
+            <p className="text-xs text-gray-500 text-center break-all">
+                Or enter this key manually: <span className="font-mono">{enrollment.secret}</span>
+            </p>
+            <input {...register("code", { required: true })} inputMode="numeric" placeholder="123456" className={inputClass} />
+            <button type="submit" disabled={enableMutation.isPending} className="w-full bg-indigo-600 text-white p-3 rounded-lg hover:bg-indigo-700 disabled:bg-indigo-400">
+                {enableMutation.isPending ? 'Verifying...' : 'Confirm and Enable'}
+            </button>
+            <button type="button" onClick={() => setEnrollment(null)} className="w-full p-2 text-gray-600 hover:underline">
+                Cancel
+            </button>
+        </form>
+    );
+
+    return (
+        <div className="space-y-3">
+            {recoveryCodes && <RecoveryCodesList codes={recoveryCodes} />}
+            {mfaStatus?.enabled ? (
+                <>
+                    <p className="text-sm text-green-700">
+                        Two-factor authentication is on. {mfaStatus.recoveryCodesRemaining} recovery codes left.
+                    </p>
+                    <form className="space-y-3">
+                        <input {...register("code")} inputMode="numeric" placeholder="Authenticator code" className={inputClass} />
+                        <input {...register("password")} type="password" placeholder="Password (required to disable)" className={inputClass} />
+                        <div className="flex space-x-2">
+                            <button
+                                type="button"
+                                onClick={handleSubmit((data) => regenerateMutation.mutate(data))}
+                                disabled={regenerateMutation.isPending}
+                                className="flex-1 p-3 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+                            >
+                                New Recovery Codes
+                            </button>
+                            <button
+                                type="button"
+                                onClick={handleSubmit((data) => disableMutation.mutate(data))}
+                                disabled={disableMutation.isPending}
+                                className="flex-1 p-3 bg-red-100 text-red-700 rounded-lg hover:bg-red-200"
+                            >
+                                Disable
+                            </button>
+                        </div>
+                    </form>
+                </>
+            ) : (
+                <>
+                    <p className="text-sm text-gray-600">Protect your account with a code from an authenticator app in addition to your password.</p>
+                    <button
+                        onClick={() => setupMutation.mutate()}
+                        disabled={setupMutation.isPending}
+                        className="w-full bg-indigo-600 text-white p-3 rounded-lg hover:bg-indigo-700 disabled:bg-indigo-400"
+                    >
+                        {setupMutation.isPending ? 'Preparing...' : 'Enable Two-Factor Authentication'}
+                    </button>
+                </>
+            )}
+        </div>
+    );
+};
+
+const PasskeySettings = () => {
+    const { apiCall, displayMessage } = useAuth();
+    const queryClient = useQueryClient();
+    const { register, handleSubmit, reset } = useForm();
+
+    const { data: passkeys, isLoading } = useQuery({
+        queryKey: ['passkeys'],
+        queryFn: () => apiCall({ method: 'GET', url: '/webauthn/credentials' }),
+    });
+
+    const onPasskeysChanged = (message) => {
+        displayMessage(message, 'success');
+        reset();
+        queryClient.invalidateQueries({ queryKey: ['passkeys'] });
+    };
+
+    const onPasskeyError = (error) => displayMessage(`Passkey Update Failed: ${error.message}`, 'error');
+
+    const addMutation = useMutation({
+        mutationFn: async ({ name }) => {
+            const optionsJSON = await apiCall({ method: 'POST', url: '/webauthn/register/options' });
+            const response = await startRegistration({ optionsJSON });
+            return apiCall({ method: 'POST', url: '/webauthn/register/verify', data: { response, name: name || undefined } });
+        },
+        onSuccess: () => onPasskeysChanged('Passkey added.'),
+        onError: onPasskeyError,
+    });
+
+    const removeMutation = useMutation({
+        mutationFn: (id) => apiCall({ method: 'DELETE', url: `/webauthn/credentials/${id}` }),
+        onSuccess: () => onPasskeysChanged('Passkey removed.'),
+        onError: onPasskeyError,
+    });
+
+    if (isLoading) return <p className="text-sm text-gray-500">Loading...</p>;
+
+    return (
+        <div className="space-y-3">
+            {passkeys?.length ? (
+                <ul className="divide-y divide-gray-200">
+                    {passkeys.map((passkey) => (
+                        <li key={passkey.id} className="flex items-center justify-between py-2">
+                            <div>
+                                <p className="text-sm font-medium text-gray-800">{passkey.name}</p>
+                                <p className="text-xs text-gray-500">
+                                    Added {new Date(passkey.createdAt).toLocaleDateString()}
+                                    {passkey.lastUsedAt && ` · Last used ${new Date(passkey.lastUsedAt).toLocaleString()}`}
+                                </p>
+                            </div>
+                            <button
+                                onClick={() => removeMutation.mutate(passkey.id)}
+                                disabled={removeMutation.isPending}
+                                className="text-sm text-red-600 hover:underline"
+                            >
+                                Remove
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <p className="text-sm text-gray-600">Sign in with your fingerprint, face or device PIN instead of a password.</p>
+            )}
+            <form onSubmit={handleSubmit((data) => addMutation.mutate(data))} className="space-y-3">
+                <input
+                    {...register("name", { maxLength: 64 })}
+                    placeholder="Name (e.g. Work laptop)"
+                    className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                />
+                <button type="submit" disabled={addMutation.isPending} className="w-full bg-indigo-600 text-white p-3 rounded-lg hover:bg-indigo-700 disabled:bg-indigo-400">
+                    {addMutation.isPending ? 'Waiting for Passkey...' : 'Add a Passkey'}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+const LinkedAccounts = () => {
+    const { apiCall, displayMessage, user } = useAuth();
+    const queryClient = useQueryClient();
+
+    const { data: providers } = useQuery({
+        queryKey: ['oauthProviders'],
+        queryFn: () => apiCall({ method: 'GET', url: '/oauth/providers' }),
+        staleTime: Infinity,
+    });
+    const { data: identities, isLoading } = useQuery({
+        queryKey: ['identities'],
+        queryFn: () => apiCall({ method: 'GET', url: '/oauth/identities' }),
+    });
+
+    const onLinkError = (error) => displayMessage(`Linked Account Update Failed: ${error.message}`, 'error');
+
+    // The backend hands out a short-lived URL, the access token cannot follow a redirect
+    const connectMutation = useMutation({
+        mutationFn: (provider) => apiCall({ method: 'POST', url: `/oauth/${provider}/link` }),
+        onSuccess: ({ url }) => window.location.assign(url),
+        onError: onLinkError,
+    });
+
+    const disconnectMutation = useMutation({
+        mutationFn: (id) => apiCall({ method: 'DELETE', url: `/oauth/identities/${id}` }),
+        onSuccess: () => {
+            displayMessage('Account disconnected.', 'success');
+            queryClient.invalidateQueries({ queryKey: ['identities'] });
+        },
+        onError: onLinkError,
+    });
+
+    // Accounts created with Google or GitHub have no password; the reset email is how they get one
+    const setPasswordMutation = useMutation({
+        mutationFn: () => apiCall({ method: 'POST', url: '/forgot-password', data: { email: user?.email } }),
+        onSuccess: () => displayMessage('Check your inbox for a link to choose a password.', 'success'),
+        onError: onLinkError,
+    });
+
+    if (isLoading) return <p className="text-sm text-gray-500">Loading...</p>;
+
+    const names = Object.fromEntries((providers ?? []).map((provider) => [provider.id, provider.name]));
+    const unlinked = (providers ?? []).filter((provider) => !identities?.some((identity) => identity.provider === provider.id));
+
+    return (
+        <div className="space-y-3">
+            {identities?.length ? (
+                <ul className="divide-y divide-gray-200">
+                    {identities.map((identity) => (
+                        <li key={identity.id} className="flex items-center justify-between py-2">
+                            <div>
+                                <p className="text-sm font-medium text-gray-800">{names[identity.provider] || identity.provider}</p>
+                                <p className="text-xs text-gray-500">
+                                    {identity.email || 'No email shared'}
+                                    {identity.lastUsedAt && ` · Last used ${new Date(identity.lastUsedAt).toLocaleString()}`}
+                                </p>
+                            </div>
+                            <button
+                                onClick={() => disconnectMutation.mutate(identity.id)}
+                                disabled={disconnectMutation.isPending}
+                                className="text-sm text-red-600 hover:underline"
+                            >
+                                Disconnect
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <p className="text-sm text-gray-600">Connect an account to sign in without your password.</p>
+            )}
+            {unlinked.map((provider) => (
+                <button
+                    key={provider.id}
+                    onClick={() => connectMutation.mutate(provider.id)}
+                    disabled={connectMutation.isPending}
+                    className="w-full bg-white border border-gray-300 text-gray-700 p-3 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                >
+                    Connect {provider.name}
+                </button>
+            ))}
+            <button
+                onClick={() => setPasswordMutation.mutate()}
+                disabled={setPasswordMutation.isPending}
+                className="text-sm text-indigo-600 hover:underline"
+            >
+                Signed up with {providers?.length ? providers.map((provider) => provider.name).join(' or ') : 'another account'}? Set a password by email
+            </button>
+        </div>
+    );
+};
+
+const SCOPE_DESCRIPTIONS = {
+    openid: 'Know who you are on this site',
+    email: 'See your email address',
+    profile: 'See your name',
+};
+
+// Shown instead of the profile while one of our other apps waits for the user to sign in through us
+const ConsentScreen = () => {
+    const { apiCall, displayMessage, oidcRequest, finishOidcRequest, user } = useAuth();
+
+    const { data, isLoading, isError, error } = useQuery({
+        queryKey: ['oidcConsent', oidcRequest],
+        queryFn: () => apiCall({ method: 'GET', url: '/oidc/consent', params: { request: oidcRequest } }),
+        retry: false,
+    });
+
+    // The backend answers with the app's redirect URI, carrying a code or access_denied
+    const decideMutation = useMutation({
+        mutationFn: (approve) => apiCall({ method: 'POST', url: '/oidc/consent', data: { request: oidcRequest, approve } }),
+        onSuccess: ({ redirectUrl }) => {
+            finishOidcRequest();
+            window.location.assign(redirectUrl);
+        },
+        onError: (error) => displayMessage(`Sign-in Failed: ${error.message}`, 'error'),
+    });
+
+    // Apps the user already agreed to do not ask again
+    const autoApproved = useRef(false);
+    useEffect(() => {
+        if (!data?.consented || autoApproved.current) return;
+        autoApproved.current = true;
+        decideMutation.mutate(true);
+    }, [data, decideMutation]);
+
+    useEffect(() => {
+        if (!isError) return;
+        displayMessage(error.message, 'error');
+        finishOidcRequest();
+    }, [isError, error, displayMessage, finishOidcRequest]);
+
+    if (isLoading || data?.consented) return (
+        <p className="text-center text-indigo-600 flex items-center justify-center space-x-2">
+            <RefreshCw size={16} className="animate-spin" />
+            <span>Continuing to the application...</span>
+        </p>
+    );
+    if (!data) return null;
+
+    return (
+        <div className="space-y-4">
+            <h2 className="text-xl font-semibold text-gray-800 text-center">{data.client.name} wants to sign you in</h2>
+            <p className="text-sm text-gray-600 text-center">
+                Signed in as <span className="font-medium">{user?.email}</span>. You will be sent back to <span className="font-mono">{data.client.redirectOrigin}</span>.
+            </p>
+            <ul className="bg-gray-50 border border-gray-200 rounded-lg p-4 space-y-2 text-sm text-gray-700">
+                {data.scopes.map((scope) => (
+                    <li key={scope} className="flex items-center space-x-2">
+                        <ShieldCheck size={16} className="text-indigo-600" />
+                        <span>{SCOPE_DESCRIPTIONS[scope] || scope}</span>
+                    </li>
+                ))}
+            </ul>
+            <div className="flex gap-2">
+                <button
+                    onClick={() => decideMutation.mutate(false)}
+                    disabled={decideMutation.isPending}
+                    className="flex-1 p-3 rounded-lg bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50"
+                >
+                    Deny
+                </button>
+                <button
+                    onClick={() => decideMutation.mutate(true)}
+                    disabled={decideMutation.isPending}
+                    className="flex-1 p-3 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-indigo-400"
+                >
+                    Allow
+                </button>
+            </div>
+        </div>
+    );
+};
+
+const ConnectedApps = () => {
+    const { apiCall, displayMessage } = useAuth();
+    const queryClient = useQueryClient();
+
+    const { data: apps, isLoading } = useQuery({
+        queryKey: ['connectedApps'],
+        queryFn: () => apiCall({ method: 'GET', url: '/oidc/consents' }),
+    });
+
+    const revokeMutation = useMutation({
+        mutationFn: (id) => apiCall({ method: 'DELETE', url: `/oidc/consents/${id}` }),
+        onSuccess: () => {
+            displayMessage('Access removed. The app will ask again next time.', 'success');
+            queryClient.invalidateQueries({ queryKey: ['connectedApps'] });
+        },
+        onError: (error) => displayMessage(`Could not remove access: ${error.message}`, 'error'),
+    });
+
+    if (isLoading) return <p className="text-sm text-gray-500">Loading...</p>;
+    if (!apps?.length) return <p className="text-sm text-gray-600">No apps sign you in with this account yet.</p>;
+
+    return (
+        <ul className="divide-y divide-gray-200">
+            {apps.map((app) => (
+                <li key={app.id} className="flex items-center justify-between py-2">
+                    <div>
+                        <p className="text-sm font-medium text-gray-800">{app.name}</p>
+                        <p className="text-xs text-gray-500">
+                            {app.scopes.filter((scope) => scope !== 'openid').join(', ') || 'Sign-in only'}
+                            {app.lastUsedAt && ` · Last used ${new Date(app.lastUsedAt).toLocaleString()}`}
+                        </p>
+                    </div>
+                    <button
+                        onClick={() => revokeMutation.mutate(app.id)}
+                        disabled={revokeMutation.isPending}
+                        className="text-sm text-red-600 hover:underline"
+                    >
+                        Remove Access
+                    </button>
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+const API_KEY_EXPIRY_OPTIONS = [30, 90, 365];
+
+const ApiKeysPanel = () => {
+    const { apiCall, displayMessage, profileQuery } = useAuth();
+    const queryClient = useQueryClient();
+    const { register, handleSubmit, reset, formState: { errors } } = useForm({ defaultValues: { expiresInDays: '90' } });
+    const [created, setCreated] = useState(null);
+    // A key can only be given permissions its owner has
+    const permissions = profileQuery.profileData?.permissions ?? [];
+
+    const { data: keys, isLoading } = useQuery({
+        queryKey: ['apiKeys'],
+        queryFn: () => apiCall({ method: 'GET', url: '/api-keys' }),
+    });
+
+    const createMutation = useMutation({
+        mutationFn: ({ name, scopes, expiresInDays }) => apiCall({
+            method: 'POST',
+            url: '/api-keys',
+            // react-hook-form gives a single checkbox back as a string and none as false
+            data: { name, scopes: scopes ? [].concat(scopes) : [], expiresInDays: Number(expiresInDays) },
+        }),
+        onSuccess: (key) => {
+            // The key is only returned once
+            setCreated(key);
+            reset();
+            queryClient.invalidateQueries({ queryKey: ['apiKeys'] });
+        },
+        onError: (error) => displayMessage(`Could not create the key: ${error.message}`, 'error'),
+    });
+
+    const revokeMutation = useMutation({
+        mutationFn: (id) => apiCall({ method: 'DELETE', url: `/api-keys/${id}` }),
+        onSuccess: () => {
+            displayMessage('API key revoked.', 'success');
+            queryClient.invalidateQueries({ queryKey: ['apiKeys'] });
+        },
+        onError: (error) => displayMessage(`Could not revoke the key: ${error.message}`, 'error'),
+    });
+
+    return (
+        <div className="space-y-3">
+            <p className="text-sm text-gray-600">
+                Scripts can call the API as you by sending a key in the <span className="font-mono">X-API-Key</span> header.
+                Keys cannot change your password, keys or sessions.
+            </p>
+
+            {isLoading && <p className="text-sm text-gray-500">Loading...</p>}
+            {keys?.length > 0 && (
+                <ul className="divide-y divide-gray-200">
+                    {keys.map((key) => (
+                        <li key={key.id} className="flex items-center justify-between py-2">
+                            <div>
+                                <p className="text-sm font-medium text-gray-800">
+                                    {key.name} <span className="text-xs font-mono text-gray-500">{key.start}…</span>
+                                </p>
+                                <p className="text-xs text-gray-500">
+                                    {key.scopes.join(', ') || 'Your own account only'} · Expires {new Date(key.expiresAt).toLocaleDateString()}
+                                </p>
+                                <p className="text-xs text-gray-500">
+                                    {key.lastUsedAt ? `Last used ${new Date(key.lastUsedAt).toLocaleString()} from ${key.lastUsedIp || 'an unknown IP'}` : 'Never used'}
+                                </p>
+                            </div>
+                            <button
+                                onClick={() => revokeMutation.mutate(key.id)}
+                                disabled={revokeMutation.isPending}
+                                className="text-sm text-red-600 hover:underline"
+                            >
+                                Revoke
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {created && (
+                <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 space-y-1 text-sm">
+                    <p className="text-yellow-800">Copy {created.name} now, it will not be shown again.</p>
+                    <p className="font-mono break-all">{created.key}</p>
+                </div>
+            )}
+
+            <form onSubmit={handleSubmit((data) => createMutation.mutate(data))} className="space-y-2">
+                <input
+                    {...register("name", { required: "Name is required" })}
+                    placeholder="What the key is for"
+                    className={`w-full p-2 border rounded-lg ${errors.name ? 'border-red-500' : 'border-gray-300'}`}
+                />
+                {errors.name && <p className="text-red-500 text-sm">{errors.name.message}</p>}
+                <select {...register("expiresInDays")} className="w-full p-2 border border-gray-300 rounded-lg">
+                    {API_KEY_EXPIRY_OPTIONS.map((days) => (
+                        <option key={days} value={days}>Expires in {days} days</option>
+                    ))}
+                </select>
+                {permissions.length > 0 && (
+                    <fieldset className="space-y-1">
+                        <legend className="text-sm text-gray-700">Permissions</legend>
+                        {permissions.map((permission) => (
+                            <label key={permission} className="flex items-center space-x-2 text-sm text-gray-700">
+                                <input type="checkbox" value={permission} {...register("scopes")} />
+                                <span className="font-mono">{permission}</span>
+                            </label>
+                        ))}
+                    </fieldset>
+                )}
+                <button
+                    type="submit"
+                    disabled={createMutation.isPending}
+                    className="w-full bg-indigo-600 text-white p-2 rounded-lg hover:bg-indigo-700 disabled:bg-indigo-400"
+                >
+                    {createMutation.isPending ? 'Creating...' : 'Create API Key'}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+const SessionsPanel = () => {
+    const { apiCall, displayMessage } = useAuth();
+    const queryClient = useQueryClient();
+
+    const { data: sessions, isLoading } = useQuery({
+        queryKey: ['sessions'],
+        queryFn: () => apiCall({ method: 'GET', url: '/sessions' }),
+    });
+
+    const onSessionsChanged = (data) => {
+        displayMessage(data.message, 'success');
+        queryClient.invalidateQueries({ queryKey: ['sessions'] });
+    };
+
+    const onSessionsError = (error) => displayMessage(`Session Update Failed: ${error.message}`, 'error');
+
+    const revokeMutation = useMutation({
+        mutationFn: (id) => apiCall({ method: 'DELETE', url: `/sessions/${id}` }),
+        onSuccess: onSessionsChanged,
+        onError: onSessionsError,
+    });
+
+    const revokeOthersMutation = useMutation({
+        mutationFn: () => apiCall({ method: 'DELETE', url: '/sessions/others' }),
+        onSuccess: onSessionsChanged,
+        onError: onSessionsError,
+    });
+
+    if (isLoading) return <p className="text-sm text-gray-500">Loading...</p>;
+
+    const hasOtherSessions = sessions?.some((session) => !session.current);
+
+    return (
+        <div className="space-y-3">
+            <ul className="divide-y divide-gray-200">
+                {sessions?.map((session) => (
+                    <li key={session.id} className="flex items-center justify-between py-2">
+                        <div>
+                            <p className="text-sm font-medium text-gray-800">
+                                {session.device}
+                                {session.current && <span className="ml-2 text-xs text-green-700 bg-green-100 px-2 py-0.5 rounded">This device</span>}
+                            </p>
+                            <p className="text-xs text-gray-500" title={session.userAgent}>
+                                {session.ip || 'Unknown IP'} · Signed in {new Date(session.createdAt).toLocaleString()}
+                            </p>
+                            <p className="text-xs text-gray-500">Last active {new Date(session.lastUsedAt).toLocaleString()}</p>
+                        </div>
+                        {!session.current && (
+                            <button
+                                onClick={() => revokeMutation.mutate(session.id)}
+                                disabled={revokeMutation.isPending}
+                                className="text-sm text-red-600 hover:underline"
+                            >
+                                Sign Out
+                            </button>
+                        )}
+                    </li>
+                ))}
+            </ul>
+            {hasOtherSessions && (
+                <button
+                    onClick={() => revokeOthersMutation.mutate()}
+                    disabled={revokeOthersMutation.isPending}
+                    className="w-full p-3 bg-red-100 text-red-700 rounded-lg hover:bg-red-200"
+                >
+                    {revokeOthersMutation.isPending ? 'Signing Out...' : 'Sign Out All Other Devices'}
+                </button>
+            )}
+        </div>
+    );
+};
+
+// Labels for the audit event types the backend records
+const AUDIT_EVENT_LABELS = {
+    'account.registered': 'Account created',
+    'account.email_verified': 'Email address verified',
+    'account.deletion_requested': 'Account deletion requested',
+    'account.deleted': 'Account deleted',
+    'account.data_exported': 'Data export requested',
+    'account.profile_updated': 'Profile updated',
+    'account.identity_linked': 'Account connected',
+    'account.identity_unlinked': 'Account disconnected',
+    'auth.login': 'Signed in',
+    'auth.token_refreshed': 'Session refreshed',
+    'auth.logout': 'Signed out',
+    'auth.logout_everywhere': 'Signed out everywhere',
+    'auth.login_alert_sent': 'New sign-in alert emailed',
+    'auth.login_denied': 'Sign-in reported as not you',
+    'oauth.app_authorized': 'App allowed to sign you in',
+    'oauth.app_revoked': 'App access removed',
+    'password.changed': 'Password changed',
+    'password.set': 'Password set',
+    'password.reset': 'Password reset',
+    'email.change_requested': 'Email change requested',
+    'email.changed': 'Email address changed',
+    'mfa.enabled': 'Two-factor authentication turned on',
+    'mfa.disabled': 'Two-factor authentication turned off',
+    'mfa.recovery_codes_regenerated': 'Recovery codes regenerated',
+    'passkey.added': 'Passkey added',
+    'passkey.removed': 'Passkey removed',
+    'api_key.created': 'API key created',
+    'api_key.revoked': 'API key revoked',
+    'session.revoked': 'Device signed out',
+    'session.others_revoked': 'Other devices signed out',
+    'admin.user_updated': 'Account updated by an administrator',
+    'admin.user_disabled': 'Account disabled by an administrator',
+    'admin.user_enabled': 'Account enabled by an administrator',
+    'admin.user_unlocked': 'Account unlocked by an administrator',
+    'admin.user_deleted': 'Account deleted by an administrator',
+    'admin.password_reset_forced': 'Password reset required by an administrator',
+    'admin.verification_resent': 'Verification email resent by an administrator',
+    'admin.sessions_revoked': 'Signed out everywhere by an administrator',
+    'admin.client_created': 'Application registered',
+    'admin.client_deleted': 'Application removed',
+};
+
+const AuditEventRow = ({ event, detail }) => (
+    <li className="py-2 flex items-start justify-between gap-2 text-sm">
+        <div>
+            <p className={event.outcome === 'failure' ? 'text-red-700' : 'text-gray-800'}>
+                {AUDIT_EVENT_LABELS[event.type] || event.type}
+                {event.outcome === 'failure' && ' (failed)'}
+            </p>
+            {detail && <p className="text-xs text-gray-500">{detail}</p>}
+        </div>
+        <span className="text-xs text-gray-500 whitespace-nowrap">{new Date(event.createdAt).toLocaleString()}</span>
+    </li>
+);
+
+const RecentActivity = () => {
+    const { apiCall } = useAuth();
+
+    const { data: events, isLoading, isError } = useQuery({
+        queryKey: ['activity'],
+        queryFn: () => apiCall({ method: 'GET', url: '/me/activity' }),
+    });
+
+    if (isLoading) return <p className="text-sm text-gray-500">Loading...</p>;
+    if (isError) return <p className="text-sm text-red-600">Could not load your activity.</p>;
+    if (!events?.length) return <p className="text-sm text-gray-500">No activity yet.</p>;
+
+    return (
+        <div className="space-y-2">
+            <p className="text-sm text-gray-600">Something you do not recognise? Change your password and sign out other devices.</p>
+            <ul className="divide-y divide-gray-200">
+                {events.map((event) => (
+                    <AuditEventRow
+                        key={event.id}
+                        event={event}
+                        detail={[event.device, event.ip].filter(Boolean).join(' · ')}
+                    />
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+// Hands a downloaded Blob to the browser as a file
+const saveFile = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+const fileNameFrom = (response, fallback) => (
+    response.headers['content-disposition']?.match(/filename="([^"]+)"/)?.[1] || fallback
+);
+
+const DataExportPanel = () => {
+    const { apiCall, displayMessage } = useAuth();
+    const queryClient = useQueryClient();
+
+    // Large accounts are exported in the background; poll while a job is still running
+    const { data: exports } = useQuery({
+        queryKey: ['data-exports'],
+        queryFn: () => apiCall({ method: 'GET', url: '/me/exports' }),
+        refetchInterval: (query) => (query.state.data?.some((job) => job.status === 'pending') ? 5000 : false),
+    });
+
+    const exportMutation = useMutation({
+        mutationFn: (format) => apiCall({ method: 'GET', url: '/me/export', params: { format }, responseType: 'blob', rawResponse: true }),
+        onSuccess: async (response, format) => {
+            if (response.status === 202) {
+                const { message } = JSON.parse(await response.data.text());
+                displayMessage(message, 'success');
+                queryClient.invalidateQueries({ queryKey: ['data-exports'] });
+                return;
+            }
+            saveFile(response.data, fileNameFrom(response, `personal-data.${format}`));
+        },
+        onError: (error) => {
+            displayMessage(`Export Failed: ${error.message}`, 'error');
+        }
+    });
+
+    const downloadMutation = useMutation({
+        mutationFn: (job) => apiCall({ method: 'GET', url: `/me/exports/${job.id}/download`, responseType: 'blob' }),
+        onSuccess: (blob, job) => saveFile(blob, job.fileName),
+        onError: (error) => {
+            displayMessage(`Download Failed: ${error.message}`, 'error');
+        }
+    });
+
+    return (
+        <div className="space-y-3">
+            <p className="text-sm text-gray-600">
+                Get a copy of everything we hold about you: your account, sign-in sessions and passkeys.
+            </p>
+            <div className="flex gap-2">
+                <button
+                    onClick={() => exportMutation.mutate('json')}
+                    disabled={exportMutation.isPending}
+                    className="flex-1 bg-indigo-600 text-white p-3 rounded-lg hover:bg-indigo-700 disabled:bg-indigo-400"
+                >
+                    Export as JSON
+                </button>
+                <button
+                    onClick={() => exportMutation.mutate('zip')}
+                    disabled={exportMutation.isPending}
+                    className="flex-1 bg-indigo-100 text-indigo-700 p-3 rounded-lg hover:bg-indigo-200 disabled:opacity-50"
+                >
+                    Export as ZIP
+                </button>
+            </div>
+            {exports?.length > 0 && (
+                <ul className="space-y-2">
+                    {exports.map((job) => (
+                        <li key={job.id} className="p-3 bg-gray-50 rounded-lg flex items-center justify-between text-sm">
+                            <span>
+                                {job.format.toUpperCase()} export from {new Date(job.createdAt).toLocaleString()}
+                            </span>
+                            {job.status === 'ready' && (
+                                <button
+                                    onClick={() => downloadMutation.mutate(job)}
+                                    disabled={downloadMutation.isPending}
+                                    className="text-indigo-600 hover:underline disabled:opacity-50"
+                                >
+                                    Download
+                                </button>
+                            )}
+                            {job.status === 'pending' && <span className="text-gray-500">Preparing...</span>}
+                            {job.status === 'failed' && <span className="text-red-600">Failed, please try again</span>}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+const DeleteAccountForm = () => {
+    const { apiCall, displayMessage, clearAuthState } = useAuth();
+    const { register, handleSubmit, formState: { errors } } = useForm();
+
+    const { data: mfaStatus } = useQuery({
+        queryKey: ['mfa'],
+        queryFn: () => apiCall({ method: 'GET', url: '/mfa' }),
+    });
+
+    const deleteAccountMutation = useMutation({
+        mutationFn: (data) => apiCall({ method: 'POST', url: '/account/delete', data }),
+        onSuccess: (data) => {
+            // Every session is revoked server-side, signing in again within the grace period cancels the deletion
+            clearAuthState();
+            displayMessage(data.message, 'success');
+        },
+        onError: (error) => {
+            displayMessage(`Account Deletion Failed: ${error.message}`, 'error');
+        }
+    });
+
+    const onSubmit = ({ password, code }) => {
+        deleteAccountMutation.mutate({ password, ...(code && { code }) });
+    };
+
+    return (
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-3">
+            <p className="text-sm text-gray-600">
+                Your account is deleted after a grace period. Signing in again before then cancels the deletion.
+            </p>
+            <input
+                {...register("password", { required: "Password is required" })}
+                type="password"
+                placeholder="Current Password"
+                className={`w-full p-3 border rounded-lg focus:ring-red-500 focus:border-red-500 ${errors.password ? 'border-red-500' : 'border-gray-300'}`}
+            />
+            {errors.password && <p className="text-red-500 text-sm">{errors.password.message}</p>}
+            {mfaStatus?.enabled && (
+                <input
+                    {...register("code", { required: "Authentication code is required" })}
+                    placeholder="Authentication Code"
+                    autoComplete="one-time-code"
+                    className={`w-full p-3 border rounded-lg focus:ring-red-500 focus:border-red-500 ${errors.code ? 'border-red-500' : 'border-gray-300'}`}
+                />
+            )}
+            {errors.code && <p className="text-red-500 text-sm">{errors.code.message}</p>}
+            <button
+                type="submit"
+                disabled={deleteAccountMutation.isPending}
+                className="w-full bg-red-600 text-white p-3 rounded-lg hover:bg-red-700 disabled:bg-red-400"
+            >
+                {deleteAccountMutation.isPending ? 'Deleting...' : 'Delete My Account'}
+            </button>
+        </form>
+    );
+};
+
+const ProfileView = () => {
+    const { handleLogout, displayMessage, apiCall, profileQuery } = useAuth();
+    const { profileData, isProfileLoading, refetchProfile } = profileQuery;
+    const [isTestingRefresh, setIsTestingRefresh] = useState(false);
+    
+    // Manual test function that relies on the apiCall being intercepted/refreshed
+    const testRefresh = async () => {
+        setIsTestingRefresh(true);
+        try {
+            const response = await apiCall({ method: 'GET', url: '/profile' });
+            displayMessage(`Refresh Test Succeeded! Protected data accessed: ${response.message}`, 'success');
+        } catch (error) {
+            displayMessage(`Refresh Test Failed: ${error.message}`, 'error');
+        } finally {
+            setIsTestingRefresh(false);
+        }
+    };
+
+    if (isProfileLoading) return (
+        <p className="text-center text-indigo-600 flex items-center justify-center space-x-2">
+            <RefreshCw size={16} className="animate-spin" />
+            <span>Loading Profile Data (React Query)...</span>
+        </p>
+    );
+
+    if (!profileData) return (
+        <div className="space-y-4">
+            <p className="text-center text-red-500">Could not retrieve profile. 🔄</p>
+            <button onClick={() => refetchProfile()} className="w-full p-3 bg-red-100 text-red-700 rounded-lg hover:bg-red-200">
+                Retry Fetch
+            </button>
+        </div>
+    );
+
+    const user = profileData;
+
+    return (
+        <div className="space-y-6">
+            <div className="space-y-4 bg-gray-50 p-6 rounded-xl shadow-inner border border-gray-200">
+                <ProfileHeader profile={user} />
+                {user.bio && <p className="text-gray-700 whitespace-pre-line">{user.bio}</p>}
+                <div className="border-t border-gray-200 pt-4 space-y-3">
+                    <p><strong>Name:</strong> {user.name || 'N/A'}</p>
+                    <p><strong>Email:</strong> {user.email}</p>
+                    <p><strong>Roles:</strong> {user.roles?.length ? user.roles.join(', ') : 'N/A'}</p>
+                    {user.permissions?.length > 0 && (
+                        <p className="text-sm"><strong>Permissions:</strong> {user.permissions.join(', ')}</p>
+                    )}
+                    {(user.locale || user.timezone) && (
+                        <p className="text-sm"><strong>Locale:</strong> {[user.locale, user.timezone].filter(Boolean).join(' · ')}</p>
+                    )}
+                    <p className="text-sm"><strong>User ID:</strong> <span className="bg-gray-200 p-1 rounded font-mono text-xs break-all">{user.id}</span></p>
+                    {user.createdAt && <p className="text-sm"><strong>Member Since:</strong> {new Date(user.createdAt).toLocaleDateString()}</p>}
+                </div>
+            </div>
+
+            <ProfileSection title="Edit Profile" Icon={UserPen}>
+                <EditProfileForm profile={user} />
+            </ProfileSection>
+
+            <ProfileSection title={user.hasPassword ? 'Change Password' : 'Set a Password'} Icon={KeyRound}>
+                <ChangePasswordForm hasPassword={user.hasPassword} />
+            </ProfileSection>
+
+            <ProfileSection title="Change Email" Icon={AtSign}>
+                <ChangeEmailForm />
+            </ProfileSection>
+
+            <ProfileSection title="Two-Factor Authentication" Icon={ShieldCheck}>
+                <TwoFactorSettings />
+            </ProfileSection>
+
+            <ProfileSection title="Passkeys" Icon={Fingerprint}>
+                <PasskeySettings />
+            </ProfileSection>
+
+            <ProfileSection title="Linked Accounts" Icon={Link2}>
+                <LinkedAccounts />
+            </ProfileSection>
+
+            <ProfileSection title="Connected Apps" Icon={AppWindow}>
+                <ConnectedApps />
+            </ProfileSection>
+
+            <ProfileSection title="API Keys" Icon={Terminal}>
+                <ApiKeysPanel />
+            </ProfileSection>
+
+            <ProfileSection title="Active Sessions" Icon={MonitorSmartphone}>
+                <SessionsPanel />
+            </ProfileSection>
+
+            <ProfileSection title="Recent Activity" Icon={History}>
+                <RecentActivity />
+            </ProfileSection>
+
+            <ProfileSection title="Download Your Data" Icon={Download}>
+                <DataExportPanel />
+            </ProfileSection>
+
+            <ProfileSection title="Delete Account" Icon={Trash2}>
+                <DeleteAccountForm />
+            </ProfileSection>
+            
+            <button
+                onClick={testRefresh}
+                disabled={isTestingRefresh}
+                className="w-full bg-blue-600 text-white p-3 rounded-lg hover:bg-blue-700 transition duration-150 shadow-md hover:shadow-lg disabled:bg-blue-400 flex items-center justify-center space-x-2"
+            >
+                <RefreshCw size={20} className={isTestingRefresh ? 'animate-spin' : ''} />
+                <span>{isTestingRefresh ? 'Testing Refresh...' : 'Test Auto Token Refresh'}</span>
+            </button>
+            
+            <button
+                onClick={handleLogout}
+                className="w-full bg-red-600 text-white p-3 rounded-lg hover:bg-red-700 transition duration-150 shadow-md hover:shadow-lg flex items-center justify-center space-x-2"
+            >
+                <LogOut size={20} />
+                <span>Logout (Invalidates Tokens)</span>
+            </button>
+        </div>
+    );
+};
+
+// ---------------------------------------------------------------------
+// --- ADMIN AREA ---
+// ---------------------------------------------------------------------
+
+const ADMIN_PAGE_SIZE = 10;
+
+const StatusBadge = ({ tone, children }) => {
+    const tones = {
+        green: 'bg-green-100 text-green-800',
+        yellow: 'bg-yellow-100 text-yellow-800',
+        red: 'bg-red-100 text-red-800',
+        gray: 'bg-gray-100 text-gray-700',
+    };
+    return <span className={`text-xs px-2 py-0.5 rounded ${tones[tone]}`}>{children}</span>;
+};
+
+const UserStatusBadges = ({ user }) => (
+    <div className="flex flex-wrap gap-1">
+        {user.emailVerified ? <StatusBadge tone="green">Verified</StatusBadge> : <StatusBadge tone="gray">Unverified</StatusBadge>}
+        {user.locked && <StatusBadge tone="yellow">Locked</StatusBadge>}
+        {user.status === 'disabled' && <StatusBadge tone="red">Disabled</StatusBadge>}
+        {user.status === 'pending_deletion' && <StatusBadge tone="yellow">Deletion Pending</StatusBadge>}
+        {user.status === 'deleted' && <StatusBadge tone="gray">Deleted</StatusBadge>}
+    </div>
+);
+
+/**
+ * Runs an admin action on one user. `patch` is applied to the cached user lists right away
+ * and rolled back if the server refuses.
+ */
+const useAdminUserAction = ({ request, patch, successMessage }) => {
+    const { apiCall, displayMessage } = useAuth();
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: (user) => apiCall(request(user)),
+        onMutate: async (user) => {
+            if (!patch) return {};
+            await queryClient.cancelQueries({ queryKey: ['admin-users'] });
+            const previous = queryClient.getQueriesData({ queryKey: ['admin-users'] });
+            queryClient.setQueriesData({ queryKey: ['admin-users'] }, (page) => page && {
+                ...page,
+                items: page.items.map((item) => (item._id === user._id ? { ...item, ...patch } : item)),
+            });
+            return { previous };
+        },
+        onError: (error, user, context) => {
+            context?.previous?.forEach(([queryKey, data]) => queryClient.setQueryData(queryKey, data));
+            displayMessage(`Action Failed: ${error.message}`, 'error');
+        },
+        onSuccess: (data) => displayMessage(data?.message || successMessage, 'success'),
+        onSettled: (data, error, user) => {
+            queryClient.invalidateQueries({ queryKey: ['admin-users'] });
+            queryClient.invalidateQueries({ queryKey: ['admin-user-sessions', user._id] });
+            queryClient.invalidateQueries({ queryKey: ['admin-user-audit', user._id] });
+        },
+    });
+};
+
+const AdminUserDrawer = ({ user, onClose }) => {
+    const { apiCall, hasPermission } = useAuth();
+
+    const { data: sessions, isLoading: isSessionsLoading, isError: isSessionsError } = useQuery({
+        queryKey: ['admin-user-sessions', user._id],
+        queryFn: () => apiCall({ method: 'GET', url: `/users/${user._id}/sessions` }),
+        enabled: hasPermission('sessions:read'),
+    });
+
+    const { data: audit, isLoading: isAuditLoading, isError: isAuditError } = useQuery({
+        queryKey: ['admin-user-audit', user._id],
+        queryFn: () => apiCall({ method: 'GET', url: '/audit', params: { targetId: user._id, limit: 20 } }),
+        enabled: hasPermission('audit:read'),
+    });
+
+    const disableMutation = useAdminUserAction({
+        request: (u) => ({ method: 'POST', url: `/users/${u._id}/disable` }),
+        patch: { status: 'disabled' },
+        successMessage: 'Account disabled.',
+    });
+    const enableMutation = useAdminUserAction({
+        request: (u) => ({ method: 'POST', url: `/users/${u._id}/enable` }),
+        patch: { status: 'active' },
+        successMessage: 'Account enabled.',
+    });
+    const unlockMutation = useAdminUserAction({
+        request: (u) => ({ method: 'POST', url: `/users/${u._id}/unlock` }),
+        patch: { locked: false, failedLoginAttempts: 0 },
+        successMessage: 'Account unlocked.',
+    });
+    const resendMutation = useAdminUserAction({
+        request: (u) => ({ method: 'POST', url: `/users/${u._id}/resend-verification` }),
+    });
+    const revokeSessionsMutation = useAdminUserAction({
+        request: (u) => ({ method: 'DELETE', url: `/users/${u._id}/sessions` }),
+    });
+
+    const actionClass = "w-full p-2 rounded-lg text-sm disabled:opacity-50";
+
+    return (
+        <div className="fixed inset-0 z-10 flex justify-end bg-black/30" onClick={onClose}>
+            <aside className="w-full max-w-sm h-full bg-white shadow-2xl p-6 overflow-y-auto space-y-4" onClick={(e) => e.stopPropagation()}>
+                <div className="flex items-start justify-between">
+                    <div>
+                        <h3 className="text-lg font-semibold text-gray-800 break-all">{user.email}</h3>
+                        <p className="text-sm text-gray-500">{user.name || 'No name'}</p>
+                    </div>
+                    <button onClick={onClose} aria-label="Close" className="p-1 text-gray-500 hover:text-gray-800">
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <UserStatusBadges user={user} />
+
+                <dl className="text-sm space-y-1">
+                    <div><dt className="inline font-medium">Roles: </dt><dd className="inline">{user.roles?.join(', ') || 'N/A'}</dd></div>
+                    <div><dt className="inline font-medium">Created: </dt><dd className="inline">{new Date(user.createdAt).toLocaleString()}</dd></div>
+                    <div><dt className="inline font-medium">Two-factor: </dt><dd className="inline">{user.mfaEnabled ? 'On' : 'Off'}</dd></div>
+                    <div><dt className="inline font-medium">Failed logins: </dt><dd className="inline">{user.failedLoginAttempts}</dd></div>
+                    {user.locked && (
+                        <div><dt className="inline font-medium">Locked until: </dt><dd className="inline">{new Date(user.lockUntil).toLocaleString()}</dd></div>
+                    )}
+                </dl>
+
+                <div className="space-y-2">
+                    {hasPermission('users:disable') && (user.status === 'disabled' ? (
+                        <button onClick={() => enableMutation.mutate(user)} disabled={enableMutation.isPending} className={`${actionClass} bg-green-100 text-green-800 hover:bg-green-200`}>
+                            Enable Account
+                        </button>
+                    ) : (
+                        <button onClick={() => disableMutation.mutate(user)} disabled={disableMutation.isPending} className={`${actionClass} bg-red-100 text-red-700 hover:bg-red-200`}>
+                            Disable Account
+                        </button>
+                    ))}
+                    {hasPermission('users:update') && user.locked && (
+                        <button onClick={() => unlockMutation.mutate(user)} disabled={unlockMutation.isPending} className={`${actionClass} bg-yellow-100 text-yellow-800 hover:bg-yellow-200`}>
+                            Unlock Account
+                        </button>
+                    )}
+                    {hasPermission('users:update') && !user.emailVerified && (
+                        <button onClick={() => resendMutation.mutate(user)} disabled={resendMutation.isPending} className={`${actionClass} bg-gray-100 text-gray-700 hover:bg-gray-200`}>
+                            {resendMutation.isPending ? 'Sending...' : 'Resend Verification Email'}
+                        </button>
+                    )}
+                    {hasPermission('sessions:revoke') && (
+                        <button onClick={() => revokeSessionsMutation.mutate(user)} disabled={revokeSessionsMutation.isPending} className={`${actionClass} bg-gray-100 text-gray-700 hover:bg-gray-200`}>
+                            {revokeSessionsMutation.isPending ? 'Revoking...' : 'Revoke All Sessions'}
+                        </button>
+                    )}
+                </div>
+
+                {hasPermission('sessions:read') && (
+                    <div>
+                        <h4 className="text-sm font-semibold text-gray-700 mb-1">Active Sessions</h4>
+                        {isSessionsLoading && <p className="text-sm text-gray-500">Loading...</p>}
+                        {isSessionsError && <p className="text-sm text-red-600">Could not load sessions.</p>}
+                        {sessions?.length === 0 && <p className="text-sm text-gray-500">No active sessions.</p>}
+                        <ul className="divide-y divide-gray-200">
+                            {sessions?.map((session) => (
+                                <li key={session.id} className="py-1 text-xs text-gray-600">
+                                    <span className="font-medium text-gray-800">{session.device}</span> · {session.ip || 'Unknown IP'} · {new Date(session.lastUsedAt).toLocaleString()}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
+                {hasPermission('audit:read') && (
+                    <div>
+                        <h4 className="text-sm font-semibold text-gray-700 mb-1">Audit Log</h4>
+                        {isAuditLoading && <p className="text-sm text-gray-500">Loading...</p>}
+                        {isAuditError && <p className="text-sm text-red-600">Could not load the audit log.</p>}
+                        {audit?.items.length === 0 && <p className="text-sm text-gray-500">No events recorded.</p>}
+                        <ul className="divide-y divide-gray-200">
+                            {audit?.items.map((event) => (
+                                <AuditEventRow
+                                    key={event._id}
+                                    event={event}
+                                    detail={[event.reason, event.ip, event.actorId !== event.targetId && event.actorId && `by ${event.actorId}`].filter(Boolean).join(' · ')}
+                                />
+                            ))}
+                        </ul>
+                    </div>
+                )}
+            </aside>
+        </div>
+    );
+};
+
+const AdminDashboard = () => {
+    const { apiCall, hasPermission } = useAuth();
+    const [searchInput, setSearchInput] = useState('');
+    const [search, setSearch] = useState('');
+    const [status, setStatus] = useState('');
+    const [page, setPage] = useState(1);
+    const [selectedId, setSelectedId] = useState(null);
+
+    // Wait for the admin to stop typing before querying
+    useEffect(() => {
+        const timeoutId = setTimeout(() => {
+            setSearch(searchInput.trim());
+            setPage(1);
+        }, 300);
+        return () => clearTimeout(timeoutId);
+    }, [searchInput]);
+
+    const params = { page, limit: ADMIN_PAGE_SIZE, ...(search && { search }) };
+    if (status) {
+        const [key, value] = status.split(':');
+        params[key] = value;
+    }
+
+    const { data, isLoading, isError, error, refetch, isFetching } = useQuery({
+        queryKey: ['admin-users', params],
+        queryFn: () => apiCall({ method: 'GET', url: '/users', params }),
+        placeholderData: keepPreviousData,
+    });
+
+    const totalPages = data ? Math.max(Math.ceil(data.total / data.limit), 1) : 1;
+    const selectedUser = data?.items.find((user) => user._id === selectedId);
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-col sm:flex-row gap-2">
+                <input
+                    value={searchInput}
+                    onChange={(e) => setSearchInput(e.target.value)}
+                    placeholder="Search by email or name"
+                    className="flex-1 p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                />
+                <select
+                    value={status}
+                    onChange={(e) => { setStatus(e.target.value); setPage(1); }}
+                    className="p-2 border border-gray-300 rounded-lg"
+                >
+                    <option value="">All users</option>
+                    <option value="verified:false">Unverified</option>
+                    <option value="locked:true">Locked</option>
+                    <option value="status:disabled">Disabled</option>
+                    <option value="status:pending_deletion">Deletion Pending</option>
+                    <option value="status:deleted">Deleted</option>
+                </select>
+            </div>
+
+            {isLoading && <p className="text-center text-indigo-600">Loading users...</p>}
+
+            {isError && (
+                <div className="space-y-2">
+                    <p className="text-center text-red-500">Could not load users: {error.message}</p>
+                    <button onClick={() => refetch()} className="w-full p-2 bg-red-100 text-red-700 rounded-lg hover:bg-red-200">
+                        Retry
+                    </button>
+                </div>
+            )}
+
+            {data && (
+                <>
+                    <div className={`overflow-x-auto transition-opacity ${isFetching ? 'opacity-60' : ''}`}>
+                        <table className="w-full text-sm text-left">
+                            <thead className="text-gray-500 border-b">
+                                <tr>
+                                    <th className="py-2 pr-2">Email</th>
+                                    <th className="py-2 pr-2">Name</th>
+                                    <th className="py-2 pr-2">Created</th>
+                                    <th className="py-2">Status</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {data.items.map((user) => (
+                                    <tr key={user._id} onClick={() => setSelectedId(user._id)} className="cursor-pointer hover:bg-indigo-50">
+                                        <td className="py-2 pr-2 break-all">{user.email}</td>
+                                        <td className="py-2 pr-2">{user.name || '—'}</td>
+                                        <td className="py-2 pr-2 whitespace-nowrap">{new Date(user.createdAt).toLocaleDateString()}</td>
+                                        <td className="py-2"><UserStatusBadges user={user} /></td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        {data.items.length === 0 && <p className="text-center text-gray-500 py-4">No users match.</p>}
+                    </div>
+
+                    <div className="flex items-center justify-between text-sm">
+                        <button onClick={() => setPage(page - 1)} disabled={page <= 1} className="px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50">
+                            Previous
+                        </button>
+                        <span className="text-gray-600">Page {data.page} of {totalPages} · {data.total} users</span>
+                        <button onClick={() => setPage(page + 1)} disabled={page >= totalPages} className="px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50">
+                            Next
+                        </button>
+                    </div>
+                </>
+            )}
+
+            {selectedUser && <AdminUserDrawer user={selectedUser} onClose={() => setSelectedId(null)} />}
+
+            {hasPermission('clients:manage') && <OidcClientsPanel />}
+        </div>
+    );
+};
+
+// Apps that sign users in through us with OpenID Connect
+const OidcClientsPanel = () => {
+    const { apiCall, displayMessage } = useAuth();
+    const queryClient = useQueryClient();
+    const { register, handleSubmit, reset, formState: { errors } } = useForm({ defaultValues: { confidential: true } });
+    const [created, setCreated] = useState(null);
+
+    const { data: clients, isLoading } = useQuery({
+        queryKey: ['oidc-clients'],
+        queryFn: () => apiCall({ method: 'GET', url: '/oidc/clients' }),
+    });
+
+    const createMutation = useMutation({
+        mutationFn: ({ name, redirectUris, confidential }) => apiCall({
+            method: 'POST',
+            url: '/oidc/clients',
+            data: { name, confidential, redirectUris: redirectUris.split(/\s+/).filter(Boolean) },
+        }),
+        onSuccess: (client) => {
+            // The secret is only returned once
+            setCreated(client);
+            reset();
+            queryClient.invalidateQueries({ queryKey: ['oidc-clients'] });
+        },
+        onError: (error) => displayMessage(`Registration Failed: ${error.message}`, 'error'),
+    });
+
+    const removeMutation = useMutation({
+        mutationFn: (id) => apiCall({ method: 'DELETE', url: `/oidc/clients/${id}` }),
+        onSuccess: () => {
+            displayMessage('Application removed.', 'success');
+            queryClient.invalidateQueries({ queryKey: ['oidc-clients'] });
+        },
+        onError: (error) => displayMessage(`Action Failed: ${error.message}`, 'error'),
+    });
+
+    return (
+        <div className="space-y-4 border-t pt-4">
+            <h3 className="text-lg font-semibold text-gray-800 flex items-center space-x-2">
+                <AppWindow size={20} className="text-indigo-600" />
+                <span>Applications</span>
+            </h3>
+            <p className="text-sm text-gray-600">
+                Apps registered here can sign users in with OpenID Connect, using <span className="font-mono break-all">{API_BASE_URL.replace(/\/authentication$/, '')}/.well-known/openid-configuration</span>.
+            </p>
+
+            {isLoading && <p className="text-sm text-gray-500">Loading...</p>}
+            {clients?.length > 0 && (
+                <ul className="divide-y divide-gray-200">
+                    {clients.map((client) => (
+                        <li key={client.id} className="flex items-start justify-between gap-2 py-2">
+                            <div className="text-sm">
+                                <p className="font-medium text-gray-800">{client.name} <span className="text-xs text-gray-500">{client.confidential ? 'confidential' : 'public'}</span></p>
+                                <p className="text-xs font-mono text-gray-600 break-all">{client.clientId}</p>
+                                <p className="text-xs text-gray-500 break-all">{client.redirectUris.join(', ')}</p>
+                            </div>
+                            <button
+                                onClick={() => removeMutation.mutate(client.id)}
+                                disabled={removeMutation.isPending}
+                                className="text-sm text-red-600 hover:underline"
+                            >
+                                Remove
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {created && (
+                <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 space-y-1 text-sm">
+                    <p className="text-yellow-800">{created.name} is registered.{created.clientSecret && ' Copy the secret now, it will not be shown again.'}</p>
+                    <p className="font-mono break-all">client_id: {created.clientId}</p>
+                    {created.clientSecret && <p className="font-mono break-all">client_secret: {created.clientSecret}</p>}
+                </div>
+            )}
+
+            <form onSubmit={handleSubmit((data) => createMutation.mutate(data))} className="space-y-2">
+                <input
+                    {...register("name", { required: "Name is required" })}
+                    placeholder="Application name"
+                    className={`w-full p-2 border rounded-lg ${errors.name ? 'border-red-500' : 'border-gray-300'}`}
+                />
+                {errors.name && <p className="text-red-500 text-sm">{errors.name.message}</p>}
+                <textarea
+                    {...register("redirectUris", { required: "At least one redirect URI is required" })}
+                    placeholder="Redirect URIs, one per line"
+                    rows={2}
+                    className={`w-full p-2 border rounded-lg font-mono text-sm ${errors.redirectUris ? 'border-red-500' : 'border-gray-300'}`}
+                />
+                {errors.redirectUris && <p className="text-red-500 text-sm">{errors.redirectUris.message}</p>}
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input type="checkbox" {...register("confidential")} />
+                    <span>Runs on a server and can keep a client secret</span>
+                </label>
+                <button
+                    type="submit"
+                    disabled={createMutation.isPending}
+                    className="w-full bg-indigo-600 text-white p-2 rounded-lg hover:bg-indigo-700 disabled:bg-indigo-400"
+                >
+                    {createMutation.isPending ? 'Registering...' : 'Register Application'}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+// Simple reusable button component for tabs
+const TabButton = ({ label, tabName, activeTab, setActiveTab, Icon }) => (
+    <button
+        onClick={() => setActiveTab(tabName)}
+        className={`flex-1 py-2 px-4 rounded-full text-sm font-medium transition duration-200 ease-in-out flex items-center justify-center space-x-1 ${
+            activeTab === tabName 
+                ? 'bg-indigo-600 text-white shadow-lg' 
+                : 'text-gray-700 hover:bg-gray-300'
+        }`}
+    >
+        <Icon size={16} />
+        <span>{label}</span>
+    </button>
+);
+
+
+// ---------------------------------------------------------------------
+// --- MAIN APP COMPONENT (Router/Layout) ---
+// ---------------------------------------------------------------------
+const AuthRouter = () => {
+    // IMPORTANT: useAuth() MUST be called inside the AuthProvider wrapper.
+    const { isAuthenticated, activeTab, message, messageType, setActiveTab, hasPermission, oidcRequest } = useAuth(); 
+    const showAdmin = isAuthenticated && activeTab === 'admin' && hasPermission('users:read');
+
+    const renderContent = () => {
+        if (isAuthenticated && oidcRequest) {
+            return <ConsentScreen />;
+        }
         if (isAuthenticated) {
-            return <ProfileView />;
+            return showAdmin ? <AdminDashboard /> : <ProfileView />;
         }
         
         switch (activeTab) {
@@ -508,6 +2601,12 @@ const AuthRouter = () => {
                 return <LoginForm />;
             case 'register':
                 return <RegisterForm />;
+            case 'mfa':
+                return <MfaChallengeForm />;
+            case 'forgot':
+                return <ForgotPasswordForm />;
+            case 'reset':
+                return <ResetPasswordForm />;
             default:
                 return <LoginForm />;
         }
@@ -515,7 +2614,7 @@ const AuthRouter = () => {
 
     return (
         <div className="min-h-screen bg-gray-100 flex items-center justify-center p-4 font-sans">
-            <div className="w-full max-w-md bg-white p-8 rounded-xl shadow-2xl border-t-4 border-indigo-600">
+            <div className={`w-full ${showAdmin ? 'max-w-4xl' : 'max-w-md'} bg-white p-8 rounded-xl shadow-2xl border-t-4 border-indigo-600`}>
                 <h1 className="text-3xl font-bold text-center text-gray-800 mb-6 flex items-center justify-center space-x-3">
                     <User size={28} className="text-indigo-600" />
                     <span>Secure Auth Demo (RQ + RHF)</span>
@@ -553,6 +2652,30 @@ const AuthRouter = () => {
                     </div>
                 )}
 
+                {/* Admin navigation, only for users allowed to manage accounts */}
+                {isAuthenticated && hasPermission('users:read') && (
+                    <div className="flex justify-center space-x-2 mb-8 p-1 bg-gray-200 rounded-full shadow-inner">
+                        <TabButton 
+                            label="Profile" 
+                            tabName="profile" 
+                            activeTab={showAdmin ? 'admin' : 'profile'} 
+                            setActiveTab={setActiveTab}
+                            Icon={User}
+                        />
+                        <TabButton 
+                            label="Admin" 
+                            tabName="admin" 
+                            activeTab={showAdmin ? 'admin' : 'profile'} 
+                            setActiveTab={setActiveTab}
+                            Icon={Users}
+                        />
+                    </div>
+                )}
+
+                {!isAuthenticated && oidcRequest && (
+                    <p className="mb-4 text-sm text-center text-gray-600">Sign in to continue to the application that sent you here.</p>
+                )}
+
                 {/* Content Area */}
                 {renderContent()}
 